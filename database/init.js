@@ -0,0 +1,363 @@
+const sqlite3 = require("sqlite3").verbose();
+const bcrypt = require("bcrypt");
+const path = require("path");
+const { migrateUp } = require("./migrate");
+
+// DB_PATH=":memory:" gives a throwaway database, e.g. for tests
+const dbPath = process.env.DB_PATH || path.join(__dirname, "parking_system.db");
+
+// Create database connection
+const db = new sqlite3.Database(dbPath, (err) => {
+  if (err) {
+    console.error("Error opening database:", err.message);
+  } else {
+    console.log("Connected to SQLite database");
+  }
+});
+
+// A ticket or receipt number format: letters, digits and separators around
+// the {site}, {year} and {seq} placeholders, which keep numbers unique, and
+// optionally {check}
+const NUMBER_FORMAT_PATTERN =
+  /^(?=.*\{site\})(?=.*\{year\})(?=.*\{seq(?::\d)?\})(?:[A-Za-z0-9\-\/_]|\{(?:site|year|seq(?::\d)?|check)\})+$/;
+const NUMBER_FORMAT_HINT =
+  "must contain {site}, {year} and {seq}, and otherwise only letters, digits, - / _ and {check}";
+
+// System settings: key -> type, default value and allowed values/range
+const SETTING_DEFINITIONS = {
+  system_name: {
+    type: "string",
+    default: "Digital Parking Management System",
+    label: "System Name",
+  },
+  business_address: {
+    type: "string",
+    default: "",
+    label: "Business Address",
+    optional: true,
+  },
+  tax_id: {
+    type: "string",
+    default: "",
+    label: "Tax ID",
+    optional: true,
+  },
+  timezone: {
+    type: "string",
+    default: "UTC",
+    label: "Timezone",
+    options: ["UTC", "EST", "PST", "GMT"],
+  },
+  currency: {
+    type: "string",
+    default: "USD",
+    label: "Default Currency",
+    options: ["USD", "EUR", "GBP"],
+  },
+  default_hourly_rate: {
+    type: "number",
+    default: 5.0,
+    label: "Default Hourly Rate",
+    min: 0,
+  },
+  default_daily_rate: {
+    type: "number",
+    default: 50.0,
+    label: "Default Daily Rate",
+    min: 0,
+  },
+  grace_period_minutes: {
+    type: "integer",
+    default: 15,
+    label: "Grace Period",
+    min: 0,
+  },
+  exit_window_minutes: {
+    type: "integer",
+    default: 15,
+    label: "Exit Window",
+    min: 0,
+  },
+  reservation_hold_minutes: {
+    type: "integer",
+    default: 30,
+    label: "Reservation Hold",
+    min: 0,
+  },
+  lost_ticket_fee: {
+    type: "number",
+    default: 20.0,
+    label: "Lost Ticket Fee",
+    min: 0,
+  },
+  lost_ticket_fee_mode: {
+    type: "string",
+    default: "add",
+    label: "Lost Ticket Fee Mode",
+    options: ["add", "replace"],
+  },
+  session_timeout_hours: {
+    type: "integer",
+    default: 24,
+    label: "Session Timeout",
+    min: 1,
+    max: 168,
+  },
+  max_login_attempts: {
+    type: "integer",
+    default: 5,
+    label: "Max Login Attempts",
+    min: 3,
+    max: 10,
+  },
+  enable_audit_log: {
+    type: "boolean",
+    default: true,
+    label: "Enable Audit Logging",
+  },
+  backup_interval_hours: {
+    type: "integer",
+    default: 24,
+    label: "Backup Interval",
+    min: 0,
+    max: 168,
+  },
+  backup_retention_count: {
+    type: "integer",
+    default: 7,
+    label: "Scheduled Backups Kept",
+    min: 1,
+    max: 90,
+  },
+  anpr_min_confidence: {
+    type: "number",
+    default: 0.8,
+    label: "Plate Read Confidence",
+    min: 0,
+    max: 1,
+  },
+  site_code: {
+    type: "string",
+    default: "A",
+    label: "Site Code",
+    pattern: /^[A-Z0-9]{1,4}$/,
+    patternHint: "must be 1 to 4 capital letters or digits",
+  },
+  ticket_number_format: {
+    type: "string",
+    default: "{site}-{year}-{seq:6}-{check}",
+    label: "Ticket Number Format",
+    pattern: NUMBER_FORMAT_PATTERN,
+    patternHint: NUMBER_FORMAT_HINT,
+  },
+  receipt_number_format: {
+    type: "string",
+    default: "R{site}-{year}-{seq:6}-{check}",
+    label: "Receipt Number Format",
+    pattern: NUMBER_FORMAT_PATTERN,
+    patternHint: NUMBER_FORMAT_HINT,
+  },
+  permit_number_format: {
+    type: "string",
+    default: "P{site}-{year}-{seq:5}-{check}",
+    label: "Permit Number Format",
+    pattern: NUMBER_FORMAT_PATTERN,
+    patternHint: NUMBER_FORMAT_HINT,
+  },
+  reservation_number_format: {
+    type: "string",
+    default: "RSV{site}-{year}-{seq:5}-{check}",
+    label: "Reservation Number Format",
+    pattern: NUMBER_FORMAT_PATTERN,
+    patternHint: NUMBER_FORMAT_HINT,
+  },
+};
+
+// Bring the schema up to date, then insert default data
+async function initDatabase() {
+  await migrateUp(db, { dbPath });
+
+  return new Promise((resolve, reject) => {
+    db.serialize(() => {
+      // Enable foreign keys
+      db.run("PRAGMA foreign_keys = ON");
+
+      // Insert default settings (existing values are kept)
+      Object.entries(SETTING_DEFINITIONS).forEach(([key, definition]) => {
+        db.run(
+          "INSERT OR IGNORE INTO settings (key, value, type) VALUES (?, ?, ?)",
+          [key, String(definition.default), definition.type],
+          (err) => {
+            if (err) {
+              console.error(`Error creating default setting ${key}:`, err);
+            }
+          }
+        );
+      });
+
+      // Insert default admin user
+      db.get(
+        "SELECT COUNT(*) as count FROM users WHERE role = 'admin'",
+        (err, row) => {
+          if (err) {
+            console.error("Error checking admin users:", err);
+            reject(err);
+            return;
+          }
+
+          if (row.count === 0) {
+            const defaultPassword = "admin123";
+            bcrypt.hash(defaultPassword, 10, (err, hash) => {
+              if (err) {
+                console.error("Error hashing password:", err);
+                reject(err);
+                return;
+              }
+
+              db.run(
+                `INSERT INTO users (username, password, full_name, role, email) 
+                    VALUES (?, ?, ?, ?, ?)`,
+                [
+                  "admin",
+                  hash,
+                  "System Administrator",
+                  "admin",
+                  "admin@parking.com",
+                ],
+                function (err) {
+                  if (err) {
+                    console.error("Error creating default admin:", err);
+                    reject(err);
+                  } else {
+                    console.log(
+                      "Default admin user created with username: admin, password: admin123"
+                    );
+                  }
+                }
+              );
+            });
+          }
+        }
+      );
+
+      // Insert default cashier user. The "anpr" user that camera tickets
+      // are booked to has no password and cannot log in, so it does not count.
+      db.get(
+        "SELECT COUNT(*) as count FROM users WHERE role = 'cashier' AND password != '!'",
+        (err, row) => {
+          if (err) {
+            console.error("Error checking cashier users:", err);
+            reject(err);
+            return;
+          }
+
+          if (row.count === 0) {
+            const defaultPassword = "cashier123";
+            bcrypt.hash(defaultPassword, 10, (err, hash) => {
+              if (err) {
+                console.error("Error hashing password:", err);
+                reject(err);
+                return;
+              }
+
+              db.run(
+                `INSERT INTO users (username, password, full_name, role, email) 
+                    VALUES (?, ?, ?, ?, ?)`,
+                [
+                  "cashier",
+                  hash,
+                  "Test Cashier",
+                  "cashier",
+                  "cashier@parking.com",
+                ],
+                function (err) {
+                  if (err) {
+                    console.error("Error creating default cashier:", err);
+                    reject(err);
+                  } else {
+                    console.log(
+                      "Default cashier user created with username: cashier, password: cashier123"
+                    );
+                  }
+                }
+              );
+            });
+          }
+        }
+      );
+
+      // Insert default parking slots
+      db.get("SELECT COUNT(*) as count FROM parking_slots", (err, row) => {
+        if (err) {
+          console.error("Error checking parking slots:", err);
+          reject(err);
+          return;
+        }
+
+        if (row.count === 0) {
+          // Create slots array with proper SQL syntax
+          const slots = [];
+          for (let i = 1; i <= 20; i++) {
+            slots.push([`A${i.toString().padStart(2, "0")}`, `Slot A${i.toString().padStart(2, "0")}`, 'vacant', 'standard', 5.00, 50.00]);
+          }
+          for (let i = 1; i <= 15; i++) {
+            slots.push([`B${i.toString().padStart(2, "0")}`, `Slot B${i.toString().padStart(2, "0")}`, 'vacant', 'standard', 5.00, 50.00]);
+          }
+          // Add some disabled and VIP slots
+          slots.push(['D01', 'Disabled Slot 1', 'vacant', 'disabled', 3.00, 30.00]);
+          slots.push(['V01', 'VIP Slot 1', 'vacant', 'vip', 8.00, 80.00]);
+          slots.push(['V02', 'VIP Slot 2', 'vacant', 'vip', 8.00, 80.00]);
+
+          // Insert slots one by one to avoid syntax issues
+          let insertedCount = 0;
+          const totalSlots = slots.length;
+          
+          slots.forEach((slot, index) => {
+            db.run(
+              `INSERT INTO parking_slots (slot_number, slot_name, status, slot_type, hourly_rate, daily_rate) 
+               VALUES (?, ?, ?, ?, ?, ?)`,
+              slot,
+              function (err) {
+                if (err) {
+                  console.error("Error creating parking slot:", err);
+                  reject(err);
+                  return;
+                }
+                insertedCount++;
+                if (insertedCount === totalSlots) {
+                  console.log("Default parking slots created successfully");
+                }
+              }
+            );
+          });
+        }
+      });
+
+      resolve();
+    });
+  });
+}
+
+// Get database instance
+function getDatabase() {
+  return db;
+}
+
+// Close database connection
+function closeDatabase() {
+  db.close((err) => {
+    if (err) {
+      console.error("Error closing database:", err.message);
+    } else {
+      console.log("Database connection closed");
+    }
+  });
+}
+
+module.exports = {
+  SETTING_DEFINITIONS,
+  dbPath,
+  initDatabase,
+  getDatabase,
+  closeDatabase,
+};
@@ -0,0 +1,350 @@
+const fs = require("fs");
+const path = require("path");
+
+// Migration files are named NNN_description.js and export up(db) and down(db)
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE = /^(\d{3,})_([\w-]+)\.js$/;
+
+// Copies of the database taken before each migration run
+const BACKUP_DIR = path.join(__dirname, "backups");
+
+/**
+ * Promise helpers handed to each migration, plus the schema utilities
+ * SQLite needs because it cannot drop columns or alter constraints in place
+ * @param {Object} db - sqlite3 database
+ */
+function createHelpers(db) {
+  const run = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.run(sql, params, function (err) {
+        if (err) reject(err);
+        else resolve({ lastID: this.lastID, changes: this.changes });
+      });
+    });
+
+  const get = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.get(sql, params, (err, row) => {
+        if (err) reject(err);
+        else resolve(row);
+      });
+    });
+
+  const all = (sql, params = []) =>
+    new Promise((resolve, reject) => {
+      db.all(sql, params, (err, rows) => {
+        if (err) reject(err);
+        else resolve(rows || []);
+      });
+    });
+
+  const exec = (sql) =>
+    new Promise((resolve, reject) => {
+      db.exec(sql, (err) => {
+        if (err) reject(err);
+        else resolve();
+      });
+    });
+
+  // Add a column to a table created before the column was introduced
+  const addColumnIfMissing = async (tableName, columnName, definition) => {
+    const columns = await all(`PRAGMA table_info(${tableName})`);
+
+    if (!columns.some((column) => column.name === columnName)) {
+      await run(`ALTER TABLE ${tableName} ADD COLUMN ${columnName} ${definition}`);
+    }
+  };
+
+  // Recreate a table from its new CREATE statement, keeping the rows of the
+  // columns both versions share. Used to change CHECK constraints or drop
+  // columns; indexes on the table have to be recreated by the caller.
+  const rebuildTable = async (tableName, createSql, indexSql = []) => {
+    const oldColumns = (await all(`PRAGMA table_info(${tableName})`)).map(
+      (column) => column.name
+    );
+
+    await run(
+      createSql.replace(
+        new RegExp(`CREATE TABLE (IF NOT EXISTS )?${tableName}\\b`),
+        `CREATE TABLE ${tableName}_rebuild`
+      )
+    );
+
+    const newColumns = (await all(`PRAGMA table_info(${tableName}_rebuild)`)).map(
+      (column) => column.name
+    );
+    const columnList = newColumns
+      .filter((column) => oldColumns.includes(column))
+      .join(", ");
+
+    await run(
+      `INSERT INTO ${tableName}_rebuild (${columnList}) SELECT ${columnList} FROM ${tableName}`
+    );
+    await run(`DROP TABLE ${tableName}`);
+    await run(`ALTER TABLE ${tableName}_rebuild RENAME TO ${tableName}`);
+
+    for (const sql of indexSql) {
+      await run(sql);
+    }
+  };
+
+  return { run, get, all, exec, addColumnIfMissing, rebuildTable };
+}
+
+/**
+ * Migration files in version order
+ * @returns {Array} { version, name, file, up, down }
+ */
+function loadMigrations() {
+  if (!fs.existsSync(MIGRATIONS_DIR)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(MIGRATIONS_DIR)
+    .map((file) => ({ file, match: file.match(MIGRATION_FILE) }))
+    .filter(({ match }) => match)
+    .map(({ file, match }) => {
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+
+      if (typeof migration.up !== "function" || typeof migration.down !== "function") {
+        throw new Error(`Migration ${file} must export up and down functions`);
+      }
+
+      return {
+        version: parseInt(match[1], 10),
+        name: match[2],
+        file,
+        up: migration.up,
+        down: migration.down,
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(helpers) {
+  await helpers.run(`CREATE TABLE IF NOT EXISTS schema_migrations (
+    version INTEGER PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+}
+
+/**
+ * Every migration with whether and when it was applied
+ * @param {Object} db - sqlite3 database
+ * @returns {Promise<Array>} { version, name, file, applied, applied_at }
+ */
+async function getMigrationStatus(db) {
+  const helpers = createHelpers(db);
+  await ensureMigrationsTable(helpers);
+
+  const applied = new Map(
+    (await helpers.all("SELECT version, applied_at FROM schema_migrations")).map(
+      (row) => [row.version, row.applied_at]
+    )
+  );
+
+  return loadMigrations().map((migration) => ({
+    version: migration.version,
+    name: migration.name,
+    file: migration.file,
+    applied: applied.has(migration.version),
+    applied_at: applied.get(migration.version) || null,
+  }));
+}
+
+/**
+ * Copy the database to the backups folder with VACUUM INTO, which takes a
+ * consistent snapshot while the database stays open
+ * @param {Object} db - sqlite3 database
+ * @param {string} dbPath - Path of the database file
+ * @param {string} label - Describes why the backup was taken
+ * @returns {Promise<string|null>} Path of the backup, or null for an in-memory database
+ */
+async function backupDatabase(db, dbPath, label) {
+  if (!dbPath || dbPath === ":memory:") {
+    return null;
+  }
+
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\..+/, "");
+  const backupPath = path.join(
+    BACKUP_DIR,
+    `${path.basename(dbPath, ".db")}-${label}-${stamp}.db`
+  );
+
+  await createHelpers(db).run("VACUUM INTO ?", [backupPath]);
+  return backupPath;
+}
+
+// Run one migration step in a transaction together with its bookkeeping.
+// Foreign keys are switched off meanwhile so tables can be rebuilt, then
+// checked before they are switched back on.
+async function runMigration(helpers, migration, direction) {
+  await helpers.run("PRAGMA foreign_keys = OFF");
+  await helpers.run("BEGIN IMMEDIATE");
+
+  try {
+    if (direction === "up") {
+      await migration.up(helpers);
+      await helpers.run("INSERT INTO schema_migrations (version, name) VALUES (?, ?)", [
+        migration.version,
+        migration.name,
+      ]);
+    } else {
+      await migration.down(helpers);
+      await helpers.run("DELETE FROM schema_migrations WHERE version = ?", [
+        migration.version,
+      ]);
+    }
+
+    const violations = await helpers.all("PRAGMA foreign_key_check");
+    if (violations.length > 0) {
+      throw new Error(
+        `Migration ${migration.file} leaves ${violations.length} broken foreign key reference(s)`
+      );
+    }
+
+    await helpers.run("COMMIT");
+  } catch (error) {
+    try {
+      await helpers.run("ROLLBACK");
+    } catch (rollbackError) {
+      console.error("Error rolling back migration:", rollbackError);
+    }
+    throw error;
+  } finally {
+    await helpers.run("PRAGMA foreign_keys = ON");
+  }
+}
+
+/**
+ * Apply pending migrations, backing the database up first unless it is empty
+ * @param {Object} db - sqlite3 database
+ * @param {Object} options - Options
+ * @param {string} options.dbPath - Database file, for the backup
+ * @param {number} options.target - Stop after this version (default: latest)
+ * @param {boolean} options.backup - Take a backup first (default: true)
+ * @returns {Promise<Array>} The migrations applied
+ */
+async function migrateUp(db, options = {}) {
+  const helpers = createHelpers(db);
+  const existingTables = await helpers.get(
+    "SELECT COUNT(*) as count FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'"
+  );
+  const pending = (await getMigrationStatus(db)).filter(
+    (migration) =>
+      !migration.applied &&
+      (options.target === undefined || migration.version <= options.target)
+  );
+
+  if (pending.length === 0) {
+    return [];
+  }
+
+  // A fresh database has nothing worth keeping
+  if (options.backup !== false && existingTables.count > 0) {
+    const backupPath = await backupDatabase(db, options.dbPath, "pre-migrate");
+    if (backupPath) console.log(`Database backed up to ${backupPath}`);
+  }
+
+  const migrations = loadMigrations();
+  for (const { version } of pending) {
+    const migration = migrations.find((item) => item.version === version);
+    await runMigration(helpers, migration, "up");
+    console.log(`Applied migration ${migration.file}`);
+  }
+
+  return pending;
+}
+
+/**
+ * Roll back the most recently applied migrations, backing up first
+ * @param {Object} db - sqlite3 database
+ * @param {Object} options - Options
+ * @param {string} options.dbPath - Database file, for the backup
+ * @param {number} options.steps - Number of migrations to roll back (default: 1)
+ * @param {boolean} options.backup - Take a backup first (default: true)
+ * @returns {Promise<Array>} The migrations rolled back
+ */
+async function migrateDown(db, options = {}) {
+  const helpers = createHelpers(db);
+  const applied = (await getMigrationStatus(db))
+    .filter((migration) => migration.applied)
+    .reverse()
+    .slice(0, options.steps || 1);
+
+  if (applied.length === 0) {
+    return [];
+  }
+
+  if (options.backup !== false) {
+    const backupPath = await backupDatabase(db, options.dbPath, "pre-rollback");
+    if (backupPath) console.log(`Database backed up to ${backupPath}`);
+  }
+
+  const migrations = loadMigrations();
+  for (const { version, file } of applied) {
+    const migration = migrations.find((item) => item.version === version);
+    if (!migration) {
+      throw new Error(`Migration file for applied version ${version} is missing`);
+    }
+    await runMigration(helpers, migration, "down");
+    console.log(`Rolled back migration ${file}`);
+  }
+
+  return applied;
+}
+
+// Command line: node database/migrate.js [up [version] | down [steps] | status] [--no-backup]
+async function main(args) {
+  const { getDatabase, closeDatabase, dbPath } = require("./init");
+  const db = getDatabase();
+  const backup = !args.includes("--no-backup");
+  const [command = "up", value] = args.filter((arg) => !arg.startsWith("--"));
+
+  try {
+    if (command === "up") {
+      const target = value === undefined ? undefined : parseInt(value, 10);
+      const applied = await migrateUp(db, { dbPath, target, backup });
+      if (applied.length === 0) console.log("Database is up to date");
+    } else if (command === "down") {
+      const steps = value === undefined ? 1 : parseInt(value, 10);
+      const rolledBack = await migrateDown(db, { dbPath, steps, backup });
+      if (rolledBack.length === 0) console.log("No migrations to roll back");
+    } else if (command === "status") {
+      (await getMigrationStatus(db)).forEach((migration) => {
+        console.log(
+          `${migration.applied ? "applied" : "pending"}  ${migration.file}${
+            migration.applied_at ? `  (${migration.applied_at})` : ""
+          }`
+        );
+      });
+    } else {
+      console.log("Usage: node database/migrate.js [up [version] | down [steps] | status] [--no-backup]");
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error("Migration failed:", error.message);
+    process.exitCode = 1;
+  } finally {
+    closeDatabase();
+  }
+}
+
+module.exports = {
+  MIGRATIONS_DIR,
+  BACKUP_DIR,
+  loadMigrations,
+  getMigrationStatus,
+  backupDatabase,
+  migrateUp,
+  migrateDown,
+};
+
+// Exported first: the CLI loads init.js, which requires this module back
+if (require.main === module) {
+  main(process.argv.slice(2));
+}
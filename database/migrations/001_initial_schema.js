@@ -0,0 +1,388 @@
+// The schema as it stood before versioned migrations. Tables are created only
+// if missing and older databases are brought up to date, so an existing
+// parking_system.db can adopt migrations without losing data.
+
+const PAYMENTS_TABLE_SQL = `CREATE TABLE IF NOT EXISTS payments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id INTEGER NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    payment_method TEXT CHECK(payment_method IN ('cash', 'mfs', 'card', 'permit', 'mixed')) NOT NULL,
+    reference_number VARCHAR(100),
+    cashier_id INTEGER NOT NULL,
+    payment_date DATETIME DEFAULT CURRENT_TIMESTAMP,
+    receipt_number VARCHAR(50) UNIQUE,
+    notes TEXT,
+    refund_of INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (ticket_id) REFERENCES parking_tickets (id),
+    FOREIGN KEY (cashier_id) REFERENCES users (id),
+    FOREIGN KEY (refund_of) REFERENCES payments (id)
+  )`;
+
+// Dependent tables first, so nothing is dropped while still referenced
+const TABLES = [
+  "settings",
+  "sessions",
+  "audit_logs",
+  "shifts",
+  "reservations",
+  "ticket_adjustments",
+  "discount_redemptions",
+  "discounts",
+  "merchants",
+  "permit_sales",
+  "permits",
+  "payment_tenders",
+  "payments",
+  "parking_tickets",
+  "drivers",
+  "vehicles",
+  "parking_slots",
+  "users",
+];
+
+async function up(db) {
+  // Users table
+  await db.run(`CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username VARCHAR(50) UNIQUE NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    full_name VARCHAR(100) NOT NULL,
+    role TEXT CHECK(role IN ('admin', 'cashier')) NOT NULL,
+    email VARCHAR(100),
+    phone VARCHAR(20),
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Parking slots table
+  await db.run(`CREATE TABLE IF NOT EXISTS parking_slots (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slot_number VARCHAR(10) UNIQUE NOT NULL,
+    slot_name VARCHAR(50),
+    status TEXT CHECK(status IN ('vacant', 'occupied', 'reserved', 'out_of_service')) DEFAULT 'vacant',
+    slot_type TEXT CHECK(slot_type IN ('standard', 'disabled', 'vip')) DEFAULT 'standard',
+    hourly_rate DECIMAL(10,2) DEFAULT 5.00,
+    daily_rate DECIMAL(10,2) DEFAULT 50.00,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Vehicles table
+  await db.run(`CREATE TABLE IF NOT EXISTS vehicles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_plate VARCHAR(20) UNIQUE NOT NULL,
+    make VARCHAR(50),
+    model VARCHAR(50),
+    color VARCHAR(30),
+    year INTEGER,
+    owner_name VARCHAR(100),
+    owner_phone VARCHAR(20),
+    owner_email VARCHAR(100),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Drivers table
+  await db.run(`CREATE TABLE IF NOT EXISTS drivers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    full_name VARCHAR(100) NOT NULL,
+    phone VARCHAR(20),
+    email VARCHAR(100),
+    id_number VARCHAR(50),
+    license_number VARCHAR(50),
+    address TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Parking tickets table
+  await db.run(`CREATE TABLE IF NOT EXISTS parking_tickets (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_number VARCHAR(20) UNIQUE NOT NULL,
+    slot_id INTEGER NOT NULL,
+    vehicle_id INTEGER NOT NULL,
+    driver_id INTEGER NOT NULL,
+    cashier_id INTEGER NOT NULL,
+    check_in_time DATETIME NOT NULL,
+    check_out_time DATETIME,
+    duration_hours DECIMAL(5,2),
+    total_amount DECIMAL(10,2),
+    payment_status TEXT CHECK(payment_status IN ('pending', 'paid', 'cancelled')) DEFAULT 'pending',
+    payment_method TEXT CHECK(payment_method IN ('cash', 'mfs', 'card')) DEFAULT 'cash',
+    tariff_breakdown TEXT,
+    paid_at DATETIME,
+    exit_deadline DATETIME,
+    lost_ticket INTEGER DEFAULT 0,
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (slot_id) REFERENCES parking_slots (id),
+    FOREIGN KEY (vehicle_id) REFERENCES vehicles (id),
+    FOREIGN KEY (driver_id) REFERENCES drivers (id),
+    FOREIGN KEY (cashier_id) REFERENCES users (id)
+  )`);
+
+  // Columns added after the first release
+  await db.addColumnIfMissing("parking_tickets", "tariff_breakdown", "TEXT");
+  await db.addColumnIfMissing("parking_tickets", "paid_at", "DATETIME");
+  await db.addColumnIfMissing("parking_tickets", "exit_deadline", "DATETIME");
+  await db.addColumnIfMissing("parking_tickets", "lost_ticket", "INTEGER DEFAULT 0");
+
+  // Payments table
+  await db.run(PAYMENTS_TABLE_SQL);
+
+  // Older payments tables lack the 'permit'/'mixed' methods and refund links
+  const payments = await db.get(
+    "SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'payments'"
+  );
+  if (!payments.sql.includes("'mixed'")) {
+    await db.rebuildTable("payments", PAYMENTS_TABLE_SQL);
+  }
+
+  // Tender lines of a payment (split payments, cash tendered and change)
+  await db.run(`CREATE TABLE IF NOT EXISTS payment_tenders (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    payment_id INTEGER NOT NULL,
+    tender_method TEXT CHECK(tender_method IN ('cash', 'mfs', 'card')) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    reference_number VARCHAR(100),
+    cash_tendered DECIMAL(10,2),
+    change_due DECIMAL(10,2),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (payment_id) REFERENCES payments (id)
+  )`);
+
+  // Permits (season passes) table
+  await db.run(`CREATE TABLE IF NOT EXISTS permits (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    permit_number VARCHAR(20) UNIQUE NOT NULL,
+    license_plate VARCHAR(20) NOT NULL,
+    holder_name VARCHAR(100) NOT NULL,
+    holder_phone VARCHAR(20),
+    holder_email VARCHAR(100),
+    allowed_slot_types TEXT,
+    allowed_zones TEXT,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    price DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    status TEXT CHECK(status IN ('active', 'cancelled')) DEFAULT 'active',
+    notes TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`);
+
+  // Permit sales table (new permits and renewals)
+  await db.run(`CREATE TABLE IF NOT EXISTS permit_sales (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    permit_id INTEGER NOT NULL,
+    sale_type TEXT CHECK(sale_type IN ('new', 'renewal')) NOT NULL,
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    payment_method TEXT CHECK(payment_method IN ('cash', 'mfs', 'card')) NOT NULL,
+    receipt_number VARCHAR(50) UNIQUE,
+    sold_by INTEGER,
+    sold_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (permit_id) REFERENCES permits (id),
+    FOREIGN KEY (sold_by) REFERENCES users (id)
+  )`);
+
+  // Merchants that validate parking for their customers
+  await db.run(`CREATE TABLE IF NOT EXISTS merchants (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    contact_name VARCHAR(100),
+    contact_phone VARCHAR(20),
+    contact_email VARCHAR(100),
+    status TEXT CHECK(status IN ('active', 'inactive')) DEFAULT 'active',
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`);
+
+  // Discount and validation codes
+  await db.run(`CREATE TABLE IF NOT EXISTS discounts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    code VARCHAR(30) UNIQUE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    discount_type TEXT CHECK(discount_type IN ('percentage', 'fixed', 'free_minutes')) NOT NULL,
+    value DECIMAL(10,2) NOT NULL,
+    merchant_id INTEGER,
+    valid_from DATE,
+    valid_to DATE,
+    usage_limit INTEGER,
+    times_used INTEGER DEFAULT 0,
+    allowed_slot_types TEXT,
+    status TEXT CHECK(status IN ('active', 'inactive')) DEFAULT 'active',
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (merchant_id) REFERENCES merchants (id),
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`);
+
+  // Each use of a discount code at check-out
+  await db.run(`CREATE TABLE IF NOT EXISTS discount_redemptions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    discount_id INTEGER NOT NULL,
+    merchant_id INTEGER,
+    ticket_id INTEGER NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    redeemed_by INTEGER,
+    redeemed_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (discount_id) REFERENCES discounts (id),
+    FOREIGN KEY (merchant_id) REFERENCES merchants (id),
+    FOREIGN KEY (ticket_id) REFERENCES parking_tickets (id),
+    FOREIGN KEY (redeemed_by) REFERENCES users (id)
+  )`);
+
+  // Ticket void/correction requests awaiting admin approval
+  await db.run(`CREATE TABLE IF NOT EXISTS ticket_adjustments (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    ticket_id INTEGER NOT NULL,
+    action TEXT CHECK(action IN ('void', 'correct')) NOT NULL,
+    reason_code VARCHAR(30) NOT NULL,
+    reason_note TEXT,
+    changes TEXT,
+    status TEXT CHECK(status IN ('pending', 'approved', 'rejected')) DEFAULT 'pending',
+    requested_by INTEGER NOT NULL,
+    requested_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    reviewed_by INTEGER,
+    reviewed_at DATETIME,
+    review_note TEXT,
+    FOREIGN KEY (ticket_id) REFERENCES parking_tickets (id),
+    FOREIGN KEY (requested_by) REFERENCES users (id),
+    FOREIGN KEY (reviewed_by) REFERENCES users (id)
+  )`);
+
+  // Reservations table
+  await db.run(`CREATE TABLE IF NOT EXISTS reservations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    reservation_number VARCHAR(20) UNIQUE NOT NULL,
+    slot_id INTEGER NOT NULL,
+    customer_name VARCHAR(100) NOT NULL,
+    customer_phone VARCHAR(20),
+    license_plate VARCHAR(20),
+    start_time DATETIME NOT NULL,
+    end_time DATETIME NOT NULL,
+    status TEXT CHECK(status IN ('booked', 'checked_in', 'cancelled', 'no_show')) DEFAULT 'booked',
+    ticket_id INTEGER,
+    notes TEXT,
+    created_by INTEGER,
+    cancelled_by INTEGER,
+    cancelled_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (slot_id) REFERENCES parking_slots (id),
+    FOREIGN KEY (ticket_id) REFERENCES parking_tickets (id),
+    FOREIGN KEY (created_by) REFERENCES users (id),
+    FOREIGN KEY (cancelled_by) REFERENCES users (id)
+  )`);
+
+  // Shifts table
+  await db.run(`CREATE TABLE IF NOT EXISTS shifts (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    cashier_id INTEGER NOT NULL,
+    shift_date DATE NOT NULL,
+    open_time DATETIME NOT NULL,
+    close_time DATETIME,
+    opening_amount DECIMAL(10,2) DEFAULT 0.00,
+    closing_amount DECIMAL(10,2) DEFAULT 0.00,
+    total_collected DECIMAL(10,2) DEFAULT 0.00,
+    variance DECIMAL(10,2) DEFAULT 0.00,
+    method_totals TEXT,
+    status TEXT CHECK(status IN ('open', 'closed')) DEFAULT 'open',
+    notes TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (cashier_id) REFERENCES users (id)
+  )`);
+
+  await db.addColumnIfMissing("shifts", "method_totals", "TEXT");
+
+  // Audit logs table
+  await db.run(`CREATE TABLE IF NOT EXISTS audit_logs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER,
+    action VARCHAR(100) NOT NULL,
+    table_name VARCHAR(50),
+    record_id INTEGER,
+    old_values TEXT,
+    new_values TEXT,
+    ip_address VARCHAR(45),
+    user_agent TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+
+  // Sessions table for express-session SQLite store
+  await db.run(`CREATE TABLE IF NOT EXISTS sessions (
+    sid VARCHAR(255) PRIMARY KEY,
+    sess TEXT NOT NULL,
+    expired DATETIME NOT NULL
+  )`);
+
+  // System settings table
+  await db.run(`CREATE TABLE IF NOT EXISTS settings (
+    key VARCHAR(50) PRIMARY KEY,
+    value TEXT,
+    type TEXT CHECK(type IN ('string', 'number', 'integer', 'boolean')) NOT NULL,
+    updated_by INTEGER,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (updated_by) REFERENCES users (id)
+  )`);
+
+  // Indexes
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_tickets_slot_id ON parking_tickets(slot_id)"
+  );
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_tickets_vehicle_id ON parking_tickets(vehicle_id)"
+  );
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_tickets_check_in_time ON parking_tickets(check_in_time)"
+  );
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_payments_ticket_id ON payments(ticket_id)"
+  );
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_shifts_cashier_date ON shifts(cashier_id, shift_date)"
+  );
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_audit_logs_user_action ON audit_logs(user_id, action)"
+  );
+  await db.run("CREATE INDEX IF NOT EXISTS idx_sessions_expired ON sessions(expired)");
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_reservations_slot_time ON reservations(slot_id, start_time, end_time)"
+  );
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_permits_plate ON permits(license_plate, status)"
+  );
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_permit_sales_sold_at ON permit_sales(sold_at)"
+  );
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_ticket_adjustments_status ON ticket_adjustments(status, ticket_id)"
+  );
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_payment_tenders_payment_id ON payment_tenders(payment_id)"
+  );
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_discount_redemptions_redeemed_at ON discount_redemptions(redeemed_at, merchant_id)"
+  );
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_payments_refund_of ON payments(refund_of)"
+  );
+}
+
+async function down(db) {
+  for (const table of TABLES) {
+    await db.run(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
+
+module.exports = { up, down };
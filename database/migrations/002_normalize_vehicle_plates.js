@@ -0,0 +1,45 @@
+// Plates used to be stored as typed, so "abc 123" and "ABC-123" became two
+// vehicles. Store plates upper case without spaces or dashes, except where
+// that would clash with another vehicle: those are duplicates left for the
+// admin merge tool. Drivers are now matched on ID number, license number or
+// phone, so those columns are indexed.
+
+function plateKey(column) {
+  return `UPPER(REPLACE(REPLACE(TRIM(${column}), ' ', ''), '-', ''))`;
+}
+
+const DRIVER_INDEXES = {
+  idx_drivers_id_number: "id_number",
+  idx_drivers_license_number: "license_number",
+  idx_drivers_phone: "phone",
+};
+
+async function up(db) {
+  await db.run(`
+    UPDATE vehicles SET license_plate = ${plateKey("license_plate")}
+    WHERE license_plate != ${plateKey("license_plate")}
+      AND (
+        SELECT COUNT(*) FROM vehicles other
+        WHERE ${plateKey("other.license_plate")} = ${plateKey("vehicles.license_plate")}
+      ) = 1
+  `);
+  await db.run(
+    `UPDATE permits SET license_plate = ${plateKey("license_plate")}`
+  );
+  await db.run(
+    `UPDATE reservations SET license_plate = ${plateKey("license_plate")} WHERE license_plate IS NOT NULL`
+  );
+
+  for (const [name, column] of Object.entries(DRIVER_INDEXES)) {
+    await db.run(`CREATE INDEX IF NOT EXISTS ${name} ON drivers(${column})`);
+  }
+}
+
+// Plates stay normalised: how they were typed is not recorded
+async function down(db) {
+  for (const name of Object.keys(DRIVER_INDEXES)) {
+    await db.run(`DROP INDEX IF EXISTS ${name}`);
+  }
+}
+
+module.exports = { up, down };
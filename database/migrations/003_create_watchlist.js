@@ -0,0 +1,28 @@
+// Plates flagged for unpaid debts, police requests or banned customers.
+// A "warn" entry lets the check-in go ahead with a warning; "block" refuses it.
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS watchlist (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    license_plate VARCHAR(20) NOT NULL,
+    reason TEXT CHECK(reason IN ('unpaid_debt', 'police_request', 'banned', 'other')) NOT NULL,
+    severity TEXT CHECK(severity IN ('warn', 'block')) NOT NULL DEFAULT 'warn',
+    expires_on DATE,
+    notes TEXT,
+    status TEXT CHECK(status IN ('active', 'removed')) DEFAULT 'active',
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`);
+
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_watchlist_plate ON watchlist(license_plate, status)"
+  );
+}
+
+async function down(db) {
+  await db.run("DROP TABLE IF EXISTS watchlist");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,41 @@
+// Money owed by a vehicle: a charge when it leaves without paying, then the
+// payments and write-offs that clear it. Tickets already closed unpaid are
+// charged to their vehicle so the balances start out right.
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS vehicle_ledger (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    vehicle_id INTEGER NOT NULL,
+    ticket_id INTEGER,
+    entry_type TEXT CHECK(entry_type IN ('charge', 'payment', 'write_off')) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK(amount > 0),
+    payment_id INTEGER,
+    notes TEXT,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (vehicle_id) REFERENCES vehicles (id),
+    FOREIGN KEY (ticket_id) REFERENCES parking_tickets (id),
+    FOREIGN KEY (payment_id) REFERENCES payments (id),
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`);
+
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_vehicle_ledger_vehicle ON vehicle_ledger(vehicle_id)"
+  );
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_vehicle_ledger_ticket ON vehicle_ledger(ticket_id)"
+  );
+
+  await db.run(`
+    INSERT INTO vehicle_ledger (vehicle_id, ticket_id, entry_type, amount, notes, created_by, created_at)
+    SELECT vehicle_id, id, 'charge', total_amount, 'Left without paying', cashier_id, check_out_time
+    FROM parking_tickets
+    WHERE payment_status = 'pending' AND check_out_time IS NOT NULL AND total_amount > 0
+  `);
+}
+
+async function down(db) {
+  await db.run("DROP TABLE IF EXISTS vehicle_ledger");
+}
+
+module.exports = { up, down };
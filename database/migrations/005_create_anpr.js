@@ -0,0 +1,81 @@
+// Entry and exit cameras that post plate reads. Each device authenticates
+// with an API key, of which only a SHA-256 hash is kept. Every read is stored
+// with what was done with it; unsure reads wait for a cashier. Tickets opened
+// by a camera need a cashier, so an inactive "anpr" user stands in for it.
+// Its password is "!", which is not a bcrypt hash, so no password ever
+// matches.
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS anpr_devices (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100) NOT NULL,
+    direction TEXT CHECK(direction IN ('entry', 'exit')) NOT NULL,
+    lane VARCHAR(20),
+    api_key_hash VARCHAR(64) UNIQUE NOT NULL,
+    key_prefix VARCHAR(12) NOT NULL,
+    status TEXT CHECK(status IN ('active', 'disabled')) DEFAULT 'active',
+    last_seen_at DATETIME,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS anpr_reads (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    device_id INTEGER NOT NULL,
+    direction TEXT CHECK(direction IN ('entry', 'exit')) NOT NULL,
+    raw_plate VARCHAR(20) NOT NULL,
+    license_plate VARCHAR(20) NOT NULL,
+    confidence REAL NOT NULL,
+    lane VARCHAR(20),
+    read_at DATETIME NOT NULL,
+    image_file VARCHAR(100),
+    status TEXT CHECK(status IN ('processed', 'review', 'ignored', 'dismissed')) NOT NULL,
+    outcome TEXT,
+    ticket_id INTEGER,
+    reviewed_by INTEGER,
+    reviewed_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (device_id) REFERENCES anpr_devices (id),
+    FOREIGN KEY (ticket_id) REFERENCES parking_tickets (id),
+    FOREIGN KEY (reviewed_by) REFERENCES users (id)
+  )`);
+
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_anpr_reads_status ON anpr_reads(status, read_at)"
+  );
+
+  // When an exit camera saw a vehicle that still has to pay
+  await db.addColumnIfMissing(
+    "parking_tickets",
+    "exit_requested_at",
+    "DATETIME"
+  );
+
+  // A person already named "anpr" would be booked camera tickets and keep
+  // their login, so the migration stops until they are renamed
+  const existing = await db.get(
+    "SELECT password FROM users WHERE username = 'anpr'"
+  );
+  if (existing && existing.password !== "!") {
+    throw new Error(
+      'A user named "anpr" already exists. Rename them, then run the migrations again.'
+    );
+  }
+  if (!existing) {
+    await db.run(`
+      INSERT INTO users (username, password, full_name, role, is_active)
+      VALUES ('anpr', '!', 'ANPR Camera', 'cashier', 0)
+    `);
+  }
+}
+
+// The "anpr" user stays, as tickets and audit logs may point at it, and so
+// does exit_requested_at, which older code ignores
+async function down(db) {
+  await db.run("DROP TABLE IF EXISTS anpr_reads");
+  await db.run("DROP TABLE IF EXISTS anpr_devices");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,48 @@
+// Entry and exit barriers. Each gate sits on a lane, faces one way and is
+// driven through a named driver; gate_events keeps every open, close and
+// fault the controllers report.
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS gates (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100) NOT NULL,
+    lane VARCHAR(20) NOT NULL,
+    direction TEXT CHECK(direction IN ('entry', 'exit')) NOT NULL,
+    driver VARCHAR(20) NOT NULL,
+    host VARCHAR(100),
+    port INTEGER,
+    status TEXT CHECK(status IN ('active', 'disabled')) DEFAULT 'active',
+    state TEXT CHECK(state IN ('open', 'closed', 'unknown')) DEFAULT 'unknown',
+    last_fault TEXT,
+    last_fault_at DATETIME,
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS gate_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    gate_id INTEGER NOT NULL,
+    event TEXT CHECK(event IN ('open', 'close', 'fault')) NOT NULL,
+    source VARCHAR(20) NOT NULL,
+    reason TEXT,
+    ticket_id INTEGER,
+    user_id INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (gate_id) REFERENCES gates (id),
+    FOREIGN KEY (ticket_id) REFERENCES parking_tickets (id),
+    FOREIGN KEY (user_id) REFERENCES users (id)
+  )`);
+
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_gate_events_gate ON gate_events(gate_id, created_at)"
+  );
+}
+
+async function down(db) {
+  await db.run("DROP TABLE IF EXISTS gate_events");
+  await db.run("DROP TABLE IF EXISTS gates");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,50 @@
+// Workstations and their receipt printers, and the queue of tickets and
+// receipts sent to them. A job is retried until it prints or runs out of
+// attempts; a reprint is a new job that points at the one it repeats.
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS workstations (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    printer_driver VARCHAR(20),
+    printer_host VARCHAR(100),
+    printer_port INTEGER,
+    paper_columns INTEGER NOT NULL DEFAULT 42,
+    code_type TEXT CHECK(code_type IN ('qr', 'code128')) DEFAULT 'qr',
+    status TEXT CHECK(status IN ('active', 'disabled')) DEFAULT 'active',
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS print_jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    workstation_id INTEGER NOT NULL,
+    document TEXT CHECK(document IN ('ticket', 'receipt')) NOT NULL,
+    ticket_id INTEGER NOT NULL,
+    reprint_of INTEGER,
+    status TEXT CHECK(status IN ('queued', 'printing', 'printed', 'failed')) DEFAULT 'queued',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    next_attempt_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_error TEXT,
+    requested_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    printed_at DATETIME,
+    FOREIGN KEY (workstation_id) REFERENCES workstations (id),
+    FOREIGN KEY (ticket_id) REFERENCES parking_tickets (id),
+    FOREIGN KEY (reprint_of) REFERENCES print_jobs (id),
+    FOREIGN KEY (requested_by) REFERENCES users (id)
+  )`);
+
+  await db.run(
+    "CREATE INDEX IF NOT EXISTS idx_print_jobs_status ON print_jobs(status, next_attempt_at)"
+  );
+}
+
+async function down(db) {
+  await db.run("DROP TABLE IF EXISTS print_jobs");
+  await db.run("DROP TABLE IF EXISTS workstations");
+}
+
+module.exports = { up, down };
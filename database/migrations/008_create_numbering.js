@@ -0,0 +1,32 @@
+// Counters behind ticket and receipt numbers, one per series, site and year,
+// and the register of every number issued. A counter moves on in the same
+// statement that reads it, so two cashiers never get the same number; the
+// register is what the gap report checks the tickets and payments against.
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS number_sequences (
+    series TEXT CHECK(series IN ('ticket', 'receipt')) NOT NULL,
+    site_code VARCHAR(10) NOT NULL,
+    year INTEGER NOT NULL,
+    last_value INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (series, site_code, year)
+  )`);
+
+  await db.run(`CREATE TABLE IF NOT EXISTS issued_numbers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    series TEXT CHECK(series IN ('ticket', 'receipt')) NOT NULL,
+    site_code VARCHAR(10) NOT NULL,
+    year INTEGER NOT NULL,
+    sequence INTEGER NOT NULL,
+    number VARCHAR(50) UNIQUE NOT NULL,
+    issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (series, site_code, year, sequence)
+  )`);
+}
+
+async function down(db) {
+  await db.run("DROP TABLE IF EXISTS issued_numbers");
+  await db.run("DROP TABLE IF EXISTS number_sequences");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,54 @@
+// Self-service pay stations. Each kiosk signs in as its own user with the
+// 'kiosk' role, so its payments and its virtual shift are kept apart from the
+// cashiers'; the kiosk row holds the receipt printer and payment terminal.
+
+const USERS_TABLE_SQL = `CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username VARCHAR(50) UNIQUE NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    full_name VARCHAR(100) NOT NULL,
+    role TEXT CHECK(role IN (ROLES)) NOT NULL,
+    email VARCHAR(100),
+    phone VARCHAR(20),
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`;
+
+async function up(db) {
+  await db.rebuildTable(
+    "users",
+    USERS_TABLE_SQL.replace("ROLES", "'admin', 'cashier', 'kiosk'")
+  );
+
+  await db.run(`CREATE TABLE IF NOT EXISTS kiosks (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name VARCHAR(100) UNIQUE NOT NULL,
+    user_id INTEGER UNIQUE NOT NULL,
+    workstation_id INTEGER,
+    terminal_driver TEXT CHECK(terminal_driver IN ('tcp', 'mock')) NOT NULL,
+    terminal_host VARCHAR(100),
+    terminal_port INTEGER,
+    status TEXT CHECK(status IN ('active', 'disabled')) DEFAULT 'active',
+    created_by INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users (id),
+    FOREIGN KEY (workstation_id) REFERENCES workstations (id),
+    FOREIGN KEY (created_by) REFERENCES users (id)
+  )`);
+}
+
+async function down(db) {
+  await db.run("DROP TABLE IF EXISTS kiosks");
+  // Kiosk users keep their payments and shifts, as inactive cashiers
+  await db.run(
+    "UPDATE users SET role = 'cashier', is_active = 0 WHERE role = 'kiosk'"
+  );
+  await db.rebuildTable(
+    "users",
+    USERS_TABLE_SQL.replace("ROLES", "'admin', 'cashier'")
+  );
+}
+
+module.exports = { up, down };
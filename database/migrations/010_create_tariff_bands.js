@@ -0,0 +1,34 @@
+// Tariff bands per slot type, edited under Admin > Tariffs. Each slot type
+// starts with the single hourly band it was billed with before.
+
+const SLOT_TYPES = ["standard", "disabled", "vip"];
+
+async function up(db) {
+  await db.run(`CREATE TABLE IF NOT EXISTS tariff_bands (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    slot_type TEXT CHECK(slot_type IN ('standard', 'disabled', 'vip')) NOT NULL,
+    position INTEGER NOT NULL,
+    label VARCHAR(100) NOT NULL,
+    until_minutes INTEGER,
+    rate_factor DECIMAL(6,2),
+    hourly_rate DECIMAL(10,2),
+    updated_by INTEGER,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (slot_type, position),
+    FOREIGN KEY (updated_by) REFERENCES users (id)
+  )`);
+
+  for (const slotType of SLOT_TYPES) {
+    await db.run(
+      `INSERT OR IGNORE INTO tariff_bands (slot_type, position, label, until_minutes, rate_factor)
+       VALUES (?, 1, 'Hourly parking', NULL, 1)`,
+      [slotType]
+    );
+  }
+}
+
+async function down(db) {
+  await db.run("DROP TABLE IF EXISTS tariff_bands");
+}
+
+module.exports = { up, down };
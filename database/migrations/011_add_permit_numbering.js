@@ -0,0 +1,45 @@
+// Permit numbers come from the same counters and register as ticket and
+// receipt numbers, in a series of their own.
+
+const NUMBER_SEQUENCES_SQL = `CREATE TABLE IF NOT EXISTS number_sequences (
+    series TEXT CHECK(series IN (SERIES)) NOT NULL,
+    site_code VARCHAR(10) NOT NULL,
+    year INTEGER NOT NULL,
+    last_value INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (series, site_code, year)
+  )`;
+
+const ISSUED_NUMBERS_SQL = `CREATE TABLE IF NOT EXISTS issued_numbers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    series TEXT CHECK(series IN (SERIES)) NOT NULL,
+    site_code VARCHAR(10) NOT NULL,
+    year INTEGER NOT NULL,
+    sequence INTEGER NOT NULL,
+    number VARCHAR(50) UNIQUE NOT NULL,
+    issued_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (series, site_code, year, sequence)
+  )`;
+
+async function rebuild(db, series) {
+  await db.rebuildTable(
+    "number_sequences",
+    NUMBER_SEQUENCES_SQL.replace("SERIES", series)
+  );
+  await db.rebuildTable(
+    "issued_numbers",
+    ISSUED_NUMBERS_SQL.replace("SERIES", series)
+  );
+}
+
+async function up(db) {
+  await rebuild(db, "'ticket', 'receipt', 'permit'");
+}
+
+async function down(db) {
+  // Permits keep the numbers they were given
+  await db.run("DELETE FROM issued_numbers WHERE series = 'permit'");
+  await db.run("DELETE FROM number_sequences WHERE series = 'permit'");
+  await rebuild(db, "'ticket', 'receipt'");
+}
+
+module.exports = { up, down };
@@ -0,0 +1,32 @@
+// Failed logins in a row, and until when an account is locked after too
+// many of them (Settings > Security > Max Login Attempts).
+
+// The users table as 009_create_kiosks.js left it
+const USERS_TABLE_SQL = `CREATE TABLE IF NOT EXISTS users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username VARCHAR(50) UNIQUE NOT NULL,
+    password VARCHAR(255) NOT NULL,
+    full_name VARCHAR(100) NOT NULL,
+    role TEXT CHECK(role IN ('admin', 'cashier', 'kiosk')) NOT NULL,
+    email VARCHAR(100),
+    phone VARCHAR(20),
+    is_active BOOLEAN DEFAULT 1,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )`;
+
+async function up(db) {
+  await db.addColumnIfMissing(
+    "users",
+    "failed_login_attempts",
+    "INTEGER DEFAULT 0"
+  );
+  await db.addColumnIfMissing("users", "locked_until", "DATETIME");
+}
+
+// Locked accounts are unlocked along with the columns
+async function down(db) {
+  await db.rebuildTable("users", USERS_TABLE_SQL);
+}
+
+module.exports = { up, down };
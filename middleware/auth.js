@@ -0,0 +1,49 @@
+// Route guards. Each runs after the session middleware in server.js.
+
+function deny(res, message) {
+  res.status(403).render("error", {
+    title: "Access Denied",
+    error: {},
+    message,
+  });
+}
+
+/**
+ * Let signed-in users through. Others are sent to the login page, or get a
+ * 401 from the JSON API.
+ */
+function requireAuth(req, res, next) {
+  if (req.session.user) {
+    return next();
+  }
+  if (req.originalUrl.startsWith("/api/")) {
+    return res.status(401).json({ success: false, error: "Please log in" });
+  }
+  res.redirect("/auth/login");
+}
+
+/**
+ * Let admins through
+ */
+function requireAdmin(req, res, next) {
+  if (req.session.user && req.session.user.role === "admin") {
+    return next();
+  }
+  deny(res, "You do not have permission to access this page. Admin access required.");
+}
+
+/**
+ * Let cashiers through
+ */
+function requireCashier(req, res, next) {
+  if (req.session.user && req.session.user.role === "cashier") {
+    return next();
+  }
+  deny(res, "You do not have permission to access this page. Cashier access required.");
+}
+
+module.exports = {
+  requireAuth,
+  requireAdmin,
+  requireCashier,
+};
@@ -0,0 +1,104 @@
+const { dbGet, dbAll, dbRun } = require("../utils/db");
+
+/**
+ * List ANPR devices with the number of reads each has posted
+ */
+async function listDevices() {
+  return dbAll(`
+    SELECT d.id, d.name, d.direction, d.lane, d.key_prefix, d.status, d.last_seen_at, d.created_at,
+      u.full_name as created_by_name,
+      (SELECT COUNT(*) FROM anpr_reads WHERE device_id = d.id) as read_count
+    FROM anpr_devices d
+    LEFT JOIN users u ON d.created_by = u.id
+    ORDER BY d.direction, d.name
+  `);
+}
+
+/**
+ * Get a device by ID
+ * @param {number} id - Device ID
+ */
+async function getDevice(id) {
+  return dbGet("SELECT * FROM anpr_devices WHERE id = ?", [id]);
+}
+
+/**
+ * Find an active device by the hash of its API key
+ * @param {string} keyHash - SHA-256 hex digest of the key
+ */
+async function findActiveDeviceByKeyHash(keyHash) {
+  return dbGet(
+    "SELECT * FROM anpr_devices WHERE api_key_hash = ? AND status = 'active'",
+    [keyHash]
+  );
+}
+
+/**
+ * Register a device
+ * @param {Object} data - name, direction, lane, api_key_hash, key_prefix,
+ *   created_by
+ * @returns {Promise<number>} ID of the new device
+ */
+async function createDevice(data) {
+  const result = await dbRun(
+    `
+    INSERT INTO anpr_devices (name, direction, lane, api_key_hash, key_prefix, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `,
+    [
+      data.name,
+      data.direction,
+      data.lane,
+      data.api_key_hash,
+      data.key_prefix,
+      data.created_by,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Give a device a new API key; the old one stops working
+ * @param {number} id - Device ID
+ * @param {string} keyHash - SHA-256 hex digest of the new key
+ * @param {string} keyPrefix - Start of the new key, to tell keys apart
+ */
+async function updateDeviceKey(id, keyHash, keyPrefix) {
+  await dbRun(
+    "UPDATE anpr_devices SET api_key_hash = ?, key_prefix = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [keyHash, keyPrefix, id]
+  );
+}
+
+/**
+ * Enable or disable a device
+ * @param {number} id - Device ID
+ * @param {string} status - "active" or "disabled"
+ */
+async function setDeviceStatus(id, status) {
+  await dbRun(
+    "UPDATE anpr_devices SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [status, id]
+  );
+}
+
+/**
+ * Note that a device has just posted a read
+ * @param {number} id - Device ID
+ */
+async function touchDevice(id) {
+  await dbRun(
+    "UPDATE anpr_devices SET last_seen_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [id]
+  );
+}
+
+module.exports = {
+  listDevices,
+  getDevice,
+  findActiveDeviceByKeyHash,
+  createDevice,
+  updateDeviceKey,
+  setDeviceStatus,
+  touchDevice,
+};
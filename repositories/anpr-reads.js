@@ -0,0 +1,128 @@
+const { dbGet, dbAll, dbRun, buildWhere } = require("../utils/db");
+
+// A read joined with its device, ticket and reviewer
+const READ_SELECT = `
+  SELECT r.*, d.name as device_name, pt.ticket_number, u.full_name as reviewed_by_name
+  FROM anpr_reads r
+  JOIN anpr_devices d ON r.device_id = d.id
+  LEFT JOIN parking_tickets pt ON r.ticket_id = pt.id
+  LEFT JOIN users u ON r.reviewed_by = u.id
+`;
+
+/**
+ * Store a plate read
+ * @param {Object} data - device_id, direction, raw_plate, license_plate,
+ *   confidence, lane, read_at, status, outcome, ticket_id
+ * @returns {Promise<number>} ID of the new read
+ */
+async function createRead(data) {
+  const result = await dbRun(
+    `
+    INSERT INTO anpr_reads (device_id, direction, raw_plate, license_plate, confidence, lane, read_at, status, outcome, ticket_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      data.device_id,
+      data.direction,
+      data.raw_plate,
+      data.license_plate,
+      data.confidence,
+      data.lane,
+      data.read_at,
+      data.status,
+      data.outcome,
+      data.ticket_id || null,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Get a read with its device and ticket
+ * @param {number} id - Read ID
+ */
+async function getRead(id) {
+  return dbGet(`${READ_SELECT} WHERE r.id = ?`, [id]);
+}
+
+/**
+ * Plate reads, newest first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.status - Only reads in this status
+ * @param {number} filters.deviceId - Only reads from this device
+ * @param {number} filters.limit - Maximum number of rows
+ */
+async function listReads(filters = {}) {
+  const { where, params } = buildWhere([
+    filters.status && ["r.status = ?", filters.status],
+    filters.deviceId && ["r.device_id = ?", filters.deviceId],
+  ]);
+
+  return dbAll(
+    `${READ_SELECT} ${where} ORDER BY r.read_at DESC, r.id DESC LIMIT ?`,
+    [...params, filters.limit || 100]
+  );
+}
+
+/**
+ * Number of reads waiting for a cashier
+ */
+async function countReadsToReview() {
+  const row = await dbGet(
+    "SELECT COUNT(*) as count FROM anpr_reads WHERE status = 'review'"
+  );
+  return row.count;
+}
+
+/**
+ * Record what was done with a read
+ * @param {number} id - Read ID
+ * @param {Object} data - status, outcome, ticket_id, and license_plate when
+ *   a cashier corrected it
+ */
+async function updateRead(id, data) {
+  await dbRun(
+    `
+    UPDATE anpr_reads
+    SET status = ?, outcome = ?, ticket_id = COALESCE(?, ticket_id), license_plate = COALESCE(?, license_plate)
+    WHERE id = ?
+  `,
+    [data.status, data.outcome, data.ticket_id, data.license_plate, id]
+  );
+}
+
+/**
+ * Close a read a cashier has dealt with
+ * @param {number} id - Read ID
+ * @param {number} userId - Cashier who reviewed it
+ * @returns {Promise<boolean>} false when it was no longer waiting for review
+ */
+async function markReviewed(id, userId) {
+  const result = await dbRun(
+    "UPDATE anpr_reads SET reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'review'",
+    [userId, id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Remember the file name of the image sent with a read
+ * @param {number} id - Read ID
+ * @param {string} fileName - Image file in the ANPR image folder
+ */
+async function setReadImage(id, fileName) {
+  await dbRun("UPDATE anpr_reads SET image_file = ? WHERE id = ?", [
+    fileName,
+    id,
+  ]);
+}
+
+module.exports = {
+  createRead,
+  getRead,
+  listReads,
+  countReadsToReview,
+  updateRead,
+  markReviewed,
+  setReadImage,
+};
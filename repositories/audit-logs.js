@@ -0,0 +1,175 @@
+const { dbGet, dbAll, dbRun, buildWhere } = require("../utils/db");
+
+/**
+ * Store an audit log entry
+ * @param {Object} entry - user_id, action, table_name, record_id, old_values,
+ *   new_values, ip_address, user_agent
+ * @returns {Promise<number>} ID of the new entry
+ */
+async function createAuditLog(entry) {
+  const result = await dbRun(
+    `
+    INSERT INTO audit_logs (user_id, action, table_name, record_id, old_values, new_values, ip_address, user_agent)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      entry.user_id,
+      entry.action,
+      entry.table_name,
+      entry.record_id,
+      entry.old_values,
+      entry.new_values,
+      entry.ip_address,
+      entry.user_agent,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * List audit log entries, newest first
+ * @param {Object} options - userId, action, tableName, recordId, startDate,
+ *   endDate, limit, offset
+ */
+async function listAuditLogs(options = {}) {
+  const { where, params } = buildWhere([
+    options.userId && ["al.user_id = ?", options.userId],
+    options.action && ["al.action = ?", options.action],
+    options.tableName && ["al.table_name = ?", options.tableName],
+    options.recordId && ["al.record_id = ?", options.recordId],
+    options.startDate && ["DATE(al.created_at) >= ?", options.startDate],
+    options.endDate && ["DATE(al.created_at) <= ?", options.endDate],
+  ]);
+
+  let query = `
+    SELECT
+      al.*,
+      u.username,
+      u.full_name as user_name
+    FROM audit_logs al
+    LEFT JOIN users u ON al.user_id = u.id
+    ${where}
+    ORDER BY al.created_at DESC
+  `;
+
+  if (options.limit) {
+    query += " LIMIT ?";
+    params.push(options.limit);
+
+    if (options.offset) {
+      query += " OFFSET ?";
+      params.push(options.offset);
+    }
+  }
+
+  return dbAll(query, params);
+}
+
+/**
+ * Latest activity with the name of the user behind it
+ * @param {number} limit - Maximum number of entries
+ */
+async function listRecentActivity(limit = 10) {
+  return dbAll(
+    `
+    SELECT
+      al.action,
+      al.created_at,
+      u.full_name as user_name,
+      al.table_name,
+      al.record_id
+    FROM audit_logs al
+    LEFT JOIN users u ON al.user_id = u.id
+    ORDER BY al.created_at DESC
+    LIMIT ?
+  `,
+    [limit]
+  );
+}
+
+/**
+ * Totals of audit activity between two dates (inclusive)
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ */
+async function getAuditStats(startDate, endDate) {
+  return dbGet(
+    `
+    SELECT
+      COUNT(*) as total_actions,
+      COUNT(DISTINCT user_id) as unique_users,
+      COUNT(DISTINCT action) as unique_actions,
+      COUNT(DISTINCT table_name) as unique_tables
+    FROM audit_logs
+    WHERE DATE(created_at) BETWEEN ? AND ?
+  `,
+    [startDate, endDate]
+  );
+}
+
+/**
+ * Most frequent actions
+ * @param {number} limit - Maximum number of actions
+ */
+async function getMostCommonActions(limit = 10) {
+  return dbAll(
+    `
+    SELECT
+      action,
+      COUNT(*) as count
+    FROM audit_logs
+    GROUP BY action
+    ORDER BY count DESC
+    LIMIT ?
+  `,
+    [limit]
+  );
+}
+
+/**
+ * Actions and active days per user between two dates (inclusive)
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ */
+async function getUserActivitySummary(startDate, endDate) {
+  return dbAll(
+    `
+    SELECT
+      u.username,
+      u.full_name,
+      COUNT(al.id) as action_count,
+      COUNT(DISTINCT DATE(al.created_at)) as active_days,
+      MIN(al.created_at) as first_action,
+      MAX(al.created_at) as last_action
+    FROM users u
+    LEFT JOIN audit_logs al ON u.id = al.user_id
+    WHERE DATE(al.created_at) BETWEEN ? AND ?
+    GROUP BY u.id, u.username, u.full_name
+    ORDER BY action_count DESC
+  `,
+    [startDate, endDate]
+  );
+}
+
+/**
+ * Delete entries older than a number of days
+ * @param {number} daysOld - Age in days
+ * @returns {Promise<number>} Number of entries deleted
+ */
+async function deleteAuditLogsOlderThan(daysOld) {
+  const result = await dbRun(
+    "DELETE FROM audit_logs WHERE created_at < datetime('now', ?)",
+    [`-${parseInt(daysOld, 10)} days`]
+  );
+  return result.changes;
+}
+
+module.exports = {
+  createAuditLog,
+  listAuditLogs,
+  listRecentActivity,
+  getAuditStats,
+  getMostCommonActions,
+  getUserActivitySummary,
+  deleteAuditLogsOlderThan,
+};
@@ -0,0 +1,302 @@
+const {
+  dbGet,
+  dbAll,
+  dbRun,
+  buildWhere,
+  likePattern,
+} = require("../utils/db");
+
+// Details that identify a driver, strongest first
+const DRIVER_KEYS = ["id_number", "license_number", "phone"];
+
+function blankToNull(value) {
+  if (value === undefined || value === null) return null;
+  const trimmed = String(value).trim();
+  return trimmed === "" ? null : trimmed;
+}
+
+/**
+ * Find a known driver by ID number, license number or phone, in that order
+ * @param {Object} data - id_number, license_number, phone
+ */
+async function findDriver(data) {
+  for (const key of DRIVER_KEYS) {
+    const value = blankToNull(data[key]);
+    if (!value) continue;
+
+    const driver = await dbGet(
+      `SELECT * FROM drivers WHERE ${key} = ? ORDER BY id LIMIT 1`,
+      [value]
+    );
+    if (driver) return driver;
+  }
+  return null;
+}
+
+// Whether the known driver holds an ID or license number other than the one
+// given, and so is someone else who shares a weaker detail such as a phone
+function hasOtherIdentity(driver, data) {
+  return ["id_number", "license_number"].some((key) => {
+    const value = blankToNull(data[key]);
+    return value && driver[key] && driver[key] !== value;
+  });
+}
+
+/**
+ * Register the driver of a vehicle, or update a known driver in place so
+ * their ID stays the same. A driver with no ID number, license number or
+ * phone cannot be recognised and is always added. Details left blank keep
+ * their stored values, and a stored ID or license number is never replaced:
+ * a driver giving a different one is added as a new driver, for the
+ * duplicates tool to sort out.
+ * @param {Object} data - full_name, phone, email, id_number, license_number, address
+ * @returns {Promise<number>} ID of the driver row
+ */
+async function saveDriver(data) {
+  const details = [
+    data.full_name,
+    data.phone,
+    data.email,
+    data.id_number,
+    data.license_number,
+    data.address,
+  ].map(blankToNull);
+
+  const existing = await findDriver(data);
+
+  if (existing && !hasOtherIdentity(existing, data)) {
+    await dbRun(
+      `
+      UPDATE drivers
+      SET full_name = COALESCE(?, full_name), phone = COALESCE(?, phone), email = COALESCE(?, email),
+        id_number = COALESCE(id_number, ?), license_number = COALESCE(license_number, ?), address = COALESCE(?, address),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `,
+      [...details, existing.id]
+    );
+    return existing.id;
+  }
+
+  const result = await dbRun(
+    `
+    INSERT INTO drivers (full_name, phone, email, id_number, license_number, address)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `,
+    details
+  );
+  return result.lastID;
+}
+
+/**
+ * Find drivers by name, phone, ID number or license number
+ * @param {string} term - Search text
+ * @param {number} limit - Maximum number of results
+ */
+async function searchDrivers(term, limit = 10) {
+  const pattern = likePattern(term);
+
+  return dbAll(
+    `
+    SELECT id, full_name, phone, email, id_number, license_number
+    FROM drivers
+    WHERE full_name LIKE ? OR phone LIKE ? OR id_number LIKE ? OR license_number LIKE ?
+    ORDER BY created_at DESC
+    LIMIT ?
+  `,
+    [pattern, pattern, pattern, pattern, limit]
+  );
+}
+
+/**
+ * Get a driver by ID
+ * @param {number} id - Driver ID
+ */
+async function getDriver(id) {
+  return dbGet("SELECT * FROM drivers WHERE id = ?", [id]);
+}
+
+/**
+ * Drivers with their visit count and last visit, most recently seen first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.search - Name, phone, ID number or license number
+ * @param {number} filters.limit - Maximum number of rows
+ * @param {number} filters.offset - Rows to skip, for paging
+ */
+async function listDrivers(filters = {}) {
+  const pattern = likePattern(filters.search);
+  const { where, params } = buildWhere([
+    filters.search && [
+      "d.full_name LIKE ? OR d.phone LIKE ? OR d.id_number LIKE ? OR d.license_number LIKE ?",
+      pattern,
+      pattern,
+      pattern,
+      pattern,
+    ],
+  ]);
+
+  return dbAll(
+    `
+    SELECT d.*, COUNT(pt.id) as visit_count, MAX(pt.check_in_time) as last_visit
+    FROM drivers d
+    LEFT JOIN parking_tickets pt ON pt.driver_id = d.id AND pt.payment_status != 'cancelled'
+    ${where}
+    GROUP BY d.id
+    ORDER BY last_visit IS NULL, last_visit DESC, d.id DESC
+    LIMIT ? OFFSET ?
+  `,
+    [...params, filters.limit || 50, filters.offset || 0]
+  );
+}
+
+/**
+ * Drivers who have parked a vehicle, with the visits each made in it
+ * @param {number} vehicleId - Vehicle ID
+ */
+async function listVehicleDrivers(vehicleId) {
+  return dbAll(
+    `
+    SELECT d.*, COUNT(pt.id) as visit_count, MAX(pt.check_in_time) as last_visit
+    FROM parking_tickets pt
+    JOIN drivers d ON pt.driver_id = d.id
+    WHERE pt.vehicle_id = ? AND pt.payment_status != 'cancelled'
+    GROUP BY d.id
+    ORDER BY last_visit DESC
+  `,
+    [vehicleId]
+  );
+}
+
+/**
+ * Another driver already holding one of the identifying details
+ * @param {number} id - Driver being edited
+ * @param {Object} data - id_number, license_number, phone
+ * @returns {Promise<Object|null>} The other driver and the detail they share
+ */
+async function findConflictingDriver(id, data) {
+  for (const key of DRIVER_KEYS) {
+    const value = blankToNull(data[key]);
+    if (!value) continue;
+
+    const driver = await dbGet(
+      `SELECT * FROM drivers WHERE ${key} = ? AND id != ? LIMIT 1`,
+      [value, id]
+    );
+    if (driver) return { driver, key };
+  }
+  return null;
+}
+
+/**
+ * Update a driver's details
+ * @param {number} id - Driver ID
+ * @param {Object} data - full_name, phone, email, id_number, license_number, address
+ */
+async function updateDriver(id, data) {
+  await dbRun(
+    `
+    UPDATE drivers
+    SET full_name = ?, phone = ?, email = ?, id_number = ?, license_number = ?, address = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [
+      String(data.full_name).trim(),
+      blankToNull(data.phone),
+      blankToNull(data.email),
+      blankToNull(data.id_number),
+      blankToNull(data.license_number),
+      blankToNull(data.address),
+      id,
+    ]
+  );
+}
+
+/**
+ * Drivers sharing an ID number, license number or phone, with their ticket
+ * counts. A driver can appear in more than one group.
+ * @returns {Promise<Array>} Groups of { key, value, drivers }
+ */
+async function listDuplicateDrivers() {
+  const groups = [];
+
+  for (const key of DRIVER_KEYS) {
+    const rows = await dbAll(`
+      SELECT d.*,
+        (SELECT COUNT(*) FROM parking_tickets WHERE driver_id = d.id) as ticket_count
+      FROM drivers d
+      WHERE TRIM(d.${key}) != '' AND d.${key} IN (
+        SELECT ${key} FROM drivers WHERE TRIM(${key}) != '' GROUP BY ${key} HAVING COUNT(*) > 1
+      )
+      ORDER BY d.${key}, d.id
+    `);
+
+    rows.forEach((row) => {
+      const last = groups[groups.length - 1];
+      if (last && last.key === key && last.value === row[key]) {
+        last.drivers.push(row);
+      } else {
+        groups.push({ key, value: row[key], drivers: [row] });
+      }
+    });
+  }
+
+  return groups;
+}
+
+/**
+ * Fold duplicate drivers into one: their tickets move to the kept driver,
+ * details it lacks are copied from them, and they are deleted. Run it in a
+ * transaction.
+ * @param {number} keepId - Driver to keep
+ * @param {Array<number>} mergeIds - Drivers merged into it
+ * @returns {Promise<Array>} The merged driver rows, as they were
+ */
+async function mergeDrivers(keepId, mergeIds) {
+  const placeholders = mergeIds.map(() => "?").join(", ");
+  const merged = await dbAll(
+    `SELECT * FROM drivers WHERE id IN (${placeholders}) ORDER BY id DESC`,
+    mergeIds
+  );
+
+  for (const driver of merged) {
+    await dbRun(
+      `
+      UPDATE drivers
+      SET phone = COALESCE(NULLIF(phone, ''), ?), email = COALESCE(NULLIF(email, ''), ?),
+        id_number = COALESCE(NULLIF(id_number, ''), ?), license_number = COALESCE(NULLIF(license_number, ''), ?),
+        address = COALESCE(NULLIF(address, ''), ?), updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `,
+      [
+        driver.phone,
+        driver.email,
+        driver.id_number,
+        driver.license_number,
+        driver.address,
+        keepId,
+      ]
+    );
+  }
+
+  await dbRun(
+    `UPDATE parking_tickets SET driver_id = ?, updated_at = CURRENT_TIMESTAMP WHERE driver_id IN (${placeholders})`,
+    [keepId, ...mergeIds]
+  );
+  await dbRun(`DELETE FROM drivers WHERE id IN (${placeholders})`, mergeIds);
+
+  return merged;
+}
+
+module.exports = {
+  DRIVER_KEYS,
+  findDriver,
+  saveDriver,
+  searchDrivers,
+  getDriver,
+  listDrivers,
+  listVehicleDrivers,
+  findConflictingDriver,
+  updateDriver,
+  listDuplicateDrivers,
+  mergeDrivers,
+};
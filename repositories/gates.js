@@ -0,0 +1,163 @@
+const { dbGet, dbAll, dbRun, buildWhere } = require("../utils/db");
+
+/**
+ * List gates, by lane
+ */
+async function listGates() {
+  return dbAll(`
+    SELECT g.*, u.full_name as created_by_name
+    FROM gates g
+    LEFT JOIN users u ON g.created_by = u.id
+    ORDER BY g.lane, g.direction, g.name
+  `);
+}
+
+/**
+ * Lanes that have at least one active gate
+ * @returns {Promise<Array<string>>}
+ */
+async function listGateLanes() {
+  const rows = await dbAll(
+    "SELECT DISTINCT lane FROM gates WHERE status = 'active' ORDER BY lane"
+  );
+  return rows.map((row) => row.lane);
+}
+
+/**
+ * Get a gate by ID
+ * @param {number} id - Gate ID
+ */
+async function getGate(id) {
+  return dbGet("SELECT * FROM gates WHERE id = ?", [id]);
+}
+
+/**
+ * Find the active gate on a lane facing one way
+ * @param {string} lane - Lane name
+ * @param {string} direction - "entry" or "exit"
+ */
+async function findActiveGate(lane, direction) {
+  return dbGet(
+    "SELECT * FROM gates WHERE lane = ? AND direction = ? AND status = 'active' ORDER BY id LIMIT 1",
+    [lane, direction]
+  );
+}
+
+/**
+ * Add a gate
+ * @param {Object} data - name, lane, direction, driver, host, port, created_by
+ * @returns {Promise<number>} ID of the new gate
+ */
+async function createGate(data) {
+  const result = await dbRun(
+    `
+    INSERT INTO gates (name, lane, direction, driver, host, port, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      data.name,
+      data.lane,
+      data.direction,
+      data.driver,
+      data.host,
+      data.port,
+      data.created_by,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Enable or disable a gate
+ * @param {number} id - Gate ID
+ * @param {string} status - "active" or "disabled"
+ */
+async function setGateStatus(id, status) {
+  await dbRun(
+    "UPDATE gates SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [status, id]
+  );
+}
+
+/**
+ * Store the barrier position a controller last reported
+ * @param {number} id - Gate ID
+ * @param {string} state - "open", "closed" or "unknown"
+ */
+async function setGateState(id, state) {
+  await dbRun("UPDATE gates SET state = ? WHERE id = ?", [state, id]);
+}
+
+/**
+ * Store the last fault a controller reported
+ * @param {number} id - Gate ID
+ * @param {string} message - What went wrong
+ */
+async function setGateFault(id, message) {
+  await dbRun(
+    "UPDATE gates SET last_fault = ?, last_fault_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [message, id]
+  );
+}
+
+/**
+ * Record an open, close or fault
+ * @param {Object} data - gate_id, event, source, reason, ticket_id, user_id
+ */
+async function recordGateEvent(data) {
+  await dbRun(
+    `
+    INSERT INTO gate_events (gate_id, event, source, reason, ticket_id, user_id)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `,
+    [
+      data.gate_id,
+      data.event,
+      data.source,
+      data.reason || null,
+      data.ticket_id || null,
+      data.user_id || null,
+    ]
+  );
+}
+
+/**
+ * Gate events, newest first
+ * @param {Object} filters - Optional filters
+ * @param {number} filters.gateId - Only events of this gate
+ * @param {string} filters.event - Only events of this kind
+ * @param {number} filters.limit - Maximum number of rows
+ */
+async function listGateEvents(filters = {}) {
+  const { where, params } = buildWhere([
+    filters.gateId && ["e.gate_id = ?", filters.gateId],
+    filters.event && ["e.event = ?", filters.event],
+  ]);
+
+  return dbAll(
+    `
+    SELECT e.*, g.name as gate_name, g.lane, g.direction, pt.ticket_number, u.full_name as user_name
+    FROM gate_events e
+    JOIN gates g ON e.gate_id = g.id
+    LEFT JOIN parking_tickets pt ON e.ticket_id = pt.id
+    LEFT JOIN users u ON e.user_id = u.id
+    ${where}
+    ORDER BY e.created_at DESC, e.id DESC
+    LIMIT ?
+  `,
+    [...params, filters.limit || 100]
+  );
+}
+
+module.exports = {
+  listGates,
+  listGateLanes,
+  getGate,
+  findActiveGate,
+  createGate,
+  setGateStatus,
+  setGateState,
+  setGateFault,
+  recordGateEvent,
+  listGateEvents,
+};
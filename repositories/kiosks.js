@@ -0,0 +1,120 @@
+const { dbGet, dbAll, dbRun } = require("../utils/db");
+
+const KIOSK_QUERY = `
+  SELECT k.*, u.username, w.name as workstation_name,
+    s.id as open_shift_id, s.open_time as shift_open_time
+  FROM kiosks k
+  JOIN users u ON k.user_id = u.id
+  LEFT JOIN workstations w ON k.workstation_id = w.id
+  LEFT JOIN shifts s ON s.id = (
+    SELECT id FROM shifts
+    WHERE cashier_id = k.user_id AND status = 'open'
+    ORDER BY open_time DESC LIMIT 1
+  )
+`;
+
+/**
+ * List kiosks with their user, printer and open shift
+ */
+async function listKiosks() {
+  return dbAll(`${KIOSK_QUERY} ORDER BY k.name`);
+}
+
+/**
+ * Get a kiosk by ID
+ * @param {number} id - Kiosk ID
+ */
+async function getKiosk(id) {
+  return dbGet(`${KIOSK_QUERY} WHERE k.id = ?`, [id]);
+}
+
+/**
+ * The kiosk a user signs in as
+ * @param {number} userId - Kiosk user ID
+ */
+async function getKioskForUser(userId) {
+  return dbGet(`${KIOSK_QUERY} WHERE k.user_id = ?`, [userId]);
+}
+
+/**
+ * Find a kiosk by name, ignoring case
+ * @param {string} name - Kiosk name
+ */
+async function findKioskByName(name) {
+  return dbGet("SELECT * FROM kiosks WHERE name = ? COLLATE NOCASE", [name]);
+}
+
+/**
+ * Add a kiosk
+ * @param {Object} data - name, user_id, workstation_id, terminal_driver,
+ *   terminal_host, terminal_port, created_by
+ * @returns {Promise<number>} ID of the new kiosk
+ */
+async function createKiosk(data) {
+  const result = await dbRun(
+    `
+    INSERT INTO kiosks (name, user_id, workstation_id, terminal_driver, terminal_host, terminal_port, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      data.name,
+      data.user_id,
+      data.workstation_id,
+      data.terminal_driver,
+      data.terminal_host,
+      data.terminal_port,
+      data.created_by,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Update a kiosk's printer and payment terminal
+ * @param {number} id - Kiosk ID
+ * @param {Object} data - workstation_id, terminal_driver, terminal_host,
+ *   terminal_port
+ */
+async function updateKiosk(id, data) {
+  await dbRun(
+    `
+    UPDATE kiosks
+    SET workstation_id = ?, terminal_driver = ?, terminal_host = ?, terminal_port = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [
+      data.workstation_id,
+      data.terminal_driver,
+      data.terminal_host,
+      data.terminal_port,
+      id,
+    ]
+  );
+}
+
+/**
+ * Enable or disable a kiosk and the user it signs in as
+ * @param {Object} kiosk - Kiosk row
+ * @param {string} status - "active" or "disabled"
+ */
+async function setKioskStatus(kiosk, status) {
+  await dbRun(
+    "UPDATE kiosks SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [status, kiosk.id]
+  );
+  await dbRun(
+    "UPDATE users SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [status === "active" ? 1 : 0, kiosk.user_id]
+  );
+}
+
+module.exports = {
+  listKiosks,
+  getKiosk,
+  getKioskForUser,
+  findKioskByName,
+  createKiosk,
+  updateKiosk,
+  setKioskStatus,
+};
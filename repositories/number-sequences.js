@@ -0,0 +1,82 @@
+const { dbGet, dbAll, dbRun } = require("../utils/db");
+
+/**
+ * Move a counter on by one and read its new value, in a single statement so
+ * no two callers get the same value. A counter starts at 1.
+ * @param {string} series - "ticket", "receipt", "permit" or "reservation"
+ * @param {string} siteCode - Site the number is for
+ * @param {number} year - Year the number is for
+ * @returns {Promise<number>}
+ */
+async function nextSequenceValue(series, siteCode, year) {
+  const row = await dbGet(
+    `
+    INSERT INTO number_sequences (series, site_code, year, last_value)
+    VALUES (?, ?, ?, 1)
+    ON CONFLICT(series, site_code, year) DO UPDATE SET last_value = last_value + 1
+    RETURNING last_value
+  `,
+    [series, siteCode, year]
+  );
+  return row.last_value;
+}
+
+/**
+ * Add a number to the register of issued numbers
+ * @param {Object} data - series, site_code, year, sequence, number
+ */
+async function recordIssuedNumber(data) {
+  await dbRun(
+    `
+    INSERT INTO issued_numbers (series, site_code, year, sequence, number)
+    VALUES (?, ?, ?, ?, ?)
+  `,
+    [data.series, data.site_code, data.year, data.sequence, data.number]
+  );
+}
+
+/**
+ * Numbers issued between two dates (inclusive) that have no ticket, payment,
+ * permit sale, permit or reservation: skipped sequence values, numbers whose
+ * document was never saved and tickets that were voided, with the receipts of
+ * voided tickets. Receipts are given to payments, refunds and permit sales.
+ * Skipped values come as one row per run, from first_sequence to
+ * last_sequence, dated by the number issued after them.
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ */
+async function listNumberGaps(startDate, endDate) {
+  return dbAll(
+    `
+    SELECT n.series, n.site_code, n.year, n.sequence as first_sequence, n.sequence as last_sequence,
+      n.number, n.issued_at, CASE WHEN COALESCE(t.id, p.id, s.id, pm.id, rv.id) IS NULL THEN 'missing' ELSE 'voided' END as status
+    FROM issued_numbers n
+    LEFT JOIN parking_tickets t ON n.series = 'ticket' AND t.ticket_number = n.number
+    LEFT JOIN payments p ON n.series = 'receipt' AND p.receipt_number = n.number
+    LEFT JOIN permit_sales s ON n.series = 'receipt' AND s.receipt_number = n.number
+    LEFT JOIN permits pm ON n.series = 'permit' AND pm.permit_number = n.number
+    LEFT JOIN reservations rv ON n.series = 'reservation' AND rv.reservation_number = n.number
+    LEFT JOIN parking_tickets pt ON pt.id = COALESCE(t.id, p.ticket_id)
+    WHERE DATE(n.issued_at) BETWEEN ? AND ?
+      AND (COALESCE(t.id, p.id, s.id, pm.id, rv.id) IS NULL OR pt.payment_status = 'cancelled')
+
+    UNION ALL
+
+    SELECT series, site_code, year, previous_sequence + 1, sequence - 1, NULL, issued_at, 'skipped'
+    FROM (
+      SELECT n.*, COALESCE(LAG(n.sequence) OVER (PARTITION BY n.series, n.site_code, n.year ORDER BY n.sequence), 0) as previous_sequence
+      FROM issued_numbers n
+    )
+    WHERE sequence - previous_sequence > 1 AND DATE(issued_at) BETWEEN ? AND ?
+
+    ORDER BY series, site_code, year, first_sequence
+  `,
+    [startDate, endDate, startDate, endDate]
+  );
+}
+
+module.exports = {
+  nextSequenceValue,
+  recordIssuedNumber,
+  listNumberGaps,
+};
@@ -0,0 +1,232 @@
+const { dbGet, dbAll, dbRun } = require("../utils/db");
+
+// Revenue figures shared by the ticket reports. Refunds are negative payments,
+// so the totals net them; voided tickets count but earn nothing.
+const REVENUE_COLUMNS = `
+  COUNT(DISTINCT pt.id) as total_tickets,
+  COUNT(DISTINCT CASE WHEN pt.payment_status = 'paid' THEN pt.id END) as paid_tickets,
+  COUNT(DISTINCT CASE WHEN pt.payment_status = 'pending' THEN pt.id END) as pending_tickets,
+  COUNT(DISTINCT CASE WHEN pt.payment_status = 'cancelled' THEN pt.id END) as voided_tickets,
+  COALESCE(-SUM(CASE WHEN pt.payment_status != 'cancelled' AND p.refund_of IS NOT NULL THEN p.amount END), 0) as total_refunds,
+  COALESCE(SUM(CASE WHEN pt.payment_status != 'cancelled' THEN p.amount END), 0) as total_revenue
+`;
+
+// Grouping of the revenue report by period
+const REVENUE_PERIODS = {
+  day: { column: "date", expression: "DATE(pt.check_in_time)" },
+  month: { column: "month", expression: "strftime('%Y-%m', pt.check_in_time)" },
+};
+
+/**
+ * Record a payment against a ticket
+ * @param {Object} data - ticket_id, amount, payment_method, reference_number,
+ *   cashier_id, receipt_number and notes
+ * @returns {Promise<number>} ID of the new payment
+ */
+async function createPayment(data) {
+  const result = await dbRun(
+    `
+    INSERT INTO payments (ticket_id, amount, payment_method, reference_number, cashier_id, receipt_number, notes)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      data.ticket_id,
+      data.amount,
+      data.payment_method,
+      data.reference_number,
+      data.cashier_id,
+      data.receipt_number,
+      data.notes,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * First payment recorded for a ticket
+ * @param {number} ticketId - Ticket ID
+ */
+async function findTicketPayment(ticketId) {
+  return dbGet(
+    "SELECT id, amount, payment_method FROM payments WHERE ticket_id = ?",
+    [ticketId]
+  );
+}
+
+/**
+ * Receipt of a paid ticket: the ticket with its latest payment, the amount
+ * paid and the amount refunded since
+ * @param {number} ticketId - Ticket ID
+ */
+async function getReceipt(ticketId) {
+  return dbGet(
+    `
+    SELECT
+      pt.*,
+      ps.slot_number,
+      ps.slot_name,
+      ps.slot_type,
+      ps.hourly_rate,
+      ps.daily_rate,
+      v.license_plate,
+      v.make,
+      v.model,
+      v.color,
+      d.full_name as driver_name,
+      (SELECT SUM(amount) FROM payments WHERE ticket_id = pt.id AND refund_of IS NULL) as amount,
+      (SELECT COALESCE(-SUM(amount), 0) FROM payments WHERE ticket_id = pt.id AND refund_of IS NOT NULL) as refunded_amount,
+      p.payment_method,
+      p.receipt_number,
+      p.payment_date,
+      u.full_name as cashier_name
+    FROM parking_tickets pt
+    JOIN parking_slots ps ON pt.slot_id = ps.id
+    JOIN vehicles v ON pt.vehicle_id = v.id
+    JOIN drivers d ON pt.driver_id = d.id
+    JOIN payments p ON p.id = (SELECT MAX(id) FROM payments WHERE ticket_id = pt.id AND refund_of IS NULL)
+    JOIN users u ON pt.cashier_id = u.id
+    WHERE pt.id = ?
+  `,
+    [ticketId]
+  );
+}
+
+/**
+ * Total taken today, net of refunds and excluding voided tickets
+ */
+async function getTodayRevenue() {
+  const row = await dbGet(`
+    SELECT COALESCE(SUM(p.amount), 0) as total_revenue
+    FROM payments p
+    JOIN parking_tickets pt ON p.ticket_id = pt.id
+    WHERE DATE(p.payment_date) = DATE('now') AND pt.payment_status != 'cancelled'
+  `);
+  return row ? row.total_revenue : 0;
+}
+
+/**
+ * Today's payments taken by a cashier, whoever checked the tickets in.
+ * Refunds are negative payments, so they net out of the total of the cashier
+ * who gave them on the refund day.
+ * @param {number} cashierId - Cashier user ID
+ */
+async function getCollectedToday(cashierId) {
+  const row = await dbGet(
+    `
+    SELECT COALESCE(SUM(p.amount), 0) as total
+    FROM payments p
+    JOIN parking_tickets pt ON p.ticket_id = pt.id
+    WHERE p.cashier_id = ? AND DATE(p.payment_date) = DATE('now')
+  `,
+    [cashierId]
+  );
+  return row.total;
+}
+
+/**
+ * Payments taken by a shift's user from the time it opened until it closed,
+ * or until now while it is open
+ * @param {Object} shift - cashier_id, open_time and close_time
+ */
+async function getShiftCollected(shift) {
+  const row = await dbGet(
+    `
+    SELECT COALESCE(SUM(p.amount), 0) as total
+    FROM payments p
+    WHERE p.cashier_id = ? AND p.payment_date >= ?
+      AND p.payment_date <= COALESCE(?, CURRENT_TIMESTAMP)
+  `,
+    [shift.cashier_id, shift.open_time, shift.close_time || null]
+  );
+  return row.total;
+}
+
+/**
+ * Ticket counts and revenue per day or month, by check-in date
+ * @param {string} period - "day" or "month"
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ */
+async function getRevenueByPeriod(period, startDate, endDate) {
+  const { column, expression } = REVENUE_PERIODS[period];
+
+  return dbAll(
+    `
+    SELECT
+      ${expression} as ${column},
+      ${REVENUE_COLUMNS}
+    FROM parking_tickets pt
+    LEFT JOIN payments p ON pt.id = p.ticket_id
+    WHERE DATE(pt.check_in_time) BETWEEN ? AND ?
+    GROUP BY ${expression}
+    ORDER BY ${column} DESC
+  `,
+    [startDate, endDate]
+  );
+}
+
+/**
+ * Tickets, collections and working days per cashier
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ */
+async function getRevenueByCashier(startDate, endDate) {
+  return dbAll(
+    `
+    SELECT
+      u.full_name as cashier_name,
+      ${REVENUE_COLUMNS},
+      COALESCE(SUM(CASE WHEN pt.payment_status != 'cancelled' THEN p.amount END), 0) as total_collected,
+      COUNT(DISTINCT DATE(pt.check_in_time)) as working_days
+    FROM users u
+    LEFT JOIN parking_tickets pt ON u.id = pt.cashier_id
+    LEFT JOIN payments p ON pt.id = p.ticket_id
+    WHERE u.role = 'cashier' AND DATE(pt.check_in_time) BETWEEN ? AND ?
+    GROUP BY u.id, u.full_name
+    ORDER BY total_collected DESC
+  `,
+    [startDate, endDate]
+  );
+}
+
+/**
+ * Payments made between two dates (inclusive), for exports
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ */
+async function listPaymentsBetween(startDate, endDate) {
+  return dbAll(
+    `
+    SELECT
+      p.*,
+      pt.ticket_number,
+      pt.check_in_time,
+      pt.check_out_time,
+      ps.slot_number,
+      v.license_plate,
+      d.full_name as driver_name,
+      u.full_name as cashier_name
+    FROM payments p
+    JOIN parking_tickets pt ON p.ticket_id = pt.id
+    JOIN parking_slots ps ON pt.slot_id = ps.id
+    JOIN vehicles v ON pt.vehicle_id = v.id
+    JOIN drivers d ON pt.driver_id = d.id
+    LEFT JOIN users u ON p.cashier_id = u.id
+    WHERE DATE(p.payment_date) BETWEEN ? AND ?
+    ORDER BY p.payment_date DESC
+  `,
+    [startDate, endDate]
+  );
+}
+
+module.exports = {
+  createPayment,
+  findTicketPayment,
+  getReceipt,
+  getTodayRevenue,
+  getCollectedToday,
+  getShiftCollected,
+  getRevenueByPeriod,
+  getRevenueByCashier,
+  listPaymentsBetween,
+};
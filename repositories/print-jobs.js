@@ -0,0 +1,164 @@
+const { dbGet, dbAll, dbRun, buildWhere } = require("../utils/db");
+
+// A job joined with its workstation, ticket and requester
+const JOB_SELECT = `
+  SELECT j.*, w.name as workstation_name, pt.ticket_number, u.full_name as requested_by_name
+  FROM print_jobs j
+  JOIN workstations w ON j.workstation_id = w.id
+  JOIN parking_tickets pt ON j.ticket_id = pt.id
+  LEFT JOIN users u ON j.requested_by = u.id
+`;
+
+/**
+ * Queue a ticket or receipt for printing
+ * @param {Object} data - workstation_id, document, ticket_id, reprint_of,
+ *   requested_by
+ * @returns {Promise<number>} ID of the new job
+ */
+async function createPrintJob(data) {
+  const result = await dbRun(
+    `
+    INSERT INTO print_jobs (workstation_id, document, ticket_id, reprint_of, requested_by)
+    VALUES (?, ?, ?, ?, ?)
+  `,
+    [
+      data.workstation_id,
+      data.document,
+      data.ticket_id,
+      data.reprint_of || null,
+      data.requested_by,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Get a job with its workstation and ticket
+ * @param {number} id - Job ID
+ */
+async function getPrintJob(id) {
+  return dbGet(`${JOB_SELECT} WHERE j.id = ?`, [id]);
+}
+
+/**
+ * Print jobs, newest first
+ * @param {Object} filters - Optional filters
+ * @param {number} filters.workstationId - Only jobs of this workstation
+ * @param {string} filters.status - Only jobs in this status
+ * @param {number} filters.limit - Maximum number of rows
+ */
+async function listPrintJobs(filters = {}) {
+  const { where, params } = buildWhere([
+    filters.workstationId && ["j.workstation_id = ?", filters.workstationId],
+    filters.status && ["j.status = ?", filters.status],
+  ]);
+
+  return dbAll(`${JOB_SELECT} ${where} ORDER BY j.id DESC LIMIT ?`, [
+    ...params,
+    filters.limit || 50,
+  ]);
+}
+
+/**
+ * The last job that printed a document of a ticket, so a new one can be
+ * marked as a reprint
+ * @param {number} ticketId - Ticket ID
+ * @param {string} document - "ticket" or "receipt"
+ */
+async function findPrintedJob(ticketId, document) {
+  return dbGet(
+    "SELECT * FROM print_jobs WHERE ticket_id = ? AND document = ? AND status = 'printed' ORDER BY id DESC LIMIT 1",
+    [ticketId, document]
+  );
+}
+
+/**
+ * IDs of queued jobs whose next attempt is due, oldest first
+ */
+async function listDueJobIds() {
+  const rows = await dbAll(
+    "SELECT id FROM print_jobs WHERE status = 'queued' AND next_attempt_at <= CURRENT_TIMESTAMP ORDER BY id"
+  );
+  return rows.map((row) => row.id);
+}
+
+/**
+ * Take a queued job for printing. Only one caller can take a job.
+ * @param {number} id - Job ID
+ * @returns {Promise<boolean>} Whether the job was taken
+ */
+async function claimPrintJob(id) {
+  const result = await dbRun(
+    "UPDATE print_jobs SET status = 'printing', attempts = attempts + 1 WHERE id = ? AND status = 'queued'",
+    [id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Record that a job printed
+ * @param {number} id - Job ID
+ */
+async function markJobPrinted(id) {
+  await dbRun(
+    "UPDATE print_jobs SET status = 'printed', last_error = NULL, printed_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [id]
+  );
+}
+
+/**
+ * Record a failed attempt; the job is tried again after a delay, or fails
+ * for good when no delay is given
+ * @param {number} id - Job ID
+ * @param {string} error - What went wrong
+ * @param {number|null} retryInSeconds - Delay before the next attempt
+ */
+async function markJobFailed(id, error, retryInSeconds) {
+  if (retryInSeconds === null) {
+    await dbRun(
+      "UPDATE print_jobs SET status = 'failed', last_error = ? WHERE id = ?",
+      [error, id]
+    );
+    return;
+  }
+
+  await dbRun(
+    "UPDATE print_jobs SET status = 'queued', last_error = ?, next_attempt_at = datetime('now', ?) WHERE id = ?",
+    [error, `+${retryInSeconds} seconds`, id]
+  );
+}
+
+/**
+ * Queue a failed job again, with a fresh set of attempts
+ * @param {number} id - Job ID
+ * @returns {Promise<boolean>} Whether the job had failed
+ */
+async function requeuePrintJob(id) {
+  const result = await dbRun(
+    "UPDATE print_jobs SET status = 'queued', attempts = 0, next_attempt_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'failed'",
+    [id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Queue jobs that were being printed when the server stopped
+ */
+async function requeueInterruptedJobs() {
+  await dbRun(
+    "UPDATE print_jobs SET status = 'queued', next_attempt_at = CURRENT_TIMESTAMP WHERE status = 'printing'"
+  );
+}
+
+module.exports = {
+  createPrintJob,
+  getPrintJob,
+  listPrintJobs,
+  findPrintedJob,
+  listDueJobIds,
+  claimPrintJob,
+  markJobPrinted,
+  markJobFailed,
+  requeuePrintJob,
+  requeueInterruptedJobs,
+};
@@ -0,0 +1,113 @@
+const { dbGet, dbRun } = require("../utils/db");
+
+/**
+ * Today's open shift of a cashier
+ * @param {number} cashierId - Cashier user ID
+ */
+async function getOpenShift(cashierId) {
+  return dbGet(
+    `
+    SELECT * FROM shifts
+    WHERE cashier_id = ? AND shift_date = DATE('now') AND status = 'open'
+    ORDER BY open_time DESC LIMIT 1
+  `,
+    [cashierId]
+  );
+}
+
+/**
+ * A user's open shift from any day, newest first. Kiosk shifts stay open
+ * across midnight until an admin closes them.
+ * @param {number} cashierId - Cashier or kiosk user ID
+ */
+async function findOpenShift(cashierId) {
+  return dbGet(
+    `
+    SELECT * FROM shifts
+    WHERE cashier_id = ? AND status = 'open'
+    ORDER BY open_time DESC LIMIT 1
+  `,
+    [cashierId]
+  );
+}
+
+/**
+ * Get a shift with its cashier's name
+ * @param {number} id - Shift ID
+ */
+async function getShift(id) {
+  return dbGet(
+    `
+    SELECT s.*, u.full_name as cashier_name
+    FROM shifts s
+    JOIN users u ON s.cashier_id = u.id
+    WHERE s.id = ?
+  `,
+    [id]
+  );
+}
+
+/**
+ * The cashier's shift closed most recently today
+ * @param {number} cashierId - Cashier user ID
+ */
+async function getLastClosedShift(cashierId) {
+  return dbGet(
+    `
+    SELECT * FROM shifts
+    WHERE cashier_id = ? AND shift_date = DATE('now') AND status = 'closed'
+    ORDER BY close_time DESC LIMIT 1
+  `,
+    [cashierId]
+  );
+}
+
+/**
+ * Open a shift for today
+ * @param {number} cashierId - Cashier user ID
+ * @param {Object} data - opening_amount, notes
+ * @returns {Promise<number>} ID of the new shift
+ */
+async function openShift(cashierId, data) {
+  const result = await dbRun(
+    `
+    INSERT INTO shifts (cashier_id, shift_date, open_time, opening_amount, notes)
+    VALUES (?, DATE('now'), CURRENT_TIMESTAMP, ?, ?)
+  `,
+    [cashierId, data.opening_amount || 0, data.notes]
+  );
+  return result.lastID;
+}
+
+/**
+ * Close a shift with its cash count
+ * @param {number} id - Shift ID
+ * @param {Object} data - closing_amount, total_collected, variance,
+ *   method_totals (object of method -> total), notes
+ */
+async function closeShift(id, data) {
+  await dbRun(
+    `
+    UPDATE shifts
+    SET close_time = CURRENT_TIMESTAMP, closing_amount = ?, total_collected = ?, variance = ?, method_totals = ?, status = 'closed', notes = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [
+      data.closing_amount || 0,
+      data.total_collected,
+      data.variance,
+      JSON.stringify(data.method_totals),
+      data.notes,
+      id,
+    ]
+  );
+}
+
+module.exports = {
+  getOpenShift,
+  findOpenShift,
+  getShift,
+  getLastClosedShift,
+  openShift,
+  closeShift,
+};
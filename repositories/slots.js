@@ -0,0 +1,163 @@
+const { dbGet, dbAll, dbRun } = require("../utils/db");
+
+const SLOT_STATUSES = ["vacant", "occupied", "reserved", "out_of_service"];
+
+/**
+ * List every parking slot by slot number
+ */
+async function listSlots() {
+  return dbAll("SELECT * FROM parking_slots ORDER BY slot_number");
+}
+
+/**
+ * List vacant slots a vehicle can be checked in to
+ */
+async function listAvailableSlots() {
+  return dbAll(`
+    SELECT * FROM parking_slots
+    WHERE status = 'vacant' AND slot_type != 'out_of_service'
+    ORDER BY slot_number
+  `);
+}
+
+/**
+ * List slots that are in service, for booking reservations
+ */
+async function listBookableSlots() {
+  return dbAll(
+    "SELECT * FROM parking_slots WHERE status != 'out_of_service' ORDER BY slot_number"
+  );
+}
+
+/**
+ * Get a slot by ID
+ * @param {number} id - Slot ID
+ */
+async function getSlot(id) {
+  return dbGet("SELECT * FROM parking_slots WHERE id = ?", [id]);
+}
+
+/**
+ * Create a slot
+ * @param {Object} data - slot_number, slot_name, slot_type, hourly_rate, daily_rate
+ * @returns {Promise<number>} ID of the new slot
+ */
+async function createSlot(data) {
+  const result = await dbRun(
+    `
+    INSERT INTO parking_slots (slot_number, slot_name, slot_type, hourly_rate, daily_rate)
+    VALUES (?, ?, ?, ?, ?)
+  `,
+    [
+      data.slot_number,
+      data.slot_name,
+      data.slot_type,
+      data.hourly_rate,
+      data.daily_rate,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Update a slot's details and status
+ * @param {number} id - Slot ID
+ * @param {Object} data - slot_number, slot_name, slot_type, hourly_rate, daily_rate, status
+ */
+async function updateSlot(id, data) {
+  await dbRun(
+    `
+    UPDATE parking_slots
+    SET slot_number = ?, slot_name = ?, slot_type = ?, hourly_rate = ?, daily_rate = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [
+      data.slot_number,
+      data.slot_name,
+      data.slot_type,
+      data.hourly_rate,
+      data.daily_rate,
+      data.status,
+      id,
+    ]
+  );
+}
+
+/**
+ * Set a slot's status
+ * @param {number} id - Slot ID
+ * @param {string} status - One of SLOT_STATUSES
+ */
+async function setSlotStatus(id, status) {
+  await dbRun(
+    "UPDATE parking_slots SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [status, id]
+  );
+}
+
+/**
+ * Occupy a slot if it is still vacant, or reserved when checking in a reservation
+ * @param {number} id - Slot ID
+ * @param {boolean} allowReserved - Whether a reserved slot may be claimed
+ * @returns {Promise<boolean>} false when another check-in claimed it first
+ */
+async function claimSlot(id, allowReserved) {
+  const result = await dbRun(
+    `
+    UPDATE parking_slots SET status = 'occupied', updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND (status = 'vacant' OR (status = 'reserved' AND ?))
+  `,
+    [id, allowReserved ? 1 : 0]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Free a slot when its vehicle leaves
+ * @param {number} id - Slot ID
+ */
+async function releaseSlot(id) {
+  await setSlotStatus(id, "vacant");
+}
+
+/**
+ * Number of slots in each status
+ * @returns {Promise<Object>} vacant_slots, occupied_slots, reserved_slots, out_of_service_slots
+ */
+async function countSlotsByStatus() {
+  return dbGet(`
+    SELECT
+      COUNT(CASE WHEN status = 'vacant' THEN 1 END) as vacant_slots,
+      COUNT(CASE WHEN status = 'occupied' THEN 1 END) as occupied_slots,
+      COUNT(CASE WHEN status = 'reserved' THEN 1 END) as reserved_slots,
+      COUNT(CASE WHEN status = 'out_of_service' THEN 1 END) as out_of_service_slots
+    FROM parking_slots
+  `);
+}
+
+/**
+ * Distinct rate combinations per slot type
+ */
+async function listRates() {
+  return dbAll(`
+    SELECT slot_type, hourly_rate, daily_rate
+    FROM parking_slots
+    GROUP BY slot_type, hourly_rate, daily_rate
+    ORDER BY slot_type
+  `);
+}
+
+module.exports = {
+  SLOT_STATUSES,
+  listSlots,
+  listAvailableSlots,
+  listBookableSlots,
+  getSlot,
+  createSlot,
+  updateSlot,
+  setSlotStatus,
+  claimSlot,
+  releaseSlot,
+  countSlotsByStatus,
+  listRates,
+};
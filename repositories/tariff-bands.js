@@ -0,0 +1,47 @@
+const { dbAll, dbRun } = require("../utils/db");
+
+/**
+ * List the tariff bands of every slot type, in billing order
+ */
+async function listTariffBands() {
+  return dbAll(`
+    SELECT tb.*, u.full_name as updated_by_name
+    FROM tariff_bands tb
+    LEFT JOIN users u ON tb.updated_by = u.id
+    ORDER BY tb.slot_type, tb.position
+  `);
+}
+
+/**
+ * Replace the bands of a slot type. Run it in a transaction, so the old bands
+ * are never deleted without the new ones being saved.
+ * @param {string} slotType - Slot type
+ * @param {Array} bands - label, untilMinutes, rateFactor, hourlyRate, in order
+ * @param {number} userId - Admin saving them
+ */
+async function replaceTariffBands(slotType, bands, userId) {
+  await dbRun("DELETE FROM tariff_bands WHERE slot_type = ?", [slotType]);
+
+  for (const [index, band] of bands.entries()) {
+    await dbRun(
+      `
+      INSERT INTO tariff_bands (slot_type, position, label, until_minutes, rate_factor, hourly_rate, updated_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        slotType,
+        index + 1,
+        band.label,
+        band.untilMinutes,
+        band.rateFactor,
+        band.hourlyRate,
+        userId,
+      ]
+    );
+  }
+}
+
+module.exports = {
+  listTariffBands,
+  replaceTariffBands,
+};
@@ -0,0 +1,423 @@
+const {
+  dbGet,
+  dbAll,
+  dbRun,
+  buildWhere,
+  likePattern,
+} = require("../utils/db");
+
+// A ticket joined with its slot, vehicle, driver and cashier - the base of
+// every ticket lookup
+const TICKET_SELECT = `
+  SELECT
+    pt.*,
+    ps.slot_number,
+    ps.slot_name,
+    ps.slot_type,
+    ps.hourly_rate,
+    ps.daily_rate,
+    v.license_plate,
+    v.make,
+    v.model,
+    v.color,
+    v.year,
+    v.owner_name,
+    v.owner_phone,
+    d.full_name as driver_name,
+    d.phone as driver_phone,
+    d.id_number,
+    d.license_number,
+    u.full_name as cashier_name
+  FROM parking_tickets pt
+  JOIN parking_slots ps ON pt.slot_id = ps.id
+  JOIN vehicles v ON pt.vehicle_id = v.id
+  JOIN drivers d ON pt.driver_id = d.id
+  LEFT JOIN users u ON pt.cashier_id = u.id
+`;
+
+/**
+ * Build a ticket query from filter conditions
+ * @param {Array} conditions - Conditions for buildWhere
+ * @param {string} orderBy - ORDER BY expression
+ * @param {number} limit - Maximum number of rows (optional)
+ * @returns {Object} { sql, params }
+ */
+function ticketQuery(conditions, orderBy = "pt.check_in_time DESC", limit) {
+  const { where, params } = buildWhere(conditions);
+  return {
+    sql: `${TICKET_SELECT} ${where} ORDER BY ${orderBy}${
+      limit ? ` LIMIT ${parseInt(limit, 10)}` : ""
+    }`,
+    params,
+  };
+}
+
+async function findTickets(conditions, orderBy, limit) {
+  const { sql, params } = ticketQuery(conditions, orderBy, limit);
+  return dbAll(sql, params);
+}
+
+/**
+ * Get a ticket with its slot, vehicle and driver
+ * @param {number} id - Ticket ID
+ */
+async function getTicket(id) {
+  const { sql, params } = ticketQuery([["pt.id = ?", id]]);
+  return dbGet(sql, params);
+}
+
+/**
+ * Find tickets by ticket number or license plate
+ * @param {string} term - Search text
+ * @param {number} limit - Maximum number of results
+ */
+async function searchTickets(term, limit = 10) {
+  return findTickets(
+    [
+      [
+        "pt.ticket_number LIKE ? OR v.license_plate LIKE ?",
+        likePattern(term),
+        likePattern(term),
+      ],
+    ],
+    "pt.check_in_time DESC",
+    limit
+  );
+}
+
+/**
+ * Tickets still in the lot: unpaid, or paid before exit and not yet gone.
+ * Vehicles an exit camera has seen come first.
+ */
+async function listOpenTickets() {
+  return findTickets(
+    [
+      [
+        "pt.check_out_time IS NULL AND pt.payment_status IN ('pending', 'paid')",
+      ],
+    ],
+    "pt.exit_requested_at IS NULL, pt.exit_requested_at, pt.check_in_time ASC"
+  );
+}
+
+/**
+ * Unpaid tickets still in the lot
+ * @param {Object} options - Filter options
+ * @param {string} options.plate - Only vehicles whose plate contains this text
+ */
+async function listPendingTickets(options = {}) {
+  return findTickets(
+    [
+      ["pt.payment_status = 'pending' AND pt.check_out_time IS NULL"],
+      options.plate && ["v.license_plate LIKE ?", likePattern(options.plate)],
+    ],
+    "pt.check_in_time ASC"
+  );
+}
+
+/**
+ * A cashier's most recent tickets
+ * @param {number} cashierId - Cashier user ID
+ * @param {number} limit - Maximum number of tickets
+ */
+async function listRecentTickets(cashierId, limit = 10) {
+  return findTickets(
+    [["pt.cashier_id = ?", cashierId]],
+    "pt.check_in_time DESC",
+    limit
+  );
+}
+
+/**
+ * Tickets checked in between two dates (inclusive), for exports
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ */
+async function listTicketsBetween(startDate, endDate) {
+  return findTickets([
+    ["DATE(pt.check_in_time) BETWEEN ? AND ?", startDate, endDate],
+  ]);
+}
+
+/**
+ * Every ticket of a vehicle or a driver, newest first, with what was paid
+ * @param {Object} options - vehicleId or driverId
+ */
+async function listVisitHistory(options) {
+  const { sql, params } = ticketQuery([
+    options.vehicleId && ["pt.vehicle_id = ?", options.vehicleId],
+    options.driverId && ["pt.driver_id = ?", options.driverId],
+  ]);
+
+  return dbAll(
+    `
+    SELECT t.*, (SELECT COALESCE(SUM(amount), 0) FROM payments WHERE ticket_id = t.id) as amount_paid
+    FROM (${sql}) t
+    ORDER BY t.check_in_time DESC
+  `,
+    params
+  );
+}
+
+/**
+ * Visit totals of a vehicle or a driver. Voided tickets are left out.
+ * @param {Object} options - vehicleId or driverId
+ * @returns {Promise<Object>} visit_count, first_visit, last_visit,
+ *   average_stay_hours, total_spent
+ */
+async function getVisitStats(options) {
+  const { where, params } = buildWhere([
+    ["pt.payment_status != 'cancelled'"],
+    options.vehicleId && ["pt.vehicle_id = ?", options.vehicleId],
+    options.driverId && ["pt.driver_id = ?", options.driverId],
+  ]);
+
+  return dbGet(
+    `
+    SELECT
+      COUNT(*) as visit_count,
+      MIN(pt.check_in_time) as first_visit,
+      MAX(pt.check_in_time) as last_visit,
+      AVG(CASE WHEN pt.check_out_time IS NOT NULL
+        THEN (julianday(pt.check_out_time) - julianday(pt.check_in_time)) * 24 END) as average_stay_hours,
+      COALESCE(SUM((SELECT SUM(amount) FROM payments WHERE ticket_id = pt.id)), 0) as total_spent
+    FROM parking_tickets pt
+    ${where}
+  `,
+    params
+  );
+}
+
+/**
+ * A ticket by its exact ticket number
+ * @param {string} ticketNumber - Ticket number
+ */
+async function findTicketByNumber(ticketNumber) {
+  const tickets = await findTickets(
+    [["pt.ticket_number = ?", ticketNumber]],
+    undefined,
+    1
+  );
+  return tickets[0];
+}
+
+/**
+ * The ticket of a vehicle still in the lot, by its normalised plate
+ * @param {string} plate - Normalised license plate
+ */
+async function findOpenTicketByPlate(plate) {
+  const tickets = await findTickets(
+    [
+      [
+        "pt.check_out_time IS NULL AND pt.payment_status IN ('pending', 'paid')",
+      ],
+      ["v.license_plate = ?", plate],
+    ],
+    "pt.check_in_time DESC",
+    1
+  );
+  return tickets[0];
+}
+
+/**
+ * Open a ticket for a vehicle parked in a slot
+ * @param {Object} data - ticket_number, slot_id, vehicle_id, driver_id,
+ *   cashier_id, and check_in_time (now when omitted)
+ * @returns {Promise<number>} ID of the new ticket
+ */
+async function createTicket(data) {
+  const result = await dbRun(
+    `
+    INSERT INTO parking_tickets (ticket_number, slot_id, vehicle_id, driver_id, cashier_id, check_in_time)
+    VALUES (?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+  `,
+    [
+      data.ticket_number,
+      data.slot_id,
+      data.vehicle_id,
+      data.driver_id,
+      data.cashier_id,
+      data.check_in_time || null,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Check a ticket out and mark it paid with its final tariff
+ * @param {number} id - Ticket ID
+ * @param {Object} tariff - Final tariff (durationHours, total)
+ * @param {string} expectedStatus - Payment status the ticket was read with
+ * @param {Object} options - Optional flags
+ * @param {boolean} options.lostTicket - Whether the ticket was lost
+ * @returns {Promise<boolean>} false when another request closed it first
+ */
+async function checkOutTicket(id, tariff, expectedStatus, options = {}) {
+  const result = await dbRun(
+    `
+    UPDATE parking_tickets
+    SET check_out_time = CURRENT_TIMESTAMP, duration_hours = ?, total_amount = ?, tariff_breakdown = ?, payment_status = 'paid',
+      paid_at = COALESCE(paid_at, CURRENT_TIMESTAMP), lost_ticket = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND check_out_time IS NULL AND payment_status = ?
+  `,
+    [
+      tariff.durationHours,
+      tariff.total,
+      JSON.stringify(tariff),
+      options.lostTicket ? 1 : 0,
+      id,
+      expectedStatus,
+    ]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Mark a ticket paid before exit, opening its exit window
+ * @param {number} id - Ticket ID
+ * @param {Object} tariff - Tariff paid (durationHours, total)
+ * @param {number} exitWindowMinutes - Minutes the vehicle has to leave
+ * @returns {Promise<boolean>} false when another request paid it first
+ */
+async function payTicket(id, tariff, exitWindowMinutes) {
+  const result = await dbRun(
+    `
+    UPDATE parking_tickets
+    SET duration_hours = ?, total_amount = ?, tariff_breakdown = ?, payment_status = 'paid',
+      paid_at = CURRENT_TIMESTAMP, exit_deadline = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND payment_status = 'pending' AND check_out_time IS NULL
+  `,
+    [
+      tariff.durationHours,
+      tariff.total,
+      JSON.stringify(tariff),
+      `+${exitWindowMinutes} minutes`,
+      id,
+    ]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Close a ticket without payment; the amount is charged to the vehicle
+ * @param {number} id - Ticket ID
+ * @param {Object} tariff - Tariff owed (durationHours, total)
+ * @returns {Promise<boolean>} false when it was already checked out or paid
+ */
+async function checkOutUnpaid(id, tariff) {
+  const result = await dbRun(
+    `
+    UPDATE parking_tickets
+    SET check_out_time = CURRENT_TIMESTAMP, duration_hours = ?, total_amount = ?, tariff_breakdown = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND check_out_time IS NULL AND payment_status = 'pending'
+  `,
+    [tariff.durationHours, tariff.total, JSON.stringify(tariff), id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Mark a ticket closed without payment as paid, once its balance is settled
+ * @param {number} id - Ticket ID
+ */
+async function markTicketPaid(id) {
+  await dbRun(
+    `
+    UPDATE parking_tickets
+    SET payment_status = 'paid', paid_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND payment_status = 'pending' AND check_out_time IS NOT NULL
+  `,
+    [id]
+  );
+}
+
+/**
+ * Record the exit of a vehicle that paid before leaving
+ * @param {number} id - Ticket ID
+ * @returns {Promise<boolean>} false when it was already checked out
+ */
+async function recordExit(id) {
+  const result = await dbRun(
+    "UPDATE parking_tickets SET check_out_time = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND check_out_time IS NULL",
+    [id]
+  );
+  return result.changes > 0;
+}
+
+/**
+ * Note that an exit camera saw a vehicle that still has to pay
+ * @param {number} id - Ticket ID
+ */
+async function markExitRequested(id) {
+  await dbRun(
+    "UPDATE parking_tickets SET exit_requested_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND check_out_time IS NULL",
+    [id]
+  );
+}
+
+/**
+ * Today's ticket counts
+ * @returns {Promise<Object>} today_tickets, today_paid, today_pending
+ */
+async function getTodayTicketCounts() {
+  return dbGet(`
+    SELECT
+      COUNT(*) as today_tickets,
+      COUNT(CASE WHEN payment_status = 'paid' THEN 1 END) as today_paid,
+      COUNT(CASE WHEN payment_status = 'pending' THEN 1 END) as today_pending
+    FROM parking_tickets
+    WHERE DATE(check_in_time) = DATE('now')
+  `);
+}
+
+/**
+ * Ticket and payment totals for tickets checked in on one day
+ * @param {string} date - YYYY-MM-DD
+ * @param {number} cashierId - Only this cashier's tickets (optional)
+ * @returns {Promise<Object>} total_tickets, paid_tickets, pending_tickets,
+ *   total_collected, active_cashiers
+ */
+async function getDaySummary(date, cashierId) {
+  const { where, params } = buildWhere([
+    ["DATE(pt.check_in_time) = ?", date],
+    cashierId && ["pt.cashier_id = ?", cashierId],
+  ]);
+
+  return dbGet(
+    `
+    SELECT
+      COUNT(DISTINCT pt.id) as total_tickets,
+      COUNT(DISTINCT CASE WHEN pt.payment_status = 'paid' THEN pt.id END) as paid_tickets,
+      COUNT(DISTINCT CASE WHEN pt.payment_status = 'pending' THEN pt.id END) as pending_tickets,
+      COALESCE(SUM(p.amount), 0) as total_collected,
+      COUNT(DISTINCT pt.cashier_id) as active_cashiers
+    FROM parking_tickets pt
+    LEFT JOIN payments p ON pt.id = p.ticket_id
+    ${where}
+  `,
+    params
+  );
+}
+
+module.exports = {
+  ticketQuery,
+  getTicket,
+  searchTickets,
+  listOpenTickets,
+  listPendingTickets,
+  listRecentTickets,
+  listTicketsBetween,
+  listVisitHistory,
+  getVisitStats,
+  findTicketByNumber,
+  findOpenTicketByPlate,
+  createTicket,
+  checkOutTicket,
+  payTicket,
+  checkOutUnpaid,
+  markTicketPaid,
+  recordExit,
+  markExitRequested,
+  getTodayTicketCounts,
+  getDaySummary,
+};
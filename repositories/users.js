@@ -0,0 +1,199 @@
+const { dbGet, dbAll, dbRun, withTransaction } = require("../utils/db");
+
+// Records that point at a user, by the column holding the user ID
+const USER_REFERENCES = {
+  tickets: { table: "parking_tickets", column: "cashier_id" },
+  payments: { table: "payments", column: "cashier_id" },
+  shifts: { table: "shifts", column: "cashier_id" },
+  auditLogs: { table: "audit_logs", column: "user_id" },
+};
+
+/**
+ * List users, newest first, without their password hashes
+ */
+async function listUsers() {
+  return dbAll(`
+    SELECT id, username, full_name, role, email, phone, is_active, locked_until, created_at
+    FROM users
+    ORDER BY created_at DESC
+  `);
+}
+
+/**
+ * Get a user by ID
+ * @param {number} id - User ID
+ */
+async function getUser(id) {
+  return dbGet("SELECT * FROM users WHERE id = ?", [id]);
+}
+
+/**
+ * Get an active user by username, for login
+ * @param {string} username - Username
+ */
+async function getActiveUserByUsername(username) {
+  return dbGet("SELECT * FROM users WHERE username = ? AND is_active = 1", [
+    username,
+  ]);
+}
+
+/**
+ * Get a user by username, whether active or not
+ * @param {string} username - Username
+ */
+async function getUserByUsername(username) {
+  return dbGet("SELECT * FROM users WHERE username = ?", [username]);
+}
+
+/**
+ * Create a user
+ * @param {Object} data - username, full_name, role, email, phone
+ * @param {string} hashedPassword - bcrypt hash of the password
+ * @returns {Promise<number>} ID of the new user
+ */
+async function createUser(data, hashedPassword) {
+  const result = await dbRun(
+    `
+    INSERT INTO users (username, password, full_name, role, email, phone)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `,
+    [
+      data.username,
+      hashedPassword,
+      data.full_name,
+      data.role,
+      data.email,
+      data.phone,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Update a user's details
+ * @param {number} id - User ID
+ * @param {Object} data - username, full_name, role, email, phone, is_active
+ */
+async function updateUser(id, data) {
+  await dbRun(
+    `
+    UPDATE users
+    SET username = ?, full_name = ?, role = ?, email = ?, phone = ?, is_active = ?,
+        failed_login_attempts = 0, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [
+      data.username,
+      data.full_name,
+      data.role,
+      data.email,
+      data.phone,
+      data.is_active ? 1 : 0,
+      id,
+    ]
+  );
+}
+
+/**
+ * Replace a user's password
+ * @param {number} id - User ID
+ * @param {string} hashedPassword - bcrypt hash of the new password
+ */
+async function updatePassword(id, hashedPassword) {
+  await dbRun(
+    "UPDATE users SET password = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [hashedPassword, id]
+  );
+}
+
+/**
+ * Count a failed login, and lock the user for a while once they reach the
+ * limit. The count starts again when the lock is set.
+ * @param {number} id - User ID
+ * @param {number} maxAttempts - Failed logins allowed in a row
+ * @param {number} lockMinutes - How long the lock lasts
+ * @returns {Promise<boolean>} Whether this attempt locked the user
+ */
+async function recordFailedLogin(id, maxAttempts, lockMinutes) {
+  await dbRun(
+    `
+    UPDATE users
+    SET locked_until = CASE WHEN failed_login_attempts + 1 >= ? THEN datetime('now', ?) ELSE locked_until END,
+        failed_login_attempts = CASE WHEN failed_login_attempts + 1 >= ? THEN 0 ELSE failed_login_attempts + 1 END
+    WHERE id = ?
+  `,
+    [maxAttempts, `+${lockMinutes} minutes`, maxAttempts, id]
+  );
+  const user = await dbGet(
+    "SELECT locked_until > datetime('now') as locked FROM users WHERE id = ?",
+    [id]
+  );
+  return !!(user && user.locked);
+}
+
+/**
+ * Forget a user's failed logins after they log in
+ * @param {number} id - User ID
+ */
+async function clearFailedLogins(id) {
+  await dbRun(
+    "UPDATE users SET failed_login_attempts = 0, locked_until = NULL WHERE id = ?",
+    [id]
+  );
+}
+
+/**
+ * Delete a user
+ * @param {number} id - User ID
+ */
+async function deleteUser(id) {
+  await dbRun("DELETE FROM users WHERE id = ?", [id]);
+}
+
+/**
+ * Count the records that point at a user
+ * @param {number} id - User ID
+ * @returns {Promise<Object>} tickets, payments, shifts, auditLogs
+ */
+async function countUserReferences(id) {
+  const counts = {};
+
+  for (const [key, { table, column }] of Object.entries(USER_REFERENCES)) {
+    const row = await dbGet(
+      `SELECT COUNT(*) as count FROM ${table} WHERE ${column} = ?`,
+      [id]
+    );
+    counts[key] = row ? row.count : 0;
+  }
+
+  return counts;
+}
+
+/**
+ * Delete every record that points at a user, so the user can be deleted.
+ * Payments go before the tickets they belong to.
+ * @param {number} id - User ID
+ */
+async function deleteUserReferences(id) {
+  await withTransaction(async () => {
+    for (const key of ["payments", "tickets", "shifts", "auditLogs"]) {
+      const { table, column } = USER_REFERENCES[key];
+      await dbRun(`DELETE FROM ${table} WHERE ${column} = ?`, [id]);
+    }
+  });
+}
+
+module.exports = {
+  listUsers,
+  getUser,
+  getActiveUserByUsername,
+  getUserByUsername,
+  createUser,
+  updateUser,
+  updatePassword,
+  recordFailedLogin,
+  clearFailedLogins,
+  deleteUser,
+  countUserReferences,
+  deleteUserReferences,
+};
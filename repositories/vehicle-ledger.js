@@ -0,0 +1,152 @@
+const { dbGet, dbAll, dbRun } = require("../utils/db");
+
+// Amount of each charge not yet paid or written off. Payments and write-offs
+// always clear the charge of the ticket they name.
+const OUTSTANDING_CHARGES = `
+  SELECT c.*, c.amount - COALESCE((
+    SELECT SUM(s.amount) FROM vehicle_ledger s
+    WHERE s.ticket_id = c.ticket_id AND s.entry_type != 'charge'
+  ), 0) as outstanding
+  FROM vehicle_ledger c
+  WHERE c.entry_type = 'charge'
+`;
+
+/**
+ * Add an entry to a vehicle's ledger
+ * @param {Object} entry - vehicle_id, ticket_id, entry_type, amount,
+ *   payment_id, notes, created_by
+ * @returns {Promise<number>} ID of the new entry
+ */
+async function addLedgerEntry(entry) {
+  const result = await dbRun(
+    `
+    INSERT INTO vehicle_ledger (vehicle_id, ticket_id, entry_type, amount, payment_id, notes, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      entry.vehicle_id,
+      entry.ticket_id,
+      entry.entry_type,
+      entry.amount,
+      entry.payment_id || null,
+      entry.notes || null,
+      entry.created_by,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * A vehicle's ledger, oldest first, with the running balance after each entry
+ * @param {number} vehicleId - Vehicle ID
+ */
+async function listLedgerEntries(vehicleId) {
+  const entries = await dbAll(
+    `
+    SELECT l.*, pt.ticket_number, p.receipt_number, u.full_name as created_by_name
+    FROM vehicle_ledger l
+    LEFT JOIN parking_tickets pt ON l.ticket_id = pt.id
+    LEFT JOIN payments p ON l.payment_id = p.id
+    LEFT JOIN users u ON l.created_by = u.id
+    WHERE l.vehicle_id = ?
+    ORDER BY l.created_at, l.id
+  `,
+    [vehicleId]
+  );
+
+  let cents = 0;
+  return entries.map((entry) => {
+    const amount = Math.round(entry.amount * 100);
+    cents += entry.entry_type === "charge" ? amount : -amount;
+    return { ...entry, balance: cents / 100 };
+  });
+}
+
+/**
+ * Amount a vehicle owes
+ * @param {number} vehicleId - Vehicle ID
+ * @returns {Promise<number>} Balance, 0 when nothing is owed
+ */
+async function getVehicleBalance(vehicleId) {
+  const row = await dbGet(
+    `
+    SELECT COALESCE(SUM(CASE WHEN entry_type = 'charge' THEN amount ELSE -amount END), 0) as balance
+    FROM vehicle_ledger
+    WHERE vehicle_id = ?
+  `,
+    [vehicleId]
+  );
+  return Math.round(row.balance * 100) / 100;
+}
+
+/**
+ * Charges of a vehicle that are still owed, oldest first
+ * @param {number} vehicleId - Vehicle ID
+ */
+async function listOutstandingCharges(vehicleId) {
+  return dbAll(
+    `
+    SELECT o.*, pt.ticket_number
+    FROM (${OUTSTANDING_CHARGES} AND c.vehicle_id = ?) o
+    JOIN parking_tickets pt ON o.ticket_id = pt.id
+    WHERE o.outstanding > 0
+    ORDER BY o.created_at, o.id
+  `,
+    [vehicleId]
+  );
+}
+
+/**
+ * The outstanding charge of one ticket
+ * @param {number} ticketId - Ticket ID
+ */
+async function findOutstandingCharge(ticketId) {
+  return dbGet(
+    `SELECT * FROM (${OUTSTANDING_CHARGES} AND c.ticket_id = ?) WHERE outstanding > 0`,
+    [ticketId]
+  );
+}
+
+/**
+ * Money owed per vehicle for charges posted between two dates (inclusive),
+ * split by how many days ago each charge was posted
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ */
+async function getAgedDebt(startDate, endDate) {
+  return dbAll(
+    `
+    SELECT
+      v.id as vehicle_id,
+      v.license_plate,
+      v.owner_name,
+      v.owner_phone,
+      COUNT(*) as unpaid_tickets,
+      MIN(o.created_at) as oldest_charge,
+      SUM(CASE WHEN o.age <= 30 THEN o.outstanding ELSE 0 END) as days_0_30,
+      SUM(CASE WHEN o.age BETWEEN 31 AND 60 THEN o.outstanding ELSE 0 END) as days_31_60,
+      SUM(CASE WHEN o.age BETWEEN 61 AND 90 THEN o.outstanding ELSE 0 END) as days_61_90,
+      SUM(CASE WHEN o.age > 90 THEN o.outstanding ELSE 0 END) as days_over_90,
+      SUM(o.outstanding) as total_outstanding
+    FROM (
+      SELECT charges.*, CAST(julianday('now') - julianday(charges.created_at) AS INTEGER) as age
+      FROM (${OUTSTANDING_CHARGES}) charges
+      WHERE DATE(charges.created_at) BETWEEN ? AND ?
+    ) o
+    JOIN vehicles v ON o.vehicle_id = v.id
+    WHERE o.outstanding > 0
+    GROUP BY v.id
+    ORDER BY total_outstanding DESC
+  `,
+    [startDate, endDate]
+  );
+}
+
+module.exports = {
+  addLedgerEntry,
+  listLedgerEntries,
+  getVehicleBalance,
+  listOutstandingCharges,
+  findOutstandingCharge,
+  getAgedDebt,
+};
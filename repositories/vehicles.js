@@ -0,0 +1,293 @@
+const {
+  dbGet,
+  dbAll,
+  dbRun,
+  buildWhere,
+  likePattern,
+} = require("../utils/db");
+
+// Plates are stored upper case without spaces or dashes. plateKey applies
+// the same rule in SQL, so rows saved before plates were normalised still
+// match.
+function plateKey(column = "license_plate") {
+  return `UPPER(REPLACE(REPLACE(TRIM(${column}), ' ', ''), '-', ''))`;
+}
+
+/**
+ * Normalise a license plate for storing and matching: "abc-12 3" -> "ABC123"
+ * @param {string} plate - Plate as typed
+ */
+function normalizePlate(plate) {
+  return String(plate || "")
+    .toUpperCase()
+    .replace(/[\s-]+/g, "");
+}
+
+/**
+ * Find a vehicle by plate, ignoring case, spaces and dashes
+ * @param {string} plate - License plate
+ */
+async function findVehicleByPlate(plate) {
+  return dbGet(
+    `SELECT * FROM vehicles WHERE ${plateKey()} = ? ORDER BY id LIMIT 1`,
+    [normalizePlate(plate)]
+  );
+}
+
+/**
+ * Register a vehicle, or update the details of a known plate in place so its
+ * ID - and the tickets that reference it - stay the same. Details left blank
+ * keep their stored values.
+ * @param {Object} data - license_plate, make, model, color, year, owner_name,
+ *   owner_phone, owner_email
+ * @returns {Promise<number>} ID of the vehicle row
+ */
+async function saveVehicle(data) {
+  const details = [
+    data.make,
+    data.model,
+    data.color,
+    data.year,
+    data.owner_name,
+    data.owner_phone,
+    data.owner_email,
+  ].map((value) => (value === "" ? null : value));
+
+  const existing = await findVehicleByPlate(data.license_plate);
+
+  if (existing) {
+    await dbRun(
+      `
+      UPDATE vehicles
+      SET make = COALESCE(?, make), model = COALESCE(?, model), color = COALESCE(?, color), year = COALESCE(?, year),
+        owner_name = COALESCE(?, owner_name), owner_phone = COALESCE(?, owner_phone), owner_email = COALESCE(?, owner_email),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `,
+      [...details, existing.id]
+    );
+    return existing.id;
+  }
+
+  const result = await dbRun(
+    `
+    INSERT INTO vehicles (license_plate, make, model, color, year, owner_name, owner_phone, owner_email)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `,
+    [normalizePlate(data.license_plate), ...details]
+  );
+  return result.lastID;
+}
+
+/**
+ * Find vehicles by plate, owner name or owner phone
+ * @param {string} term - Search text
+ * @param {number} limit - Maximum number of results
+ */
+async function searchVehicles(term, limit = 10) {
+  const pattern = likePattern(term);
+
+  return dbAll(
+    `
+    SELECT id, license_plate, make, model, color, year, owner_name, owner_phone
+    FROM vehicles
+    WHERE license_plate LIKE ? OR owner_name LIKE ? OR owner_phone LIKE ?
+    ORDER BY created_at DESC
+    LIMIT ?
+  `,
+    [pattern, pattern, pattern, limit]
+  );
+}
+
+/**
+ * Get a vehicle by ID
+ * @param {number} id - Vehicle ID
+ */
+async function getVehicle(id) {
+  return dbGet("SELECT * FROM vehicles WHERE id = ?", [id]);
+}
+
+/**
+ * Vehicles with their visit count and last visit, most recently seen first
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.search - Plate, make, model, owner name or phone
+ * @param {string} filters.status - "parked" for vehicles in the lot now
+ * @param {number} filters.limit - Maximum number of rows
+ * @param {number} filters.offset - Rows to skip, for paging
+ */
+async function listVehicles(filters = {}) {
+  const pattern = likePattern(filters.search);
+  const { where, params } = buildWhere([
+    filters.search && [
+      "v.license_plate LIKE ? OR v.make LIKE ? OR v.model LIKE ? OR v.owner_name LIKE ? OR v.owner_phone LIKE ?",
+      likePattern(normalizePlate(filters.search)),
+      pattern,
+      pattern,
+      pattern,
+      pattern,
+    ],
+    filters.status === "parked" && [
+      "EXISTS (SELECT 1 FROM parking_tickets WHERE vehicle_id = v.id AND check_out_time IS NULL AND payment_status != 'cancelled')",
+    ],
+  ]);
+
+  return dbAll(
+    `
+    SELECT v.*, COUNT(pt.id) as visit_count, MAX(pt.check_in_time) as last_visit
+    FROM vehicles v
+    LEFT JOIN parking_tickets pt ON pt.vehicle_id = v.id AND pt.payment_status != 'cancelled'
+    ${where}
+    GROUP BY v.id
+    ORDER BY last_visit IS NULL, last_visit DESC, v.id DESC
+    LIMIT ? OFFSET ?
+  `,
+    [...params, filters.limit || 50, filters.offset || 0]
+  );
+}
+
+/**
+ * Vehicles a driver has parked, with the visits made in each
+ * @param {number} driverId - Driver ID
+ */
+async function listDriverVehicles(driverId) {
+  return dbAll(
+    `
+    SELECT v.*, COUNT(pt.id) as visit_count, MAX(pt.check_in_time) as last_visit
+    FROM parking_tickets pt
+    JOIN vehicles v ON pt.vehicle_id = v.id
+    WHERE pt.driver_id = ? AND pt.payment_status != 'cancelled'
+    GROUP BY v.id
+    ORDER BY last_visit DESC
+  `,
+    [driverId]
+  );
+}
+
+/**
+ * Update a vehicle's plate and details
+ * @param {number} id - Vehicle ID
+ * @param {Object} data - license_plate, make, model, color, year, owner_name,
+ *   owner_phone, owner_email
+ */
+async function updateVehicle(id, data) {
+  await dbRun(
+    `
+    UPDATE vehicles
+    SET license_plate = ?, make = ?, model = ?, color = ?, year = ?, owner_name = ?, owner_phone = ?, owner_email = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [
+      normalizePlate(data.license_plate),
+      data.make,
+      data.model,
+      data.color,
+      data.year,
+      data.owner_name,
+      data.owner_phone,
+      data.owner_email,
+      id,
+    ]
+  );
+}
+
+/**
+ * Vehicles whose plates are the same once normalised, with their ticket counts
+ * @returns {Promise<Array>} Groups of { key, vehicles }
+ */
+async function listDuplicateVehicles() {
+  const rows = await dbAll(`
+    SELECT v.*, ${plateKey("v.license_plate")} as plate_key,
+      (SELECT COUNT(*) FROM parking_tickets WHERE vehicle_id = v.id) as ticket_count
+    FROM vehicles v
+    WHERE ${plateKey("v.license_plate")} IN (
+      SELECT ${plateKey()} FROM vehicles GROUP BY ${plateKey()} HAVING COUNT(*) > 1
+    )
+    ORDER BY plate_key, v.id
+  `);
+
+  const groups = new Map();
+  rows.forEach((row) => {
+    if (!groups.has(row.plate_key)) {
+      groups.set(row.plate_key, { key: row.plate_key, vehicles: [] });
+    }
+    groups.get(row.plate_key).vehicles.push(row);
+  });
+  return [...groups.values()];
+}
+
+/**
+ * Fold duplicate vehicles into one: their tickets and ledger entries move to
+ * the kept vehicle, details it lacks are copied from them, and they are deleted. Run it in a
+ * transaction.
+ * @param {number} keepId - Vehicle to keep
+ * @param {Array<number>} mergeIds - Vehicles merged into it
+ * @returns {Promise<Array>} The merged vehicle rows, as they were
+ */
+async function mergeVehicles(keepId, mergeIds) {
+  const placeholders = mergeIds.map(() => "?").join(", ");
+  const merged = await dbAll(
+    `SELECT * FROM vehicles WHERE id IN (${placeholders}) ORDER BY id DESC`,
+    mergeIds
+  );
+
+  for (const vehicle of merged) {
+    await dbRun(
+      `
+      UPDATE vehicles
+      SET make = COALESCE(NULLIF(make, ''), ?), model = COALESCE(NULLIF(model, ''), ?), color = COALESCE(NULLIF(color, ''), ?),
+        year = COALESCE(NULLIF(year, ''), ?), owner_name = COALESCE(NULLIF(owner_name, ''), ?),
+        owner_phone = COALESCE(NULLIF(owner_phone, ''), ?), owner_email = COALESCE(NULLIF(owner_email, ''), ?),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `,
+      [
+        vehicle.make,
+        vehicle.model,
+        vehicle.color,
+        vehicle.year,
+        vehicle.owner_name,
+        vehicle.owner_phone,
+        vehicle.owner_email,
+        keepId,
+      ]
+    );
+  }
+
+  await dbRun(
+    `UPDATE parking_tickets SET vehicle_id = ?, updated_at = CURRENT_TIMESTAMP WHERE vehicle_id IN (${placeholders})`,
+    [keepId, ...mergeIds]
+  );
+  await dbRun(
+    `UPDATE vehicle_ledger SET vehicle_id = ? WHERE vehicle_id IN (${placeholders})`,
+    [keepId, ...mergeIds]
+  );
+  await dbRun(`DELETE FROM vehicles WHERE id IN (${placeholders})`, mergeIds);
+
+  // With the duplicates gone the kept plate can take its normalised form
+  const kept = await dbGet("SELECT license_plate FROM vehicles WHERE id = ?", [
+    keepId,
+  ]);
+  const plate = kept && normalizePlate(kept.license_plate);
+  if (plate && plate !== kept.license_plate) {
+    await dbRun(
+      "UPDATE vehicles SET license_plate = ? WHERE id = ? AND NOT EXISTS (SELECT 1 FROM vehicles WHERE license_plate = ?)",
+      [plate, keepId, plate]
+    );
+  }
+
+  return merged;
+}
+
+module.exports = {
+  normalizePlate,
+  findVehicleByPlate,
+  saveVehicle,
+  searchVehicles,
+  getVehicle,
+  listVehicles,
+  listDriverVehicles,
+  updateVehicle,
+  listDuplicateVehicles,
+  mergeVehicles,
+};
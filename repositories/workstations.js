@@ -0,0 +1,104 @@
+const { dbGet, dbAll, dbRun } = require("../utils/db");
+
+/**
+ * List workstations with the number of jobs waiting or failed on each
+ */
+async function listWorkstations() {
+  return dbAll(`
+    SELECT w.*, u.full_name as created_by_name,
+      (SELECT COUNT(*) FROM print_jobs WHERE workstation_id = w.id AND status IN ('queued', 'printing')) as queued_jobs,
+      (SELECT COUNT(*) FROM print_jobs WHERE workstation_id = w.id AND status = 'failed') as failed_jobs
+    FROM workstations w
+    LEFT JOIN users u ON w.created_by = u.id
+    ORDER BY w.name
+  `);
+}
+
+/**
+ * Get a workstation by ID
+ * @param {number} id - Workstation ID
+ */
+async function getWorkstation(id) {
+  return dbGet("SELECT * FROM workstations WHERE id = ?", [id]);
+}
+
+/**
+ * Find a workstation by name, ignoring case
+ * @param {string} name - Workstation name
+ */
+async function findWorkstationByName(name) {
+  return dbGet("SELECT * FROM workstations WHERE name = ? COLLATE NOCASE", [
+    name,
+  ]);
+}
+
+/**
+ * Add a workstation
+ * @param {Object} data - name, printer_driver, printer_host, printer_port,
+ *   paper_columns, code_type, created_by
+ * @returns {Promise<number>} ID of the new workstation
+ */
+async function createWorkstation(data) {
+  const result = await dbRun(
+    `
+    INSERT INTO workstations (name, printer_driver, printer_host, printer_port, paper_columns, code_type, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      data.name,
+      data.printer_driver,
+      data.printer_host,
+      data.printer_port,
+      data.paper_columns,
+      data.code_type,
+      data.created_by,
+    ]
+  );
+  return result.lastID;
+}
+
+/**
+ * Update a workstation's printer
+ * @param {number} id - Workstation ID
+ * @param {Object} data - printer_driver, printer_host, printer_port,
+ *   paper_columns, code_type
+ */
+async function updateWorkstationPrinter(id, data) {
+  await dbRun(
+    `
+    UPDATE workstations
+    SET printer_driver = ?, printer_host = ?, printer_port = ?, paper_columns = ?, code_type = ?,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [
+      data.printer_driver,
+      data.printer_host,
+      data.printer_port,
+      data.paper_columns,
+      data.code_type,
+      id,
+    ]
+  );
+}
+
+/**
+ * Enable or disable a workstation
+ * @param {number} id - Workstation ID
+ * @param {string} status - "active" or "disabled"
+ */
+async function setWorkstationStatus(id, status) {
+  await dbRun(
+    "UPDATE workstations SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [status, id]
+  );
+}
+
+module.exports = {
+  listWorkstations,
+  getWorkstation,
+  findWorkstationByName,
+  createWorkstation,
+  updateWorkstationPrinter,
+  setWorkstationStatus,
+};
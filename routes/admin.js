@@ -0,0 +1,2770 @@
+const express = require("express");
+const bcrypt = require("bcrypt");
+const { logAudit } = require("../utils/audit");
+const {
+  listSlots,
+  listBookableSlots,
+  getSlot,
+  createSlot,
+  updateSlot,
+  countSlotsByStatus,
+} = require("../repositories/slots");
+const { getTodayTicketCounts } = require("../repositories/tickets");
+const {
+  getTodayRevenue,
+  getRevenueByPeriod,
+  getRevenueByCashier,
+  getShiftCollected,
+} = require("../repositories/payments");
+const {
+  listUsers,
+  getUser,
+  createUser,
+  updateUser,
+  deleteUser,
+  countUserReferences,
+  deleteUserReferences,
+} = require("../repositories/users");
+const { listRecentActivity } = require("../repositories/audit-logs");
+const { getAgedDebt } = require("../repositories/vehicle-ledger");
+const { listNumberGaps } = require("../repositories/number-sequences");
+const { GAP_STATUSES } = require("../utils/numbering");
+const {
+  listDuplicateVehicles,
+  mergeVehicles,
+} = require("../repositories/vehicles");
+const {
+  listDuplicateDrivers,
+  mergeDrivers,
+} = require("../repositories/drivers");
+const { ConflictError, withTransaction } = require("../utils/db");
+const {
+  DRIVER_KEY_LABELS,
+  DirectoryError,
+  getVehiclePage,
+  getDriverPage,
+  getVehicleProfile,
+  getDriverProfile,
+  editVehicle,
+  editDriver,
+} = require("../utils/directory");
+const {
+  ENTRY_TYPES,
+  LedgerError,
+  writeOffCharge,
+} = require("../utils/ledger");
+const {
+  SETTING_SECTIONS,
+  getSetting,
+  getSettings,
+  validateSettings,
+  updateSettings,
+} = require("../utils/settings");
+const {
+  MAX_TARIFF_BANDS,
+  TariffError,
+  getTariffTable,
+  saveTariffTable,
+  calculateTariff,
+} = require("../utils/tariff");
+const {
+  BackupError,
+  isBackupSupported,
+  listBackups,
+  getBackupPath,
+  createBackup,
+  restoreBackup,
+} = require("../utils/backups");
+const {
+  ReservationError,
+  listReservations,
+  createReservation,
+  cancelReservation,
+} = require("../utils/reservations");
+const {
+  SLOT_TYPES,
+  PermitError,
+  getPermit,
+  listPermits,
+  createPermit,
+  updatePermit,
+  getRenewalPeriod,
+  renewPermit,
+  cancelPermit,
+  listPermitSales,
+} = require("../utils/permits");
+const {
+  WATCHLIST_REASONS,
+  WatchlistError,
+  getWatchlistEntry,
+  listWatchlist,
+  listWatchlistHits,
+  createWatchlistEntry,
+  updateWatchlistEntry,
+  removeWatchlistEntry,
+} = require("../utils/watchlist");
+const {
+  DEVICE_DIRECTIONS,
+  READ_STATUSES,
+  AnprError,
+  registerDevice,
+  rotateDeviceKey,
+  setDeviceEnabled,
+} = require("../utils/plate-recognition");
+const { listDevices } = require("../repositories/anpr-devices");
+const { listReads } = require("../repositories/anpr-reads");
+const {
+  GATE_DIRECTIONS,
+  DRIVER_LABELS,
+  EVENT_SOURCES,
+  GateError,
+  registerGate,
+  setGateEnabled,
+  closeGate,
+  checkGate,
+} = require("../utils/gate-control");
+const { listGates, listGateEvents } = require("../repositories/gates");
+const {
+  PRINTER_LABELS,
+  CODE_TYPES,
+  PAPER_COLUMNS,
+  PRINT_DOCUMENTS,
+  JOB_STATUSES,
+  PrintError,
+  registerWorkstation,
+  updatePrinter,
+  setWorkstationEnabled,
+  retryJob,
+} = require("../utils/printing");
+const { listWorkstations } = require("../repositories/workstations");
+const { listPrintJobs } = require("../repositories/print-jobs");
+const {
+  KIOSK_METHODS,
+  TERMINAL_LABELS,
+  KioskError,
+  registerKiosk,
+  updateKioskSettings,
+  setKioskEnabled,
+  closeKioskShift,
+} = require("../utils/kiosk-payments");
+const { listKiosks } = require("../repositories/kiosks");
+const {
+  REASON_CODES,
+  AdjustmentError,
+  listAdjustments,
+  approveAdjustment,
+  rejectAdjustment,
+} = require("../utils/ticket-adjustments");
+const {
+  RefundError,
+  findRefundablePayment,
+  getRefund,
+  listRefunds,
+  refundPayment,
+} = require("../utils/refunds");
+const {
+  DISCOUNT_TYPES,
+  DiscountError,
+  listMerchants,
+  getMerchant,
+  createMerchant,
+  updateMerchant,
+  getDiscount,
+  listDiscounts,
+  createDiscount,
+  updateDiscount,
+  getDiscountUsage,
+} = require("../utils/discounts");
+const { requireAuth, requireAdmin } = require("../middleware/auth");
+const moment = require("moment");
+
+const router = express.Router();
+
+// Apply authentication middleware to all admin routes
+router.use(requireAuth);
+router.use(requireAdmin);
+
+// Reports, shared by the report page and its CSV export
+const REPORTS = {
+  daily: {
+    load: (startDate, endDate) => getRevenueByPeriod("day", startDate, endDate),
+    csvHeader:
+      "Date,Total Tickets,Paid Tickets,Pending Tickets,Voided Tickets,Refunds,Total Revenue",
+    csvRow: (row) =>
+      `${row.date},${row.total_tickets},${row.paid_tickets},${row.pending_tickets},${row.voided_tickets},${row.total_refunds},${row.total_revenue}`,
+  },
+  monthly: {
+    load: (startDate, endDate) =>
+      getRevenueByPeriod("month", startDate, endDate),
+    csvHeader:
+      "Month,Total Tickets,Paid Tickets,Pending Tickets,Voided Tickets,Refunds,Total Revenue",
+    csvRow: (row) =>
+      `${row.month},${row.total_tickets},${row.paid_tickets},${row.pending_tickets},${row.voided_tickets},${row.total_refunds},${row.total_revenue}`,
+  },
+  cashier: {
+    load: getRevenueByCashier,
+    csvHeader:
+      "Cashier Name,Total Tickets,Voided Tickets,Refunds,Total Collected,Working Days",
+    csvRow: (row) =>
+      `${row.cashier_name},${row.total_tickets},${row.voided_tickets},${row.total_refunds},${row.total_collected},${row.working_days}`,
+  },
+  permits: {
+    load: listPermitSales,
+    csvHeader:
+      "Receipt,Sold At,Type,Permit,License Plate,Holder,Period Start,Period End,Payment Method,Amount,Sold By",
+    csvRow: (row) =>
+      `${row.receipt_number},${row.sold_at},${row.sale_type},${row.permit_number},${row.license_plate},"${row.holder_name}",${row.period_start},${row.period_end},${row.payment_method},${row.amount},${row.sold_by_name || ""}`,
+  },
+  discounts: {
+    load: getDiscountUsage,
+    csvHeader: "Merchant,Redemptions,Codes Used,Total Discount",
+    csvRow: (row) =>
+      `"${row.merchant_name}",${row.redemptions},${row.codes_used},${row.total_discount}`,
+  },
+  debt: {
+    load: getAgedDebt,
+    csvHeader:
+      "License Plate,Owner,Owner Phone,Unpaid Tickets,Oldest Charge,0-30 Days,31-60 Days,61-90 Days,Over 90 Days,Total Owed",
+    csvRow: (row) =>
+      `${row.license_plate},"${row.owner_name || ""}",${row.owner_phone || ""},${row.unpaid_tickets},${row.oldest_charge},${row.days_0_30},${row.days_31_60},${row.days_61_90},${row.days_over_90},${row.total_outstanding}`,
+  },
+  gaps: {
+    load: listNumberGaps,
+    csvHeader:
+      "Series,Site,Year,First Sequence,Last Sequence,Number,Status,Issued At",
+    csvRow: (row) =>
+      `${row.series},${row.site_code},${row.year},${row.first_sequence},${row.last_sequence},${row.number || ""},${GAP_STATUSES[row.status]},${row.issued_at}`,
+  },
+};
+
+// Admin dashboard
+router.get("/dashboard", async (req, res) => {
+  try {
+    const stats = {
+      ...(await countSlotsByStatus()),
+      ...(await getTodayTicketCounts()),
+    };
+    const recentActivities = await listRecentActivity(10);
+    const todayRevenue = await getTodayRevenue();
+
+    res.render("admin/dashboard", {
+      title: "Admin Dashboard",
+      stats,
+      recentActivities,
+      todayRevenue: todayRevenue || 0,
+      user: req.session.user,
+      moment: moment,
+    });
+  } catch (error) {
+    console.error("Dashboard error:", error);
+    // Provide default values if there's an error
+    res.render("admin/dashboard", {
+      title: "Admin Dashboard",
+      stats: {
+        vacant_slots: 0,
+        occupied_slots: 0,
+        reserved_slots: 0,
+        out_of_service_slots: 0,
+        today_tickets: 0,
+        today_paid: 0,
+        today_pending: 0,
+      },
+      recentActivities: [],
+      todayRevenue: 0,
+      user: req.session.user,
+      moment: moment,
+    });
+  }
+});
+
+// User management
+router.get("/users", async (req, res) => {
+  try {
+    const users = await listUsers();
+
+    res.render("admin/users", {
+      title: "User Management",
+      users,
+      user: req.session.user,
+      currentUser: req.session.user,
+      moment: moment,
+    });
+  } catch (error) {
+    console.error("Users error:", error);
+    // Provide default values if there's an error
+    res.render("admin/users", {
+      title: "User Management",
+      users: [],
+      user: req.session.user,
+      currentUser: req.session.user,
+      moment: moment,
+    });
+  }
+});
+
+// Add user page
+router.get("/users/add", (req, res) => {
+  res.render("admin/user-form", {
+    title: "Add New User",
+    user: null,
+    currentUser: req.session.user,
+  });
+});
+
+// Add user process
+router.post("/users/add", async (req, res) => {
+  const { username, password, full_name, role } = req.body;
+
+  if (!username || !password || !full_name || !role) {
+    return res.redirect("/admin/users/add?error=Required fields are missing");
+  }
+
+  let userId;
+  try {
+    const hashedPassword = await bcrypt.hash(password, 10);
+    userId = await createUser(req.body, hashedPassword);
+  } catch (error) {
+    console.error("Error adding user:", error);
+    return res.redirect("/admin/users/add?error=Failed to add user");
+  }
+
+  await logAudit(
+    req.session.user.id,
+    "CREATE_USER",
+    "users",
+    userId,
+    null,
+    JSON.stringify(req.body),
+    req.ip,
+    req.get("User-Agent")
+  );
+  res.redirect("/admin/users?success=User added successfully");
+});
+
+// Edit user page
+router.get("/users/edit/:id", async (req, res) => {
+  try {
+    const user = await getUser(req.params.id);
+
+    if (!user) {
+      return res.status(404).render("error", {
+        title: "User Not Found",
+        error: {},
+        message: "The requested user does not exist.",
+      });
+    }
+
+    if (user.role === "kiosk") {
+      return res.redirect(
+        "/admin/kiosks?error=Kiosk accounts are managed on this page"
+      );
+    }
+
+    res.render("admin/user-form", {
+      title: "Edit User",
+      user,
+      currentUser: req.session.user,
+    });
+  } catch (error) {
+    console.error("Edit user error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load user",
+    });
+  }
+});
+
+// Update user process
+router.post("/users/edit/:id", async (req, res) => {
+  const { username, full_name, role } = req.body;
+  const userId = req.params.id;
+
+  if (!username || !full_name || !role) {
+    return res.redirect(
+      `/admin/users/edit/${userId}?error=Required fields are missing`
+    );
+  }
+
+  let oldUser;
+  try {
+    // Get old values for audit
+    oldUser = await getUser(userId);
+    if (oldUser && oldUser.role === "kiosk") {
+      return res.redirect(
+        "/admin/kiosks?error=Kiosk accounts are managed on this page"
+      );
+    }
+    await updateUser(userId, req.body);
+  } catch (error) {
+    console.error("Error updating user:", error);
+    return res.redirect(
+      `/admin/users/edit/${userId}?error=Failed to update user`
+    );
+  }
+
+  await logAudit(
+    req.session.user.id,
+    "UPDATE_USER",
+    "users",
+    userId,
+    JSON.stringify(oldUser),
+    JSON.stringify(req.body),
+    req.ip,
+    req.get("User-Agent")
+  );
+  res.redirect("/admin/users?success=User updated successfully");
+});
+
+// Delete user
+router.post("/users/delete/:id", async (req, res) => {
+  const userId = req.params.id;
+
+  try {
+    // Check if user exists
+    const user = await getUser(userId);
+
+    if (!user) {
+      return res.redirect("/admin/users?error=User not found");
+    }
+
+    // Prevent admin from deleting themselves
+    if (parseInt(userId) === req.session.user.id) {
+      return res.redirect(
+        "/admin/users?error=You cannot delete your own account"
+      );
+    }
+
+    // Check if user has any associated records in multiple tables
+    const { tickets, payments, shifts, auditLogs } =
+      await countUserReferences(userId);
+    const totalReferences = tickets + payments + shifts + auditLogs;
+
+    if (totalReferences > 0) {
+      // Check if this is a force delete request
+      if (req.body.force_delete === 'true') {
+        try {
+          // Force delete: Clean up all associated records first
+          await deleteUserReferences(userId);
+
+          console.log(`Force deleted user ${userId} and cleaned up ${totalReferences} associated records`);
+        } catch (cleanupError) {
+          console.error("Error during force delete cleanup:", cleanupError);
+          return res.redirect("/admin/users?error=Failed to clean up associated records during force delete");
+        }
+      } else {
+        // Regular delete attempt - show what needs to be cleaned up
+        let errorMessage = "User has associated records and cannot be deleted: ";
+        const issues = [];
+        if (tickets > 0) issues.push(`${tickets} parking ticket(s)`);
+        if (payments > 0) issues.push(`${payments} payment(s)`);
+        if (shifts > 0) issues.push(`${shifts} shift(s)`);
+        if (auditLogs > 0) issues.push(`${auditLogs} audit log(s)`);
+        
+        errorMessage += issues.join(", ");
+        errorMessage += ". Use force delete to remove all associated records.";
+        return res.redirect(`/admin/users?error=${encodeURIComponent(errorMessage)}`);
+      }
+    }
+
+    // Delete the user
+    try {
+      await deleteUser(userId);
+    } catch (error) {
+      console.error("Error deleting user:", error);
+      return res.redirect("/admin/users?error=Failed to delete user");
+    }
+
+    // Log the deletion
+    await logAudit(
+      req.session.user.id,
+      "DELETE_USER",
+      "users",
+      userId,
+      JSON.stringify(user),
+      null,
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect("/admin/users?success=User deleted successfully");
+  } catch (error) {
+    console.error("Delete user error:", error);
+    res.redirect("/admin/users?error=System error occurred");
+  }
+});
+
+// Parking slot management
+router.get("/slots", async (req, res) => {
+  try {
+    const slots = await listSlots();
+
+    res.render("admin/slots", {
+      title: "Parking Slots Management",
+      slots,
+      user: req.session.user,
+    });
+  } catch (error) {
+    console.error("Slots error:", error);
+    // Provide default values if there's an error
+    res.render("admin/slots", {
+      title: "Parking Slots Management",
+      slots: [],
+      user: req.session.user,
+    });
+  }
+});
+
+// Add slot page
+router.get("/slots/add", (req, res) => {
+  res.render("admin/slot-form", {
+    title: "Add New Parking Slot",
+    slot: null,
+    currentUser: req.session.user,
+  });
+});
+
+// Add slot process
+router.post("/slots/add", async (req, res) => {
+  const { slot_number, slot_name, slot_type, hourly_rate, daily_rate } =
+    req.body;
+
+  if (!slot_number || !slot_name) {
+    return res.redirect("/admin/slots/add?error=Required fields are missing");
+  }
+
+  let slotId;
+  try {
+    slotId = await createSlot({
+      slot_number,
+      slot_name,
+      slot_type,
+      hourly_rate: hourly_rate || getSetting("default_hourly_rate"),
+      daily_rate: daily_rate || getSetting("default_daily_rate"),
+    });
+  } catch (error) {
+    console.error("Error adding slot:", error);
+    return res.redirect("/admin/slots/add?error=Failed to add slot");
+  }
+
+  await logAudit(
+    req.session.user.id,
+    "CREATE_SLOT",
+    "parking_slots",
+    slotId,
+    null,
+    JSON.stringify(req.body),
+    req.ip,
+    req.get("User-Agent")
+  );
+  res.redirect("/admin/slots?success=Parking slot added successfully");
+});
+
+// Edit slot page
+router.get("/slots/edit/:id", async (req, res) => {
+  try {
+    const slot = await getSlot(req.params.id);
+
+    if (!slot) {
+      return res.status(404).render("error", {
+        title: "Slot Not Found",
+        error: {},
+        message: "The requested parking slot does not exist.",
+      });
+    }
+
+    res.render("admin/slot-form", {
+      title: "Edit Parking Slot",
+      slot,
+      currentUser: req.session.user,
+    });
+  } catch (error) {
+    console.error("Edit slot error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load parking slot",
+    });
+  }
+});
+
+// Update slot process
+router.post("/slots/edit/:id", async (req, res) => {
+  const { slot_number, slot_name } = req.body;
+  const slotId = req.params.id;
+
+  if (!slot_number || !slot_name) {
+    return res.redirect(
+      `/admin/slots/edit/${slotId}?error=Required fields are missing`
+    );
+  }
+
+  let oldSlot;
+  try {
+    // Get old values for audit
+    oldSlot = await getSlot(slotId);
+    await updateSlot(slotId, req.body);
+  } catch (error) {
+    console.error("Error updating slot:", error);
+    return res.redirect(
+      `/admin/slots/edit/${slotId}?error=Failed to update slot`
+    );
+  }
+
+  await logAudit(
+    req.session.user.id,
+    "UPDATE_SLOT",
+    "parking_slots",
+    slotId,
+    JSON.stringify(oldSlot),
+    JSON.stringify(req.body),
+    req.ip,
+    req.get("User-Agent")
+  );
+  res.redirect("/admin/slots?success=Parking slot updated successfully");
+});
+
+// Stays priced on the tariff page, to show what the bands charge
+const TARIFF_EXAMPLE_HOURS = [1, 3, 8, 24, 48];
+
+// Tariff bands per slot type, with example charges at the default rates
+router.get("/tariffs", async (req, res) => {
+  try {
+    const exampleSlot = {
+      check_in_time: moment().format("YYYY-MM-DD HH:mm:ss"),
+      hourly_rate: getSetting("default_hourly_rate"),
+      daily_rate: getSetting("default_daily_rate"),
+    };
+    const tables = SLOT_TYPES.map((slotType) => ({
+      slotType,
+      bands: getTariffTable(slotType),
+      examples: TARIFF_EXAMPLE_HOURS.map((hours) => ({
+        hours,
+        total: calculateTariff(
+          { ...exampleSlot, slot_type: slotType },
+          moment(exampleSlot.check_in_time).add(hours, "hours"),
+          { graceMinutes: 0 }
+        ).total,
+      })),
+    }));
+
+    res.render("admin/tariffs", {
+      title: "Tariffs",
+      tables,
+      maxBands: MAX_TARIFF_BANDS,
+      exampleSlot,
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Tariffs error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load tariffs",
+    });
+  }
+});
+
+// Save the tariff bands of a slot type
+router.post("/tariffs/:slotType", async (req, res) => {
+  try {
+    const { previous, updated } = await saveTariffTable(
+      req.params.slotType,
+      req.body.bands,
+      req.session.user.id
+    );
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_TARIFF",
+      "tariff_bands",
+      null,
+      JSON.stringify({ slot_type: req.params.slotType, bands: previous }),
+      JSON.stringify({ slot_type: req.params.slotType, bands: updated }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/tariffs?success=${encodeURIComponent(
+        `Tariff for ${req.params.slotType} slots saved`
+      )}`
+    );
+  } catch (error) {
+    console.error("Save tariff error:", error);
+    const message =
+      error instanceof TariffError ? error.message : "Failed to save tariff";
+    res.redirect(`/admin/tariffs?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Reports
+router.get("/reports", async (req, res) => {
+  try {
+    const { start_date, end_date, report_type } = req.query;
+
+    let reportData = null;
+
+    if (start_date && end_date && REPORTS[report_type]) {
+      reportData = await REPORTS[report_type].load(start_date, end_date);
+    }
+
+    res.render("admin/reports", {
+      title: "Reports",
+      reportData,
+      reportType: report_type,
+      startDate: start_date,
+      endDate: end_date,
+      user: req.session.user,
+    });
+  } catch (error) {
+    console.error("Reports error:", error);
+    // Provide default values if there's an error
+    res.render("admin/reports", {
+      title: "Reports",
+      reportData: [],
+      reportType: null,
+      startDate: null,
+      endDate: null,
+      user: req.session.user,
+    });
+  }
+});
+
+// Export report to CSV
+router.get("/reports/export/:type", async (req, res) => {
+  const { start_date, end_date } = req.query;
+  const reportType = req.params.type;
+  const report = REPORTS[reportType];
+
+  if (!start_date || !end_date) {
+    return res.status(400).send("Start date and end date are required");
+  }
+
+  if (!report) {
+    return res.status(400).send("Invalid report type");
+  }
+
+  try {
+    const rows = await report.load(start_date, end_date);
+    let csvData = `${report.csvHeader}\n`;
+    rows.forEach((row) => {
+      csvData += `${report.csvRow(row)}\n`;
+    });
+
+    res.setHeader("Content-Type", "text/csv");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename=${reportType}_report_${start_date}_to_${end_date}.csv`
+    );
+    res.send(csvData);
+  } catch (error) {
+    console.error("Export error:", error);
+    res.status(500).send("Failed to export report");
+  }
+});
+
+// Reservations
+router.get("/reservations", async (req, res) => {
+  try {
+    const reservations = await listReservations({
+      status: req.query.status,
+      date: req.query.date,
+    });
+
+    const slots = await listBookableSlots();
+
+    res.render("reservations", {
+      title: "Reservations",
+      reservations,
+      slots,
+      filters: { status: req.query.status || "", date: req.query.date || "" },
+      basePath: "/admin",
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Reservations error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load reservations",
+    });
+  }
+});
+
+// Create reservation
+router.post("/reservations", async (req, res) => {
+  try {
+    const reservation = await createReservation(req.body, req.session.user.id);
+
+    await logAudit(
+      req.session.user.id,
+      "CREATE_RESERVATION",
+      "reservations",
+      reservation.id,
+      null,
+      JSON.stringify(req.body),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/reservations?success=Reservation ${reservation.reservation_number} created`
+    );
+  } catch (error) {
+    console.error("Create reservation error:", error);
+    const message =
+      error instanceof ReservationError
+        ? error.message
+        : "Failed to create reservation";
+    res.redirect(`/admin/reservations?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Cancel reservation
+router.post("/reservations/:id/cancel", async (req, res) => {
+  try {
+    const reservation = await cancelReservation(
+      req.params.id,
+      req.session.user.id
+    );
+
+    await logAudit(
+      req.session.user.id,
+      "CANCEL_RESERVATION",
+      "reservations",
+      reservation.id,
+      JSON.stringify({ status: reservation.status }),
+      JSON.stringify({ status: "cancelled", reason: req.body.reason }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect("/admin/reservations?success=Reservation cancelled");
+  } catch (error) {
+    console.error("Cancel reservation error:", error);
+    const message =
+      error instanceof ReservationError
+        ? error.message
+        : "Failed to cancel reservation";
+    res.redirect(`/admin/reservations?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Permits
+router.get("/permits", async (req, res) => {
+  try {
+    const permits = await listPermits({
+      search: req.query.search,
+      state: req.query.state,
+    });
+
+    res.render("admin/permits", {
+      title: "Permits",
+      permits,
+      filters: { search: req.query.search || "", state: req.query.state || "" },
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Permits error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load permits",
+    });
+  }
+});
+
+// Add permit page
+router.get("/permits/add", (req, res) => {
+  res.render("admin/permit-form", {
+    title: "Sell Permit",
+    permit: null,
+    slotTypes: SLOT_TYPES,
+    renewal: null,
+    user: req.session.user,
+    error: req.query.error,
+  });
+});
+
+// Sell a new permit
+router.post("/permits/add", async (req, res) => {
+  try {
+    const permit = await createPermit(req.body, req.session.user.id);
+
+    await logAudit(
+      req.session.user.id,
+      "CREATE_PERMIT",
+      "permits",
+      permit.id,
+      null,
+      JSON.stringify(req.body),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/permits/edit/${permit.id}?success=Permit ${permit.permit_number} sold`
+    );
+  } catch (error) {
+    console.error("Create permit error:", error);
+    const message =
+      error instanceof PermitError ? error.message : "Failed to create permit";
+    res.redirect(`/admin/permits/add?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Edit permit page, with renewal and sales history
+router.get("/permits/edit/:id", async (req, res) => {
+  try {
+    const permit = await getPermit(req.params.id);
+
+    if (!permit) {
+      return res.status(404).render("error", {
+        title: "Permit Not Found",
+        error: {},
+        message: "The requested permit does not exist.",
+      });
+    }
+
+    res.render("admin/permit-form", {
+      title: "Edit Permit",
+      permit,
+      slotTypes: SLOT_TYPES,
+      renewal: getRenewalPeriod(permit),
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Edit permit error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load permit",
+    });
+  }
+});
+
+// Update permit
+router.post("/permits/edit/:id", async (req, res) => {
+  const permitId = req.params.id;
+
+  try {
+    const oldPermit = await updatePermit(permitId, req.body);
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_PERMIT",
+      "permits",
+      permitId,
+      JSON.stringify(oldPermit),
+      JSON.stringify(req.body),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(`/admin/permits/edit/${permitId}?success=Permit updated`);
+  } catch (error) {
+    console.error("Update permit error:", error);
+    const message =
+      error instanceof PermitError ? error.message : "Failed to update permit";
+    res.redirect(
+      `/admin/permits/edit/${permitId}?error=${encodeURIComponent(message)}`
+    );
+  }
+});
+
+// Renew permit
+router.post("/permits/renew/:id", async (req, res) => {
+  const permitId = req.params.id;
+
+  try {
+    const { before, period, price } = await renewPermit(
+      permitId,
+      req.body,
+      req.session.user.id
+    );
+
+    await logAudit(
+      req.session.user.id,
+      "RENEW_PERMIT",
+      "permits",
+      permitId,
+      JSON.stringify({ end_date: before.end_date }),
+      JSON.stringify({
+        end_date: period.end_date,
+        period_start: period.start_date,
+        amount: price,
+        payment_method: req.body.payment_method,
+      }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/permits/edit/${permitId}?success=Permit renewed until ${period.end_date}`
+    );
+  } catch (error) {
+    console.error("Renew permit error:", error);
+    const message =
+      error instanceof PermitError ? error.message : "Failed to renew permit";
+    res.redirect(
+      `/admin/permits/edit/${permitId}?error=${encodeURIComponent(message)}`
+    );
+  }
+});
+
+// Cancel permit
+router.post("/permits/cancel/:id", async (req, res) => {
+  try {
+    const permit = await cancelPermit(req.params.id);
+
+    await logAudit(
+      req.session.user.id,
+      "CANCEL_PERMIT",
+      "permits",
+      permit.id,
+      JSON.stringify({ status: permit.status }),
+      JSON.stringify({ status: "cancelled" }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(`/admin/permits?success=Permit ${permit.permit_number} cancelled`);
+  } catch (error) {
+    console.error("Cancel permit error:", error);
+    const message =
+      error instanceof PermitError ? error.message : "Failed to cancel permit";
+    res.redirect(`/admin/permits?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Watchlist
+router.get("/watchlist", async (req, res) => {
+  try {
+    const entries = await listWatchlist({
+      search: req.query.search,
+      state: req.query.state,
+    });
+
+    res.render("admin/watchlist", {
+      title: "Watchlist",
+      entries,
+      reasons: WATCHLIST_REASONS,
+      filters: { search: req.query.search || "", state: req.query.state || "" },
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Watchlist error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load watchlist",
+    });
+  }
+});
+
+// Add watchlist entry page
+router.get("/watchlist/add", (req, res) => {
+  res.render("admin/watchlist-form", {
+    title: "Add to Watchlist",
+    entry: null,
+    hits: [],
+    reasons: WATCHLIST_REASONS,
+    user: req.session.user,
+    error: req.query.error,
+  });
+});
+
+// Put a plate on the watchlist
+router.post("/watchlist/add", async (req, res) => {
+  try {
+    const entry = await createWatchlistEntry(req.body, req.session.user.id);
+
+    await logAudit(
+      req.session.user.id,
+      "CREATE_WATCHLIST",
+      "watchlist",
+      entry.id,
+      null,
+      JSON.stringify(entry),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/watchlist?success=Plate ${entry.license_plate} added to the watchlist`
+    );
+  } catch (error) {
+    console.error("Create watchlist entry error:", error);
+    const message =
+      error instanceof WatchlistError
+        ? error.message
+        : "Failed to add watchlist entry";
+    res.redirect(`/admin/watchlist/add?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Edit watchlist entry page, with its check-in hits
+router.get("/watchlist/edit/:id", async (req, res) => {
+  try {
+    const entry = await getWatchlistEntry(req.params.id);
+
+    if (!entry) {
+      return res.status(404).render("error", {
+        title: "Watchlist Entry Not Found",
+        error: {},
+        message: "The requested watchlist entry does not exist.",
+      });
+    }
+
+    res.render("admin/watchlist-form", {
+      title: "Edit Watchlist Entry",
+      entry,
+      hits: await listWatchlistHits(entry.id),
+      reasons: WATCHLIST_REASONS,
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Edit watchlist entry error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load watchlist entry",
+    });
+  }
+});
+
+// Update watchlist entry
+router.post("/watchlist/edit/:id", async (req, res) => {
+  const entryId = req.params.id;
+
+  try {
+    const { previous, updated } = await updateWatchlistEntry(entryId, req.body);
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_WATCHLIST",
+      "watchlist",
+      entryId,
+      JSON.stringify(previous),
+      JSON.stringify(updated),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(`/admin/watchlist/edit/${entryId}?success=Entry updated`);
+  } catch (error) {
+    console.error("Update watchlist entry error:", error);
+    const message =
+      error instanceof WatchlistError
+        ? error.message
+        : "Failed to update watchlist entry";
+    res.redirect(
+      `/admin/watchlist/edit/${entryId}?error=${encodeURIComponent(message)}`
+    );
+  }
+});
+
+// Take a plate off the watchlist
+router.post("/watchlist/remove/:id", async (req, res) => {
+  try {
+    const entry = await removeWatchlistEntry(req.params.id);
+
+    await logAudit(
+      req.session.user.id,
+      "REMOVE_WATCHLIST",
+      "watchlist",
+      entry.id,
+      JSON.stringify({ status: entry.status }),
+      JSON.stringify({ status: "removed" }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/watchlist?success=Plate ${entry.license_plate} removed from the watchlist`
+    );
+  } catch (error) {
+    console.error("Remove watchlist entry error:", error);
+    const message =
+      error instanceof WatchlistError
+        ? error.message
+        : "Failed to remove watchlist entry";
+    res.redirect(`/admin/watchlist?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// ANPR cameras and their recent plate reads
+router.get("/anpr", async (req, res) => {
+  try {
+    // A new API key is shown once, straight after it is issued
+    const newKey = req.session.anprKey || null;
+    delete req.session.anprKey;
+
+    const [devices, reads] = await Promise.all([
+      listDevices(),
+      listReads({
+        status: READ_STATUSES[req.query.status] ? req.query.status : null,
+        limit: 100,
+      }),
+    ]);
+
+    res.render("admin/anpr", {
+      title: "ANPR Cameras",
+      devices,
+      reads,
+      newKey,
+      directions: DEVICE_DIRECTIONS,
+      readStatuses: READ_STATUSES,
+      filters: { status: req.query.status || "" },
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("ANPR devices error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load ANPR cameras",
+    });
+  }
+});
+
+// Register a camera and issue its API key
+router.post("/anpr/devices", async (req, res) => {
+  try {
+    const { device, key } = await registerDevice(
+      req.body,
+      req.session.user.id
+    );
+
+    await logAudit(
+      req.session.user.id,
+      "CREATE_ANPR_DEVICE",
+      "anpr_devices",
+      device.id,
+      null,
+      JSON.stringify({
+        name: device.name,
+        direction: device.direction,
+        lane: device.lane,
+        key_prefix: device.key_prefix,
+      }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    req.session.anprKey = { device: device.name, key };
+    res.redirect(`/admin/anpr?success=Camera ${device.name} registered`);
+  } catch (error) {
+    console.error("Register ANPR device error:", error);
+    const message =
+      error instanceof AnprError ? error.message : "Failed to register camera";
+    res.redirect(`/admin/anpr?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Issue a camera a new API key
+router.post("/anpr/devices/:id/key", async (req, res) => {
+  try {
+    const { device, key } = await rotateDeviceKey(req.params.id);
+
+    await logAudit(
+      req.session.user.id,
+      "ROTATE_ANPR_KEY",
+      "anpr_devices",
+      device.id,
+      JSON.stringify({ key_prefix: device.key_prefix }),
+      JSON.stringify({ key_prefix: key.slice(0, 12) }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    req.session.anprKey = { device: device.name, key };
+    res.redirect(
+      `/admin/anpr?success=New key issued for ${device.name}; the old key no longer works`
+    );
+  } catch (error) {
+    console.error("Rotate ANPR key error:", error);
+    const message =
+      error instanceof AnprError ? error.message : "Failed to issue a new key";
+    res.redirect(`/admin/anpr?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Enable or disable a camera
+router.post("/anpr/devices/:id/status", async (req, res) => {
+  const enabled = req.body.status === "active";
+
+  try {
+    const device = await setDeviceEnabled(req.params.id, enabled);
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_ANPR_DEVICE",
+      "anpr_devices",
+      device.id,
+      JSON.stringify({ status: device.status }),
+      JSON.stringify({ status: enabled ? "active" : "disabled" }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/anpr?success=Camera ${device.name} ${
+        enabled ? "enabled" : "disabled"
+      }`
+    );
+  } catch (error) {
+    console.error("Update ANPR device error:", error);
+    const message =
+      error instanceof AnprError ? error.message : "Failed to update camera";
+    res.redirect(`/admin/anpr?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Gates, the drivers behind them and their recent events
+router.get("/gates", async (req, res) => {
+  try {
+    const [gates, events] = await Promise.all([
+      listGates(),
+      listGateEvents({
+        event: req.query.event === "fault" ? "fault" : null,
+        limit: 100,
+      }),
+    ]);
+
+    res.render("admin/gates", {
+      title: "Gates",
+      gates,
+      events,
+      directions: GATE_DIRECTIONS,
+      driverLabels: DRIVER_LABELS,
+      eventSources: EVENT_SOURCES,
+      filters: { event: req.query.event || "" },
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Gates error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load gates",
+    });
+  }
+});
+
+// Add a gate
+router.post("/gates", async (req, res) => {
+  try {
+    const gate = await registerGate(req.body, req.session.user.id);
+
+    await logAudit(
+      req.session.user.id,
+      "CREATE_GATE",
+      "gates",
+      gate.id,
+      null,
+      JSON.stringify({
+        name: gate.name,
+        lane: gate.lane,
+        direction: gate.direction,
+        driver: gate.driver,
+        host: gate.host,
+        port: gate.port,
+      }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/gates?success=${encodeURIComponent(`Gate ${gate.name} added`)}`
+    );
+  } catch (error) {
+    console.error("Add gate error:", error);
+    const message =
+      error instanceof GateError ? error.message : "Failed to add gate";
+    res.redirect(`/admin/gates?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Enable or disable a gate
+router.post("/gates/:id/status", async (req, res) => {
+  const enabled = req.body.status === "active";
+
+  try {
+    const gate = await setGateEnabled(req.params.id, enabled);
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_GATE",
+      "gates",
+      gate.id,
+      JSON.stringify({ status: gate.status }),
+      JSON.stringify({ status: enabled ? "active" : "disabled" }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/gates?success=${encodeURIComponent(
+        `Gate ${gate.name} ${enabled ? "enabled" : "disabled"}`
+      )}`
+    );
+  } catch (error) {
+    console.error("Update gate error:", error);
+    const message =
+      error instanceof GateError ? error.message : "Failed to update gate";
+    res.redirect(`/admin/gates?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Ask a gate's controller where the barrier is
+router.post("/gates/:id/check", async (req, res) => {
+  try {
+    const result = await checkGate(req.params.id);
+
+    if (result.error) {
+      return res.redirect(
+        `/admin/gates?error=${encodeURIComponent(
+          `Gate ${result.gate.name}: ${result.error}`
+        )}`
+      );
+    }
+
+    res.redirect(
+      `/admin/gates?success=${encodeURIComponent(
+        `Gate ${result.gate.name} is ${result.state}`
+      )}`
+    );
+  } catch (error) {
+    console.error("Check gate error:", error);
+    const message =
+      error instanceof GateError ? error.message : "Failed to check gate";
+    res.redirect(`/admin/gates?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Lower a gate that was left open
+router.post("/gates/:id/close", async (req, res) => {
+  try {
+    const result = await closeGate(req.params.id, req.session.user.id);
+
+    await logAudit(
+      req.session.user.id,
+      "CLOSE_GATE",
+      "gates",
+      result.gate.id,
+      null,
+      JSON.stringify({ closed: result.done, error: result.error }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    if (!result.done) {
+      return res.redirect(
+        `/admin/gates?error=${encodeURIComponent(
+          `Gate ${result.gate.name} did not close: ${result.error}`
+        )}`
+      );
+    }
+
+    res.redirect(
+      `/admin/gates?success=${encodeURIComponent(
+        `Gate ${result.gate.name} closed`
+      )}`
+    );
+  } catch (error) {
+    console.error("Close gate error:", error);
+    const message =
+      error instanceof GateError ? error.message : "Failed to close gate";
+    res.redirect(`/admin/gates?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Workstations, their printers and the print queue
+router.get("/printers", async (req, res) => {
+  try {
+    const [workstations, jobs] = await Promise.all([
+      listWorkstations(),
+      listPrintJobs({ status: req.query.status || null, limit: 100 }),
+    ]);
+
+    res.render("admin/printers", {
+      title: "Printers",
+      workstations,
+      editing: workstations.find(
+        (workstation) => String(workstation.id) === req.query.edit
+      ),
+      jobs,
+      printerLabels: PRINTER_LABELS,
+      codeTypes: CODE_TYPES,
+      paperColumns: PAPER_COLUMNS,
+      documents: PRINT_DOCUMENTS,
+      jobStatuses: JOB_STATUSES,
+      filters: { status: req.query.status || "" },
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Printers error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load printers",
+    });
+  }
+});
+
+// Add a workstation
+router.post("/printers", async (req, res) => {
+  try {
+    const workstation = await registerWorkstation(
+      req.body,
+      req.session.user.id
+    );
+
+    await logAudit(
+      req.session.user.id,
+      "CREATE_WORKSTATION",
+      "workstations",
+      workstation.id,
+      null,
+      JSON.stringify({
+        name: workstation.name,
+        printer_driver: workstation.printer_driver,
+        printer_host: workstation.printer_host,
+        printer_port: workstation.printer_port,
+      }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/printers?success=${encodeURIComponent(
+        `Workstation ${workstation.name} added`
+      )}`
+    );
+  } catch (error) {
+    console.error("Add workstation error:", error);
+    const message =
+      error instanceof PrintError ? error.message : "Failed to add workstation";
+    res.redirect(`/admin/printers?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Change a workstation's printer
+router.post("/printers/:id", async (req, res) => {
+  try {
+    const { previous, updated } = await updatePrinter(req.params.id, req.body);
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_WORKSTATION",
+      "workstations",
+      previous.id,
+      JSON.stringify({
+        printer_driver: previous.printer_driver,
+        printer_host: previous.printer_host,
+        printer_port: previous.printer_port,
+        paper_columns: previous.paper_columns,
+        code_type: previous.code_type,
+      }),
+      JSON.stringify(updated),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/printers?success=${encodeURIComponent(
+        `Printer of ${previous.name} saved`
+      )}`
+    );
+  } catch (error) {
+    console.error("Update workstation error:", error);
+    const message =
+      error instanceof PrintError
+        ? error.message
+        : "Failed to update workstation";
+    res.redirect(
+      `/admin/printers?edit=${req.params.id}&error=${encodeURIComponent(
+        message
+      )}`
+    );
+  }
+});
+
+// Enable or disable a workstation
+router.post("/printers/:id/status", async (req, res) => {
+  const enabled = req.body.status === "active";
+
+  try {
+    const workstation = await setWorkstationEnabled(req.params.id, enabled);
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_WORKSTATION",
+      "workstations",
+      workstation.id,
+      JSON.stringify({ status: workstation.status }),
+      JSON.stringify({ status: enabled ? "active" : "disabled" }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/printers?success=${encodeURIComponent(
+        `Workstation ${workstation.name} ${enabled ? "enabled" : "disabled"}`
+      )}`
+    );
+  } catch (error) {
+    console.error("Update workstation error:", error);
+    const message =
+      error instanceof PrintError
+        ? error.message
+        : "Failed to update workstation";
+    res.redirect(`/admin/printers?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Try a failed print job again
+router.post("/printers/jobs/:id/retry", async (req, res) => {
+  try {
+    await retryJob(req.params.id);
+    res.redirect("/admin/printers?success=Print job queued again");
+  } catch (error) {
+    console.error("Retry print job error:", error);
+    const message =
+      error instanceof PrintError ? error.message : "Failed to retry print job";
+    res.redirect(`/admin/printers?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Self-service kiosks, their terminals and open kiosk shifts
+router.get("/kiosks", async (req, res) => {
+  try {
+    const [kiosks, workstations] = await Promise.all([
+      listKiosks(),
+      listWorkstations(),
+    ]);
+    for (const kiosk of kiosks) {
+      if (kiosk.open_shift_id) {
+        kiosk.shift_collected = await getShiftCollected({
+          cashier_id: kiosk.user_id,
+          open_time: kiosk.shift_open_time,
+        });
+      }
+    }
+
+    res.render("admin/kiosks", {
+      title: "Kiosks",
+      kiosks,
+      editing: kiosks.find((kiosk) => String(kiosk.id) === req.query.edit),
+      workstations: workstations.filter(
+        (workstation) => workstation.status === "active"
+      ),
+      terminalLabels: TERMINAL_LABELS,
+      kioskMethods: KIOSK_METHODS,
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Kiosks error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load kiosks",
+    });
+  }
+});
+
+// Add a kiosk and the user it signs in as
+router.post("/kiosks", async (req, res) => {
+  try {
+    const kiosk = await registerKiosk(req.body, req.session.user.id);
+
+    await logAudit(
+      req.session.user.id,
+      "CREATE_KIOSK",
+      "kiosks",
+      kiosk.id,
+      null,
+      JSON.stringify({
+        name: kiosk.name,
+        username: kiosk.username,
+        workstation_id: kiosk.workstation_id,
+        terminal_driver: kiosk.terminal_driver,
+        terminal_host: kiosk.terminal_host,
+        terminal_port: kiosk.terminal_port,
+      }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/kiosks?success=${encodeURIComponent(
+        `Kiosk ${kiosk.name} added. Sign in on the kiosk as ${kiosk.username}.`
+      )}`
+    );
+  } catch (error) {
+    console.error("Add kiosk error:", error);
+    const message =
+      error instanceof KioskError ? error.message : "Failed to add kiosk";
+    res.redirect(`/admin/kiosks?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Change a kiosk's printer and payment terminal
+router.post("/kiosks/:id", async (req, res) => {
+  try {
+    const { previous, updated } = await updateKioskSettings(
+      req.params.id,
+      req.body
+    );
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_KIOSK",
+      "kiosks",
+      previous.id,
+      JSON.stringify({
+        workstation_id: previous.workstation_id,
+        terminal_driver: previous.terminal_driver,
+        terminal_host: previous.terminal_host,
+        terminal_port: previous.terminal_port,
+      }),
+      JSON.stringify(updated),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/kiosks?success=${encodeURIComponent(`${previous.name} saved`)}`
+    );
+  } catch (error) {
+    console.error("Update kiosk error:", error);
+    const message =
+      error instanceof KioskError ? error.message : "Failed to update kiosk";
+    res.redirect(
+      `/admin/kiosks?edit=${req.params.id}&error=${encodeURIComponent(
+        message
+      )}`
+    );
+  }
+});
+
+// Enable or disable a kiosk
+router.post("/kiosks/:id/status", async (req, res) => {
+  const enabled = req.body.status === "active";
+
+  try {
+    const kiosk = await setKioskEnabled(req.params.id, enabled);
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_KIOSK",
+      "kiosks",
+      kiosk.id,
+      JSON.stringify({ status: kiosk.status }),
+      JSON.stringify({ status: enabled ? "active" : "disabled" }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/kiosks?success=${encodeURIComponent(
+        `Kiosk ${kiosk.name} ${enabled ? "enabled" : "disabled"}`
+      )}`
+    );
+  } catch (error) {
+    console.error("Update kiosk error:", error);
+    const message =
+      error instanceof KioskError ? error.message : "Failed to update kiosk";
+    res.redirect(`/admin/kiosks?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Close a kiosk's shift against its terminal's settlement report
+router.post("/kiosks/:id/close-shift", async (req, res) => {
+  try {
+    const { kiosk, shift, closed } = await closeKioskShift(
+      req.params.id,
+      req.body
+    );
+
+    await logAudit(
+      req.session.user.id,
+      "CLOSE_SHIFT",
+      "shifts",
+      shift.id,
+      null,
+      JSON.stringify({ kiosk: kiosk.name, ...closed }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/kiosks?success=${encodeURIComponent(
+        `Shift of ${kiosk.name} closed`
+      )}`
+    );
+  } catch (error) {
+    console.error("Close kiosk shift error:", error);
+    const message =
+      error instanceof KioskError ? error.message : "Failed to close shift";
+    res.redirect(`/admin/kiosks?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Ticket void/correction approvals
+router.get("/approvals", async (req, res) => {
+  try {
+    const status = req.query.status === undefined ? "pending" : req.query.status;
+
+    res.render("admin/approvals", {
+      title: "Ticket Approvals",
+      adjustments: await listAdjustments({ status }),
+      reasonCodes: REASON_CODES,
+      status,
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Approvals error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load approvals",
+    });
+  }
+});
+
+// Approve a void/correction and apply it to the ticket
+router.post("/approvals/:id/approve", async (req, res) => {
+  try {
+    const { adjustment, before, after } = await approveAdjustment(
+      req.params.id,
+      req.session.user.id,
+      req.body.review_note
+    );
+
+    await logAudit(
+      req.session.user.id,
+      adjustment.action === "void" ? "VOID_TICKET" : "CORRECT_TICKET",
+      "parking_tickets",
+      adjustment.ticket_id,
+      JSON.stringify(before),
+      JSON.stringify({
+        ...after,
+        adjustment_id: adjustment.id,
+        reason_code: adjustment.reason_code,
+        reason_note: adjustment.reason_note,
+        requested_by: adjustment.requested_by,
+      }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/approvals?success=Ticket ${adjustment.ticket_number} ${
+        adjustment.action === "void" ? "voided" : "corrected"
+      }`
+    );
+  } catch (error) {
+    console.error("Approve adjustment error:", error);
+    const message =
+      error instanceof AdjustmentError || error instanceof ConflictError
+        ? error.message
+        : "Failed to approve request";
+    res.redirect(`/admin/approvals?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Reject a void/correction request
+router.post("/approvals/:id/reject", async (req, res) => {
+  try {
+    const adjustment = await rejectAdjustment(
+      req.params.id,
+      req.session.user.id,
+      req.body.review_note
+    );
+
+    await logAudit(
+      req.session.user.id,
+      "REJECT_TICKET_ADJUSTMENT",
+      "ticket_adjustments",
+      adjustment.id,
+      JSON.stringify({ status: "pending" }),
+      JSON.stringify({ status: "rejected", review_note: req.body.review_note }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/approvals?success=Request for ticket ${adjustment.ticket_number} rejected`
+    );
+  } catch (error) {
+    console.error("Reject adjustment error:", error);
+    const message =
+      error instanceof AdjustmentError || error instanceof ConflictError
+        ? error.message
+        : "Failed to reject request";
+    res.redirect(`/admin/approvals?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Refunds: look up a payment by receipt number and list recent refunds
+router.get("/refunds", async (req, res) => {
+  try {
+    const receipt = (req.query.receipt || "").trim();
+    const payment = receipt ? await findRefundablePayment(receipt) : null;
+
+    res.render("admin/refunds", {
+      title: "Refunds",
+      receipt,
+      payment,
+      refunds: await listRefunds({ date: req.query.date }),
+      date: req.query.date || "",
+      user: req.session.user,
+      success: req.query.success,
+      error:
+        req.query.error ||
+        (receipt && !payment ? `No payment found with receipt ${receipt}` : undefined),
+    });
+  } catch (error) {
+    console.error("Refunds error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load refunds",
+    });
+  }
+});
+
+// Refund all or part of a payment
+router.post("/refunds", async (req, res) => {
+  const { payment_id, receipt_number } = req.body;
+
+  try {
+    const { original, refund } = await refundPayment(
+      payment_id,
+      req.body,
+      req.session.user.id
+    );
+
+    await logAudit(
+      req.session.user.id,
+      "REFUND_PAYMENT",
+      "payments",
+      refund.id,
+      JSON.stringify({
+        payment_id: original.id,
+        receipt_number: original.receipt_number,
+        amount: original.amount,
+        refunded_amount: original.refunded_amount,
+      }),
+      JSON.stringify({
+        refund_receipt_number: refund.receipt_number,
+        refund_amount: -refund.amount,
+        refunded_amount: original.refunded_amount - refund.amount,
+        payment_method: refund.payment_method,
+        ticket_number: refund.ticket_number,
+        reason: req.body.reason,
+      }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(`/admin/refunds/${refund.id}/slip`);
+  } catch (error) {
+    console.error("Refund error:", error);
+    const message =
+      error instanceof RefundError ? error.message : "Failed to refund payment";
+    res.redirect(
+      `/admin/refunds?receipt=${encodeURIComponent(
+        receipt_number || ""
+      )}&error=${encodeURIComponent(message)}`
+    );
+  }
+});
+
+// Printable refund slip
+router.get("/refunds/:id/slip", async (req, res) => {
+  try {
+    const refund = await getRefund(req.params.id);
+
+    if (!refund) {
+      return res.status(404).render("error", {
+        title: "Not Found",
+        error: {},
+        message: "Refund not found",
+      });
+    }
+
+    res.render("admin/refund-slip", {
+      title: `Refund Slip - ${refund.receipt_number}`,
+      refund,
+      user: req.session.user,
+    });
+  } catch (error) {
+    console.error("Refund slip error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load refund slip",
+    });
+  }
+});
+
+// Discount and validation codes
+router.get("/discounts", async (req, res) => {
+  try {
+    res.render("admin/discounts", {
+      title: "Discounts",
+      discounts: await listDiscounts({
+        search: req.query.search,
+        merchantId: req.query.merchant_id,
+      }),
+      merchants: await listMerchants(),
+      discountTypes: DISCOUNT_TYPES,
+      filters: {
+        search: req.query.search || "",
+        merchant_id: req.query.merchant_id || "",
+      },
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Discounts error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load discounts",
+    });
+  }
+});
+
+// Add discount page
+router.get("/discounts/add", async (req, res) => {
+  try {
+    res.render("admin/discount-form", {
+      title: "Add Discount",
+      discount: null,
+      merchantId: req.query.merchant_id || "",
+      merchants: await listMerchants(),
+      discountTypes: DISCOUNT_TYPES,
+      slotTypes: SLOT_TYPES,
+      user: req.session.user,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Add discount page error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load discount form",
+    });
+  }
+});
+
+// Create discount
+router.post("/discounts/add", async (req, res) => {
+  try {
+    const discount = await createDiscount(req.body, req.session.user.id);
+
+    await logAudit(
+      req.session.user.id,
+      "CREATE_DISCOUNT",
+      "discounts",
+      discount.id,
+      null,
+      JSON.stringify(discount),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(`/admin/discounts?success=Code ${discount.code} created`);
+  } catch (error) {
+    console.error("Create discount error:", error);
+    const message =
+      error instanceof DiscountError
+        ? error.message
+        : "Failed to create discount";
+    res.redirect(`/admin/discounts/add?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Edit discount page
+router.get("/discounts/edit/:id", async (req, res) => {
+  try {
+    const discount = await getDiscount(req.params.id);
+
+    if (!discount) {
+      return res.status(404).render("error", {
+        title: "Discount Not Found",
+        error: {},
+        message: "The requested discount does not exist.",
+      });
+    }
+
+    res.render("admin/discount-form", {
+      title: "Edit Discount",
+      discount,
+      merchantId: discount.merchant_id || "",
+      merchants: await listMerchants(),
+      discountTypes: DISCOUNT_TYPES,
+      slotTypes: SLOT_TYPES,
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Edit discount error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load discount",
+    });
+  }
+});
+
+// Update discount
+router.post("/discounts/edit/:id", async (req, res) => {
+  const discountId = req.params.id;
+
+  try {
+    const oldDiscount = await updateDiscount(discountId, req.body);
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_DISCOUNT",
+      "discounts",
+      discountId,
+      JSON.stringify(oldDiscount),
+      JSON.stringify(await getDiscount(discountId)),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(`/admin/discounts/edit/${discountId}?success=Discount updated`);
+  } catch (error) {
+    console.error("Update discount error:", error);
+    const message =
+      error instanceof DiscountError
+        ? error.message
+        : "Failed to update discount";
+    res.redirect(
+      `/admin/discounts/edit/${discountId}?error=${encodeURIComponent(message)}`
+    );
+  }
+});
+
+// Merchants that validate parking
+router.get("/merchants", async (req, res) => {
+  try {
+    res.render("admin/merchants", {
+      title: "Merchants",
+      merchants: await listMerchants(),
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Merchants error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load merchants",
+    });
+  }
+});
+
+// Add merchant page
+router.get("/merchants/add", (req, res) => {
+  res.render("admin/merchant-form", {
+    title: "Add Merchant",
+    merchant: null,
+    user: req.session.user,
+    error: req.query.error,
+  });
+});
+
+// Create merchant
+router.post("/merchants/add", async (req, res) => {
+  try {
+    const merchant = await createMerchant(req.body);
+
+    await logAudit(
+      req.session.user.id,
+      "CREATE_MERCHANT",
+      "merchants",
+      merchant.id,
+      null,
+      JSON.stringify(merchant),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(`/admin/merchants?success=Merchant ${merchant.name} added`);
+  } catch (error) {
+    console.error("Create merchant error:", error);
+    const message =
+      error instanceof DiscountError
+        ? error.message
+        : "Failed to create merchant";
+    res.redirect(`/admin/merchants/add?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Edit merchant page
+router.get("/merchants/edit/:id", async (req, res) => {
+  try {
+    const merchant = await getMerchant(req.params.id);
+
+    if (!merchant) {
+      return res.status(404).render("error", {
+        title: "Merchant Not Found",
+        error: {},
+        message: "The requested merchant does not exist.",
+      });
+    }
+
+    res.render("admin/merchant-form", {
+      title: "Edit Merchant",
+      merchant,
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Edit merchant error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load merchant",
+    });
+  }
+});
+
+// Update merchant
+router.post("/merchants/edit/:id", async (req, res) => {
+  const merchantId = req.params.id;
+
+  try {
+    const oldMerchant = await updateMerchant(merchantId, req.body);
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_MERCHANT",
+      "merchants",
+      merchantId,
+      JSON.stringify(oldMerchant),
+      JSON.stringify(req.body),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(`/admin/merchants/edit/${merchantId}?success=Merchant updated`);
+  } catch (error) {
+    console.error("Update merchant error:", error);
+    const message =
+      error instanceof DiscountError
+        ? error.message
+        : "Failed to update merchant";
+    res.redirect(
+      `/admin/merchants/edit/${merchantId}?error=${encodeURIComponent(message)}`
+    );
+  }
+});
+
+// Vehicle directory
+router.get("/vehicles", async (req, res) => {
+  try {
+    const { vehicles, page, hasNext } = await getVehiclePage(req.query);
+
+    res.render("vehicles", {
+      title: "Vehicles",
+      vehicles,
+      page,
+      hasNext,
+      filters: {
+        search: req.query.search || "",
+        status: req.query.status || "",
+      },
+      basePath: "/admin",
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Vehicles error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load vehicles",
+    });
+  }
+});
+
+// Vehicle profile with its visit history
+router.get("/vehicles/:id", async (req, res) => {
+  try {
+    const profile = await getVehicleProfile(req.params.id);
+
+    if (!profile) {
+      return res.status(404).render("error", {
+        title: "Vehicle Not Found",
+        error: {},
+        message: "The requested vehicle does not exist.",
+      });
+    }
+
+    res.render("vehicle-profile", {
+      title: `Vehicle ${profile.vehicle.license_plate}`,
+      ...profile,
+      entryTypes: ENTRY_TYPES,
+      basePath: "/admin",
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Vehicle profile error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load vehicle",
+    });
+  }
+});
+
+// Edit a vehicle
+router.post("/vehicles/:id", async (req, res) => {
+  const vehicleId = req.params.id;
+
+  try {
+    const { previous, updated } = await editVehicle(vehicleId, req.body);
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_VEHICLE",
+      "vehicles",
+      vehicleId,
+      JSON.stringify(previous),
+      JSON.stringify(updated),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/vehicles/${vehicleId}?success=Vehicle updated successfully`
+    );
+  } catch (error) {
+    console.error("Update vehicle error:", error);
+    const message =
+      error instanceof DirectoryError
+        ? error.message
+        : "Failed to update vehicle";
+    res.redirect(
+      `/admin/vehicles/${vehicleId}?error=${encodeURIComponent(message)}`
+    );
+  }
+});
+
+// Write off what a vehicle still owes for a ticket
+router.post("/vehicles/:id/write-off", async (req, res) => {
+  const vehicleId = req.params.id;
+
+  try {
+    const charge = await writeOffCharge(
+      vehicleId,
+      req.body.ticket_id,
+      req.body.notes,
+      req.session.user.id
+    );
+
+    await logAudit(
+      req.session.user.id,
+      "WRITE_OFF_BALANCE",
+      "vehicles",
+      vehicleId,
+      JSON.stringify({ ticket_id: charge.ticket_id, owed: charge.outstanding }),
+      JSON.stringify({ written_off: charge.outstanding, notes: req.body.notes }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(`/admin/vehicles/${vehicleId}?success=Charge written off`);
+  } catch (error) {
+    console.error("Write-off error:", error);
+    const message =
+      error instanceof LedgerError ? error.message : "Failed to write off charge";
+    res.redirect(
+      `/admin/vehicles/${vehicleId}?error=${encodeURIComponent(message)}`
+    );
+  }
+});
+
+// Driver directory
+router.get("/drivers", async (req, res) => {
+  try {
+    const { drivers, page, hasNext } = await getDriverPage(req.query);
+
+    res.render("drivers", {
+      title: "Drivers",
+      drivers,
+      page,
+      hasNext,
+      filters: { search: req.query.search || "" },
+      basePath: "/admin",
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Drivers error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load drivers",
+    });
+  }
+});
+
+// Driver profile with the vehicles they used
+router.get("/drivers/:id", async (req, res) => {
+  try {
+    const profile = await getDriverProfile(req.params.id);
+
+    if (!profile) {
+      return res.status(404).render("error", {
+        title: "Driver Not Found",
+        error: {},
+        message: "The requested driver does not exist.",
+      });
+    }
+
+    res.render("driver-profile", {
+      title: profile.driver.full_name,
+      ...profile,
+      basePath: "/admin",
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Driver profile error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load driver",
+    });
+  }
+});
+
+// Edit a driver
+router.post("/drivers/:id", async (req, res) => {
+  const driverId = req.params.id;
+
+  try {
+    const { previous, updated } = await editDriver(driverId, req.body);
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_DRIVER",
+      "drivers",
+      driverId,
+      JSON.stringify(previous),
+      JSON.stringify(updated),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/drivers/${driverId}?success=Driver updated successfully`
+    );
+  } catch (error) {
+    console.error("Update driver error:", error);
+    const message =
+      error instanceof DirectoryError
+        ? error.message
+        : "Failed to update driver";
+    res.redirect(
+      `/admin/drivers/${driverId}?error=${encodeURIComponent(message)}`
+    );
+  }
+});
+
+// Form input of the merge tool: the record kept and the records merged into it
+function parseMerge(body) {
+  const keepId = parseInt(body.keep_id, 10);
+  const mergeIds = []
+    .concat(body.merge_ids || [])
+    .map((id) => parseInt(id, 10))
+    .filter((id) => id && id !== keepId);
+
+  return { keepId, mergeIds: [...new Set(mergeIds)] };
+}
+
+// Duplicate vehicles and drivers, for merging
+router.get("/duplicates", async (req, res) => {
+  try {
+    const [vehicleGroups, driverGroups] = await Promise.all([
+      listDuplicateVehicles(),
+      listDuplicateDrivers(),
+    ]);
+
+    res.render("admin/duplicates", {
+      title: "Duplicate Records",
+      user: req.session.user,
+      vehicleGroups,
+      driverGroups,
+      driverKeyLabels: DRIVER_KEY_LABELS,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Duplicates error:", error);
+    res.render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load duplicate records",
+    });
+  }
+});
+
+// Merge duplicate vehicles into one
+router.post("/duplicates/vehicles", async (req, res) => {
+  const { keepId, mergeIds } = parseMerge(req.body);
+
+  if (!keepId || mergeIds.length === 0) {
+    return res.redirect(
+      "/admin/duplicates?error=Choose a vehicle to keep and at least one to merge"
+    );
+  }
+
+  try {
+    const merged = await withTransaction(() => mergeVehicles(keepId, mergeIds));
+
+    await logAudit(
+      req.session.user.id,
+      "MERGE_VEHICLES",
+      "vehicles",
+      keepId,
+      JSON.stringify(merged),
+      JSON.stringify({ kept_id: keepId, merged_ids: mergeIds }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/duplicates?success=${encodeURIComponent(
+        `${merged.length} vehicle(s) merged`
+      )}`
+    );
+  } catch (error) {
+    console.error("Merge vehicles error:", error);
+    res.redirect("/admin/duplicates?error=Failed to merge vehicles");
+  }
+});
+
+// Merge duplicate drivers into one
+router.post("/duplicates/drivers", async (req, res) => {
+  const { keepId, mergeIds } = parseMerge(req.body);
+
+  if (!keepId || mergeIds.length === 0) {
+    return res.redirect(
+      "/admin/duplicates?error=Choose a driver to keep and at least one to merge"
+    );
+  }
+
+  try {
+    const merged = await withTransaction(() => mergeDrivers(keepId, mergeIds));
+
+    await logAudit(
+      req.session.user.id,
+      "MERGE_DRIVERS",
+      "drivers",
+      keepId,
+      JSON.stringify(merged),
+      JSON.stringify({ kept_id: keepId, merged_ids: mergeIds }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/duplicates?success=${encodeURIComponent(
+        `${merged.length} driver(s) merged`
+      )}`
+    );
+  } catch (error) {
+    console.error("Merge drivers error:", error);
+    res.redirect("/admin/duplicates?error=Failed to merge drivers");
+  }
+});
+
+// System settings, with the database backups
+router.get("/settings", async (req, res) => {
+  let backups = [];
+  try {
+    backups = await listBackups();
+  } catch (error) {
+    console.error("List backups error:", error);
+  }
+
+  res.render("admin/settings", {
+    title: "System Settings",
+    user: req.session.user,
+    settings: getSettings(),
+    backups,
+    backupSupported: isBackupSupported(),
+    success: req.query.success,
+    error: req.query.error,
+  });
+});
+
+// Save one section of the system settings
+router.post("/settings", async (req, res) => {
+  const keys = SETTING_SECTIONS[req.body.section];
+
+  if (!keys) {
+    return res.redirect("/admin/settings?error=Unknown settings section");
+  }
+
+  const { values, errors } = validateSettings(req.body, keys);
+
+  if (errors.length > 0) {
+    return res.redirect(
+      `/admin/settings?error=${encodeURIComponent(errors.join(". "))}`
+    );
+  }
+
+  try {
+    const oldValues = await updateSettings(values, req.session.user.id);
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_SETTINGS",
+      "settings",
+      null,
+      JSON.stringify(oldValues),
+      JSON.stringify(values),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect("/admin/settings?success=Settings saved successfully");
+  } catch (error) {
+    console.error("Update settings error:", error);
+    res.redirect("/admin/settings?error=Failed to save settings");
+  }
+});
+
+// Take a database backup now
+router.post("/settings/backups", async (req, res) => {
+  try {
+    const backup = await createBackup("manual");
+
+    await logAudit(
+      req.session.user.id,
+      "CREATE_BACKUP",
+      "settings",
+      null,
+      null,
+      JSON.stringify(backup),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/settings?success=${encodeURIComponent(
+        `Backup ${backup.name} created`
+      )}`
+    );
+  } catch (error) {
+    console.error("Create backup error:", error);
+    const message =
+      error instanceof BackupError
+        ? error.message
+        : "Failed to create backup";
+    res.redirect(`/admin/settings?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Download a backup file
+router.get("/settings/backups/:name/download", async (req, res) => {
+  let backupPath;
+  try {
+    backupPath = getBackupPath(req.params.name);
+  } catch (error) {
+    return res.redirect(
+      `/admin/settings?error=${encodeURIComponent(error.message)}`
+    );
+  }
+
+  await logAudit(
+    req.session.user.id,
+    "DOWNLOAD_BACKUP",
+    "settings",
+    null,
+    null,
+    JSON.stringify({ name: req.params.name }),
+    req.ip,
+    req.get("User-Agent")
+  );
+
+  res.download(backupPath, req.params.name);
+});
+
+// Restore a backup over the live database, after a safety snapshot
+router.post("/settings/backups/:name/restore", async (req, res) => {
+  try {
+    const safety = await restoreBackup(req.params.name);
+
+    // Logged after the restore, which replaces the audit log with the backup's
+    await logAudit(
+      req.session.user.id,
+      "RESTORE_BACKUP",
+      "settings",
+      null,
+      JSON.stringify({ safety_backup: safety.name }),
+      JSON.stringify({ restored_backup: req.params.name }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/admin/settings?success=${encodeURIComponent(
+        `Backup ${req.params.name} restored. The previous data was saved as ${safety.name}`
+      )}`
+    );
+  } catch (error) {
+    console.error("Restore backup error:", error);
+    const message =
+      error instanceof BackupError
+        ? error.message
+        : "Failed to restore backup";
+    res.redirect(`/admin/settings?error=${encodeURIComponent(message)}`);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require("express");
+const {
+  AnprError,
+  authenticateDevice,
+  ingestRead,
+} = require("../utils/plate-recognition");
+
+const router = express.Router();
+
+// Cameras send their API key in X-API-Key or as a bearer token
+router.use(async (req, res, next) => {
+  try {
+    const authorization = req.get("Authorization") || "";
+    const key =
+      req.get("X-API-Key") ||
+      (authorization.startsWith("Bearer ") ? authorization.slice(7) : null);
+
+    const device = await authenticateDevice(key);
+    if (!device) {
+      return res
+        .status(401)
+        .json({ success: false, error: "Invalid or disabled API key" });
+    }
+
+    req.device = device;
+    next();
+  } catch (error) {
+    console.error("ANPR authentication error:", error);
+    res.status(500).json({ success: false, error: "Authentication failed" });
+  }
+});
+
+// Reads may carry a base64 image of up to 2 MB. The body is only parsed once
+// the key is known to be good.
+router.use(express.json({ limit: "3mb" }));
+
+// The device the key belongs to, so a camera can check its setup
+router.get("/device", (req, res) => {
+  const { id, name, direction, lane } = req.device;
+  res.json({ success: true, device: { id, name, direction, lane } });
+});
+
+// Post a plate read: plate, confidence (0-1), lane, timestamp (ISO 8601)
+// and an optional base64 JPEG or PNG image
+router.post("/reads", async (req, res) => {
+  try {
+    const read = await ingestRead(req.device, req.body || {}, {
+      ip: req.ip,
+      userAgent: req.get("User-Agent"),
+    });
+
+    res.status(201).json({
+      success: true,
+      read: {
+        id: read.id,
+        direction: read.direction,
+        license_plate: read.license_plate,
+        status: read.status,
+        outcome: read.outcome,
+        ticket_number: read.ticket_number,
+      },
+    });
+  } catch (error) {
+    if (error instanceof AnprError) {
+      return res.status(400).json({ success: false, error: error.message });
+    }
+    console.error("ANPR read error:", error);
+    res.status(500).json({ success: false, error: "Failed to process read" });
+  }
+});
+
+// Unknown device paths end here rather than falling through to the
+// session-based API
+router.use((req, res) => {
+  res.status(404).json({ success: false, error: "Not found" });
+});
+
+// Bodies that are not JSON or are too large
+router.use((err, req, res, next) => {
+  res
+    .status(err.status || 400)
+    .json({ success: false, error: "Request body must be JSON under 3 MB" });
+});
+
+module.exports = router;
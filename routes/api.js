@@ -0,0 +1,296 @@
+const express = require("express");
+const { logAudit } = require("../utils/audit");
+const { requireAuth } = require("../middleware/auth");
+const { calculateTariff } = require("../utils/tariff");
+const {
+  SLOT_STATUSES,
+  listSlots,
+  getSlot,
+  setSlotStatus,
+  countSlotsByStatus,
+  listRates,
+} = require("../repositories/slots");
+const {
+  getTicket,
+  listTicketsBetween,
+  getTodayTicketCounts,
+  getDaySummary,
+} = require("../repositories/tickets");
+const {
+  getTodayRevenue,
+  listPaymentsBetween,
+} = require("../repositories/payments");
+const { searchVehicles } = require("../repositories/vehicles");
+const { searchDrivers } = require("../repositories/drivers");
+const { getOpenShift } = require("../repositories/shifts");
+const { listRecentActivity } = require("../repositories/audit-logs");
+
+const router = express.Router();
+
+// Apply authentication middleware to all API routes
+router.use(requireAuth);
+
+// Get parking slots status
+router.get("/slots/status", async (req, res) => {
+  try {
+    const slots = await listSlots();
+
+    res.json({ success: true, slots });
+  } catch (error) {
+    console.error("API slots status error:", error);
+    res
+      .status(500)
+      .json({ success: false, error: "Failed to fetch slots status" });
+  }
+});
+
+// Get dashboard statistics
+router.get("/dashboard/stats", async (req, res) => {
+  try {
+    const stats = {
+      ...(await countSlotsByStatus()),
+      ...(await getTodayTicketCounts()),
+    };
+
+    // Get today's revenue
+    const todayRevenue = await getTodayRevenue();
+
+    res.json({
+      success: true,
+      stats: { ...stats, today_revenue: todayRevenue },
+    });
+  } catch (error) {
+    console.error("API dashboard stats error:", error);
+    res
+      .status(500)
+      .json({ success: false, error: "Failed to fetch dashboard statistics" });
+  }
+});
+
+// Search vehicles by license plate
+router.get("/vehicles/search", async (req, res) => {
+  try {
+    const { q } = req.query;
+
+    if (!q || q.length < 2) {
+      return res.json({ success: true, vehicles: [] });
+    }
+
+    const vehicles = await searchVehicles(q, 10);
+
+    res.json({ success: true, vehicles });
+  } catch (error) {
+    console.error("API vehicle search error:", error);
+    res
+      .status(500)
+      .json({ success: false, error: "Failed to search vehicles" });
+  }
+});
+
+// Search drivers by name or phone
+router.get("/drivers/search", async (req, res) => {
+  try {
+    const { q } = req.query;
+
+    if (!q || q.length < 2) {
+      return res.json({ success: true, drivers: [] });
+    }
+
+    const drivers = await searchDrivers(q, 10);
+
+    res.json({ success: true, drivers });
+  } catch (error) {
+    console.error("API driver search error:", error);
+    res.status(500).json({ success: false, error: "Failed to search drivers" });
+  }
+});
+
+// Get ticket details for check-out
+router.get("/tickets/:id/checkout", async (req, res) => {
+  try {
+    const ticket = await getTicket(req.params.id);
+
+    if (!ticket) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Ticket not found" });
+    }
+
+    // Calculate duration and cost
+    const tariff = calculateTariff(ticket);
+
+    res.json({
+      success: true,
+      ticket: {
+        ...ticket,
+        duration_hours: tariff.durationHours.toFixed(2),
+        total_cost: tariff.total,
+        tariff_lines: tariff.lines,
+      },
+    });
+  } catch (error) {
+    console.error("API ticket checkout error:", error);
+    res
+      .status(500)
+      .json({ success: false, error: "Failed to fetch ticket details" });
+  }
+});
+
+// Get recent activities
+router.get("/activities/recent", async (req, res) => {
+  try {
+    const activities = await listRecentActivity(20);
+
+    res.json({ success: true, activities });
+  } catch (error) {
+    console.error("API recent activities error:", error);
+    res
+      .status(500)
+      .json({ success: false, error: "Failed to fetch recent activities" });
+  }
+});
+
+// Get shift summary
+router.get("/shift/summary", async (req, res) => {
+  try {
+    // Get current shift
+    const currentShift = await getOpenShift(req.session.user.id);
+
+    if (!currentShift) {
+      return res.json({ success: true, shift: null, summary: null });
+    }
+
+    // Get shift summary
+    const summary = await getDaySummary(
+      new Date().toISOString().split("T")[0],
+      req.session.user.id
+    );
+
+    res.json({ success: true, shift: currentShift, summary });
+  } catch (error) {
+    console.error("API shift summary error:", error);
+    res
+      .status(500)
+      .json({ success: false, error: "Failed to fetch shift summary" });
+  }
+});
+
+// Update slot status
+router.put("/slots/:id/status", async (req, res) => {
+  try {
+    const { status } = req.body;
+    const slotId = req.params.id;
+
+    if (!SLOT_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: "Invalid status" });
+    }
+
+    // Get old status for audit
+    const oldSlot = await getSlot(slotId);
+
+    if (!oldSlot) {
+      return res.status(404).json({ success: false, error: "Slot not found" });
+    }
+
+    // Update slot status
+    await setSlotStatus(slotId, status);
+
+    // Log the status change
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_SLOT_STATUS",
+      "parking_slots",
+      slotId,
+      JSON.stringify(oldSlot),
+      JSON.stringify({ status }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.json({
+      success: true,
+      message: "Slot status updated successfully",
+    });
+  } catch (error) {
+    console.error("API update slot status error:", error);
+    res
+      .status(500)
+      .json({ success: false, error: "Failed to update slot status" });
+  }
+});
+
+// Get parking rates
+router.get("/rates", async (req, res) => {
+  try {
+    const rates = await listRates();
+
+    res.json({ success: true, rates });
+  } catch (error) {
+    console.error("API rates error:", error);
+    res
+      .status(500)
+      .json({ success: false, error: "Failed to fetch parking rates" });
+  }
+});
+
+// Get daily summary
+router.get("/summary/daily", async (req, res) => {
+  try {
+    const { date } = req.query;
+    const targetDate = date || new Date().toISOString().split("T")[0];
+
+    const { total_collected, ...summary } = await getDaySummary(targetDate);
+
+    res.json({
+      success: true,
+      summary: { ...summary, total_revenue: total_collected },
+      date: targetDate,
+    });
+  } catch (error) {
+    console.error("API daily summary error:", error);
+    res
+      .status(500)
+      .json({ success: false, error: "Failed to fetch daily summary" });
+  }
+});
+
+// Export data to JSON
+router.get("/export/:type", async (req, res) => {
+  try {
+    const { type } = req.params;
+    const { start_date, end_date } = req.query;
+
+    if (!start_date || !end_date) {
+      return res
+        .status(400)
+        .json({
+          success: false,
+          error: "Start date and end date are required",
+        });
+    }
+
+    let data = null;
+
+    switch (type) {
+      case "tickets":
+        data = await listTicketsBetween(start_date, end_date);
+        break;
+
+      case "payments":
+        data = await listPaymentsBetween(start_date, end_date);
+        break;
+
+      default:
+        return res
+          .status(400)
+          .json({ success: false, error: "Invalid export type" });
+    }
+
+    res.json({ success: true, data, type, start_date, end_date });
+  } catch (error) {
+    console.error("API export error:", error);
+    res.status(500).json({ success: false, error: "Failed to export data" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,201 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const moment = require('moment');
+const {
+  getUser,
+  getActiveUserByUsername,
+  updatePassword,
+  recordFailedLogin,
+  clearFailedLogins
+} = require('../repositories/users');
+const { logAudit } = require('../utils/audit');
+const { getSetting } = require('../utils/settings');
+
+const router = express.Router();
+
+// Kiosks run unattended, so their sessions outlast the session timeout
+const KIOSK_SESSION_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+// How long an account stays locked after too many failed logins in a row
+const LOCKOUT_MINUTES = 15;
+
+// Login page
+router.get('/login', (req, res) => {
+  if (req.session.user) {
+    if (req.session.user.role === 'admin') {
+      res.redirect('/admin/dashboard');
+    } else if (req.session.user.role === 'kiosk') {
+      res.redirect('/kiosk');
+    } else {
+      res.redirect('/cashier/dashboard');
+    }
+  } else {
+    res.render('auth/login', { 
+      title: 'Login - Digital Parking System',
+      error: req.query.error || null
+    });
+  }
+});
+
+// Login process
+router.post('/login', async (req, res) => {
+  const { username, password } = req.body;
+  
+  if (!username || !password) {
+    return res.redirect('/auth/login?error=Please provide both username and password');
+  }
+
+  try {
+    const user = await getActiveUserByUsername(username);
+
+    if (!user) {
+      return res.redirect('/auth/login?error=Invalid username or password');
+    }
+
+    const lockedUntil = user.locked_until ? moment.utc(user.locked_until) : null;
+    if (lockedUntil && lockedUntil.isAfter(moment.utc())) {
+      const minutes = Math.ceil(lockedUntil.diff(moment.utc(), 'minutes', true));
+      return res.redirect(`/auth/login?error=${encodeURIComponent(
+        `Too many failed logins. Try again in ${minutes} minute${minutes === 1 ? '' : 's'} or ask an admin to unlock the account`
+      )}`);
+    }
+
+    const isValidPassword = await bcrypt.compare(password, user.password);
+    if (!isValidPassword) {
+      const locked = await recordFailedLogin(user.id, getSetting('max_login_attempts'), LOCKOUT_MINUTES);
+      if (locked) {
+        await logAudit(user.id, 'LOCK_ACCOUNT', 'users', user.id, null, null, req.ip, req.get('User-Agent'));
+        return res.redirect(`/auth/login?error=${encodeURIComponent(
+          `Too many failed logins. The account is locked for ${LOCKOUT_MINUTES} minutes`
+        )}`);
+      }
+      return res.redirect('/auth/login?error=Invalid username or password');
+    }
+
+    if (user.failed_login_attempts > 0 || user.locked_until) {
+      await clearFailedLogins(user.id);
+    }
+
+    // Set session
+    req.session.user = {
+      id: user.id,
+      username: user.username,
+      full_name: user.full_name,
+      role: user.role,
+      email: user.email
+    };
+
+    // Log successful login
+    await logAudit(user.id, 'LOGIN', 'users', user.id, null, null, req.ip, req.get('User-Agent'));
+
+    // Redirect based on role. A kiosk stays signed in until it is disabled.
+    if (user.role === 'admin') {
+      res.redirect('/admin/dashboard');
+    } else if (user.role === 'kiosk') {
+      req.session.cookie.maxAge = KIOSK_SESSION_MAX_AGE;
+      res.redirect('/kiosk');
+    } else {
+      res.redirect('/cashier/dashboard');
+    }
+  } catch (error) {
+    console.error('Login error:', error);
+    res.redirect('/auth/login?error=System error occurred');
+  }
+});
+
+// Logout
+router.get('/logout', async (req, res) => {
+  if (req.session.user) {
+    try {
+      // Log logout action
+      await logAudit(req.session.user.id, 'LOGOUT', 'users', req.session.user.id, null, null, req.ip, req.get('User-Agent'));
+    } catch (error) {
+      console.error('Error logging logout:', error);
+    }
+  }
+  
+  req.session.destroy((err) => {
+    if (err) {
+      console.error('Error destroying session:', err);
+    }
+    res.redirect('/auth/login');
+  });
+});
+
+// Change password page
+router.get('/change-password', (req, res) => {
+  if (!req.session.user) {
+    return res.redirect('/auth/login');
+  }
+  
+  res.render('auth/change-password', {
+    title: 'Change Password',
+    success: req.query.success || null,
+    error: req.query.error || null
+  });
+});
+
+// Change password process
+router.post('/change-password', async (req, res) => {
+  if (!req.session.user) {
+    return res.redirect('/auth/login');
+  }
+
+  const { current_password, new_password, confirm_password } = req.body;
+  
+  if (!current_password || !new_password || !confirm_password) {
+    return res.redirect('/auth/change-password?error=All fields are required');
+  }
+
+  if (new_password !== confirm_password) {
+    return res.redirect('/auth/change-password?error=New passwords do not match');
+  }
+
+  if (new_password.length < 6) {
+    return res.redirect('/auth/change-password?error=New password must be at least 6 characters');
+  }
+
+  try {
+    // Get current user with password
+    const user = await getUser(req.session.user.id);
+
+    if (!user) {
+      return res.redirect('/auth/change-password?error=User not found');
+    }
+
+    // Verify current password
+    const isValidPassword = await bcrypt.compare(current_password, user.password);
+    if (!isValidPassword) {
+      return res.redirect('/auth/change-password?error=Current password is incorrect');
+    }
+
+    // Hash new password
+    const hashedPassword = await bcrypt.hash(new_password, 10);
+
+    // Update password
+    try {
+      await updatePassword(req.session.user.id, hashedPassword);
+    } catch (error) {
+      console.error('Error updating password:', error);
+      return res.redirect('/auth/change-password?error=Failed to update password');
+    }
+
+    // Log password change
+    await logAudit(req.session.user.id, 'PASSWORD_CHANGE', 'users', req.session.user.id, null, null, req.ip, req.get('User-Agent'));
+
+    res.redirect('/auth/change-password?success=Password changed successfully');
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.redirect('/auth/change-password?error=System error occurred');
+  }
+});
+
+// Forgot password page (basic implementation)
+router.get('/forgot-password', (req, res) => {
+  res.render('auth/forgot-password', {
+    title: 'Forgot Password',
+    message: 'Please contact your system administrator to reset your password.'
+  });
+});
+
+module.exports = router;
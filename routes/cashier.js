@@ -0,0 +1,2540 @@
+const express = require("express");
+const { logAudit } = require("../utils/audit");
+const { requireAuth, requireCashier } = require("../middleware/auth");
+const {
+  calculateTariff,
+  getTariffBreakdown,
+  getExitWindow,
+  calculateOverstay,
+  applyLostTicketFee,
+  applyDiscount,
+} = require("../utils/tariff");
+const { getSetting, getCurrencySymbol } = require("../utils/settings");
+const {
+  ReservationError,
+  getReservation,
+  listReservations,
+  createReservation,
+  cancelReservation,
+  markCheckedIn,
+} = require("../utils/reservations");
+const { findActivePermit, applyPermit } = require("../utils/permits");
+const {
+  findWatchlistMatch,
+  describeWatchlistEntry,
+} = require("../utils/watchlist");
+const {
+  ENTRY_TYPES,
+  SETTLE_METHODS,
+  LedgerError,
+  getVehicleAccount,
+  chargeTicket,
+  settleBalance,
+} = require("../utils/ledger");
+const {
+  READ_STATUSES,
+  AnprError,
+  confirmRead,
+  dismissRead,
+  getReadImagePath,
+} = require("../utils/plate-recognition");
+const {
+  getRead,
+  listReads,
+  countReadsToReview,
+} = require("../repositories/anpr-reads");
+const {
+  EVENT_SOURCES,
+  GateError,
+  openLaneGate,
+  openGateManually,
+  describeGateFailure,
+} = require("../utils/gate-control");
+const {
+  listGates,
+  listGateLanes,
+  listGateEvents,
+} = require("../repositories/gates");
+const {
+  PRINT_DOCUMENTS,
+  JOB_STATUSES,
+  PrintError,
+  getCurrentWorkstation,
+  useWorkstation,
+  queuePrint,
+  reprintJob,
+  retryJob,
+} = require("../utils/printing");
+const { listWorkstations } = require("../repositories/workstations");
+const { issueNumber } = require("../utils/numbering");
+const {
+  TicketCodeError,
+  signTicketNumber,
+  findTicketByCode,
+} = require("../utils/ticket-codes");
+const { listPrintJobs } = require("../repositories/print-jobs");
+const {
+  DiscountError,
+  findUsableDiscount,
+  redeemDiscount,
+} = require("../utils/discounts");
+const {
+  REASON_CODES,
+  AdjustmentError,
+  listAdjustments,
+  requestAdjustment,
+} = require("../utils/ticket-adjustments");
+const {
+  TenderError,
+  parseTenders,
+  recordTenders,
+  getTicketTenders,
+  getCollectionsByMethod,
+  getShiftCollectionsByMethod,
+} = require("../utils/tenders");
+const { ConflictError, withTransaction } = require("../utils/db");
+const {
+  listAvailableSlots,
+  listBookableSlots,
+  getSlot,
+  claimSlot,
+  releaseSlot,
+  countSlotsByStatus,
+} = require("../repositories/slots");
+const {
+  getTicket,
+  searchTickets,
+  listOpenTickets,
+  listPendingTickets,
+  listRecentTickets,
+  createTicket,
+  checkOutTicket,
+  payTicket,
+  checkOutUnpaid,
+  recordExit,
+  getDaySummary,
+} = require("../repositories/tickets");
+const {
+  createPayment,
+  findTicketPayment,
+  getReceipt,
+  getCollectedToday,
+} = require("../repositories/payments");
+const { normalizePlate, saveVehicle } = require("../repositories/vehicles");
+const { saveDriver } = require("../repositories/drivers");
+const {
+  DirectoryError,
+  getVehiclePage,
+  getDriverPage,
+  getVehicleProfile,
+  getDriverProfile,
+  editVehicle,
+  editDriver,
+} = require("../utils/directory");
+const {
+  getOpenShift,
+  getShift,
+  getLastClosedShift,
+  openShift,
+  closeShift,
+} = require("../repositories/shifts");
+const {
+  renderTicketPdf,
+  renderReceiptPdf,
+  renderShiftPdf,
+} = require("../utils/pdf-documents");
+const moment = require("moment");
+
+const router = express.Router();
+
+// Settle the vehicle's outstanding balance when the check-out form asks for
+// it. Call it inside the check-out transaction.
+async function settleIfRequested(req, ticket) {
+  if (!req.body.settle_balance) return null;
+
+  return settleBalance(
+    ticket.vehicle_id,
+    {
+      payment_method: req.body.settle_method,
+      reference_number: req.body.settle_reference,
+    },
+    req.session.user.id
+  );
+}
+
+async function logSettlement(req, vehicleId, settlement) {
+  await logAudit(
+    req.session.user.id,
+    "SETTLE_BALANCE",
+    "vehicles",
+    vehicleId,
+    null,
+    JSON.stringify({
+      amount: settlement.total,
+      tickets: settlement.tickets,
+      payment_method: req.body.settle_method || req.body.payment_method,
+    }),
+    req.ip,
+    req.get("User-Agent")
+  );
+}
+
+// Open the gate of the lane the cashier works at once a vehicle may pass.
+// Returns a warning for the redirect when the gate did not open.
+async function openGateFor(req, direction, ticketId) {
+  try {
+    const result = await openLaneGate(req.session.lane, direction, {
+      source: direction === "entry" ? "check_in" : "check_out",
+      ticketId,
+      userId: req.session.user.id,
+    });
+    return describeGateFailure(result);
+  } catch (error) {
+    console.error("Gate open error:", error);
+    return "The gate could not be opened. Open it under Gates.";
+  }
+}
+
+// Send a ticket or receipt to the printer of this workstation, if it has
+// one. Returns a warning for the redirect when it could not be queued.
+async function printFor(req, document, ticketId) {
+  try {
+    await queuePrint(
+      document,
+      ticketId,
+      await getCurrentWorkstation(req),
+      req.session.user.id
+    );
+    return null;
+  } catch (error) {
+    console.error("Print error:", error);
+    return `The ${document} was not sent to the printer. Print it again from this page.`;
+  }
+}
+
+async function logReprint(req, job) {
+  await logAudit(
+    req.session.user.id,
+    "REPRINT",
+    "print_jobs",
+    job.id,
+    null,
+    JSON.stringify({
+      document: job.document,
+      ticket_id: job.ticket_id,
+      reprint_of: job.reprint_of,
+      workstation: job.workstation_name,
+    }),
+    req.ip,
+    req.get("User-Agent")
+  );
+}
+
+function sendPdf(res, filename, pdf) {
+  res.set({
+    "Content-Type": "application/pdf",
+    "Content-Disposition": `attachment; filename="${filename}.pdf"`,
+  });
+  res.send(pdf);
+}
+
+function warningParam(warnings) {
+  const text = warnings.filter(Boolean).join(" ");
+  return text ? `&warning=${encodeURIComponent(text)}` : "";
+}
+
+// Apply authentication middleware to all cashier routes
+router.use(requireAuth);
+router.use(requireCashier);
+
+// Cashier dashboard
+router.get("/dashboard", async (req, res) => {
+  try {
+    // Check if user is authenticated
+    if (!req.session.user) {
+      return res.redirect("/auth/login");
+    }
+
+    // Check if user is a cashier
+    if (req.session.user.role !== "cashier") {
+      return res.status(403).render("error", {
+        title: "Access Denied",
+        error: {},
+        message:
+          "You do not have permission to access this page. Cashier access required.",
+      });
+    }
+
+    // Get current shift with default null
+    let currentShift = null;
+    let lastShift = null;
+    try {
+      currentShift = (await getOpenShift(req.session.user.id)) || null;
+      lastShift = currentShift
+        ? null
+        : (await getLastClosedShift(req.session.user.id)) || null;
+    } catch (shiftError) {
+      console.error("Shift fetch error:", shiftError);
+      currentShift = null;
+    }
+
+    // Get recent tickets for this cashier with default empty array
+    let recentTickets = [];
+    try {
+      recentTickets = await listRecentTickets(req.session.user.id, 10);
+    } catch (ticketsError) {
+      console.error("Recent tickets fetch error:", ticketsError);
+      recentTickets = [];
+    }
+
+    // Get available slots with default empty array
+    let availableSlots = [];
+    try {
+      availableSlots = await listAvailableSlots();
+    } catch (slotsError) {
+      console.error("Available slots fetch error:", slotsError);
+      availableSlots = [];
+    }
+
+    // Get pending payments with default empty array
+    let pendingPayments = [];
+    try {
+      pendingPayments = await listPendingTickets();
+    } catch (paymentsError) {
+      console.error("Pending payments fetch error:", paymentsError);
+      pendingPayments = [];
+    }
+
+    // Calculate dashboard stats
+    const stats = {
+      vacant_slots: availableSlots.length,
+      occupied_slots: 0,
+      today_tickets: recentTickets.length,
+      today_pending: pendingPayments.length,
+    };
+
+    // Get occupied slots count
+    try {
+      stats.occupied_slots = (await countSlotsByStatus()).occupied_slots;
+    } catch (countError) {
+      console.error("Occupied slots count error:", countError);
+      stats.occupied_slots = 0;
+    }
+
+    // Camera reads waiting for a cashier
+    let readsToReview = 0;
+    try {
+      readsToReview = await countReadsToReview();
+    } catch (readsError) {
+      console.error("Plate reads count error:", readsError);
+    }
+
+    res.render("cashier/dashboard", {
+      title: "Cashier Dashboard",
+      currentShift,
+      lastShift,
+      recentTickets,
+      availableSlots,
+      pendingPayments,
+      stats,
+      readsToReview,
+      moment: moment,
+      user: req.session.user,
+    });
+  } catch (error) {
+    console.error("Dashboard error:", error);
+    // Provide default values if there's an error
+    res.render("cashier/dashboard", {
+      title: "Cashier Dashboard",
+      currentShift: null,
+      lastShift: null,
+      recentTickets: [],
+      availableSlots: [],
+      pendingPayments: [],
+      stats: {
+        vacant_slots: 0,
+        occupied_slots: 0,
+        today_tickets: 0,
+        today_pending: 0,
+      },
+      readsToReview: 0,
+      moment: moment,
+      user: req.session.user,
+    });
+  }
+});
+
+// Check-in page
+router.get("/check-in", async (req, res) => {
+  try {
+    const availableSlots = await listAvailableSlots();
+
+    // Arriving customer with a reservation: check in to the reserved slot
+    let reservation = null;
+    if (req.query.reservation) {
+      reservation = await getReservation(req.query.reservation);
+
+      if (!reservation || reservation.status !== "booked") {
+        return res.redirect(
+          "/cashier/reservations?error=Reservation is not available for check-in"
+        );
+      }
+    }
+
+    res.render("cashier/check-in", {
+      title: "Vehicle Check-In",
+      availableSlots,
+      reservation,
+      user: req.session.user,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Check-in page error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load check-in page",
+    });
+  }
+});
+
+// Check-in process
+router.post("/check-in", async (req, res) => {
+  const {
+    slot_id,
+    license_plate,
+    make,
+    model,
+    color,
+    year,
+    owner_name,
+    owner_phone,
+    owner_email,
+    driver_name,
+    driver_phone,
+    driver_email,
+    id_number,
+    license_number,
+    address,
+  } = req.body;
+
+  if (!slot_id || !normalizePlate(license_plate) || !driver_name) {
+    return res.redirect("/cashier/check-in?error=Required fields are missing");
+  }
+
+  try {
+    // Watchlisted plates are refused or let in with a warning; either way
+    // the hit is logged against the entry
+    const watch = await findWatchlistMatch(license_plate);
+    const logWatchlistHit = (action, ticketId) =>
+      logAudit(
+        req.session.user.id,
+        action,
+        "watchlist",
+        watch.id,
+        null,
+        JSON.stringify({
+          license_plate: normalizePlate(license_plate),
+          slot_id,
+          ticket_id: ticketId,
+          reason: watch.reason,
+        }),
+        req.ip,
+        req.get("User-Agent")
+      );
+
+    if (watch && watch.severity === "block") {
+      await logWatchlistHit("WATCHLIST_BLOCKED", null);
+      return res.redirect(
+        `/cashier/check-in?error=${encodeURIComponent(
+          `Check-in refused. ${describeWatchlistEntry(watch)}`
+        )}`
+      );
+    }
+
+    // A reservation may only be checked in to its own slot
+    let reservation = null;
+    if (req.body.reservation_id) {
+      reservation = await getReservation(req.body.reservation_id);
+
+      if (
+        !reservation ||
+        reservation.status !== "booked" ||
+        String(reservation.slot_id) !== String(slot_id)
+      ) {
+        return res.redirect(
+          "/cashier/reservations?error=Reservation is not available for check-in"
+        );
+      }
+    }
+
+    // Claim the slot, register the vehicle and driver and open the ticket
+    // together, so a failed step leaves no occupied slot without a ticket
+    const ticketId = await withTransaction(async () => {
+      // Only one check-in can claim a vacant slot (or the slot held for this reservation)
+      if (!(await claimSlot(slot_id, Boolean(reservation)))) {
+        throw new ConflictError("Selected slot is no longer available");
+      }
+
+      const vehicleId = await saveVehicle({
+        license_plate,
+        make,
+        model,
+        color,
+        year,
+        owner_name,
+        owner_phone,
+        owner_email,
+      });
+
+      const driverId = await saveDriver({
+        full_name: driver_name,
+        phone: driver_phone,
+        email: driver_email,
+        id_number,
+        license_number,
+        address,
+      });
+
+      const ticketId = await createTicket({
+        ticket_number: await issueNumber("ticket"),
+        slot_id,
+        vehicle_id: vehicleId,
+        driver_id: driverId,
+        cashier_id: req.session.user.id,
+      });
+
+      if (reservation) {
+        await markCheckedIn(reservation.id, ticketId);
+      }
+
+      return ticketId;
+    });
+
+    // Log the check-in
+    await logAudit(
+      req.session.user.id,
+      "CHECK_IN",
+      "parking_tickets",
+      ticketId,
+      null,
+      JSON.stringify(req.body),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    if (reservation) {
+      await logAudit(
+        req.session.user.id,
+        "RESERVATION_CHECK_IN",
+        "reservations",
+        reservation.id,
+        JSON.stringify({ status: reservation.status }),
+        JSON.stringify({
+          status: "checked_in",
+          ticket_id: ticketId,
+        }),
+        req.ip,
+        req.get("User-Agent")
+      );
+    }
+
+    const warnings = [];
+    if (watch) {
+      await logWatchlistHit("WATCHLIST_WARNING", ticketId);
+      warnings.push(describeWatchlistEntry(watch));
+    }
+    warnings.push(await openGateFor(req, "entry", ticketId));
+    warnings.push(await printFor(req, "ticket", ticketId));
+
+    res.redirect(
+      `/cashier/ticket/${ticketId}?success=Vehicle checked in successfully${warningParam(
+        warnings
+      )}`
+    );
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.redirect(
+        `/cashier/check-in?error=${encodeURIComponent(error.message)}`
+      );
+    }
+    console.error("Check-in error:", error);
+    res.redirect("/cashier/check-in?error=System error occurred");
+  }
+});
+
+// Ticket as a PDF
+router.get("/ticket/:id.pdf", async (req, res) => {
+  try {
+    const ticket = await getTicket(req.params.id);
+
+    if (!ticket) {
+      return res.status(404).render("error", {
+        title: "Ticket Not Found",
+        error: {},
+        message: "The requested parking ticket does not exist.",
+      });
+    }
+
+    sendPdf(res, `ticket-${ticket.ticket_number}`, renderTicketPdf(ticket));
+  } catch (error) {
+    console.error("Ticket PDF error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to create ticket PDF",
+    });
+  }
+});
+
+// View ticket details
+router.get("/ticket/:id", async (req, res) => {
+  try {
+    const ticket = await getTicket(req.params.id);
+
+    if (!ticket) {
+      return res.status(404).render("error", {
+        title: "Ticket Not Found",
+        error: {},
+        message: "The requested parking ticket does not exist.",
+      });
+    }
+
+    // Calculate duration and estimated cost
+    const tariff = calculateTariff(ticket);
+
+    res.render("cashier/ticket", {
+      title: "Parking Ticket",
+      ticket,
+      durationHours: tariff.durationHours.toFixed(2),
+      estimatedCost: tariff.total,
+      tariff,
+      exitWindow: getExitWindow(ticket),
+      account: await getVehicleAccount(ticket.vehicle_id),
+      settleMethods: SETTLE_METHODS,
+      ticketCode: signTicketNumber(ticket.ticket_number),
+      user: req.session.user,
+      success: req.query.success,
+      warning: req.query.warning,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Ticket view error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load ticket details",
+    });
+  }
+});
+
+// Send the ticket to this workstation's printer
+router.post("/ticket/:id/print", async (req, res) => {
+  const ticketId = req.params.id;
+
+  try {
+    const ticket = await getTicket(ticketId);
+
+    if (!ticket) {
+      return res.redirect("/cashier/dashboard?error=Ticket not found");
+    }
+
+    const job = await queuePrint(
+      "ticket",
+      ticket.id,
+      await getCurrentWorkstation(req),
+      req.session.user.id
+    );
+    if (!job) {
+      return res.redirect(
+        `/cashier/ticket/${ticketId}?error=${encodeURIComponent(
+          "This workstation has no printer. Choose one under Printing."
+        )}`
+      );
+    }
+
+    if (job.reprint_of) {
+      await logReprint(req, job);
+    }
+
+    res.redirect(`/cashier/ticket/${ticketId}?success=Ticket sent to the printer`);
+  } catch (error) {
+    console.error("Print ticket error:", error);
+    res.redirect(`/cashier/ticket/${ticketId}?error=Failed to print ticket`);
+  }
+});
+
+// Void/correct ticket page
+router.get("/ticket/:id/adjust", async (req, res) => {
+  try {
+    const ticket = await getTicket(req.params.id);
+
+    if (!ticket) {
+      return res.status(404).render("error", {
+        title: "Ticket Not Found",
+        error: {},
+        message: "The requested parking ticket does not exist.",
+      });
+    }
+
+    const vacantSlots = await listAvailableSlots();
+
+    res.render("cashier/ticket-adjust", {
+      title: "Void or Correct Ticket",
+      ticket,
+      vacantSlots,
+      reasonCodes: REASON_CODES,
+      adjustments: await listAdjustments({ ticketId: ticket.id }),
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Ticket adjust page error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load ticket",
+    });
+  }
+});
+
+// Request a ticket void or correction for admin approval
+router.post("/ticket/:id/adjust", async (req, res) => {
+  const ticketId = req.params.id;
+
+  try {
+    const adjustment = await requestAdjustment(
+      ticketId,
+      req.body,
+      req.session.user.id
+    );
+
+    await logAudit(
+      req.session.user.id,
+      "REQUEST_TICKET_ADJUSTMENT",
+      "ticket_adjustments",
+      adjustment.id,
+      null,
+      JSON.stringify({
+        ticket_id: adjustment.ticket_id,
+        action: adjustment.action,
+        reason_code: adjustment.reason_code,
+        reason_note: adjustment.reason_note,
+        changes: adjustment.changes,
+      }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/cashier/ticket/${ticketId}/adjust?success=Request sent to an administrator for approval`
+    );
+  } catch (error) {
+    console.error("Ticket adjust request error:", error);
+    const message =
+      error instanceof AdjustmentError
+        ? error.message
+        : "Failed to submit request";
+    res.redirect(
+      `/cashier/ticket/${ticketId}/adjust?error=${encodeURIComponent(message)}`
+    );
+  }
+});
+
+// Check-out page - list all pending tickets
+router.get("/check-out", async (req, res) => {
+  try {
+    const searchQuery = req.query.search;
+
+    let pendingTickets = [];
+    let searchResults = [];
+
+    if (searchQuery && searchQuery.trim()) {
+      // Search for tickets by ticket number or license plate
+      console.log(`[DEBUG] Searching for: "${searchQuery}"`);
+
+      searchResults = await searchTickets(searchQuery, 10);
+
+      console.log(`[DEBUG] Search results found: ${searchResults.length}`);
+    }
+
+    // Get pending tickets for this cashier (only if no search or search returned no results)
+    if (!searchQuery || searchResults.length === 0) {
+      pendingTickets = await listOpenTickets();
+    }
+
+    // Attach the current tariff, exit window and any covering permit to each ticket
+    const withTariff = async (ticket) => {
+      if (ticket.payment_status !== "pending") {
+        return {
+          ...ticket,
+          tariff: getTariffBreakdown(ticket),
+          exitWindow: getExitWindow(ticket),
+        };
+      }
+
+      const permit = await findActivePermit(ticket.license_plate, ticket);
+      const tariff = calculateTariff(ticket);
+      return {
+        ...ticket,
+        tariff: permit ? applyPermit(tariff, permit) : tariff,
+        exitWindow: null,
+        permit,
+      };
+    };
+    pendingTickets = await Promise.all(pendingTickets.map(withTariff));
+    searchResults = await Promise.all(searchResults.map(withTariff));
+
+    res.render("cashier/check-out", {
+      title: "Vehicle Check-Out",
+      pendingTickets,
+      searchResults,
+      searchQuery,
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Check-out page error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load check-out page",
+    });
+  }
+});
+
+// Scanned ticket code - straight to the ticket's check-out
+router.post("/scan", async (req, res) => {
+  const code = String(req.body.code || "").trim();
+
+  try {
+    const ticket = await findTicketByCode(code);
+    res.redirect(`/cashier/check-out/${ticket.id}`);
+  } catch (error) {
+    if (!(error instanceof TicketCodeError)) {
+      console.error("Ticket scan error:", error);
+      return res.redirect(
+        "/cashier/check-out?error=Failed to look up the ticket code"
+      );
+    }
+
+    // Forged, tampered and misread codes are all kept for review
+    await logAudit(
+      req.session.user.id,
+      "REJECT_TICKET_CODE",
+      "parking_tickets",
+      null,
+      null,
+      JSON.stringify({ code: code.slice(0, 100), reason: error.message }),
+      req.ip,
+      req.get("User-Agent")
+    );
+    res.redirect(
+      `/cashier/check-out?error=${encodeURIComponent(error.message)}`
+    );
+  }
+});
+
+// Check-out page - individual ticket
+router.get("/check-out/:id", async (req, res) => {
+  try {
+    const ticket = await getTicket(req.params.id);
+
+    if (!ticket) {
+      return res.status(404).render("error", {
+        title: "Ticket Not Found",
+        error: {},
+        message: "The requested parking ticket does not exist.",
+      });
+    }
+
+    const exitWindow = getExitWindow(ticket);
+
+    if (ticket.payment_status === "paid" && !exitWindow) {
+      return res.redirect("/cashier/dashboard?error=Ticket is already paid");
+    }
+
+    if (ticket.check_out_time) {
+      return res.redirect(
+        "/cashier/dashboard?error=Vehicle has already checked out"
+      );
+    }
+
+    // Calculate duration and cost. A ticket paid before exit costs nothing more
+    // while its exit window is open; after that the overstay is due. Vehicles
+    // with a valid permit leave at no cost.
+    const permit = exitWindow
+      ? null
+      : await findActivePermit(ticket.license_plate, ticket);
+    let tariff;
+    let totalCost;
+    if (permit) {
+      tariff = applyPermit(calculateTariff(ticket), permit);
+      totalCost = 0;
+    } else if (!exitWindow) {
+      tariff = calculateTariff(ticket);
+      totalCost = tariff.total;
+    } else if (exitWindow.isOpen) {
+      tariff = getTariffBreakdown(ticket);
+      totalCost = 0;
+    } else {
+      tariff = calculateOverstay(ticket);
+      totalCost = tariff.amountDue;
+    }
+
+    // A discount code is checked and previewed before the payment is taken
+    const discountCode = (req.query.code || "").trim();
+    let discountError;
+    if (discountCode && !permit && !exitWindow) {
+      try {
+        tariff = applyDiscount(
+          tariff,
+          await findUsableDiscount(discountCode, ticket),
+          ticket
+        );
+        totalCost = tariff.total;
+      } catch (error) {
+        if (!(error instanceof DiscountError)) throw error;
+        discountError = error.message;
+      }
+    }
+
+    res.render("cashier/check-out-ticket", {
+      title: "Vehicle Check-Out",
+      ticket,
+      durationHours: tariff.durationHours.toFixed(2),
+      totalCost,
+      tariff,
+      exitWindow,
+      exitWindowMinutes: getSetting("exit_window_minutes"),
+      permit,
+      discountCode,
+      account: await getVehicleAccount(ticket.vehicle_id),
+      settleMethods: SETTLE_METHODS,
+      user: req.session.user,
+      error: req.query.error || discountError,
+    });
+  } catch (error) {
+    console.error("Check-out page error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load check-out page",
+    });
+  }
+});
+
+// Check-out process
+router.post("/check-out/:id", async (req, res) => {
+  const { payment_method, reference_number, notes, discount_code } = req.body;
+  const ticketId = req.params.id;
+
+  try {
+    // Get ticket details
+    const ticket = await getTicket(ticketId);
+
+    if (!ticket) {
+      return res.redirect("/cashier/dashboard?error=Ticket not found");
+    }
+
+    const exitWindow = getExitWindow(ticket);
+
+    if (ticket.payment_status === "paid" && !exitWindow) {
+      return res.redirect("/cashier/dashboard?error=Ticket is already paid");
+    }
+
+    // Paid before exit and leaving within the exit window: no further charge
+    if (exitWindow && exitWindow.isOpen) {
+      const settlement = await withTransaction(async () => {
+        if (!(await recordExit(ticketId))) {
+          throw new ConflictError("Ticket has already been checked out");
+        }
+
+        await releaseSlot(ticket.slot_id);
+
+        return settleIfRequested(req, ticket);
+      });
+
+      await logAudit(
+        req.session.user.id,
+        "CHECK_OUT",
+        "parking_tickets",
+        ticketId,
+        null,
+        JSON.stringify({
+          exit_window: true,
+          exit_deadline: ticket.exit_deadline,
+        }),
+        req.ip,
+        req.get("User-Agent")
+      );
+
+      if (settlement) {
+        await logSettlement(req, ticket.vehicle_id, settlement);
+      }
+
+      const gateWarning = await openGateFor(req, "exit", ticketId);
+      return res.redirect(
+        `/cashier/receipt/${ticketId}?success=Vehicle exited within the exit window${warningParam(
+          [gateWarning]
+        )}`
+      );
+    }
+
+    // Calculate final cost; after the exit window only the overstay is due,
+    // and a valid permit closes the ticket at no cost
+    const permit = exitWindow
+      ? null
+      : await findActivePermit(ticket.license_plate, ticket);
+    let tariff;
+    if (permit) {
+      tariff = applyPermit(calculateTariff(ticket), permit);
+    } else {
+      tariff = exitWindow ? calculateOverstay(ticket) : calculateTariff(ticket);
+    }
+
+    let discount = null;
+    if (discount_code && !permit && !exitWindow) {
+      try {
+        discount = await findUsableDiscount(discount_code, ticket);
+      } catch (error) {
+        if (!(error instanceof DiscountError)) throw error;
+        return res.redirect(
+          `/cashier/check-out/${ticketId}?error=${encodeURIComponent(error.message)}`
+        );
+      }
+      tariff = applyDiscount(tariff, discount, ticket);
+    }
+    const durationHours = tariff.durationHours;
+    const totalAmount = tariff.total;
+    const totalCost = exitWindow ? tariff.amountDue : tariff.total;
+
+    // Stays within the grace period are free and need no tenders
+    let payment = {
+      tenders: [],
+      paymentMethod: payment_method || "cash",
+      referenceNumber: reference_number,
+    };
+    if (permit) {
+      payment = {
+        tenders: [],
+        paymentMethod: "permit",
+        referenceNumber: permit.permit_number,
+      };
+    } else if (totalCost > 0) {
+      try {
+        payment = parseTenders(req.body, totalCost);
+      } catch (error) {
+        if (!(error instanceof TenderError)) throw error;
+        return res.redirect(
+          `/cashier/check-out/${ticketId}?error=${encodeURIComponent(error.message)}`
+        );
+      }
+    }
+    // Close the ticket, record the payment, redeem the discount, free the
+    // slot and settle any balance together; if any step fails none of them
+    // is kept
+    const settlement = await withTransaction(async () => {
+      const closed = await checkOutTicket(
+        ticketId,
+        tariff,
+        ticket.payment_status
+      );
+
+      if (!closed) {
+        throw new ConflictError(
+          "Ticket was checked out or paid by another cashier"
+        );
+      }
+
+      const paymentId = await createPayment({
+        ticket_id: ticketId,
+        amount: totalCost,
+        payment_method: payment.paymentMethod,
+        reference_number: payment.referenceNumber,
+        cashier_id: req.session.user.id,
+        receipt_number: await issueNumber("receipt"),
+        notes,
+      });
+
+      await recordTenders(paymentId, payment.tenders);
+
+      if (discount) {
+        await redeemDiscount(
+          discount,
+          ticketId,
+          tariff.discount.amount,
+          req.session.user.id
+        );
+      }
+
+      await releaseSlot(ticket.slot_id);
+
+      return settleIfRequested(req, ticket);
+    });
+
+    // Log the check-out
+    await logAudit(
+      req.session.user.id,
+      "CHECK_OUT",
+      "parking_tickets",
+      ticketId,
+      null,
+      JSON.stringify({
+        ...req.body,
+        permit_number: permit ? permit.permit_number : undefined,
+        discount: tariff.discount,
+      }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    if (settlement) {
+      await logSettlement(req, ticket.vehicle_id, settlement);
+    }
+
+    const gateWarning = await openGateFor(req, "exit", ticketId);
+    const printWarning = await printFor(req, "receipt", ticketId);
+    res.redirect(
+      `/cashier/receipt/${ticketId}?success=Vehicle checked out successfully${warningParam(
+        [gateWarning, printWarning]
+      )}`
+    );
+  } catch (error) {
+    if (
+      error instanceof ConflictError ||
+      error instanceof DiscountError ||
+      error instanceof LedgerError
+    ) {
+      return res.redirect(
+        `/cashier/check-out/${ticketId}?error=${encodeURIComponent(error.message)}`
+      );
+    }
+    console.error("Check-out error:", error);
+    res.redirect(`/cashier/check-out/${ticketId}?error=System error occurred`);
+  }
+});
+
+// Let a vehicle leave without paying; the amount due is charged to its account
+router.post("/check-out/:id/unpaid", async (req, res) => {
+  const ticketId = req.params.id;
+  const notes = (req.body.notes || "").trim();
+
+  try {
+    const ticket = await getTicket(ticketId);
+
+    if (!ticket) {
+      return res.redirect("/cashier/dashboard?error=Ticket not found");
+    }
+
+    if (ticket.payment_status !== "pending" || ticket.check_out_time) {
+      return res.redirect(
+        "/cashier/dashboard?error=Only an unpaid vehicle still parked can leave unpaid"
+      );
+    }
+
+    if (!notes) {
+      return res.redirect(
+        `/cashier/check-out/${ticketId}?error=${encodeURIComponent(
+          "Note why the vehicle is leaving without paying"
+        )}`
+      );
+    }
+
+    if (await findActivePermit(ticket.license_plate, ticket)) {
+      return res.redirect(
+        `/cashier/check-out/${ticketId}?error=Vehicle has a valid permit - check it out instead`
+      );
+    }
+
+    const tariff = calculateTariff(ticket);
+    if (tariff.total <= 0) {
+      return res.redirect(
+        `/cashier/check-out/${ticketId}?error=Nothing is due - check the vehicle out instead`
+      );
+    }
+
+    await withTransaction(async () => {
+      if (!(await checkOutUnpaid(ticketId, tariff))) {
+        throw new ConflictError(
+          "Ticket was checked out or paid by another cashier"
+        );
+      }
+
+      await chargeTicket(ticket, tariff.total, notes, req.session.user.id);
+      await releaseSlot(ticket.slot_id);
+    });
+
+    await logAudit(
+      req.session.user.id,
+      "CHECK_OUT_UNPAID",
+      "parking_tickets",
+      ticketId,
+      null,
+      JSON.stringify({ amount: tariff.total, notes }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    const charged = `${getCurrencySymbol()}${tariff.total.toFixed(2)}`;
+    res.redirect(
+      `/cashier/ticket/${ticketId}?success=${encodeURIComponent(
+        `Vehicle left without paying; ${charged} charged to ${ticket.license_plate}`
+      )}`
+    );
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.redirect(
+        `/cashier/check-out/${ticketId}?error=${encodeURIComponent(error.message)}`
+      );
+    }
+    console.error("Unpaid check-out error:", error);
+    res.redirect(`/cashier/check-out/${ticketId}?error=System error occurred`);
+  }
+});
+
+// Pay before exit - the vehicle keeps its slot until it leaves within the exit window
+router.post("/pay/:id", async (req, res) => {
+  const { payment_method, reference_number, notes, discount_code } = req.body;
+  const ticketId = req.params.id;
+
+  try {
+    const ticket = await getTicket(ticketId);
+
+    if (!ticket) {
+      return res.redirect("/cashier/dashboard?error=Ticket not found");
+    }
+
+    if (ticket.payment_status !== "pending") {
+      return res.redirect("/cashier/dashboard?error=Ticket is already paid");
+    }
+
+    if (ticket.check_out_time) {
+      return res.redirect(
+        "/cashier/dashboard?error=Vehicle has already checked out"
+      );
+    }
+
+    if (await findActivePermit(ticket.license_plate, ticket)) {
+      return res.redirect(
+        `/cashier/check-out/${ticketId}?error=Vehicle has a valid permit - check it out instead`
+      );
+    }
+
+    let tariff = calculateTariff(ticket);
+    let discount = null;
+
+    if (discount_code) {
+      try {
+        discount = await findUsableDiscount(discount_code, ticket);
+      } catch (error) {
+        if (!(error instanceof DiscountError)) throw error;
+        return res.redirect(
+          `/cashier/check-out/${ticketId}?error=${encodeURIComponent(error.message)}`
+        );
+      }
+      tariff = applyDiscount(tariff, discount, ticket);
+    }
+
+    let payment = {
+      tenders: [],
+      paymentMethod: payment_method || "cash",
+      referenceNumber: reference_number,
+    };
+    if (tariff.total > 0) {
+      try {
+        payment = parseTenders(req.body, tariff.total);
+      } catch (error) {
+        if (!(error instanceof TenderError)) throw error;
+        return res.redirect(
+          `/cashier/check-out/${ticketId}?error=${encodeURIComponent(error.message)}`
+        );
+      }
+    }
+
+    const exitWindowMinutes = getSetting("exit_window_minutes");
+
+    const settlement = await withTransaction(async () => {
+      if (!(await payTicket(ticketId, tariff, exitWindowMinutes))) {
+        throw new ConflictError("Ticket was paid by another cashier");
+      }
+
+      const paymentId = await createPayment({
+        ticket_id: ticketId,
+        amount: tariff.total,
+        payment_method: payment.paymentMethod,
+        reference_number: payment.referenceNumber,
+        cashier_id: req.session.user.id,
+        receipt_number: await issueNumber("receipt"),
+        notes,
+      });
+
+      await recordTenders(paymentId, payment.tenders);
+
+      if (discount) {
+        await redeemDiscount(
+          discount,
+          ticketId,
+          tariff.discount.amount,
+          req.session.user.id
+        );
+      }
+
+      return settleIfRequested(req, ticket);
+    });
+
+    await logAudit(
+      req.session.user.id,
+      "PAY_BEFORE_EXIT",
+      "parking_tickets",
+      ticketId,
+      null,
+      JSON.stringify({
+        ...req.body,
+        exit_window_minutes: exitWindowMinutes,
+        discount: tariff.discount,
+      }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    if (settlement) {
+      await logSettlement(req, ticket.vehicle_id, settlement);
+    }
+
+    const printWarning = await printFor(req, "receipt", ticketId);
+    res.redirect(
+      `/cashier/receipt/${ticketId}?success=Payment received. The vehicle has ${exitWindowMinutes} minutes to exit${warningParam(
+        [printWarning]
+      )}`
+    );
+  } catch (error) {
+    if (
+      error instanceof ConflictError ||
+      error instanceof DiscountError ||
+      error instanceof LedgerError
+    ) {
+      return res.redirect(
+        `/cashier/check-out/${ticketId}?error=${encodeURIComponent(error.message)}`
+      );
+    }
+    console.error("Pay before exit error:", error);
+    res.redirect(`/cashier/check-out/${ticketId}?error=System error occurred`);
+  }
+});
+
+// Camera reads waiting for review, with the latest reads for context
+router.get("/plate-reads", async (req, res) => {
+  try {
+    const [reviewReads, recentReads] = await Promise.all([
+      listReads({ status: "review", limit: 200 }),
+      listReads({ limit: 20 }),
+    ]);
+
+    res.render("cashier/plate-reads", {
+      title: "Plate Reads",
+      reviewReads,
+      recentReads,
+      readStatuses: READ_STATUSES,
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Plate reads error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load plate reads",
+    });
+  }
+});
+
+// Image a camera sent with a read
+router.get("/plate-reads/:id/image", async (req, res) => {
+  try {
+    const imagePath = getReadImagePath(await getRead(req.params.id));
+
+    if (!imagePath) {
+      return res.status(404).render("error", {
+        title: "Image Not Found",
+        error: {},
+        message: "No image was kept for this plate read.",
+      });
+    }
+
+    res.sendFile(imagePath);
+  } catch (error) {
+    console.error("Plate read image error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load the image",
+    });
+  }
+});
+
+// Confirm a read, correcting the plate if the camera got it wrong
+router.post("/plate-reads/:id/confirm", async (req, res) => {
+  try {
+    const { previous, read } = await confirmRead(
+      req.params.id,
+      req.body.license_plate,
+      {
+        userId: req.session.user.id,
+        ip: req.ip,
+        userAgent: req.get("User-Agent"),
+      }
+    );
+
+    await logAudit(
+      req.session.user.id,
+      "CONFIRM_PLATE_READ",
+      "anpr_reads",
+      read.id,
+      JSON.stringify({
+        license_plate: previous.license_plate,
+        status: previous.status,
+      }),
+      JSON.stringify({
+        license_plate: read.license_plate,
+        status: read.status,
+        outcome: read.outcome,
+      }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/cashier/plate-reads?success=${encodeURIComponent(read.outcome)}`
+    );
+  } catch (error) {
+    console.error("Confirm plate read error:", error);
+    const message =
+      error instanceof AnprError ? error.message : "Failed to confirm read";
+    res.redirect(`/cashier/plate-reads?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Dismiss a read that needs no action
+router.post("/plate-reads/:id/dismiss", async (req, res) => {
+  try {
+    const read = await dismissRead(
+      req.params.id,
+      req.body.notes,
+      req.session.user.id
+    );
+
+    await logAudit(
+      req.session.user.id,
+      "DISMISS_PLATE_READ",
+      "anpr_reads",
+      read.id,
+      JSON.stringify({ status: read.status }),
+      JSON.stringify({ status: "dismissed", notes: req.body.notes }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/cashier/plate-reads?success=Read of ${read.license_plate} dismissed`
+    );
+  } catch (error) {
+    console.error("Dismiss plate read error:", error);
+    const message =
+      error instanceof AnprError ? error.message : "Failed to dismiss read";
+    res.redirect(`/cashier/plate-reads?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Gates, the lane this cashier works at and recent gate events
+router.get("/gates", async (req, res) => {
+  try {
+    const [gates, lanes, events] = await Promise.all([
+      listGates(),
+      listGateLanes(),
+      listGateEvents({ limit: 25 }),
+    ]);
+
+    res.render("cashier/gate-control", {
+      title: "Gates",
+      gates: gates.filter((gate) => gate.status === "active"),
+      lanes,
+      lane: req.session.lane || "",
+      events,
+      eventSources: EVENT_SOURCES,
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Gates page error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load gates",
+    });
+  }
+});
+
+// Choose the lane whose gates open on check-in and check-out
+router.post("/gates/lane", async (req, res) => {
+  try {
+    const lane = (req.body.lane || "").trim();
+
+    if (lane && !(await listGateLanes()).includes(lane)) {
+      return res.redirect("/cashier/gates?error=Lane has no active gates");
+    }
+
+    req.session.lane = lane || null;
+    res.redirect(
+      `/cashier/gates?success=${encodeURIComponent(
+        lane
+          ? `Gates on lane ${lane} will open as you check vehicles in and out`
+          : "No gates will open as you check vehicles in and out"
+      )}`
+    );
+  } catch (error) {
+    console.error("Choose lane error:", error);
+    res.redirect("/cashier/gates?error=Failed to choose lane");
+  }
+});
+
+// Open a gate by hand; the reason is kept in the audit log
+router.post("/gates/:id/open", async (req, res) => {
+  try {
+    const result = await openGateManually(
+      req.params.id,
+      req.body.reason,
+      req.session.user.id
+    );
+
+    await logAudit(
+      req.session.user.id,
+      "OPEN_GATE",
+      "gates",
+      result.gate.id,
+      null,
+      JSON.stringify({
+        reason: req.body.reason.trim(),
+        opened: result.done,
+        error: result.error,
+      }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    if (!result.done) {
+      return res.redirect(
+        `/cashier/gates?error=${encodeURIComponent(
+          `Gate ${result.gate.name} did not open: ${result.error}`
+        )}`
+      );
+    }
+
+    res.redirect(
+      `/cashier/gates?success=${encodeURIComponent(
+        `Gate ${result.gate.name} opened`
+      )}`
+    );
+  } catch (error) {
+    console.error("Open gate error:", error);
+    const message =
+      error instanceof GateError ? error.message : "Failed to open gate";
+    res.redirect(`/cashier/gates?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Lost ticket - find the open ticket by license plate
+router.get("/lost-ticket", async (req, res) => {
+  try {
+    const plate = (req.query.plate || "").trim();
+    let tickets = [];
+
+    if (plate) {
+      tickets = await listPendingTickets({ plate });
+    }
+
+    res.render("cashier/lost-ticket", {
+      title: "Lost Ticket",
+      plate,
+      tickets,
+      ticket: null,
+      user: req.session.user,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Lost ticket search error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to search for the ticket",
+    });
+  }
+});
+
+// Tariff of a lost ticket: the normal charge (or permit) plus the lost-ticket fee
+async function calculateLostTicketTariff(ticket) {
+  const permit = await findActivePermit(ticket.license_plate, ticket);
+  const tariff = permit
+    ? applyPermit(calculateTariff(ticket), permit)
+    : calculateTariff(ticket);
+  return applyLostTicketFee(tariff);
+}
+
+// Compare identity documents ignoring case and spacing
+function normalizeIdentity(value) {
+  return (value || "").replace(/\s+/g, "").toUpperCase();
+}
+
+// Lost ticket - verify the driver and show the charge
+router.get("/lost-ticket/:id", async (req, res) => {
+  try {
+    const ticket = await getTicket(req.params.id);
+
+    if (!ticket) {
+      return res.status(404).render("error", {
+        title: "Ticket Not Found",
+        error: {},
+        message: "The requested parking ticket does not exist.",
+      });
+    }
+
+    if (ticket.payment_status !== "pending" || ticket.check_out_time) {
+      return res.redirect(
+        "/cashier/lost-ticket?error=Ticket is already paid or checked out"
+      );
+    }
+
+    const tariff = await calculateLostTicketTariff(ticket);
+
+    res.render("cashier/lost-ticket", {
+      title: "Lost Ticket",
+      plate: ticket.license_plate,
+      tickets: [],
+      ticket,
+      tariff,
+      hasIdentity: Boolean(ticket.id_number || ticket.license_number),
+      user: req.session.user,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Lost ticket page error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load lost ticket",
+    });
+  }
+});
+
+// Lost ticket - check the vehicle out once the driver's identity is confirmed
+router.post("/lost-ticket/:id", async (req, res) => {
+  const { identity_number, payment_method, reference_number, notes } =
+    req.body;
+  const ticketId = req.params.id;
+
+  try {
+    const ticket = await getTicket(ticketId);
+
+    if (!ticket) {
+      return res.redirect("/cashier/lost-ticket?error=Ticket not found");
+    }
+
+    if (ticket.payment_status !== "pending" || ticket.check_out_time) {
+      return res.redirect(
+        "/cashier/lost-ticket?error=Ticket is already paid or checked out"
+      );
+    }
+
+    if (!ticket.id_number && !ticket.license_number) {
+      return res.redirect(
+        `/cashier/lost-ticket/${ticketId}?error=No ID or license number on record for this driver`
+      );
+    }
+
+    const provided = normalizeIdentity(identity_number);
+    let verifiedBy = null;
+    if (provided && provided === normalizeIdentity(ticket.id_number)) {
+      verifiedBy = "id_number";
+    } else if (
+      provided &&
+      provided === normalizeIdentity(ticket.license_number)
+    ) {
+      verifiedBy = "license_number";
+    }
+
+    if (!verifiedBy) {
+      await logAudit(
+        req.session.user.id,
+        "LOST_TICKET_ID_MISMATCH",
+        "parking_tickets",
+        ticketId,
+        null,
+        JSON.stringify({ license_plate: ticket.license_plate }),
+        req.ip,
+        req.get("User-Agent")
+      );
+
+      return res.redirect(
+        `/cashier/lost-ticket/${ticketId}?error=ID or license number does not match the driver on record`
+      );
+    }
+
+    const tariff = await calculateLostTicketTariff(ticket);
+
+    if (!payment_method && tariff.total > 0) {
+      return res.redirect(
+        `/cashier/lost-ticket/${ticketId}?error=Payment method is required`
+      );
+    }
+
+    await withTransaction(async () => {
+      const closed = await checkOutTicket(ticketId, tariff, "pending", {
+        lostTicket: true,
+      });
+
+      if (!closed) {
+        throw new ConflictError("Ticket was checked out by another cashier");
+      }
+
+      await createPayment({
+        ticket_id: ticketId,
+        amount: tariff.total,
+        payment_method: payment_method || "cash",
+        reference_number,
+        cashier_id: req.session.user.id,
+        receipt_number: await issueNumber("receipt"),
+        notes: notes ? `LOST TICKET: ${notes}` : "LOST TICKET",
+      });
+
+      await releaseSlot(ticket.slot_id);
+    });
+
+    await logAudit(
+      req.session.user.id,
+      "LOST_TICKET",
+      "parking_tickets",
+      ticketId,
+      JSON.stringify({ payment_status: "pending" }),
+      JSON.stringify({
+        payment_status: "paid",
+        verified_by: verifiedBy,
+        fee: tariff.lostTicketFee,
+        fee_mode: tariff.lostTicketMode,
+        total_amount: tariff.total,
+        payment_method: payment_method || "cash",
+      }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    const gateWarning = await openGateFor(req, "exit", ticketId);
+    const printWarning = await printFor(req, "receipt", ticketId);
+    res.redirect(
+      `/cashier/receipt/${ticketId}?success=Lost ticket processed and vehicle checked out${warningParam(
+        [gateWarning, printWarning]
+      )}`
+    );
+  } catch (error) {
+    if (error instanceof ConflictError) {
+      return res.redirect(
+        `/cashier/lost-ticket?error=${encodeURIComponent(error.message)}`
+      );
+    }
+    console.error("Lost ticket error:", error);
+    res.redirect(`/cashier/lost-ticket/${ticketId}?error=System error occurred`);
+  }
+});
+
+// Receipt as a PDF
+router.get("/receipt/:id.pdf", async (req, res) => {
+  try {
+    const receipt = await getReceipt(req.params.id);
+
+    if (!receipt) {
+      return res.status(404).render("error", {
+        title: "Receipt Not Found",
+        error: {},
+        message: "The requested receipt does not exist.",
+      });
+    }
+
+    sendPdf(
+      res,
+      `receipt-${receipt.receipt_number}`,
+      renderReceiptPdf(
+        receipt,
+        await getTicketTenders(receipt.id),
+        getTariffBreakdown(receipt)
+      )
+    );
+  } catch (error) {
+    console.error("Receipt PDF error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to create receipt PDF",
+    });
+  }
+});
+
+// View receipt
+router.get("/receipt/:id", async (req, res) => {
+  try {
+    const ticketId = req.params.id;
+
+    console.log(`[DEBUG] Receipt requested for ticket ID: ${ticketId}`);
+
+    // First check if the ticket exists and has payment status
+    const ticket = await getTicket(ticketId);
+
+    console.log(`[DEBUG] Ticket found:`, ticket);
+
+    if (!ticket) {
+      console.log(`[DEBUG] Ticket not found for ID: ${ticketId}`);
+      return res.status(404).render("error", {
+        title: "Ticket Not Found",
+        error: {},
+        message: "The requested parking ticket does not exist.",
+      });
+    }
+
+    if (ticket.payment_status !== "paid") {
+      console.log(
+        `[DEBUG] Ticket ${ticket.ticket_number} payment status: ${ticket.payment_status}`
+      );
+      return res.status(400).render("error", {
+        title: "Payment Required",
+        error: {},
+        message:
+          "This ticket has not been paid yet. Please process payment first.",
+      });
+    }
+
+    // Check if payment record exists
+    const paymentCheck = await findTicketPayment(ticketId);
+
+    console.log(`[DEBUG] Payment record found:`, paymentCheck);
+
+    if (!paymentCheck) {
+      console.log(`[DEBUG] No payment record found for ticket ${ticketId}`);
+
+      // Try to create a missing payment record (recovery mechanism)
+      try {
+        console.log(
+          `[DEBUG] Attempting to create recovery payment record for ticket ${ticketId}`
+        );
+
+        // Calculate the correct amount if total_amount is 0
+        let paymentAmount = ticket.total_amount;
+        if (!paymentAmount || paymentAmount === 0) {
+          console.log(
+            `[DEBUG] Total amount is 0, calculating from check-in/out times`
+          );
+
+          // Get slot rates and calculate amount
+          const slotInfo = await getSlot(ticket.slot_id);
+
+          if (slotInfo && ticket.check_in_time && ticket.check_out_time) {
+            const tariff = getTariffBreakdown({ ...ticket, ...slotInfo });
+            paymentAmount = tariff.total;
+            console.log(
+              `[DEBUG] Calculated amount: $${paymentAmount} (${tariff.durationHours.toFixed(
+                2
+              )} hours, ${tariff.lines.length} tariff line(s))`
+            );
+          } else {
+            paymentAmount = 5; // Default amount if calculation fails
+            console.log(`[DEBUG] Using default amount: $${paymentAmount}`);
+          }
+        }
+
+        // The receipt number is issued in the transaction that saves the
+        // payment, which another request may have recovered meanwhile
+        const recoveryPaymentId = await withTransaction(async () => {
+          const recovered = await findTicketPayment(ticketId);
+          if (recovered) return recovered.id;
+
+          return createPayment({
+            ticket_id: ticketId,
+            amount: paymentAmount,
+            payment_method: "cash", // Default payment method
+            reference_number: "RECOVERY",
+            cashier_id: req.session.user.id,
+            receipt_number: await issueNumber("receipt"),
+            notes: "Payment record recovered automatically",
+          });
+        });
+
+        console.log(
+          `[DEBUG] Recovery payment record created with ID: ${recoveryPaymentId}`
+        );
+        console.log(
+          `[DEBUG] Recovery payment record created successfully with amount: $${paymentAmount}`
+        );
+      } catch (recoveryError) {
+        console.error(`[DEBUG] Recovery failed:`, recoveryError);
+        return res.status(404).render("error", {
+          title: "Payment Record Missing",
+          error: {},
+          message:
+            "Payment record not found and could not be recovered. Please contact system administrator.",
+        });
+      }
+    }
+
+    const receipt = await getReceipt(ticketId);
+
+    console.log(`[DEBUG] Receipt data:`, receipt);
+
+    if (!receipt) {
+      console.log(`[DEBUG] Receipt join query failed for ticket ${ticketId}`);
+      return res.status(404).render("error", {
+        title: "Receipt Not Found",
+        error: {},
+        message:
+          "The requested receipt does not exist. Payment record may be missing.",
+      });
+    }
+
+    res.render("cashier/receipt", {
+      title: "Payment Receipt",
+      receipt,
+      tenders: await getTicketTenders(ticketId),
+      tariff: getTariffBreakdown(receipt),
+      exitWindow: getExitWindow(receipt),
+      ticketCode: signTicketNumber(receipt.ticket_number),
+      user: req.session.user,
+      success: req.query.success,
+      warning: req.query.warning,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Receipt view error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load receipt",
+    });
+  }
+});
+
+// Send the receipt to this workstation's printer
+router.post("/receipt/:id/print", async (req, res) => {
+  const ticketId = req.params.id;
+
+  try {
+    const receipt = await getReceipt(ticketId);
+
+    if (!receipt) {
+      return res.redirect("/cashier/dashboard?error=Receipt not found");
+    }
+
+    const job = await queuePrint(
+      "receipt",
+      receipt.id,
+      await getCurrentWorkstation(req),
+      req.session.user.id
+    );
+    if (!job) {
+      return res.redirect(
+        `/cashier/receipt/${ticketId}?error=${encodeURIComponent(
+          "This workstation has no printer. Choose one under Printing."
+        )}`
+      );
+    }
+
+    if (job.reprint_of) {
+      await logReprint(req, job);
+    }
+
+    res.redirect(
+      `/cashier/receipt/${ticketId}?success=Receipt sent to the printer`
+    );
+  } catch (error) {
+    console.error("Print receipt error:", error);
+    res.redirect(`/cashier/receipt/${ticketId}?error=Failed to print receipt`);
+  }
+});
+
+// Printing: the workstation this browser is, its printer and recent jobs
+router.get("/printing", async (req, res) => {
+  try {
+    const workstation = await getCurrentWorkstation(req);
+    const [workstations, jobs] = await Promise.all([
+      listWorkstations(),
+      listPrintJobs({
+        workstationId: workstation ? workstation.id : null,
+        limit: 25,
+      }),
+    ]);
+
+    res.render("cashier/printing", {
+      title: "Printing",
+      workstation,
+      workstations: workstations.filter((w) => w.status === "active"),
+      jobs,
+      documents: PRINT_DOCUMENTS,
+      jobStatuses: JOB_STATUSES,
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Printing page error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load printing",
+    });
+  }
+});
+
+// Choose the workstation this browser is; it is remembered across logins
+router.post("/printing/workstation", async (req, res) => {
+  try {
+    const workstation = await useWorkstation(
+      res,
+      req.body.workstation_id || null
+    );
+
+    res.redirect(
+      `/cashier/printing?success=${encodeURIComponent(
+        workstation
+          ? `This browser is now ${workstation.name}`
+          : "This browser is no longer a workstation; nothing will print"
+      )}`
+    );
+  } catch (error) {
+    console.error("Choose workstation error:", error);
+    const message =
+      error instanceof PrintError
+        ? error.message
+        : "Failed to choose workstation";
+    res.redirect(`/cashier/printing?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Try a failed print job again
+router.post("/printing/jobs/:id/retry", async (req, res) => {
+  try {
+    await retryJob(req.params.id);
+    res.redirect("/cashier/printing?success=Print job queued again");
+  } catch (error) {
+    console.error("Retry print job error:", error);
+    const message =
+      error instanceof PrintError ? error.message : "Failed to retry print job";
+    res.redirect(`/cashier/printing?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Print a job's document again on this workstation, marked as a reprint
+router.post("/printing/jobs/:id/reprint", async (req, res) => {
+  try {
+    const job = await reprintJob(
+      req.params.id,
+      await getCurrentWorkstation(req),
+      req.session.user.id
+    );
+    await logReprint(req, job);
+
+    res.redirect(
+      `/cashier/printing?success=${encodeURIComponent(
+        `${PRINT_DOCUMENTS[job.document]} ${job.ticket_number} sent to ${
+          job.workstation_name
+        }`
+      )}`
+    );
+  } catch (error) {
+    console.error("Reprint error:", error);
+    const message =
+      error instanceof PrintError ? error.message : "Failed to reprint";
+    res.redirect(`/cashier/printing?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Reservations
+router.get("/reservations", async (req, res) => {
+  try {
+    const reservations = await listReservations({
+      status: req.query.status,
+      date: req.query.date,
+    });
+
+    const slots = await listBookableSlots();
+
+    res.render("reservations", {
+      title: "Reservations",
+      reservations,
+      slots,
+      filters: { status: req.query.status || "", date: req.query.date || "" },
+      basePath: "/cashier",
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Reservations page error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load reservations",
+    });
+  }
+});
+
+// Create reservation
+router.post("/reservations", async (req, res) => {
+  try {
+    const reservation = await createReservation(req.body, req.session.user.id);
+
+    await logAudit(
+      req.session.user.id,
+      "CREATE_RESERVATION",
+      "reservations",
+      reservation.id,
+      null,
+      JSON.stringify(req.body),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/cashier/reservations?success=Reservation ${reservation.reservation_number} created`
+    );
+  } catch (error) {
+    console.error("Create reservation error:", error);
+    const message =
+      error instanceof ReservationError
+        ? error.message
+        : "Failed to create reservation";
+    res.redirect(`/cashier/reservations?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Cancel reservation
+router.post("/reservations/:id/cancel", async (req, res) => {
+  try {
+    const reservation = await cancelReservation(
+      req.params.id,
+      req.session.user.id
+    );
+
+    await logAudit(
+      req.session.user.id,
+      "CANCEL_RESERVATION",
+      "reservations",
+      reservation.id,
+      JSON.stringify({ status: reservation.status }),
+      JSON.stringify({ status: "cancelled", reason: req.body.reason }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect("/cashier/reservations?success=Reservation cancelled");
+  } catch (error) {
+    console.error("Cancel reservation error:", error);
+    const message =
+      error instanceof ReservationError
+        ? error.message
+        : "Failed to cancel reservation";
+    res.redirect(`/cashier/reservations?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Shift management
+router.get("/shift/open", async (req, res) => {
+  try {
+    // Check if shift is already open
+    const currentShift = await getOpenShift(req.session.user.id);
+
+    res.render("cashier/shift-open", {
+      title: "Open Shift",
+      currentShift: currentShift,
+      user: req.session.user,
+    });
+  } catch (error) {
+    console.error("Shift open page error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load shift open page",
+    });
+  }
+});
+
+// Open shift process
+router.post("/shift/open", async (req, res) => {
+  const { opening_amount, notes } = req.body;
+
+  let shiftId;
+  try {
+    shiftId = await openShift(req.session.user.id, { opening_amount, notes });
+  } catch (error) {
+    console.error("Error opening shift:", error);
+    return res.redirect("/cashier/shift/open?error=Failed to open shift");
+  }
+
+  await logAudit(
+    req.session.user.id,
+    "OPEN_SHIFT",
+    "shifts",
+    shiftId,
+    null,
+    JSON.stringify(req.body),
+    req.ip,
+    req.get("User-Agent")
+  );
+  res.redirect("/cashier/dashboard?success=Shift opened successfully");
+});
+
+// Close shift page
+router.get("/shift/close", async (req, res) => {
+  try {
+    // Get current shift
+    const currentShift = await getOpenShift(req.session.user.id);
+
+    if (!currentShift) {
+      return res.redirect("/cashier/dashboard?error=No open shift found");
+    }
+
+    // Get shift summary data
+    const shiftSummary = await getDaySummary(
+      moment.utc().format("YYYY-MM-DD"),
+      req.session.user.id
+    );
+
+    res.render("cashier/shift-close", {
+      title: "Close Shift",
+      currentShift: currentShift,
+      shiftSummary: shiftSummary,
+      collectionsByMethod: await getCollectionsByMethod(req.session.user.id),
+      user: req.session.user,
+    });
+  } catch (error) {
+    console.error("Shift close page error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load shift close page",
+    });
+  }
+});
+
+// Close shift process
+router.post("/shift/close", async (req, res) => {
+  const { closing_amount, notes } = req.body;
+
+  try {
+    // Get current shift
+    const currentShift = await getOpenShift(req.session.user.id);
+
+    if (!currentShift) {
+      return res.redirect("/cashier/dashboard?error=No open shift found");
+    }
+
+    // Calculate total collected and variance. Refunds are negative payments
+    // on the ticket, so they net out of the cashier's total on the refund day.
+    const totalCollected = await getCollectedToday(req.session.user.id);
+    const variance = (closing_amount || 0) - totalCollected;
+    const methodTotals = {};
+    (await getCollectionsByMethod(req.session.user.id)).forEach((row) => {
+      methodTotals[row.method] = row.total;
+    });
+
+    // Close the shift
+    try {
+      await closeShift(currentShift.id, {
+        closing_amount,
+        total_collected: totalCollected,
+        variance,
+        method_totals: methodTotals,
+        notes,
+      });
+    } catch (error) {
+      console.error("Error closing shift:", error);
+      return res.redirect("/cashier/shift/close?error=Failed to close shift");
+    }
+
+    await logAudit(
+      req.session.user.id,
+      "CLOSE_SHIFT",
+      "shifts",
+      currentShift.id,
+      null,
+      JSON.stringify({ ...req.body, method_totals: methodTotals }),
+      req.ip,
+      req.get("User-Agent")
+    );
+    res.redirect("/cashier/dashboard?success=Shift closed successfully");
+  } catch (error) {
+    console.error("Close shift error:", error);
+    res.redirect("/cashier/shift/close?error=System error occurred");
+  }
+});
+
+// Shift report as a PDF. A closed shift shows the totals counted at close;
+// an open one shows what has been collected so far today.
+router.get("/shift/:id.pdf", async (req, res) => {
+  try {
+    const shift = await getShift(req.params.id);
+
+    if (
+      !shift ||
+      (shift.cashier_id !== req.session.user.id &&
+        req.session.user.role !== "admin")
+    ) {
+      return res.status(404).render("error", {
+        title: "Shift Not Found",
+        error: {},
+        message: "The requested shift does not exist.",
+      });
+    }
+
+    let collections;
+    if (shift.status === "closed") {
+      collections = Object.entries(JSON.parse(shift.method_totals || "{}")).map(
+        ([method, total]) => ({ method, total })
+      );
+    } else if (shift.shift_date === moment.utc().format("YYYY-MM-DD")) {
+      collections = await getCollectionsByMethod(shift.cashier_id);
+    } else {
+      // A kiosk shift left open past midnight: everything since it opened
+      collections = await getShiftCollectionsByMethod(shift);
+    }
+
+    sendPdf(
+      res,
+      `shift-${shift.id}-${shift.shift_date}`,
+      renderShiftPdf(
+        shift,
+        collections,
+        await getDaySummary(shift.shift_date, shift.cashier_id)
+      )
+    );
+  } catch (error) {
+    console.error("Shift PDF error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to create shift report",
+    });
+  }
+});
+
+// Vehicle directory
+router.get("/vehicles", async (req, res) => {
+  try {
+    const { vehicles, page, hasNext } = await getVehiclePage(req.query);
+
+    res.render("vehicles", {
+      title: "Vehicles",
+      vehicles,
+      page,
+      hasNext,
+      filters: {
+        search: req.query.search || "",
+        status: req.query.status || "",
+      },
+      basePath: "/cashier",
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Vehicles error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load vehicles",
+    });
+  }
+});
+
+// Vehicle profile with its visit history
+router.get("/vehicles/:id", async (req, res) => {
+  try {
+    const profile = await getVehicleProfile(req.params.id);
+
+    if (!profile) {
+      return res.status(404).render("error", {
+        title: "Vehicle Not Found",
+        error: {},
+        message: "The requested vehicle does not exist.",
+      });
+    }
+
+    res.render("vehicle-profile", {
+      title: `Vehicle ${profile.vehicle.license_plate}`,
+      ...profile,
+      entryTypes: ENTRY_TYPES,
+      settleMethods: SETTLE_METHODS,
+      basePath: "/cashier",
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Vehicle profile error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load vehicle",
+    });
+  }
+});
+
+// Settle everything a vehicle owes
+router.post("/vehicles/:id/settle", async (req, res) => {
+  const vehicleId = req.params.id;
+  const back = req.body.ticket_id
+    ? `/cashier/ticket/${parseInt(req.body.ticket_id, 10)}`
+    : `/cashier/vehicles/${vehicleId}`;
+
+  try {
+    const settlement = await withTransaction(() =>
+      settleBalance(vehicleId, req.body, req.session.user.id)
+    );
+
+    await logSettlement(req, vehicleId, settlement);
+
+    res.redirect(
+      `${back}?success=${encodeURIComponent(
+        `Balance of ${getCurrencySymbol()}${settlement.total.toFixed(2)} settled`
+      )}`
+    );
+  } catch (error) {
+    console.error("Settle balance error:", error);
+    const message =
+      error instanceof LedgerError ? error.message : "Failed to settle balance";
+    res.redirect(`${back}?error=${encodeURIComponent(message)}`);
+  }
+});
+
+// Edit a vehicle
+router.post("/vehicles/:id", async (req, res) => {
+  const vehicleId = req.params.id;
+
+  try {
+    const { previous, updated } = await editVehicle(vehicleId, req.body);
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_VEHICLE",
+      "vehicles",
+      vehicleId,
+      JSON.stringify(previous),
+      JSON.stringify(updated),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/cashier/vehicles/${vehicleId}?success=Vehicle updated successfully`
+    );
+  } catch (error) {
+    console.error("Update vehicle error:", error);
+    const message =
+      error instanceof DirectoryError
+        ? error.message
+        : "Failed to update vehicle";
+    res.redirect(
+      `/cashier/vehicles/${vehicleId}?error=${encodeURIComponent(message)}`
+    );
+  }
+});
+
+// Driver directory
+router.get("/drivers", async (req, res) => {
+  try {
+    const { drivers, page, hasNext } = await getDriverPage(req.query);
+
+    res.render("drivers", {
+      title: "Drivers",
+      drivers,
+      page,
+      hasNext,
+      filters: { search: req.query.search || "" },
+      basePath: "/cashier",
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Drivers error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load drivers",
+    });
+  }
+});
+
+// Driver profile with the vehicles they used
+router.get("/drivers/:id", async (req, res) => {
+  try {
+    const profile = await getDriverProfile(req.params.id);
+
+    if (!profile) {
+      return res.status(404).render("error", {
+        title: "Driver Not Found",
+        error: {},
+        message: "The requested driver does not exist.",
+      });
+    }
+
+    res.render("driver-profile", {
+      title: profile.driver.full_name,
+      ...profile,
+      basePath: "/cashier",
+      user: req.session.user,
+      success: req.query.success,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Driver profile error:", error);
+    res.status(500).render("error", {
+      title: "Error",
+      error: {},
+      message: "Failed to load driver",
+    });
+  }
+});
+
+// Edit a driver
+router.post("/drivers/:id", async (req, res) => {
+  const driverId = req.params.id;
+
+  try {
+    const { previous, updated } = await editDriver(driverId, req.body);
+
+    await logAudit(
+      req.session.user.id,
+      "UPDATE_DRIVER",
+      "drivers",
+      driverId,
+      JSON.stringify(previous),
+      JSON.stringify(updated),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/cashier/drivers/${driverId}?success=Driver updated successfully`
+    );
+  } catch (error) {
+    console.error("Update driver error:", error);
+    const message =
+      error instanceof DirectoryError
+        ? error.message
+        : "Failed to update driver";
+    res.redirect(
+      `/cashier/drivers/${driverId}?error=${encodeURIComponent(message)}`
+    );
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,229 @@
+const express = require("express");
+const { logAudit } = require("../utils/audit");
+const { requireAuth } = require("../middleware/auth");
+const {
+  TicketCodeError,
+  findTicketByCode,
+} = require("../utils/ticket-codes");
+const {
+  KIOSK_METHODS,
+  KioskError,
+  quoteTicket,
+  payAtKiosk,
+} = require("../utils/kiosk-payments");
+const { getKioskForUser } = require("../repositories/kiosks");
+const {
+  getTicket,
+  findOpenTicketByPlate,
+} = require("../repositories/tickets");
+const { normalizePlate } = require("../repositories/vehicles");
+
+const router = express.Router();
+
+// Seconds a finished or abandoned screen stays up before the kiosk goes back
+// to its welcome screen for the next customer
+const PAID_SCREEN_SECONDS = 20;
+const IDLE_SCREEN_SECONDS = 90;
+
+// Only kiosk sessions of an enabled kiosk get in. A kiosk disabled while
+// signed in is signed out here.
+async function requireKiosk(req, res, next) {
+  if (req.session.user.role !== "kiosk") {
+    return res.status(403).render("error", {
+      title: "Access Denied",
+      error: {},
+      message: "This page is for self-service kiosks.",
+    });
+  }
+
+  try {
+    const kiosk = await getKioskForUser(req.session.user.id);
+    if (!kiosk || kiosk.status !== "active") {
+      return req.session.destroy(() =>
+        res.redirect("/auth/login?error=This kiosk is out of service")
+      );
+    }
+    req.kiosk = kiosk;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+router.use(requireAuth);
+router.use(requireKiosk);
+
+// Welcome screen: scan a ticket or type the plate
+router.get("/", (req, res) => {
+  res.render("kiosk/welcome", {
+    title: "Pay for Parking",
+    kiosk: req.kiosk,
+    error: req.query.error,
+  });
+});
+
+// Find the ticket of a scanned code or a plate
+router.post("/find", async (req, res) => {
+  const code = String(req.body.code || "").trim();
+  const plate = normalizePlate(req.body.license_plate || "");
+
+  try {
+    if (code) {
+      const ticket = await findTicketByCode(code);
+      return res.redirect(`/kiosk/ticket/${ticket.id}`);
+    }
+
+    const ticket = plate ? await findOpenTicketByPlate(plate) : null;
+    if (!ticket) {
+      return res.redirect(
+        `/kiosk?error=${encodeURIComponent(
+          plate
+            ? `No vehicle with plate ${plate} is parked here`
+            : "Scan your ticket or enter your plate"
+        )}`
+      );
+    }
+    res.redirect(`/kiosk/ticket/${ticket.id}`);
+  } catch (error) {
+    if (!(error instanceof TicketCodeError)) {
+      console.error("Kiosk lookup error:", error);
+      return res.redirect(
+        "/kiosk?error=Your ticket could not be looked up. Please see a cashier."
+      );
+    }
+
+    // Forged, tampered and misread codes are all kept for review
+    await logAudit(
+      req.session.user.id,
+      "REJECT_TICKET_CODE",
+      "parking_tickets",
+      null,
+      null,
+      JSON.stringify({ code: code.slice(0, 100), reason: error.message }),
+      req.ip,
+      req.get("User-Agent")
+    );
+    res.redirect(`/kiosk?error=${encodeURIComponent(error.message)}`);
+  }
+});
+
+// What the ticket owes, with the ways to pay it
+router.get("/ticket/:id", async (req, res) => {
+  try {
+    const ticket = await getTicket(req.params.id);
+    if (!ticket) {
+      return res.redirect("/kiosk?error=Ticket not found");
+    }
+
+    res.render("kiosk/pay", {
+      title: "Pay for Parking",
+      kiosk: req.kiosk,
+      ticket,
+      quote: await quoteTicket(ticket),
+      methods: KIOSK_METHODS,
+      idleSeconds: IDLE_SCREEN_SECONDS,
+      error: req.query.error,
+    });
+  } catch (error) {
+    console.error("Kiosk ticket error:", error);
+    res.redirect(
+      "/kiosk?error=Your ticket could not be looked up. Please see a cashier."
+    );
+  }
+});
+
+// Take payment through the kiosk's terminal
+router.post("/ticket/:id/pay", async (req, res) => {
+  const ticketId = req.params.id;
+  const method = req.body.payment_method;
+
+  try {
+    const payment = await payAtKiosk(req.kiosk, ticketId, method);
+
+    if (payment.shift.opened) {
+      await logAudit(
+        req.session.user.id,
+        "OPEN_SHIFT",
+        "shifts",
+        payment.shift.id,
+        null,
+        JSON.stringify({ kiosk: req.kiosk.name, opening_amount: 0 }),
+        req.ip,
+        req.get("User-Agent")
+      );
+    }
+
+    await logAudit(
+      req.session.user.id,
+      "KIOSK_PAYMENT",
+      "parking_tickets",
+      payment.ticket.id,
+      null,
+      JSON.stringify({
+        kiosk: req.kiosk.name,
+        payment_method: method,
+        amount: payment.tariff.total,
+        receipt_number: payment.receiptNumber,
+        authorization: payment.authorization,
+        exit_window_minutes: payment.exitWindowMinutes,
+      }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    res.redirect(
+      `/kiosk/paid/${payment.ticket.id}${payment.printed ? "" : "?unprinted=1"}`
+    );
+  } catch (error) {
+    if (!(error instanceof KioskError)) {
+      console.error("Kiosk payment error:", error);
+    }
+
+    await logAudit(
+      req.session.user.id,
+      "KIOSK_PAYMENT_FAILED",
+      "parking_tickets",
+      ticketId,
+      null,
+      JSON.stringify({
+        kiosk: req.kiosk.name,
+        payment_method: method,
+        reason: error.message,
+      }),
+      req.ip,
+      req.get("User-Agent")
+    );
+
+    const message =
+      error instanceof KioskError
+        ? error.message
+        : "The payment could not be completed. Please see a cashier.";
+    res.redirect(
+      `/kiosk/ticket/${ticketId}?error=${encodeURIComponent(message)}`
+    );
+  }
+});
+
+// Payment done: when to leave by, then back to the welcome screen
+router.get("/paid/:id", async (req, res) => {
+  try {
+    const ticket = await getTicket(req.params.id);
+    if (!ticket) {
+      return res.redirect("/kiosk");
+    }
+
+    res.render("kiosk/paid", {
+      title: "Payment Complete",
+      kiosk: req.kiosk,
+      ticket,
+      quote: await quoteTicket(ticket),
+      printed: !req.query.unprinted,
+      returnSeconds: PAID_SCREEN_SECONDS,
+    });
+  } catch (error) {
+    console.error("Kiosk paid screen error:", error);
+    res.redirect("/kiosk");
+  }
+});
+
+module.exports = router;
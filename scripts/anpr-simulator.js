@@ -0,0 +1,143 @@
+#!/usr/bin/env node
+// Post plate reads to the ANPR ingest API the way a camera would, so the
+// entry and exit flow can be tried without cameras. Register the cameras
+// under Admin > Cameras first and pass their keys.
+//
+//   node scripts/anpr-simulator.js --key <key> --plate ABC123 [--confidence 0.95]
+//     [--lane 1] [--timestamp 2024-05-01T08:30:00Z] [--image photo.jpg]
+//   node scripts/anpr-simulator.js --entry-key <key> --exit-key <key> --plate ABC123
+//     [--stay 5]
+//
+// The second form drives a whole visit: an entry read, a wait of --stay
+// seconds, then an exit read. The server is http://localhost:4000 unless
+// --url or ANPR_URL says otherwise; ANPR_API_KEY can stand in for --key.
+
+const fs = require("fs");
+const path = require("path");
+const http = require("http");
+const https = require("https");
+
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const match = argv[i].match(/^--([a-z-]+)$/);
+    if (!match) {
+      throw new Error(`Unexpected argument: ${argv[i]}`);
+    }
+    options[match[1]] = argv[i + 1];
+    i++;
+  }
+  return options;
+}
+
+function postRead(url, key, read) {
+  const target = new URL("/api/anpr/reads", url);
+  const body = JSON.stringify(read);
+  const client = target.protocol === "https:" ? https : http;
+
+  return new Promise((resolve, reject) => {
+    const request = client.request(
+      target,
+      {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          "X-API-Key": key,
+          "User-Agent": "anpr-simulator",
+        },
+      },
+      (response) => {
+        let data = "";
+        response.on("data", (chunk) => (data += chunk));
+        response.on("end", () => {
+          try {
+            resolve({ status: response.statusCode, body: JSON.parse(data) });
+          } catch (error) {
+            reject(
+              new Error(`Unexpected response (${response.statusCode}): ${data}`)
+            );
+          }
+        });
+      }
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+}
+
+function buildRead(options) {
+  const read = {
+    plate: options.plate,
+    confidence: options.confidence ? Number(options.confidence) : 0.95,
+    timestamp: options.timestamp || new Date().toISOString(),
+  };
+  if (options.lane) {
+    read.lane = options.lane;
+  }
+  if (options.image) {
+    read.image = fs
+      .readFileSync(path.resolve(options.image))
+      .toString("base64");
+  }
+  return read;
+}
+
+async function send(url, key, label, read) {
+  const { status, body } = await postRead(url, key, read);
+  if (!body.success) {
+    console.log(`${label} ${read.plate}: HTTP ${status} - ${body.error}`);
+    return false;
+  }
+  console.log(
+    `${label} ${body.read.license_plate}: ${body.read.status} - ${body.read.outcome}`
+  );
+  return true;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const url = options.url || process.env.ANPR_URL || "http://localhost:4000";
+
+  if (!options.plate) {
+    throw new Error("--plate is required");
+  }
+
+  if (options["entry-key"] || options["exit-key"]) {
+    if (!options["entry-key"] || !options["exit-key"]) {
+      throw new Error("A visit needs both --entry-key and --exit-key");
+    }
+
+    const entered = await send(
+      url,
+      options["entry-key"],
+      "Entry",
+      buildRead(options)
+    );
+    if (!entered) return false;
+
+    const stay = Number(options.stay || 0);
+    if (stay > 0) {
+      console.log(`Parked for ${stay} second(s)...`);
+      await new Promise((resolve) => setTimeout(resolve, stay * 1000));
+    }
+
+    return send(url, options["exit-key"], "Exit", {
+      ...buildRead(options),
+      timestamp: new Date().toISOString(),
+    });
+  }
+
+  const key = options.key || process.env.ANPR_API_KEY;
+  if (!key) {
+    throw new Error("--key (or ANPR_API_KEY) is required");
+  }
+  return send(url, key, "Read", buildRead(options));
+}
+
+main()
+  .then((ok) => process.exit(ok ? 0 : 1))
+  .catch((error) => {
+    console.error(error.message);
+    process.exit(1);
+  });
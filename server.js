@@ -11,10 +11,17 @@ const moment = require("moment");
 const authRoutes = require("./routes/auth");
 const adminRoutes = require("./routes/admin");
 const cashierRoutes = require("./routes/cashier");
+const kioskRoutes = require("./routes/kiosk");
 const apiRoutes = require("./routes/api");
+const anprRoutes = require("./routes/anpr");
 
 // Import database initialization
 const { initDatabase } = require("./database/init");
+const { loadSettings, getSetting, getSettings } = require("./utils/settings");
+const { loadTariffTables } = require("./utils/tariff");
+const { startReservationSweeper } = require("./utils/reservations");
+const { startBackupScheduler } = require("./utils/backups");
+const { startPrintQueue } = require("./utils/printing");
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -32,7 +39,6 @@ app.use(
           "https://cdn.jsdelivr.net",
           "https://code.jquery.com",
           "https://cdnjs.cloudflare.com",
-          "https://unpkg.com",
         ],
         scriptSrcAttr: ["'unsafe-inline'"],
         fontSrc: ["'self'", "https://cdn.jsdelivr.net"],
@@ -42,6 +48,17 @@ app.use(
   })
 );
 
+// Camera plate reads. Devices authenticate with an API key rather than a
+// session, post more often than the API rate limit allows and may attach an
+// image, so they are routed before the limiter and the body parsers, with a
+// limiter of their own.
+const anprLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 300, // limit each IP to 300 reads per windowMs
+  message: { success: false, error: "Too many requests, please slow down" },
+});
+app.use("/api/anpr", anprLimiter, anprRoutes);
+
 // Rate limiting
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -70,10 +87,10 @@ app.use(
     secret: "digital-parking-secret-key-2024",
     resave: false,
     saveUninitialized: false,
+    // The settings are not loaded yet, so maxAge is set per session below
     cookie: {
       secure: false, // Set to true in production with HTTPS
       httpOnly: true,
-      maxAge: 24 * 60 * 60 * 1000, // 24 hours
     },
   })
 );
@@ -89,6 +106,13 @@ app.use((req, res, next) => {
   res.locals.isCashier =
     req.session.user && req.session.user.role === "cashier";
   res.locals.moment = moment;
+  res.locals.settings = getSettings();
+
+  // New sessions pick up the configured timeout
+  if (!req.session.user) {
+    req.session.cookie.maxAge =
+      getSetting("session_timeout_hours") * 60 * 60 * 1000;
+  }
 
   // Add EJS helpers to all templates
   Object.assign(res.locals, ejsHelpers);
@@ -96,6 +120,18 @@ app.use((req, res, next) => {
   next();
 });
 
+// Kiosk sessions are locked to the kiosk screens; they may only sign out
+app.use((req, res, next) => {
+  if (
+    req.session.user &&
+    req.session.user.role === "kiosk" &&
+    !/^\/(kiosk|auth\/logout)(\/|$)/.test(req.path)
+  ) {
+    return res.redirect("/kiosk");
+  }
+  next();
+});
+
 // View engine setup
 app.set("view engine", "ejs");
 app.set("views", path.join(__dirname, "views"));
@@ -104,6 +140,7 @@ app.set("views", path.join(__dirname, "views"));
 app.use("/auth", authRoutes);
 app.use("/admin", adminRoutes);
 app.use("/cashier", cashierRoutes);
+app.use("/kiosk", kioskRoutes);
 app.use("/api", apiRoutes);
 
 // Home route - redirect to login if not authenticated
@@ -137,6 +174,21 @@ async function startServer() {
     await initDatabase();
     console.log("Database initialized successfully");
 
+    await loadSettings();
+    console.log("System settings loaded");
+
+    await loadTariffTables();
+    console.log("Tariff tables loaded");
+
+    // Release no-show reservations in the background
+    startReservationSweeper();
+
+    // Take scheduled database backups in the background
+    startBackupScheduler();
+
+    // Send queued tickets and receipts to their printers in the background
+    startPrintQueue();
+
     app.listen(PORT, () => {
       console.log(
         `🚗 Digital Parking Management System running on port ${PORT}`
@@ -0,0 +1,61 @@
+const { code128Runs, code128Widths } = require("../utils/code128");
+
+// Every Code 128 symbol is 11 modules wide, except the 13-module stop code
+function symbolCount(widths) {
+  const total = widths.reduce((sum, width) => sum + width, 0);
+  return (total - 13) / 11 + 1;
+}
+
+describe("code128Runs", () => {
+  test("packs runs of four or more digits into code set C", () => {
+    expect(code128Runs("TKT176000000000")).toEqual([
+      { set: "B", text: "TKT" },
+      { set: "C", text: "176000000000" },
+    ]);
+  });
+
+  test("puts an odd digit out in code set B, ahead of the pairs", () => {
+    expect(code128Runs("12345")).toEqual([
+      { set: "B", text: "1" },
+      { set: "C", text: "2345" },
+    ]);
+  });
+
+  test("keeps short digit runs in code set B", () => {
+    expect(code128Runs("A-123-B")).toEqual([{ set: "B", text: "A-123-B" }]);
+  });
+});
+
+describe("code128Widths", () => {
+  test("encodes the start code, data, checksum and stop code", () => {
+    // Start B, "A", "B", checksum, stop
+    const widths = code128Widths("AB");
+
+    expect(symbolCount(widths)).toBe(5);
+    expect(widths.slice(0, 6)).toEqual([2, 1, 1, 2, 1, 4]);
+    expect(widths.slice(-7)).toEqual([2, 3, 3, 1, 1, 1, 2]);
+  });
+
+  test("computes the checksum as the weighted sum of the values", () => {
+    // Start B (104) + "A" (33) x 1 + "B" (34) x 2 = 205, 205 % 103 = 102
+    const widths = code128Widths("AB");
+
+    expect(widths.slice(-13, -7)).toEqual([4, 1, 1, 1, 3, 1]);
+    expect(code128Widths("BA").slice(-13, -7)).not.toEqual(
+      widths.slice(-13, -7)
+    );
+  });
+
+  test("takes half the symbols for long numbers", () => {
+    expect(symbolCount(code128Widths("12345678"))).toBe(7);
+    expect(symbolCount(code128Widths("ABCDEFGH"))).toBe(11);
+  });
+
+  test("refuses characters outside printable ASCII", () => {
+    expect(() => code128Widths("ÄB")).toThrow('Code 128 cannot encode "Ä"');
+  });
+
+  test("refuses empty text", () => {
+    expect(() => code128Widths("")).toThrow("Nothing to encode");
+  });
+});
@@ -0,0 +1,119 @@
+const { getDatabase, dbPath } = require("../database/init");
+const { migrateUp } = require("../database/migrate");
+const { dbAll } = require("../utils/db");
+const {
+  DiscountError,
+  createMerchant,
+  updateMerchant,
+  createDiscount,
+  getDiscount,
+  findUsableDiscount,
+  redeemDiscount,
+} = require("../utils/discounts");
+const { addUser, parkVehicle } = require("./fixtures");
+
+const STANDARD = { slot_type: "standard" };
+
+let cashierId;
+let adminId;
+
+function addDiscount(data) {
+  return createDiscount(
+    { name: "Test code", discount_type: "fixed", value: 2, ...data },
+    adminId
+  );
+}
+
+beforeAll(async () => {
+  await migrateUp(getDatabase(), { dbPath });
+  cashierId = await addUser("cashier");
+  adminId = await addUser("admin", "admin");
+});
+
+afterAll((done) => {
+  getDatabase().close(done);
+});
+
+describe("findUsableDiscount", () => {
+  test("finds a code whatever its case and spacing", async () => {
+    await addDiscount({ code: "SPRING" });
+
+    expect((await findUsableDiscount(" spring ", STANDARD)).code).toBe("SPRING");
+  });
+
+  test("refuses a code that has been used up", async () => {
+    const discount = await addDiscount({ code: "ONCE", usage_limit: "1" });
+    await redeemDiscount(discount, await parkVehicle("ONCE1", cashierId), 2, cashierId);
+
+    await expect(findUsableDiscount("ONCE", STANDARD)).rejects.toThrow(
+      new DiscountError("Discount code ONCE has been used up")
+    );
+  });
+
+  test("refuses an expired code or one for other slot types", async () => {
+    await addDiscount({
+      code: "OLD",
+      valid_from: "2020-01-01",
+      valid_to: "2020-01-31",
+    });
+    await addDiscount({ code: "VIPONLY", allowed_slot_types: ["vip"] });
+
+    await expect(findUsableDiscount("OLD", STANDARD)).rejects.toThrow(
+      new DiscountError("Discount code OLD expired on 2020-01-31")
+    );
+    await expect(findUsableDiscount("VIPONLY", STANDARD)).rejects.toThrow(
+      new DiscountError("Discount code VIPONLY is not valid for standard slots")
+    );
+  });
+
+  test("refuses a validation code of a merchant no longer active", async () => {
+    const merchant = await createMerchant({ name: "Corner Cafe" });
+    await addDiscount({ code: "CAFE", merchant_id: merchant.id });
+    await updateMerchant(merchant.id, { name: "Corner Cafe", status: "inactive" });
+
+    await expect(findUsableDiscount("CAFE", STANDARD)).rejects.toThrow(
+      new DiscountError("Corner Cafe no longer validates parking")
+    );
+  });
+});
+
+describe("redeemDiscount", () => {
+  test("records the use and the amount taken off the ticket", async () => {
+    const discount = await addDiscount({ code: "TWICE", usage_limit: "2" });
+    const ticketId = await parkVehicle("TWICE1", cashierId);
+
+    await redeemDiscount(discount, ticketId, 2, cashierId);
+
+    expect((await getDiscount(discount.id)).times_used).toBe(1);
+    expect(
+      await dbAll("SELECT * FROM discount_redemptions WHERE ticket_id = ?", [
+        ticketId,
+      ])
+    ).toEqual([
+      expect.objectContaining({ discount_id: discount.id, amount: 2 }),
+    ]);
+  });
+
+  test("lets only one of two check-outs made together take the last use", async () => {
+    const discount = await addDiscount({ code: "LAST", usage_limit: "1" });
+    const tickets = [
+      await parkVehicle("LAST1", cashierId),
+      await parkVehicle("LAST2", cashierId),
+    ];
+
+    const results = await Promise.allSettled(
+      tickets.map((ticketId) => redeemDiscount(discount, ticketId, 2, cashierId))
+    );
+
+    expect(results.map((result) => result.status).sort()).toEqual([
+      "fulfilled",
+      "rejected",
+    ]);
+    expect((await getDiscount(discount.id)).times_used).toBe(1);
+    expect(
+      await dbAll("SELECT * FROM discount_redemptions WHERE discount_id = ?", [
+        discount.id,
+      ])
+    ).toHaveLength(1);
+  });
+});
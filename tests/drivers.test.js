@@ -0,0 +1,88 @@
+const { getDatabase, dbPath } = require("../database/init");
+const { migrateUp } = require("../database/migrate");
+const {
+  saveDriver,
+  getDriver,
+  listDuplicateDrivers,
+} = require("../repositories/drivers");
+
+beforeAll(async () => {
+  await migrateUp(getDatabase(), { dbPath });
+});
+
+afterAll((done) => {
+  getDatabase().close(done);
+});
+
+describe("saveDriver", () => {
+  test("updates a driver recognised by ID number in place", async () => {
+    const id = await saveDriver({ full_name: "Jo Smith", id_number: "ID100" });
+
+    const again = await saveDriver({
+      full_name: "Jo Smith",
+      id_number: " ID100 ",
+      phone: "0700000100",
+    });
+
+    expect(again).toBe(id);
+    expect(await getDriver(id)).toMatchObject({
+      id_number: "ID100",
+      phone: "0700000100",
+    });
+  });
+
+  test("fills in a license number the driver had not given before", async () => {
+    const id = await saveDriver({ full_name: "Kim Lee", phone: "0700000200" });
+
+    const again = await saveDriver({
+      full_name: "Kim Lee",
+      phone: "0700000200",
+      license_number: "LIC200",
+    });
+
+    expect(again).toBe(id);
+    expect((await getDriver(id)).license_number).toBe("LIC200");
+  });
+
+  test("adds a driver sharing a phone but giving another ID number", async () => {
+    const id = await saveDriver({
+      full_name: "Pat Owner",
+      phone: "0700000300",
+      id_number: "ID300",
+    });
+
+    const other = await saveDriver({
+      full_name: "Chris Owner",
+      phone: "0700000300",
+      id_number: "ID301",
+    });
+
+    expect(other).not.toBe(id);
+    expect(await getDriver(id)).toMatchObject({
+      full_name: "Pat Owner",
+      id_number: "ID300",
+    });
+    expect(
+      (await listDuplicateDrivers()).find(
+        (group) => group.key === "phone" && group.value === "0700000300"
+      ).drivers
+    ).toHaveLength(2);
+  });
+
+  test("adds a driver whose license number differs from the one on file", async () => {
+    const id = await saveDriver({
+      full_name: "Sam Day",
+      id_number: "ID400",
+      license_number: "LIC400",
+    });
+
+    const other = await saveDriver({
+      full_name: "Sam Day",
+      id_number: "ID400",
+      license_number: "LIC401",
+    });
+
+    expect(other).not.toBe(id);
+    expect((await getDriver(id)).license_number).toBe("LIC400");
+  });
+});
@@ -0,0 +1,61 @@
+// Rows the tests park vehicles with. Each test file has a database of its
+// own, so numbers only need to be unique within a file.
+const { createSlot, claimSlot } = require("../repositories/slots");
+const { saveVehicle } = require("../repositories/vehicles");
+const { saveDriver } = require("../repositories/drivers");
+const { createUser } = require("../repositories/users");
+const { createTicket } = require("../repositories/tickets");
+
+let slotCount = 0;
+let ticketCount = 0;
+
+/**
+ * Add a vacant slot
+ * @param {Object} data - Optional slot_type, hourly_rate, daily_rate, zone
+ * @returns {Promise<number>} Slot ID
+ */
+function addSlot(data = {}) {
+  slotCount += 1;
+  return createSlot({
+    slot_number: `A${slotCount}`,
+    slot_name: `Slot A${slotCount}`,
+    slot_type: "standard",
+    hourly_rate: 4,
+    daily_rate: 30,
+    ...data,
+  });
+}
+
+/**
+ * Add a user with a password that never matches
+ * @param {string} username - Username
+ * @param {string} role - "admin", "cashier" or "kiosk"
+ * @returns {Promise<number>} User ID
+ */
+function addUser(username, role = "cashier") {
+  return createUser({ username, full_name: username, role }, "hash");
+}
+
+/**
+ * Check a vehicle in to a new slot
+ * @param {string} plate - License plate
+ * @param {number} cashierId - User checking it in
+ * @param {Object} options - Optional slot (slot data) and check_in_time
+ * @returns {Promise<number>} Ticket ID
+ */
+async function parkVehicle(plate, cashierId, options = {}) {
+  ticketCount += 1;
+  const slotId = await addSlot(options.slot);
+  await claimSlot(slotId, false);
+
+  return createTicket({
+    ticket_number: `T-${ticketCount}`,
+    slot_id: slotId,
+    vehicle_id: await saveVehicle({ license_plate: plate }),
+    driver_id: await saveDriver({ full_name: "Sam Driver" }),
+    cashier_id: cashierId,
+    check_in_time: options.check_in_time,
+  });
+}
+
+module.exports = { addSlot, addUser, parkVehicle };
@@ -0,0 +1,108 @@
+const moment = require("moment");
+const { getDatabase, dbPath } = require("../database/init");
+const { migrateUp } = require("../database/migrate");
+const { dbGet } = require("../utils/db");
+const {
+  KioskError,
+  registerKiosk,
+  payAtKiosk,
+} = require("../utils/kiosk-payments");
+const {
+  MockPaymentTerminalDriver,
+} = require("../utils/payment-terminals");
+const { getTicket, payTicket } = require("../repositories/tickets");
+const { findTicketPayment } = require("../repositories/payments");
+const { findOpenShift } = require("../repositories/shifts");
+const { calculateTariff } = require("../utils/tariff");
+const { addUser, parkVehicle } = require("./fixtures");
+
+let cashierId;
+let kiosk;
+
+// A ticket parked for three hours, with something to pay
+function parkForThreeHours(plate) {
+  return parkVehicle(plate, cashierId, {
+    check_in_time: moment.utc().subtract(3, "hours").format("YYYY-MM-DD HH:mm:ss"),
+  });
+}
+
+beforeAll(async () => {
+  await migrateUp(getDatabase(), { dbPath });
+  cashierId = await addUser("cashier");
+  kiosk = await registerKiosk(
+    {
+      name: "Lobby",
+      username: "lobby",
+      password: "secret123",
+      terminal_driver: "mock",
+    },
+    await addUser("admin", "admin")
+  );
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+afterAll((done) => {
+  getDatabase().close(done);
+});
+
+describe("payAtKiosk", () => {
+  test("marks the ticket paid and records the payment in the kiosk's shift", async () => {
+    const ticketId = await parkForThreeHours("PAY1");
+
+    const result = await payAtKiosk(kiosk, ticketId, "card");
+
+    expect((await getTicket(ticketId)).payment_status).toBe("paid");
+    expect((await findTicketPayment(ticketId)).amount).toBe(result.tariff.total);
+    expect(result.shift.id).toBe((await findOpenShift(kiosk.user_id)).id);
+  });
+
+  test("voids the sale and records nothing when the ticket was paid meanwhile", async () => {
+    const ticketId = await parkForThreeHours("PAY2");
+    const voidSale = jest.spyOn(MockPaymentTerminalDriver.prototype, "voidSale");
+    jest
+      .spyOn(MockPaymentTerminalDriver.prototype, "sale")
+      .mockImplementation(async () => {
+        // A cashier takes the payment while the customer is at the terminal
+        const ticket = await getTicket(ticketId);
+        await payTicket(ticketId, calculateTariff(ticket), 15);
+        return { approved: true, authorization: "AUTH42", message: null };
+      });
+
+    await expect(payAtKiosk(kiosk, ticketId, "card")).rejects.toThrow(
+      new KioskError(
+        "This ticket has just been paid elsewhere. Your payment has been cancelled."
+      )
+    );
+    expect(voidSale).toHaveBeenCalledWith("AUTH42");
+    expect(await findTicketPayment(ticketId)).toBeUndefined();
+  });
+
+  test("logs a sale the terminal never answered and sends the customer to a cashier", async () => {
+    const ticketId = await parkForThreeHours("PAY3");
+    const voidSale = jest.spyOn(MockPaymentTerminalDriver.prototype, "voidSale");
+    jest
+      .spyOn(MockPaymentTerminalDriver.prototype, "sale")
+      .mockRejectedValue(new Error("No answer from the terminal"));
+    jest.spyOn(console, "error").mockImplementation(() => {});
+
+    await expect(payAtKiosk(kiosk, ticketId, "mfs")).rejects.toThrow(
+      /Please see a cashier/
+    );
+
+    const audit = await dbGet(
+      "SELECT * FROM audit_logs WHERE action = 'KIOSK_SALE_UNCONFIRMED' AND record_id = ?",
+      [ticketId]
+    );
+    const ticket = await getTicket(ticketId);
+    expect(JSON.parse(audit.new_values)).toMatchObject({
+      kiosk: "Lobby",
+      reference: ticket.ticket_number,
+      method: "mfs",
+    });
+    expect(ticket.payment_status).toBe("pending");
+    expect(voidSale).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+const { getDatabase, dbPath } = require("../database/init");
+const { migrateUp } = require("../database/migrate");
+const { withTransaction } = require("../utils/db");
+const {
+  checkDigit,
+  formatNumber,
+  issueNumber,
+} = require("../utils/numbering");
+const { listNumberGaps } = require("../repositories/number-sequences");
+
+const TODAY = new Date().toISOString().slice(0, 10);
+
+describe("checkDigit", () => {
+  test("gives the Luhn check digit of the digits", () => {
+    expect(checkDigit("7992739871")).toBe("3");
+  });
+
+  test("counts letters as two digits and ignores punctuation", () => {
+    expect(checkDigit("A-2026")).toBe(checkDigit("102026"));
+    expect(checkDigit("a2026")).toBe(checkDigit("A2026"));
+  });
+
+  test("catches a single changed digit", () => {
+    expect(checkDigit("A-2026-000124")).not.toBe(checkDigit("A-2026-000123"));
+  });
+});
+
+describe("formatNumber", () => {
+  const values = { siteCode: "A", year: 2026, sequence: 123 };
+
+  test("fills in the site, year and padded sequence", () => {
+    expect(formatNumber("{site}/{year}/{seq:6}", values)).toBe(
+      "A/2026/000123"
+    );
+    expect(formatNumber("{site}{seq}", values)).toBe("A123");
+  });
+
+  test("appends a check digit over the rest of the number", () => {
+    expect(formatNumber("{site}-{year}-{seq:6}-{check}", values)).toBe(
+      "A-2026-000123-2"
+    );
+    expect(formatNumber("R{site}-{year}-{seq:6}-{check}", values)).toBe(
+      `RA-2026-000123-${checkDigit("RA2026000123")}`
+    );
+  });
+});
+
+describe("issueNumber", () => {
+  beforeAll(async () => {
+    await migrateUp(getDatabase(), { dbPath });
+  });
+
+  afterAll((done) => {
+    getDatabase().close(done);
+  });
+
+  test("issues consecutive numbers per series", async () => {
+    const year = new Date().getFullYear();
+
+    expect(await issueNumber("ticket")).toBe(
+      formatNumber("{site}-{year}-{seq:6}-{check}", {
+        siteCode: "A",
+        year,
+        sequence: 1,
+      })
+    );
+    expect(await issueNumber("ticket")).toMatch(`A-${year}-000002-`);
+    expect(await issueNumber("receipt")).toMatch(`RA-${year}-000001-`);
+    expect(await issueNumber("permit")).toMatch(`PA-${year}-00001-`);
+  });
+
+  test("hands the number back when the saving transaction fails", async () => {
+    let number;
+    await expect(
+      withTransaction(async () => {
+        number = await issueNumber("permit");
+        throw new Error("Save failed");
+      })
+    ).rejects.toThrow("Save failed");
+
+    expect(await issueNumber("permit")).toBe(number);
+  });
+
+  test("reports numbers that were issued but never saved", async () => {
+    const gaps = await listNumberGaps(TODAY, TODAY);
+
+    expect(gaps.map((gap) => [gap.series, gap.status])).toEqual(
+      expect.arrayContaining([
+        ["ticket", "missing"],
+        ["receipt", "missing"],
+        ["permit", "missing"],
+      ])
+    );
+    expect(gaps.every((gap) => gap.status === "missing")).toBe(true);
+  });
+});
@@ -0,0 +1,114 @@
+const moment = require("moment");
+const { getDatabase, dbPath } = require("../database/init");
+const { migrateUp } = require("../database/migrate");
+const {
+  createPermit,
+  cancelPermit,
+  findActivePermit,
+  applyPermit,
+} = require("../utils/permits");
+const { calculateTariff } = require("../utils/tariff");
+const { getTicket, checkOutTicket } = require("../repositories/tickets");
+const { addUser, parkVehicle } = require("./fixtures");
+
+let cashierId;
+
+function sellPermit(data) {
+  return createPermit(
+    {
+      holder_name: "Robin Regular",
+      start_date: moment().subtract(1, "day").format("YYYY-MM-DD"),
+      end_date: moment().add(1, "month").format("YYYY-MM-DD"),
+      price: "80",
+      payment_method: "cash",
+      ...data,
+    },
+    cashierId
+  );
+}
+
+// A ticket parked for three hours
+function parkForThreeHours(plate, slot) {
+  return parkVehicle(plate, cashierId, {
+    slot,
+    check_in_time: moment.utc().subtract(3, "hours").format("YYYY-MM-DD HH:mm:ss"),
+  });
+}
+
+beforeAll(async () => {
+  await migrateUp(getDatabase(), { dbPath });
+  cashierId = await addUser("cashier");
+});
+
+afterAll((done) => {
+  getDatabase().close(done);
+});
+
+describe("findActivePermit", () => {
+  test("finds the permit of a plate however it is typed", async () => {
+    const permit = await sellPermit({ license_plate: "pm-01 abc" });
+
+    expect(
+      await findActivePermit("PM01 ABC", { slot_type: "standard", slot_number: "A1" })
+    ).toMatchObject({ id: permit.id, license_plate: "PM01ABC" });
+  });
+
+  test("ignores a permit for other slot types or zones", async () => {
+    await sellPermit({
+      license_plate: "PM02",
+      allowed_slot_types: ["vip"],
+      allowed_zones: "b",
+    });
+
+    expect(
+      await findActivePermit("PM02", { slot_type: "standard", slot_number: "B1" })
+    ).toBeNull();
+    expect(
+      await findActivePermit("PM02", { slot_type: "vip", slot_number: "A1" })
+    ).toBeNull();
+    expect(
+      await findActivePermit("PM02", { slot_type: "vip", slot_number: "B1" })
+    ).not.toBeNull();
+  });
+
+  test("ignores a permit that has ended or was cancelled", async () => {
+    await sellPermit({
+      license_plate: "PM03",
+      start_date: "2020-01-01",
+      end_date: "2020-01-31",
+    });
+    const cancelled = await sellPermit({ license_plate: "PM04" });
+    await cancelPermit(cancelled.id);
+
+    const slot = { slot_type: "standard", slot_number: "A1" };
+    expect(await findActivePermit("PM03", slot)).toBeNull();
+    expect(await findActivePermit("PM04", slot)).toBeNull();
+  });
+});
+
+describe("applyPermit", () => {
+  test("checks a permit holder out at no cost, keeping the stay", async () => {
+    const permit = await sellPermit({ license_plate: "PM05" });
+    const ticketId = await parkForThreeHours("PM05");
+    const ticket = await getTicket(ticketId);
+    const tariff = calculateTariff(ticket);
+
+    const covered = applyPermit(
+      tariff,
+      await findActivePermit(ticket.license_plate, ticket)
+    );
+    await checkOutTicket(ticketId, covered, "pending");
+
+    expect(tariff.total).toBeGreaterThan(0);
+    expect(covered).toMatchObject({
+      total: 0,
+      durationHours: tariff.durationHours,
+      permitNumber: permit.permit_number,
+      lines: [{ amount: 0, unitPrice: 0 }],
+    });
+    expect(await getTicket(ticketId)).toMatchObject({
+      total_amount: 0,
+      payment_status: "paid",
+    });
+  });
+});
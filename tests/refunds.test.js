@@ -0,0 +1,156 @@
+const { getDatabase, dbPath } = require("../database/init");
+const { migrateUp } = require("../database/migrate");
+const {
+  RefundError,
+  findRefundablePayment,
+  refundPayment,
+} = require("../utils/refunds");
+const { createPayment } = require("../repositories/payments");
+const { parseTenders, recordTenders } = require("../utils/tenders");
+const { addUser, parkVehicle } = require("./fixtures");
+
+let cashierId;
+let adminId;
+let receiptCount = 0;
+
+// Park a vehicle and pay for its ticket
+async function pay(amount, method = "cash") {
+  receiptCount += 1;
+  return createPayment({
+    ticket_id: await parkVehicle(`PAID${receiptCount}`, cashierId),
+    amount,
+    payment_method: method,
+    reference_number: null,
+    cashier_id: cashierId,
+    receipt_number: `R-${receiptCount}`,
+    notes: null,
+  });
+}
+
+// Pay 10 in cash and 5 by card
+async function paySplit() {
+  const { tenders, paymentMethod } = parseTenders(
+    {
+      tenders: [
+        { method: "cash", amount: "10" },
+        { method: "card", amount: "5" },
+      ],
+    },
+    15
+  );
+  const paymentId = await pay(15, paymentMethod);
+  await recordTenders(paymentId, tenders);
+  return paymentId;
+}
+
+beforeAll(async () => {
+  await migrateUp(getDatabase(), { dbPath });
+  cashierId = await addUser("cashier");
+  adminId = await addUser("admin", "admin");
+});
+
+afterAll((done) => {
+  getDatabase().close(done);
+});
+
+describe("refundPayment", () => {
+  test("refunds part of a payment as a negative payment on the same ticket", async () => {
+    const paymentId = await pay(20);
+
+    const { refund } = await refundPayment(
+      paymentId,
+      { amount: "7.50", reason: "Overcharged" },
+      adminId
+    );
+
+    expect(refund).toMatchObject({
+      amount: -7.5,
+      payment_method: "cash",
+      refund_of: paymentId,
+      reference_number: "R-1",
+      notes: "REFUND: Overcharged",
+    });
+    expect((await findRefundablePayment("R-1")).refundable_amount).toBe(12.5);
+  });
+
+  test("refuses a refund above what is left of the payment", async () => {
+    const paymentId = await pay(20);
+    await refundPayment(paymentId, { amount: 15, reason: "Early exit" }, adminId);
+
+    await expect(
+      refundPayment(paymentId, { amount: 5.01, reason: "Again" }, adminId)
+    ).rejects.toThrow(new RefundError("Refund cannot exceed the remaining 5.00"));
+
+    await refundPayment(paymentId, { amount: 5, reason: "Rest" }, adminId);
+    await expect(
+      refundPayment(paymentId, { amount: 1, reason: "Again" }, adminId)
+    ).rejects.toThrow(
+      new RefundError("This payment has already been fully refunded")
+    );
+  });
+
+  test("lets only one of two refunds made together take the last of a payment", async () => {
+    const paymentId = await pay(10);
+
+    const results = await Promise.allSettled([
+      refundPayment(paymentId, { amount: 8, reason: "First" }, adminId),
+      refundPayment(paymentId, { amount: 8, reason: "Second" }, adminId),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual([
+      "fulfilled",
+      "rejected",
+    ]);
+    expect((await findRefundablePayment(`R-${receiptCount}`)).refundable_amount).toBe(2);
+  });
+
+  test("refuses to refund a refund", async () => {
+    const paymentId = await pay(10);
+    const { refund } = await refundPayment(
+      paymentId,
+      { amount: 4, reason: "Overcharged" },
+      adminId
+    );
+
+    await expect(
+      refundPayment(refund.id, { amount: 1, reason: "Undo" }, adminId)
+    ).rejects.toThrow(new RefundError("A refund cannot itself be refunded"));
+  });
+
+  test("refunds a split payment through one of its methods, up to what it took", async () => {
+    const paymentId = await paySplit();
+
+    const { refund } = await refundPayment(
+      paymentId,
+      { amount: 3, reason: "Overcharged", payment_method: "card" },
+      adminId
+    );
+
+    expect(refund.payment_method).toBe("card");
+    await expect(
+      refundPayment(
+        paymentId,
+        { amount: 2.01, reason: "Again", payment_method: "card" },
+        adminId
+      )
+    ).rejects.toThrow(
+      new RefundError("Refund via CARD cannot exceed the remaining 2.00")
+    );
+    expect(
+      (await findRefundablePayment(`R-${receiptCount}`)).tenders
+    ).toEqual([
+      { method: "card", amount: 5, refunded: 3, refundable: 2 },
+      { method: "cash", amount: 10, refunded: 0, refundable: 10 },
+    ]);
+  });
+
+  test("asks which method a split payment is refunded through", async () => {
+    const paymentId = await paySplit();
+
+    await expect(
+      refundPayment(paymentId, { amount: 1, reason: "Overcharged" }, adminId)
+    ).rejects.toThrow(
+      new RefundError("Choose how the split payment is refunded")
+    );
+  });
+});
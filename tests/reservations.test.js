@@ -0,0 +1,85 @@
+const moment = require("moment");
+const { getDatabase, dbPath } = require("../database/init");
+const { migrateUp } = require("../database/migrate");
+const {
+  ReservationError,
+  createReservation,
+  cancelReservation,
+} = require("../utils/reservations");
+const { getSlot } = require("../repositories/slots");
+const { addSlot, addUser } = require("./fixtures");
+
+let cashierId;
+
+function book(slotId, startMinutes, endMinutes) {
+  return createReservation(
+    {
+      slot_id: slotId,
+      customer_name: "Alex Booker",
+      start_time: moment().add(startMinutes, "minutes").toISOString(),
+      end_time: moment().add(endMinutes, "minutes").toISOString(),
+    },
+    cashierId
+  );
+}
+
+beforeAll(async () => {
+  await migrateUp(getDatabase(), { dbPath });
+  cashierId = await addUser("cashier");
+});
+
+afterAll((done) => {
+  getDatabase().close(done);
+});
+
+describe("createReservation", () => {
+  test("numbers bookings made together from the reservation series", async () => {
+    const [first, second] = await Promise.all([
+      book(await addSlot(), 60, 120),
+      book(await addSlot(), 60, 120),
+    ]);
+
+    expect(first.reservation_number).toMatch(/^RSVA-\d{4}-0000[12]-\d$/);
+    expect(second.reservation_number).toMatch(/^RSVA-\d{4}-0000[12]-\d$/);
+    expect(first.reservation_number).not.toBe(second.reservation_number);
+  });
+
+  test("books only one of two overlapping windows made together", async () => {
+    const slotId = await addSlot();
+
+    const results = await Promise.allSettled([
+      book(slotId, 60, 120),
+      book(slotId, 90, 150),
+    ]);
+
+    expect(results.map((result) => result.status).sort()).toEqual([
+      "fulfilled",
+      "rejected",
+    ]);
+    expect(
+      results.find((result) => result.status === "rejected").reason
+    ).toBeInstanceOf(ReservationError);
+  });
+
+  test("holds the slot when the window has already started", async () => {
+    const slotId = await addSlot();
+
+    await book(slotId, -10, 60);
+
+    expect((await getSlot(slotId)).status).toBe("reserved");
+  });
+});
+
+describe("cancelReservation", () => {
+  test("cancels a booking and frees its slot", async () => {
+    const slotId = await addSlot();
+    const reservation = await book(slotId, -10, 60);
+
+    await cancelReservation(reservation.id, cashierId);
+
+    expect((await getSlot(slotId)).status).toBe("vacant");
+    await expect(cancelReservation(reservation.id, cashierId)).rejects.toThrow(
+      new ReservationError("Reservation is already cancelled")
+    );
+  });
+});
@@ -0,0 +1,2 @@
+// Tests run against a throwaway in-memory database, never parking_system.db
+process.env.DB_PATH = ":memory:";
@@ -0,0 +1,167 @@
+const { getDatabase, dbPath } = require("../database/init");
+const { migrateUp } = require("../database/migrate");
+const { dbRun } = require("../utils/db");
+const {
+  getOpenShift,
+  findOpenShift,
+  getShift,
+  openShift,
+  closeShift,
+} = require("../repositories/shifts");
+const {
+  createPayment,
+  findTicketPayment,
+  getShiftCollected,
+} = require("../repositories/payments");
+const { createUser } = require("../repositories/users");
+const { createSlot } = require("../repositories/slots");
+const { saveVehicle } = require("../repositories/vehicles");
+const { saveDriver } = require("../repositories/drivers");
+const { createTicket } = require("../repositories/tickets");
+
+let cashierId;
+let otherCashierId;
+let ticketIds;
+
+async function addTicket(ticketNumber, slotId, driverId) {
+  return createTicket({
+    ticket_number: ticketNumber,
+    slot_id: slotId,
+    vehicle_id: await saveVehicle({ license_plate: ticketNumber }),
+    driver_id: driverId,
+    cashier_id: cashierId,
+  });
+}
+
+// Record a payment taken at a given time
+async function pay(userId, amount, paymentDate) {
+  const id = await createPayment({
+    ticket_id: ticketIds[0],
+    amount,
+    payment_method: "cash",
+    cashier_id: userId,
+    receipt_number: `R-${paymentDate}-${amount}`,
+  });
+  await dbRun("UPDATE payments SET payment_date = ? WHERE id = ?", [
+    paymentDate,
+    id,
+  ]);
+  return id;
+}
+
+beforeAll(async () => {
+  await migrateUp(getDatabase(), { dbPath });
+  cashierId = await createUser(
+    { username: "cashier", full_name: "Casey Cashier", role: "cashier" },
+    "hash"
+  );
+  otherCashierId = await createUser(
+    { username: "other", full_name: "Other Cashier", role: "cashier" },
+    "hash"
+  );
+
+  const slotId = await createSlot({
+    slot_number: "A1",
+    slot_name: "Slot A1",
+    slot_type: "standard",
+    hourly_rate: 4,
+    daily_rate: 30,
+  });
+  const driverId = await saveDriver({ full_name: "Sam Driver" });
+  ticketIds = [
+    await addTicket("T1", slotId, driverId),
+    await addTicket("T2", slotId, driverId),
+    await addTicket("T3", slotId, driverId),
+  ];
+});
+
+afterAll((done) => {
+  getDatabase().close(done);
+});
+
+describe("shifts", () => {
+  test("open for today with the cashier's name", async () => {
+    const id = await openShift(cashierId, { opening_amount: 50 });
+
+    expect(await getShift(id)).toMatchObject({
+      cashier_name: "Casey Cashier",
+      opening_amount: 50,
+      status: "open",
+    });
+    expect((await getOpenShift(cashierId)).id).toBe(id);
+    expect(await getOpenShift(otherCashierId)).toBeUndefined();
+  });
+
+  test("opened on an earlier day are still found by findOpenShift", async () => {
+    const id = (await getOpenShift(cashierId)).id;
+    await dbRun(
+      "UPDATE shifts SET shift_date = DATE('now', '-1 day') WHERE id = ?",
+      [id]
+    );
+
+    expect(await getOpenShift(cashierId)).toBeUndefined();
+    expect((await findOpenShift(cashierId)).id).toBe(id);
+  });
+
+  test("close with their totals", async () => {
+    const { id } = await findOpenShift(cashierId);
+    await closeShift(id, {
+      closing_amount: 70,
+      total_collected: 20,
+      variance: 0,
+      method_totals: { cash: 20 },
+    });
+
+    expect(await getShift(id)).toMatchObject({
+      status: "closed",
+      closing_amount: 70,
+      method_totals: JSON.stringify({ cash: 20 }),
+    });
+    expect(await findOpenShift(cashierId)).toBeUndefined();
+  });
+});
+
+describe("getShiftCollected", () => {
+  const shift = {
+    cashier_id: null,
+    open_time: "2026-03-01 22:00:00",
+    close_time: "2026-03-02 06:00:00",
+  };
+
+  beforeAll(async () => {
+    shift.cashier_id = cashierId;
+    await pay(cashierId, 10, "2026-03-01 21:59:59");
+    await pay(cashierId, 20, "2026-03-01 23:30:00");
+    await pay(cashierId, 5, "2026-03-02 05:00:00");
+    await pay(cashierId, -5, "2026-03-02 05:30:00");
+    await pay(otherCashierId, 40, "2026-03-02 01:00:00");
+    await pay(cashierId, 15, "2026-03-02 06:00:01");
+  });
+
+  test("totals the shift user's payments across midnight, net of refunds", async () => {
+    expect(await getShiftCollected(shift)).toBe(20);
+  });
+
+  test("runs until now while the shift is open", async () => {
+    expect(await getShiftCollected({ ...shift, close_time: null })).toBe(35);
+  });
+});
+
+describe("findTicketPayment", () => {
+  test("finds the payment of a ticket", async () => {
+    const id = await createPayment({
+      ticket_id: ticketIds[1],
+      amount: 12,
+      payment_method: "card",
+      cashier_id: cashierId,
+      receipt_number: "R-7",
+    });
+
+    expect(await findTicketPayment(ticketIds[1])).toEqual({
+      id,
+      amount: 12,
+      payment_method: "card",
+    });
+    expect(await findTicketPayment(ticketIds[2])).toBeUndefined();
+  });
+});
@@ -0,0 +1,260 @@
+const { getDatabase, dbPath } = require("../database/init");
+const { migrateUp } = require("../database/migrate");
+const {
+  TariffError,
+  loadTariffTables,
+  getTariffTable,
+  saveTariffTable,
+  calculateTariff,
+  applyLostTicketFee,
+  applyDiscount,
+} = require("../utils/tariff");
+
+const CHECK_IN = "2026-03-02 08:00:00";
+
+function slot(overrides = {}) {
+  return {
+    check_in_time: CHECK_IN,
+    slot_type: "standard",
+    hourly_rate: 4,
+    daily_rate: 30,
+    ...overrides,
+  };
+}
+
+// Check-out time a number of minutes after CHECK_IN
+function after(minutes) {
+  const end = new Date(`${CHECK_IN.replace(" ", "T")}Z`);
+  end.setUTCMinutes(end.getUTCMinutes() + minutes);
+  return end.toISOString().slice(0, 19).replace("T", " ");
+}
+
+const TIERED = [
+  { label: "First 30 minutes", untilMinutes: 30, rateFactor: 0 },
+  { label: "Hourly parking", untilMinutes: 270, rateFactor: 1 },
+  { label: "Extended stay", untilMinutes: null, rateFactor: 0.5 },
+];
+
+describe("calculateTariff", () => {
+  test("charges nothing within the grace period", () => {
+    const tariff = calculateTariff(slot(), after(10), { graceMinutes: 15 });
+
+    expect(tariff.withinGrace).toBe(true);
+    expect(tariff.total).toBe(0);
+    expect(tariff.lines).toHaveLength(1);
+  });
+
+  test("bills the whole stay once the grace period is exceeded", () => {
+    const tariff = calculateTariff(slot(), after(20), { graceMinutes: 15 });
+
+    expect(tariff.withinGrace).toBe(false);
+    expect(tariff.total).toBe(4);
+  });
+
+  test("bills started hours at the slot's hourly rate", () => {
+    const tariff = calculateTariff(slot(), after(150), { graceMinutes: 0 });
+
+    expect(tariff.durationMinutes).toBe(150);
+    expect(tariff.lines).toEqual([
+      {
+        label: "Hourly parking",
+        quantity: 3,
+        unit: "hour",
+        unitPrice: 4,
+        amount: 12,
+      },
+    ]);
+    expect(tariff.total).toBe(12);
+  });
+
+  test("bills each band of a tiered table at its own rate", () => {
+    const tariff = calculateTariff(slot(), after(390), {
+      graceMinutes: 0,
+      bands: TIERED,
+    });
+
+    expect(tariff.lines.map((line) => [line.label, line.quantity, line.amount])).toEqual([
+      ["First 30 minutes", 1, 0],
+      ["Hourly parking", 4, 16],
+      ["Extended stay", 2, 4],
+    ]);
+    expect(tariff.total).toBe(20);
+  });
+
+  test("leaves out bands the stay never reaches", () => {
+    const tariff = calculateTariff(slot(), after(45), {
+      graceMinutes: 0,
+      bands: TIERED,
+    });
+
+    expect(tariff.lines.map((line) => line.label)).toEqual([
+      "First 30 minutes",
+      "Hourly parking",
+    ]);
+    expect(tariff.total).toBe(4);
+  });
+
+  test("uses a band's fixed hourly rate instead of the slot's", () => {
+    const tariff = calculateTariff(slot(), after(120), {
+      graceMinutes: 0,
+      bands: [{ label: "Flat rate", untilMinutes: null, hourlyRate: 2.5 }],
+    });
+
+    expect(tariff.lines[0].unitPrice).toBe(2.5);
+    expect(tariff.total).toBe(5);
+  });
+
+  test("caps each 24-hour period at the daily rate", () => {
+    const tariff = calculateTariff(slot(), after(24 * 60 + 120), {
+      graceMinutes: 0,
+    });
+
+    expect(tariff.lines.map((line) => [line.label, line.amount])).toEqual([
+      ["Day 1: Daily maximum", 30],
+      ["Day 2: Hourly parking", 8],
+    ]);
+    expect(tariff.total).toBe(38);
+  });
+
+  test("does not cap a slot without a daily rate", () => {
+    const tariff = calculateTariff(slot({ daily_rate: 0 }), after(24 * 60), {
+      graceMinutes: 0,
+    });
+
+    expect(tariff.total).toBe(96);
+  });
+
+  test("charges nothing for a stay of no time", () => {
+    const tariff = calculateTariff(slot(), CHECK_IN, { graceMinutes: 0 });
+
+    expect(tariff.durationMinutes).toBe(0);
+    expect(tariff.total).toBe(0);
+  });
+});
+
+describe("applyLostTicketFee", () => {
+  const tariff = calculateTariff(slot(), after(60), { graceMinutes: 0 });
+
+  test("adds the fee to the tariff", () => {
+    const charged = applyLostTicketFee(tariff, { fee: 20, mode: "add" });
+
+    expect(charged.lostTicket).toBe(true);
+    expect(charged.total).toBe(24);
+  });
+
+  test("charges only the fee in replace mode", () => {
+    const charged = applyLostTicketFee(tariff, { fee: 20, mode: "replace" });
+
+    expect(charged.lines).toHaveLength(1);
+    expect(charged.total).toBe(20);
+  });
+});
+
+describe("applyDiscount", () => {
+  const ticket = slot();
+  const tariff = calculateTariff(ticket, after(180), { graceMinutes: 0 });
+
+  test("takes a percentage off the total", () => {
+    const discounted = applyDiscount(
+      tariff,
+      { code: "HALF", discount_type: "percentage", value: 50 },
+      ticket
+    );
+
+    expect(discounted.discount.amount).toBe(6);
+    expect(discounted.total).toBe(6);
+  });
+
+  test("removes free minutes from the start of the stay", () => {
+    const discounted = applyDiscount(
+      tariff,
+      { code: "HOUR", discount_type: "free_minutes", value: 60 },
+      ticket
+    );
+
+    expect(discounted.total).toBe(8);
+  });
+
+  test("never takes the total below zero", () => {
+    const discounted = applyDiscount(
+      tariff,
+      { code: "BIG", discount_type: "fixed", value: 100 },
+      ticket
+    );
+
+    expect(discounted.total).toBe(0);
+  });
+});
+
+describe("stored tariff tables", () => {
+  beforeAll(async () => {
+    await migrateUp(getDatabase(), { dbPath });
+    await loadTariffTables();
+  });
+
+  afterAll((done) => {
+    getDatabase().close(done);
+  });
+
+  test("start with one hourly band per slot type", () => {
+    expect(getTariffTable("vip")).toEqual([
+      { label: "Hourly parking", untilMinutes: null, rateFactor: 1 },
+    ]);
+  });
+
+  test("bill a slot type with its saved bands", async () => {
+    await saveTariffTable(
+      "vip",
+      [
+        { label: "First 30 minutes", until_minutes: "30", rate_factor: "0" },
+        { label: "Hourly parking", until_minutes: "270", rate_factor: "1" },
+        { label: "Extended stay", until_minutes: "", rate_factor: "0.5" },
+      ],
+      1
+    );
+
+    expect(getTariffTable("vip")).toEqual(TIERED);
+    expect(
+      calculateTariff(slot({ slot_type: "vip" }), after(390), { graceMinutes: 0 })
+        .total
+    ).toBe(20);
+    expect(getTariffTable("standard")).toHaveLength(1);
+  });
+
+  test("fall back to the standard table for an unknown slot type", () => {
+    expect(getTariffTable("premium")).toBe(getTariffTable("standard"));
+  });
+
+  test.each([
+    [[], "Add at least one band"],
+    [[{ label: "", rate_factor: "1" }], "Band 1 needs a label"],
+    [
+      [{ label: "Hourly", until_minutes: "60", rate_factor: "1" }],
+      "Hourly is the last band and must run to the end of the stay",
+    ],
+    [
+      [
+        { label: "First", until_minutes: "60", rate_factor: "1" },
+        { label: "Second", until_minutes: "30", rate_factor: "1" },
+        { label: "Rest", rate_factor: "1" },
+      ],
+      "Second must end after minute 60, in whole minutes",
+    ],
+    [
+      [{ label: "Hourly", rate_factor: "1", hourly_rate: "2" }],
+      "Hourly needs either a rate factor or a fixed hourly rate",
+    ],
+    [[{ label: "Hourly", hourly_rate: "-1" }], "The rate of Hourly must be zero or more"],
+  ])("refuse invalid bands %#", async (bands, message) => {
+    await expect(saveTariffTable("standard", bands, 1)).rejects.toThrow(
+      new TariffError(message)
+    );
+    expect(getTariffTable("standard")).toHaveLength(1);
+  });
+
+  test("refuse an unknown slot type", async () => {
+    await expect(
+      saveTariffTable("premium", [{ label: "Hourly", rate_factor: "1" }], 1)
+    ).rejects.toThrow("Unknown slot type");
+  });
+});
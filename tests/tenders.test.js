@@ -0,0 +1,107 @@
+const { getDatabase } = require("../database/init");
+const { TenderError, parseTenders } = require("../utils/tenders");
+
+afterAll((done) => {
+  getDatabase().close(done);
+});
+
+describe("parseTenders", () => {
+  test("pays the whole amount with a single payment method", () => {
+    expect(
+      parseTenders({ payment_method: "card", reference_number: "AUTH1" }, 12.5)
+    ).toMatchObject({
+      tenders: [{ method: "card", amount: 12.5, reference_number: "AUTH1" }],
+      paymentMethod: "card",
+      referenceNumber: "AUTH1",
+      changeDue: 0,
+    });
+  });
+
+  test("splits a payment across methods", () => {
+    const result = parseTenders(
+      {
+        tenders: {
+          0: { method: "cash", amount: "10" },
+          1: { method: "mfs", amount: "5.25", reference_number: " MFS9 " },
+        },
+      },
+      15.25
+    );
+
+    expect(result.paymentMethod).toBe("mixed");
+    expect(result.tenders.map((tender) => tender.method)).toEqual(["cash", "mfs"]);
+    expect(result.tenders[1].reference_number).toBe("MFS9");
+  });
+
+  test("adds tenders up in cents, so fractions of a cent do not creep in", () => {
+    const result = parseTenders(
+      {
+        tenders: [
+          { method: "cash", amount: "0.1" },
+          { method: "card", amount: "0.2" },
+        ],
+      },
+      0.3
+    );
+
+    expect(result.tenders.map((tender) => tender.amount)).toEqual([0.1, 0.2]);
+  });
+
+  test("refuses tenders that do not add up to the amount due", () => {
+    expect(() =>
+      parseTenders(
+        {
+          tenders: [
+            { method: "cash", amount: "10" },
+            { method: "card", amount: "4.99" },
+          ],
+        },
+        15
+      )
+    ).toThrow(new TenderError("Tenders add up to 14.99 but 15.00 is due"));
+  });
+
+  test("gives change on the cash tendered", () => {
+    const result = parseTenders(
+      {
+        tenders: [
+          { method: "cash", amount: "7.35", cash_tendered: "20" },
+          { method: "card", amount: "5" },
+        ],
+      },
+      12.35
+    );
+
+    expect(result.tenders[0]).toMatchObject({
+      cash_tendered: 20,
+      change_due: 12.65,
+    });
+    expect(result.changeDue).toBe(12.65);
+  });
+
+  test("refuses cash tendered below the cash amount", () => {
+    expect(() =>
+      parseTenders(
+        { tenders: [{ method: "cash", amount: "10", cash_tendered: "9.99" }] },
+        10
+      )
+    ).toThrow(new TenderError("Cash tendered must cover the cash amount"));
+  });
+
+  test("refuses an unknown method or an amount of zero", () => {
+    expect(() =>
+      parseTenders({ tenders: [{ method: "cheque", amount: "10" }] }, 10)
+    ).toThrow(new TenderError("Choose a payment method for each tender"));
+    expect(() =>
+      parseTenders(
+        {
+          tenders: [
+            { method: "cash", amount: "10" },
+            { method: "card", amount: "0" },
+          ],
+        },
+        10
+      )
+    ).toThrow(new TenderError("Each tender needs an amount above zero"));
+  });
+});
@@ -0,0 +1,88 @@
+const { getDatabase, dbPath } = require("../database/init");
+const { migrateUp } = require("../database/migrate");
+const {
+  AdjustmentError,
+  getAdjustment,
+  requestAdjustment,
+  approveAdjustment,
+} = require("../utils/ticket-adjustments");
+const { getSlot, claimSlot } = require("../repositories/slots");
+const { getTicket, checkOutTicket } = require("../repositories/tickets");
+const { addSlot, addUser, parkVehicle } = require("./fixtures");
+
+let cashierId;
+let adminId;
+
+function requestSlotChange(ticketId, slotId) {
+  return requestAdjustment(
+    ticketId,
+    { action: "correct", reason_code: "wrong_slot", slot_id: slotId },
+    cashierId
+  );
+}
+
+beforeAll(async () => {
+  await migrateUp(getDatabase(), { dbPath });
+  cashierId = await addUser("cashier");
+  adminId = await addUser("admin", "admin");
+});
+
+afterAll((done) => {
+  getDatabase().close(done);
+});
+
+describe("approveAdjustment", () => {
+  test("moves a parked ticket to the corrected slot", async () => {
+    const ticketId = await parkVehicle("AB12CDE", cashierId);
+    const oldSlotId = (await getTicket(ticketId)).slot_id;
+    const newSlotId = await addSlot();
+    const request = await requestSlotChange(ticketId, newSlotId);
+
+    await approveAdjustment(request.id, adminId);
+
+    expect((await getTicket(ticketId)).slot_id).toBe(newSlotId);
+    expect((await getSlot(newSlotId)).status).toBe("occupied");
+    expect((await getSlot(oldSlotId)).status).toBe("vacant");
+  });
+
+  test("refuses a slot change once the vehicle has left", async () => {
+    const ticketId = await parkVehicle("LEFT1", cashierId);
+    const newSlotId = await addSlot();
+    const request = await requestSlotChange(ticketId, newSlotId);
+    await checkOutTicket(ticketId, { durationHours: 1, total: 4 }, "pending");
+
+    await expect(approveAdjustment(request.id, adminId)).rejects.toThrow(
+      new AdjustmentError("The slot of a checked-out ticket cannot be changed")
+    );
+    expect((await getSlot(newSlotId)).status).toBe("vacant");
+    expect((await getAdjustment(request.id)).status).toBe("pending");
+  });
+
+  test("refuses a slot taken since the request, leaving the ticket where it was", async () => {
+    const ticketId = await parkVehicle("TAKEN1", cashierId);
+    const oldSlotId = (await getTicket(ticketId)).slot_id;
+    const newSlotId = await addSlot();
+    const request = await requestSlotChange(ticketId, newSlotId);
+    await claimSlot(newSlotId, false);
+
+    await expect(approveAdjustment(request.id, adminId)).rejects.toThrow(
+      "is no longer vacant"
+    );
+    expect((await getTicket(ticketId)).slot_id).toBe(oldSlotId);
+    expect((await getSlot(oldSlotId)).status).toBe("occupied");
+  });
+
+  test("corrects the plate of a ticket after the vehicle has left", async () => {
+    const ticketId = await parkVehicle("PLAT3", cashierId);
+    const request = await requestAdjustment(
+      ticketId,
+      { action: "correct", reason_code: "wrong_plate", license_plate: "plat-e" },
+      cashierId
+    );
+    await checkOutTicket(ticketId, { durationHours: 1, total: 4 }, "pending");
+
+    await approveAdjustment(request.id, adminId);
+
+    expect((await getTicket(ticketId)).license_plate).toBe("PLATE");
+  });
+});
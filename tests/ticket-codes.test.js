@@ -0,0 +1,95 @@
+// A fixed key, so the tests never write database/ticket-code.key
+process.env.TICKET_CODE_SECRET = "ticket-code-test-secret";
+
+const { getDatabase, dbPath } = require("../database/init");
+const { migrateUp } = require("../database/migrate");
+const {
+  TicketCodeError,
+  signTicketNumber,
+  findTicketByCode,
+} = require("../utils/ticket-codes");
+const { createSlot } = require("../repositories/slots");
+const { saveVehicle } = require("../repositories/vehicles");
+const { saveDriver } = require("../repositories/drivers");
+const { createUser } = require("../repositories/users");
+const { createTicket } = require("../repositories/tickets");
+
+const TICKET_NUMBER = "A-2026-000001-3";
+
+beforeAll(async () => {
+  await migrateUp(getDatabase(), { dbPath });
+
+  await createTicket({
+    ticket_number: TICKET_NUMBER,
+    slot_id: await createSlot({
+      slot_number: "A1",
+      slot_name: "Slot A1",
+      slot_type: "standard",
+      hourly_rate: 4,
+      daily_rate: 30,
+    }),
+    vehicle_id: await saveVehicle({ license_plate: "AB12CDE" }),
+    driver_id: await saveDriver({ full_name: "Sam Driver" }),
+    cashier_id: await createUser(
+      { username: "cashier", full_name: "Cashier", role: "cashier" },
+      "hash"
+    ),
+  });
+});
+
+afterAll((done) => {
+  getDatabase().close(done);
+});
+
+describe("signTicketNumber", () => {
+  test("appends an eight-character checksum to the ticket number", () => {
+    expect(signTicketNumber(TICKET_NUMBER)).toMatch(
+      /^A-2026-000001-3\.[0-9A-F]{8}$/
+    );
+  });
+
+  test("gives each ticket number its own checksum", () => {
+    expect(signTicketNumber("A-2026-000002-1").split(".")[1]).not.toBe(
+      signTicketNumber(TICKET_NUMBER).split(".")[1]
+    );
+  });
+});
+
+describe("findTicketByCode", () => {
+  test("finds the ticket of a signed code", async () => {
+    const ticket = await findTicketByCode(signTicketNumber(TICKET_NUMBER));
+
+    expect(ticket.ticket_number).toBe(TICKET_NUMBER);
+    expect(ticket.license_plate).toBe("AB12CDE");
+  });
+
+  test("accepts a checksum typed in lower case, with spaces around", async () => {
+    const code = signTicketNumber(TICKET_NUMBER).toLowerCase();
+    const ticket = await findTicketByCode(
+      ` ${TICKET_NUMBER}.${code.split(".")[1]} `
+    );
+
+    expect(ticket.ticket_number).toBe(TICKET_NUMBER);
+  });
+
+  test("refuses text that is not a ticket code", async () => {
+    await expect(findTicketByCode(TICKET_NUMBER)).rejects.toThrow(
+      "That is not a ticket code"
+    );
+    await expect(findTicketByCode("")).rejects.toThrow(TicketCodeError);
+  });
+
+  test("refuses a code whose ticket number was changed", async () => {
+    const checksum = signTicketNumber(TICKET_NUMBER).split(".")[1];
+
+    await expect(
+      findTicketByCode(`A-2026-000002-1.${checksum}`)
+    ).rejects.toThrow("may have been tampered with");
+  });
+
+  test("refuses a genuine code for a ticket that does not exist", async () => {
+    await expect(
+      findTicketByCode(signTicketNumber("A-2026-000009-9"))
+    ).rejects.toThrow("Ticket A-2026-000009-9 not found");
+  });
+});
@@ -0,0 +1,167 @@
+const { getDatabase, dbPath } = require("../database/init");
+const { migrateUp } = require("../database/migrate");
+const { dbRun } = require("../utils/db");
+const {
+  getSlot,
+  createSlot,
+  setSlotStatus,
+  claimSlot,
+  releaseSlot,
+  countSlotsByStatus,
+} = require("../repositories/slots");
+const { saveVehicle } = require("../repositories/vehicles");
+const { saveDriver } = require("../repositories/drivers");
+const { createUser } = require("../repositories/users");
+const {
+  getTicket,
+  findTicketByNumber,
+  findOpenTicketByPlate,
+  createTicket,
+  checkOutTicket,
+  payTicket,
+  checkOutUnpaid,
+  markTicketPaid,
+} = require("../repositories/tickets");
+
+const TARIFF = { durationHours: 2, total: 8 };
+
+let cashierId;
+let driverId;
+let slotCount = 0;
+
+function addSlot() {
+  slotCount += 1;
+  return createSlot({
+    slot_number: `A${slotCount}`,
+    slot_name: `Slot A${slotCount}`,
+    slot_type: "standard",
+    hourly_rate: 4,
+    daily_rate: 30,
+  });
+}
+
+async function parkVehicle(plate) {
+  return createTicket({
+    ticket_number: `T-${plate}`,
+    slot_id: await addSlot(),
+    vehicle_id: await saveVehicle({ license_plate: plate }),
+    driver_id: driverId,
+    cashier_id: cashierId,
+  });
+}
+
+beforeAll(async () => {
+  await migrateUp(getDatabase(), { dbPath });
+  cashierId = await createUser(
+    { username: "cashier", full_name: "Cashier", role: "cashier" },
+    "hash"
+  );
+  driverId = await saveDriver({ full_name: "Sam Driver" });
+});
+
+afterAll((done) => {
+  getDatabase().close(done);
+});
+
+describe("slots", () => {
+  test("claim a vacant slot only once", async () => {
+    const id = await addSlot();
+
+    expect(await claimSlot(id, false)).toBe(true);
+    expect(await claimSlot(id, false)).toBe(false);
+    expect((await getSlot(id)).status).toBe("occupied");
+
+    await releaseSlot(id);
+    expect((await getSlot(id)).status).toBe("vacant");
+  });
+
+  test("claim a reserved slot only for its reservation", async () => {
+    const id = await addSlot();
+    await setSlotStatus(id, "reserved");
+
+    expect(await claimSlot(id, false)).toBe(false);
+    expect(await claimSlot(id, true)).toBe(true);
+  });
+
+  test("are counted by status", async () => {
+    const id = await addSlot();
+    await setSlotStatus(id, "out_of_service");
+
+    expect(await countSlotsByStatus()).toEqual({
+      vacant_slots: 1,
+      occupied_slots: 1,
+      reserved_slots: 0,
+      out_of_service_slots: 1,
+    });
+  });
+});
+
+describe("tickets", () => {
+  test("are found by number with their slot and vehicle", async () => {
+    await parkVehicle("AB12CDE");
+
+    expect(await findTicketByNumber("T-AB12CDE")).toMatchObject({
+      license_plate: "AB12CDE",
+      payment_status: "pending",
+      check_out_time: null,
+    });
+    expect(await findTicketByNumber("T-UNKNOWN")).toBeUndefined();
+  });
+
+  test("are found by plate while the vehicle is in the lot", async () => {
+    const id = await parkVehicle("OPEN1");
+
+    expect((await findOpenTicketByPlate("OPEN1")).id).toBe(id);
+
+    expect(await checkOutTicket(id, TARIFF, "pending")).toBe(true);
+    expect(await findOpenTicketByPlate("OPEN1")).toBeUndefined();
+  });
+
+  test("are paid once, opening an exit window", async () => {
+    const id = await parkVehicle("PAY1");
+
+    expect(await payTicket(id, TARIFF, 15)).toBe(true);
+    expect(await payTicket(id, TARIFF, 15)).toBe(false);
+
+    const ticket = await getTicket(id);
+    expect(ticket.payment_status).toBe("paid");
+    expect(ticket.total_amount).toBe(8);
+    expect(ticket.exit_deadline).not.toBeNull();
+  });
+
+  test("are not checked out when their status changed meanwhile", async () => {
+    const id = await parkVehicle("RACE1");
+    await payTicket(id, TARIFF, 15);
+
+    expect(await checkOutTicket(id, TARIFF, "pending")).toBe(false);
+    expect(await checkOutTicket(id, TARIFF, "paid")).toBe(true);
+  });
+
+  test("closed unpaid stay pending until the balance is settled", async () => {
+    const id = await parkVehicle("OWE1");
+
+    expect(await checkOutUnpaid(id, TARIFF)).toBe(true);
+    expect(await checkOutUnpaid(id, TARIFF)).toBe(false);
+    expect((await getTicket(id)).payment_status).toBe("pending");
+
+    await markTicketPaid(id);
+    expect((await getTicket(id)).payment_status).toBe("paid");
+  });
+
+  test("still in the lot are not settled", async () => {
+    const id = await parkVehicle("OPEN2");
+
+    await markTicketPaid(id);
+    expect((await getTicket(id)).payment_status).toBe("pending");
+  });
+
+  test("that were voided are not in the lot", async () => {
+    const id = await parkVehicle("VOID1");
+    await dbRun(
+      "UPDATE parking_tickets SET payment_status = 'cancelled' WHERE id = ?",
+      [id]
+    );
+
+    expect(await findOpenTicketByPlate("VOID1")).toBeUndefined();
+  });
+});
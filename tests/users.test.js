@@ -0,0 +1,122 @@
+const { getDatabase, dbPath } = require("../database/init");
+const { migrateUp } = require("../database/migrate");
+const { dbRun } = require("../utils/db");
+const {
+  listUsers,
+  getUser,
+  getActiveUserByUsername,
+  getUserByUsername,
+  createUser,
+  updateUser,
+  recordFailedLogin,
+  clearFailedLogins,
+  countUserReferences,
+  deleteUserReferences,
+  deleteUser,
+} = require("../repositories/users");
+
+const CASHIER = {
+  username: "cashier",
+  full_name: "Casey Cashier",
+  role: "cashier",
+  email: "casey@example.com",
+  phone: null,
+};
+
+let cashierId;
+
+beforeAll(async () => {
+  await migrateUp(getDatabase(), { dbPath });
+  cashierId = await createUser(CASHIER, "hash");
+});
+
+afterAll((done) => {
+  getDatabase().close(done);
+});
+
+describe("users", () => {
+  test("are listed without their password hashes", async () => {
+    const users = await listUsers();
+
+    expect(users.map((user) => user.username)).toContain("cashier");
+    users.forEach((user) => expect(user).not.toHaveProperty("password"));
+  });
+
+  test("log in only while active", async () => {
+    expect((await getActiveUserByUsername("cashier")).id).toBe(cashierId);
+
+    await updateUser(cashierId, { ...CASHIER, is_active: false });
+    expect(await getActiveUserByUsername("cashier")).toBeUndefined();
+    expect((await getUserByUsername("cashier")).is_active).toBe(0);
+
+    await updateUser(cashierId, { ...CASHIER, is_active: true });
+  });
+
+  test("include the inactive camera user added by the migrations", async () => {
+    expect(await getUserByUsername("anpr")).toMatchObject({
+      password: "!",
+      is_active: 0,
+    });
+    expect(await getActiveUserByUsername("anpr")).toBeUndefined();
+  });
+});
+
+describe("failed logins", () => {
+  test("lock the user once they reach the limit", async () => {
+    expect(await recordFailedLogin(cashierId, 3, 15)).toBe(false);
+    expect(await recordFailedLogin(cashierId, 3, 15)).toBe(false);
+    expect(await recordFailedLogin(cashierId, 3, 15)).toBe(true);
+
+    const user = await getUser(cashierId);
+    expect(user.failed_login_attempts).toBe(0);
+    expect(user.locked_until).not.toBeNull();
+  });
+
+  test("are forgotten after a login", async () => {
+    await recordFailedLogin(cashierId, 3, 15);
+    await clearFailedLogins(cashierId);
+
+    expect(await getUser(cashierId)).toMatchObject({
+      failed_login_attempts: 0,
+      locked_until: null,
+    });
+  });
+
+  test("lock no more once an admin saves the user", async () => {
+    await recordFailedLogin(cashierId, 1, 15);
+    await updateUser(cashierId, { ...CASHIER, is_active: true });
+
+    expect((await getUser(cashierId)).locked_until).toBeNull();
+  });
+});
+
+describe("user references", () => {
+  test("are counted and deleted before the user", async () => {
+    await dbRun(
+      "INSERT INTO shifts (cashier_id, shift_date, open_time) VALUES (?, DATE('now'), CURRENT_TIMESTAMP)",
+      [cashierId]
+    );
+    await dbRun(
+      "INSERT INTO audit_logs (user_id, action) VALUES (?, 'LOGIN')",
+      [cashierId]
+    );
+
+    expect(await countUserReferences(cashierId)).toEqual({
+      tickets: 0,
+      payments: 0,
+      shifts: 1,
+      auditLogs: 1,
+    });
+
+    await deleteUserReferences(cashierId);
+    await deleteUser(cashierId);
+
+    expect(await countUserReferences(cashierId)).toEqual({
+      tickets: 0,
+      payments: 0,
+      shifts: 0,
+      auditLogs: 0,
+    });
+    expect(await getUser(cashierId)).toBeUndefined();
+  });
+});
@@ -0,0 +1,83 @@
+const { getDatabase, dbPath } = require("../database/init");
+const { migrateUp } = require("../database/migrate");
+const { dbRun } = require("../utils/db");
+const {
+  normalizePlate,
+  findVehicleByPlate,
+  saveVehicle,
+  searchVehicles,
+  getVehicle,
+} = require("../repositories/vehicles");
+
+beforeAll(async () => {
+  await migrateUp(getDatabase(), { dbPath });
+});
+
+afterAll((done) => {
+  getDatabase().close(done);
+});
+
+describe("normalizePlate", () => {
+  test("upper-cases plates and drops spaces and dashes", () => {
+    expect(normalizePlate(" ab-12 cde ")).toBe("AB12CDE");
+  });
+
+  test("treats a missing plate as empty", () => {
+    expect(normalizePlate(null)).toBe("");
+  });
+});
+
+describe("saveVehicle", () => {
+  test("stores a new vehicle under its normalised plate", async () => {
+    const id = await saveVehicle({
+      license_plate: "ab-12 cde",
+      make: "Toyota",
+      model: "Corolla",
+      color: "",
+    });
+
+    expect(await getVehicle(id)).toMatchObject({
+      license_plate: "AB12CDE",
+      make: "Toyota",
+      color: null,
+    });
+  });
+
+  test("updates a known plate in place, keeping details left blank", async () => {
+    const id = (await findVehicleByPlate("AB12CDE")).id;
+
+    expect(
+      await saveVehicle({ license_plate: "AB 12 CDE", make: "", color: "Red" })
+    ).toBe(id);
+    expect(await getVehicle(id)).toMatchObject({
+      make: "Toyota",
+      model: "Corolla",
+      color: "Red",
+    });
+  });
+});
+
+describe("findVehicleByPlate", () => {
+  test("matches plates stored before they were normalised", async () => {
+    await dbRun("INSERT INTO vehicles (license_plate) VALUES (?)", ["xy-99 zzz"]);
+
+    const vehicle = await findVehicleByPlate("XY99ZZZ");
+
+    expect(vehicle.license_plate).toBe("xy-99 zzz");
+    expect(await saveVehicle({ license_plate: "XY 99 ZZZ" })).toBe(vehicle.id);
+  });
+
+  test("finds nothing for an unknown plate", async () => {
+    expect(await findVehicleByPlate("NOPE")).toBeUndefined();
+  });
+});
+
+describe("searchVehicles", () => {
+  test("finds vehicles by owner name", async () => {
+    await saveVehicle({ license_plate: "OWN3R", owner_name: "Robin Park" });
+
+    const vehicles = await searchVehicles("robin");
+
+    expect(vehicles.map((vehicle) => vehicle.license_plate)).toEqual(["OWN3R"]);
+  });
+});
@@ -0,0 +1,142 @@
+const {
+  createAuditLog,
+  listAuditLogs,
+  getAuditStats: countAuditActivity,
+  getMostCommonActions: countActions,
+  getUserActivitySummary: summarizeUserActivity,
+  deleteAuditLogsOlderThan,
+} = require("../repositories/audit-logs");
+const { getSetting } = require("./settings");
+
+// Recorded even with audit logging turned off, so turning it off leaves a
+// trace and kiosk sales the terminal never confirmed can be reconciled
+const ALWAYS_AUDITED = ["UPDATE_SETTINGS", "KIOSK_SALE_UNCONFIRMED"];
+
+/**
+ * Log audit trail for system activities, unless audit logging is turned off
+ * in the settings
+ * @param {number} userId - ID of the user performing the action
+ * @param {string} action - Action being performed (e.g., 'LOGIN', 'CREATE_USER', 'UPDATE_SLOT')
+ * @param {string} tableName - Name of the table being affected
+ * @param {number} recordId - ID of the record being affected
+ * @param {string} oldValues - JSON string of old values (for updates)
+ * @param {string} newValues - JSON string of new values
+ * @param {string} ipAddress - IP address of the user
+ * @param {string} userAgent - User agent string
+ */
+async function logAudit(
+  userId,
+  action,
+  tableName,
+  recordId,
+  oldValues,
+  newValues,
+  ipAddress,
+  userAgent
+) {
+  if (!getSetting("enable_audit_log") && !ALWAYS_AUDITED.includes(action)) {
+    return null;
+  }
+
+  try {
+    return await createAuditLog({
+      user_id: userId,
+      action,
+      table_name: tableName,
+      record_id: recordId,
+      old_values: oldValues,
+      new_values: newValues,
+      ip_address: ipAddress,
+      user_agent: userAgent,
+    });
+  } catch (error) {
+    console.error("Audit logging failed:", error);
+    // Don't throw error as audit logging should not break main functionality
+    return null;
+  }
+}
+
+/**
+ * Get audit logs with filtering options
+ * @param {Object} options - Filter options
+ * @param {number} options.userId - Filter by specific user
+ * @param {string} options.action - Filter by specific action
+ * @param {string} options.tableName - Filter by specific table
+ * @param {string} options.startDate - Start date for filtering
+ * @param {string} options.endDate - End date for filtering
+ * @param {number} options.limit - Maximum number of records to return
+ * @param {number} options.offset - Offset for pagination
+ */
+async function getAuditLogs(options = {}) {
+  try {
+    return await listAuditLogs(options);
+  } catch (error) {
+    console.error("Failed to fetch audit logs:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get audit log statistics
+ * @param {string} startDate - Start date for statistics
+ * @param {string} endDate - End date for statistics
+ */
+async function getAuditStats(startDate, endDate) {
+  try {
+    return await countAuditActivity(startDate, endDate);
+  } catch (error) {
+    console.error("Failed to fetch audit stats:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get most common actions
+ * @param {number} limit - Maximum number of actions to return
+ */
+async function getMostCommonActions(limit = 10) {
+  try {
+    return await countActions(limit);
+  } catch (error) {
+    console.error("Failed to fetch common actions:", error);
+    throw error;
+  }
+}
+
+/**
+ * Get user activity summary
+ * @param {string} startDate - Start date for summary
+ * @param {string} endDate - End date for summary
+ */
+async function getUserActivitySummary(startDate, endDate) {
+  try {
+    return await summarizeUserActivity(startDate, endDate);
+  } catch (error) {
+    console.error("Failed to fetch user activity summary:", error);
+    throw error;
+  }
+}
+
+/**
+ * Clean old audit logs (for maintenance)
+ * @param {number} daysOld - Delete logs older than this many days
+ */
+async function cleanOldAuditLogs(daysOld = 90) {
+  try {
+    const changes = await deleteAuditLogsOlderThan(daysOld);
+    console.log(`Cleaned ${changes} old audit log entries`);
+    return changes;
+  } catch (error) {
+    console.error("Failed to clean old audit logs:", error);
+    throw error;
+  }
+}
+
+module.exports = {
+  logAudit,
+  getAuditLogs,
+  getAuditStats,
+  getMostCommonActions,
+  getUserActivitySummary,
+  cleanOldAuditLogs,
+};
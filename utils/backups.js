@@ -0,0 +1,302 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { getDatabase, dbPath } = require("../database/init");
+const { BACKUP_DIR, backupDatabase } = require("../database/migrate");
+const { dbGet, dbAll, dbRun, runExclusive } = require("./db");
+const { getSetting, loadSettings } = require("./settings");
+const { loadTariffTables } = require("./tariff");
+
+// Why a backup was taken, from the label in its file name
+const BACKUP_LABELS = {
+  manual: "Manual",
+  scheduled: "Scheduled",
+  "pre-restore": "Before restore",
+  "pre-migrate": "Before migration",
+  "pre-rollback": "Before rollback",
+};
+
+// How often the scheduler checks whether a scheduled backup is due
+const SCHEDULE_CHECK_INTERVAL_MS = 10 * 60 * 1000;
+
+let schedulerTimer = null;
+
+// Checksums by file name, size and modification time, so listing the
+// backups does not re-read files that have not changed
+const checksumCache = new Map();
+
+// Raised when a backup cannot be taken, found or restored
+class BackupError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "BackupError";
+  }
+}
+
+function isBackupSupported() {
+  return Boolean(dbPath) && dbPath !== ":memory:";
+}
+
+function parseBackupName(name) {
+  const match = name.match(/-([a-z]+(?:-[a-z]+)?)-(\d{8}T\d{6})\.db$/);
+  return match && BACKUP_LABELS[match[1]] ? match[1] : null;
+}
+
+function fileChecksum(filePath, stat) {
+  const key = `${path.basename(filePath)}:${stat.size}:${stat.mtimeMs}`;
+  if (checksumCache.has(key)) {
+    return Promise.resolve(checksumCache.get(key));
+  }
+
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash("sha256");
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("error", reject)
+      .on("end", () => {
+        const checksum = hash.digest("hex");
+        checksumCache.set(key, checksum);
+        resolve(checksum);
+      });
+  });
+}
+
+/**
+ * Backups in the backup folder, newest first
+ * @returns {Promise<Array>} { name, label, label_name, size, created_at, checksum }
+ */
+async function listBackups() {
+  if (!fs.existsSync(BACKUP_DIR)) {
+    return [];
+  }
+
+  const backups = [];
+
+  for (const name of fs.readdirSync(BACKUP_DIR)) {
+    const label = parseBackupName(name);
+    if (!label) continue;
+
+    const filePath = path.join(BACKUP_DIR, name);
+    const stat = fs.statSync(filePath);
+
+    backups.push({
+      name,
+      label,
+      label_name: BACKUP_LABELS[label],
+      size: stat.size,
+      created_at: stat.mtime,
+      checksum: await fileChecksum(filePath, stat),
+    });
+  }
+
+  return backups.sort((a, b) => b.created_at - a.created_at);
+}
+
+/**
+ * Path of a backup file, checked to be inside the backup folder
+ * @param {string} name - File name of the backup
+ */
+function getBackupPath(name) {
+  if (
+    typeof name !== "string" ||
+    path.basename(name) !== name ||
+    !parseBackupName(name)
+  ) {
+    throw new BackupError("Backup not found");
+  }
+
+  const filePath = path.join(BACKUP_DIR, name);
+  if (!fs.existsSync(filePath)) {
+    throw new BackupError("Backup not found");
+  }
+  return filePath;
+}
+
+// Take a snapshot; the caller must hold the connection exclusively because
+// VACUUM cannot run inside a transaction
+async function takeSnapshot(label) {
+  if (!isBackupSupported()) {
+    throw new BackupError("Backups are not available for an in-memory database");
+  }
+
+  const filePath = await backupDatabase(getDatabase(), dbPath, label);
+  const stat = fs.statSync(filePath);
+
+  return {
+    name: path.basename(filePath),
+    label,
+    size: stat.size,
+    checksum: await fileChecksum(filePath, stat),
+  };
+}
+
+/**
+ * Take a consistent snapshot of the live database with VACUUM INTO
+ * @param {string} label - "manual" or "scheduled"
+ * @returns {Promise<Object>} { name, label, size, checksum }
+ */
+async function createBackup(label = "manual") {
+  return runExclusive(() => takeSnapshot(label));
+}
+
+/**
+ * Delete the oldest scheduled backups beyond the retention count. Manual
+ * backups and safety snapshots are kept until deleted by hand.
+ * @param {number} keep - Number of scheduled backups to keep
+ * @returns {Promise<number>} Number of backups deleted
+ */
+async function pruneBackups(keep = getSetting("backup_retention_count")) {
+  const expired = (await listBackups())
+    .filter((backup) => backup.label === "scheduled")
+    .slice(keep);
+
+  expired.forEach((backup) => {
+    fs.unlinkSync(path.join(BACKUP_DIR, backup.name));
+  });
+
+  return expired.length;
+}
+
+/**
+ * Replace the contents of the live database with a backup. A safety
+ * snapshot is taken first, and the copy runs in one transaction so a
+ * failed restore leaves the data untouched. The backup must be at the same
+ * schema version as the database.
+ * @param {string} name - File name of the backup
+ * @returns {Promise<Object>} The safety snapshot
+ */
+async function restoreBackup(name) {
+  const backupPath = getBackupPath(name);
+
+  const snapshot = await runExclusive(async () => {
+    await dbRun("ATTACH DATABASE ? AS backup", [backupPath]);
+
+    try {
+      const integrity = await dbGet("PRAGMA backup.integrity_check");
+      if (!integrity || integrity.integrity_check !== "ok") {
+        throw new BackupError("Backup file is damaged");
+      }
+
+      const versionOf = async (schema) => {
+        const table = await dbGet(
+          `SELECT name FROM ${schema}.sqlite_master WHERE type = 'table' AND name = 'schema_migrations'`
+        );
+        if (!table) return 0;
+        const row = await dbGet(
+          `SELECT COALESCE(MAX(version), 0) as version FROM ${schema}.schema_migrations`
+        );
+        return row.version;
+      };
+      const [backupVersion, currentVersion] = await Promise.all([
+        versionOf("backup"),
+        versionOf("main"),
+      ]);
+      if (backupVersion !== currentVersion) {
+        throw new BackupError(
+          `Backup is at schema version ${backupVersion} but the database is at ${currentVersion}. Restore it with the server stopped and run the migrations.`
+        );
+      }
+
+      const safety = await takeSnapshot("pre-restore");
+
+      const tables = await dbAll(
+        "SELECT name FROM main.sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%'"
+      );
+
+      await dbRun("BEGIN IMMEDIATE");
+      try {
+        // Rows reference each other across tables, so check the keys once
+        // everything is copied
+        await dbRun("PRAGMA defer_foreign_keys = ON");
+
+        for (const { name: table } of tables) {
+          const columns = (await dbAll(`PRAGMA main.table_info(${table})`)).map(
+            (column) => column.name
+          );
+          const backupColumns = (
+            await dbAll(`PRAGMA backup.table_info(${table})`)
+          ).map((column) => column.name);
+          const shared = columns
+            .filter((column) => backupColumns.includes(column))
+            .join(", ");
+
+          await dbRun(`DELETE FROM main.${table}`);
+          if (shared) {
+            await dbRun(
+              `INSERT INTO main.${table} (${shared}) SELECT ${shared} FROM backup.${table}`
+            );
+          }
+        }
+
+        await dbRun("COMMIT");
+      } catch (error) {
+        try {
+          await dbRun("ROLLBACK");
+        } catch (rollbackError) {
+          console.error("Error rolling back restore:", rollbackError);
+        }
+        throw error;
+      }
+
+      return safety;
+    } finally {
+      await dbRun("DETACH DATABASE backup");
+    }
+  });
+
+  // Settings and tariffs are cached in memory and came back with the restore
+  await loadSettings();
+  await loadTariffTables();
+  return snapshot;
+}
+
+/**
+ * Take scheduled backups in the background at the configured interval,
+ * pruning old ones. An interval of 0 hours turns scheduled backups off.
+ * @param {number} intervalMs - How often to check whether one is due
+ */
+function startBackupScheduler(intervalMs = SCHEDULE_CHECK_INTERVAL_MS) {
+  if (schedulerTimer || !isBackupSupported()) {
+    return;
+  }
+
+  const check = async () => {
+    const hours = getSetting("backup_interval_hours");
+    if (!hours) return;
+
+    try {
+      const latest = (await listBackups()).find(
+        (backup) => backup.label === "scheduled"
+      );
+      if (latest && Date.now() - latest.created_at < hours * 60 * 60 * 1000) {
+        return;
+      }
+
+      const backup = await createBackup("scheduled");
+      const pruned = await pruneBackups();
+      console.log(
+        `Scheduled backup ${backup.name} taken${
+          pruned > 0 ? `, ${pruned} old backup(s) removed` : ""
+        }`
+      );
+    } catch (error) {
+      console.error("Scheduled backup failed:", error);
+    }
+  };
+
+  check();
+  schedulerTimer = setInterval(check, intervalMs);
+  schedulerTimer.unref();
+}
+
+module.exports = {
+  BACKUP_LABELS,
+  BackupError,
+  isBackupSupported,
+  listBackups,
+  getBackupPath,
+  createBackup,
+  pruneBackups,
+  restoreBackup,
+  startBackupScheduler,
+};
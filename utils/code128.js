@@ -0,0 +1,116 @@
+// Bar and space widths, in modules, of each Code 128 symbol value (0-106)
+const PATTERNS = [
+  "212222", "222122", "222221", "121223", "121322", "131222", "122213",
+  "122312", "132212", "221213", "221312", "231212", "112232", "122132",
+  "122231", "113222", "123122", "123221", "223211", "221132", "221231",
+  "213212", "223112", "312131", "311222", "321122", "321221", "312212",
+  "322112", "322211", "212123", "212321", "232121", "111323", "131123",
+  "131321", "112313", "132113", "132311", "211313", "231113", "231311",
+  "112133", "112331", "132131", "113123", "113321", "133121", "313121",
+  "211331", "231131", "213113", "213311", "213131", "311123", "311321",
+  "331121", "312113", "312311", "332111", "314111", "221411", "431111",
+  "111224", "111422", "121124", "121421", "141122", "141221", "112214",
+  "112412", "122114", "122411", "142112", "142211", "241211", "221114",
+  "413111", "241112", "134111", "111242", "121142", "121241", "114212",
+  "124112", "124211", "411212", "421112", "421211", "212141", "214121",
+  "412121", "111143", "111341", "131141", "114113", "114311", "411113",
+  "411311", "113141", "114131", "311141", "411131", "211412", "211214",
+  "211232", "2331112",
+];
+
+const CODE_B = 100;
+const CODE_C = 99;
+const START = { B: 104, C: 105 };
+const STOP = 106;
+
+// Digits in a row worth packing two to a symbol in code set C
+const MIN_DIGIT_RUN = 4;
+
+/**
+ * Split text into runs of code set B (printable ASCII) and code set C (pairs
+ * of digits), so long numbers take half the width
+ * @param {string} text - Printable ASCII
+ * @returns {Array} { set: "B" or "C", text } in order
+ */
+function code128Runs(text) {
+  const runs = [];
+  const add = (set, part) => {
+    if (!part) return;
+    const last = runs[runs.length - 1];
+    if (last && last.set === set) {
+      last.text += part;
+    } else {
+      runs.push({ set, text: part });
+    }
+  };
+
+  String(text)
+    .split(/(\d+)/)
+    .forEach((part) => {
+      if (!/^\d+$/.test(part) || part.length < MIN_DIGIT_RUN) {
+        add("B", part);
+        return;
+      }
+      // An odd digit out goes in code set B, ahead of the pairs
+      const odd = part.length % 2;
+      add("B", part.slice(0, odd));
+      add("C", part.slice(odd));
+    });
+
+  return runs;
+}
+
+/**
+ * Symbol values of a Code 128 barcode, from the start code to the stop code
+ * @param {string} text - Printable ASCII
+ * @returns {Array<number>}
+ */
+function code128Values(text) {
+  const runs = code128Runs(text);
+  if (runs.length === 0) {
+    throw new Error("Nothing to encode");
+  }
+
+  const values = [START[runs[0].set]];
+  runs.forEach((run, index) => {
+    if (index > 0) values.push(run.set === "C" ? CODE_C : CODE_B);
+
+    if (run.set === "C") {
+      for (let i = 0; i < run.text.length; i += 2) {
+        values.push(parseInt(run.text.slice(i, i + 2), 10));
+      }
+      return;
+    }
+    for (const char of run.text) {
+      const code = char.charCodeAt(0);
+      if (code < 32 || code > 126) {
+        throw new Error(`Code 128 cannot encode "${char}"`);
+      }
+      values.push(code - 32);
+    }
+  });
+
+  const checksum = values.reduce(
+    (total, value, index) => total + value * Math.max(index, 1),
+    0
+  );
+  values.push(checksum % 103, STOP);
+  return values;
+}
+
+/**
+ * Widths of the bars and spaces of a Code 128 barcode, in modules, starting
+ * with a bar. Leave ten modules of space either side when drawing it.
+ * @param {string} text - Printable ASCII
+ * @returns {Array<number>}
+ */
+function code128Widths(text) {
+  return code128Values(text).flatMap((value) =>
+    PATTERNS[value].split("").map(Number)
+  );
+}
+
+module.exports = {
+  code128Runs,
+  code128Widths,
+};
@@ -0,0 +1,165 @@
+const { AsyncLocalStorage } = require("async_hooks");
+const { getDatabase } = require("../database/init");
+
+// Raised when another request changed a row first, e.g. two cashiers checking
+// in to the same vacant slot
+class ConflictError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ConflictError";
+  }
+}
+
+// All requests share one connection, so everything that uses it takes its
+// turn in one queue: a transaction holds the connection from BEGIN to COMMIT,
+// and a statement from another request waits for it rather than running
+// inside it, where it would be rolled back with it and could read its
+// uncommitted writes. SQLite cannot BEGIN inside an open transaction either.
+let connectionQueue = Promise.resolve();
+
+// Set while work holds the connection, so its own statements skip the queue
+const exclusiveWork = new AsyncLocalStorage();
+
+/**
+ * Run work once everything queued before it has finished, holding off
+ * everything queued after it until it finishes. Statements the work runs
+ * skip the queue.
+ * @param {Function} work - Async function to run
+ * @returns {Promise<*>} Whatever the work returns
+ */
+function enqueue(work) {
+  const result = connectionQueue.then(() => {
+    const holder = { active: true };
+    return exclusiveWork.run(holder, async () => {
+      try {
+        return await work();
+      } finally {
+        holder.active = false;
+      }
+    });
+  });
+  connectionQueue = result.catch(() => {});
+  return result;
+}
+
+// Run one statement: at once inside work holding the connection, otherwise
+// in its turn
+function runStatement(method, sql, params) {
+  const statement = () =>
+    new Promise((resolve, reject) => {
+      getDatabase()[method](sql, params, function (err, result) {
+        if (err) reject(err);
+        else if (method === "run") {
+          resolve({ lastID: this.lastID, changes: this.changes });
+        } else resolve(result);
+      });
+    });
+
+  const holder = exclusiveWork.getStore();
+  return holder && holder.active ? statement() : enqueue(statement);
+}
+
+/**
+ * Get a single row
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Statement parameters
+ */
+function dbGet(sql, params = []) {
+  return runStatement("get", sql, params);
+}
+
+/**
+ * Get all matching rows
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Statement parameters
+ */
+async function dbAll(sql, params = []) {
+  return (await runStatement("all", sql, params)) || [];
+}
+
+/**
+ * Run a statement
+ * @param {string} sql - SQL statement
+ * @param {Array} params - Statement parameters
+ * @returns {Promise<Object>} { lastID, changes }
+ */
+function dbRun(sql, params = []) {
+  return runStatement("run", sql, params);
+}
+
+/**
+ * Join filter conditions into a WHERE clause. Each condition is an SQL
+ * fragment followed by its parameters; falsy conditions are skipped, so
+ * optional filters can be written inline.
+ * @param {Array} conditions - e.g. [["pt.status = ?", status], date && ["DATE(pt.check_in_time) = ?", date]]
+ * @returns {Object} { where, params }, where is empty when no condition applies
+ */
+function buildWhere(conditions) {
+  const clauses = [];
+  const params = [];
+
+  conditions.filter(Boolean).forEach(([sql, ...values]) => {
+    clauses.push(`(${sql})`);
+    params.push(...values);
+  });
+
+  return {
+    where: clauses.length > 0 ? `WHERE ${clauses.join(" AND ")}` : "",
+    params,
+  };
+}
+
+/**
+ * Wrap a search term for a LIKE comparison
+ * @param {string} term - Text typed by the user
+ */
+function likePattern(term) {
+  return `%${(term || "").trim()}%`;
+}
+
+/**
+ * Run work once no transaction is open on the shared connection, holding
+ * off other statements and transactions until it finishes. For statements
+ * that cannot run inside a transaction, such as VACUUM and ATTACH.
+ * @param {Function} work - Async function to run
+ * @returns {Promise<*>} Whatever the work returns
+ */
+function runExclusive(work) {
+  return enqueue(work);
+}
+
+/**
+ * Run work inside a database transaction. Everything the work writes is
+ * committed together, or rolled back if it throws; the error is rethrown.
+ * @param {Function} work - Async function doing the reads and writes
+ * @returns {Promise<*>} Whatever the work returns
+ */
+function withTransaction(work) {
+  return runExclusive(async () => {
+    await dbRun("BEGIN IMMEDIATE");
+
+    try {
+      const value = await work();
+      await dbRun("COMMIT");
+      return value;
+    } catch (error) {
+      try {
+        await dbRun("ROLLBACK");
+      } catch (rollbackError) {
+        console.error("Error rolling back transaction:", rollbackError);
+      }
+      throw error;
+    }
+  });
+}
+
+module.exports = {
+  ConflictError,
+  dbGet,
+  dbAll,
+  dbRun,
+  buildWhere,
+  likePattern,
+  runExclusive,
+  withTransaction,
+};
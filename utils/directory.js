@@ -0,0 +1,219 @@
+const {
+  normalizePlate,
+  findVehicleByPlate,
+  getVehicle,
+  listVehicles,
+  listDriverVehicles,
+  updateVehicle,
+} = require("../repositories/vehicles");
+const {
+  getDriver,
+  listDrivers,
+  listVehicleDrivers,
+  findConflictingDriver,
+  updateDriver,
+} = require("../repositories/drivers");
+const {
+  listVisitHistory,
+  getVisitStats,
+} = require("../repositories/tickets");
+const { getVehicleAccount } = require("./ledger");
+
+// Rows per page of the vehicle and driver lists
+const PAGE_SIZE = 50;
+
+// Labels of the details that identify a driver
+const DRIVER_KEY_LABELS = {
+  id_number: "ID number",
+  license_number: "License number",
+  phone: "Phone",
+};
+
+// Raised for directory edits that break a rule
+class DirectoryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DirectoryError";
+  }
+}
+
+function toPage(value) {
+  const page = parseInt(value, 10);
+  return page > 0 ? page : 1;
+}
+
+/**
+ * One page of the vehicle list
+ * @param {Object} query - search, status ("parked") and page
+ * @returns {Promise<Object>} { vehicles, page, hasNext }
+ */
+async function getVehiclePage(query) {
+  const page = toPage(query.page);
+  const rows = await listVehicles({
+    search: query.search,
+    status: query.status,
+    limit: PAGE_SIZE + 1,
+    offset: (page - 1) * PAGE_SIZE,
+  });
+
+  return {
+    vehicles: rows.slice(0, PAGE_SIZE),
+    page,
+    hasNext: rows.length > PAGE_SIZE,
+  };
+}
+
+/**
+ * One page of the driver list
+ * @param {Object} query - search and page
+ * @returns {Promise<Object>} { drivers, page, hasNext }
+ */
+async function getDriverPage(query) {
+  const page = toPage(query.page);
+  const rows = await listDrivers({
+    search: query.search,
+    limit: PAGE_SIZE + 1,
+    offset: (page - 1) * PAGE_SIZE,
+  });
+
+  return {
+    drivers: rows.slice(0, PAGE_SIZE),
+    page,
+    hasNext: rows.length > PAGE_SIZE,
+  };
+}
+
+/**
+ * A vehicle with its ticket history, visit totals, the drivers seen in it and
+ * its account of unpaid visits
+ * @param {number} id - Vehicle ID
+ * @returns {Promise<Object|null>} { vehicle, tickets, stats, drivers, account }
+ */
+async function getVehicleProfile(id) {
+  const vehicle = await getVehicle(id);
+  if (!vehicle) return null;
+
+  const [tickets, stats, drivers, account] = await Promise.all([
+    listVisitHistory({ vehicleId: id }),
+    getVisitStats({ vehicleId: id }),
+    listVehicleDrivers(id),
+    getVehicleAccount(vehicle.id),
+  ]);
+
+  return { vehicle, tickets, stats, drivers, account };
+}
+
+/**
+ * A driver with their ticket history, visit totals and the vehicles they used
+ * @param {number} id - Driver ID
+ * @returns {Promise<Object|null>} { driver, tickets, stats, vehicles }
+ */
+async function getDriverProfile(id) {
+  const driver = await getDriver(id);
+  if (!driver) return null;
+
+  const [tickets, stats, vehicles] = await Promise.all([
+    listVisitHistory({ driverId: id }),
+    getVisitStats({ driverId: id }),
+    listDriverVehicles(id),
+  ]);
+
+  return { driver, tickets, stats, vehicles };
+}
+
+function trimmed(value) {
+  const text = (value || "").trim();
+  return text === "" ? null : text;
+}
+
+/**
+ * Validate and save edits to a vehicle
+ * @param {number} id - Vehicle ID
+ * @param {Object} input - Submitted form values
+ * @returns {Promise<Object>} { previous, updated } for the audit log
+ */
+async function editVehicle(id, input) {
+  const previous = await getVehicle(id);
+  if (!previous) {
+    throw new DirectoryError("Vehicle not found");
+  }
+
+  const plate = normalizePlate(input.license_plate);
+  if (!plate) {
+    throw new DirectoryError("License plate is required");
+  }
+
+  const year = trimmed(input.year);
+  if (year && !/^\d{4}$/.test(year)) {
+    throw new DirectoryError("Year must be a four-digit year");
+  }
+
+  const other = await findVehicleByPlate(plate);
+  if (other && other.id !== previous.id) {
+    throw new DirectoryError(
+      `Plate ${plate} belongs to another vehicle; an admin can merge them under Duplicates`
+    );
+  }
+
+  const updated = {
+    license_plate: plate,
+    make: trimmed(input.make),
+    model: trimmed(input.model),
+    color: trimmed(input.color),
+    year: year ? parseInt(year, 10) : null,
+    owner_name: trimmed(input.owner_name),
+    owner_phone: trimmed(input.owner_phone),
+    owner_email: trimmed(input.owner_email),
+  };
+
+  await updateVehicle(previous.id, updated);
+  return { previous, updated };
+}
+
+/**
+ * Validate and save edits to a driver. ID number, license number and phone
+ * identify a driver at check-in, so none may match another driver.
+ * @param {number} id - Driver ID
+ * @param {Object} input - Submitted form values
+ * @returns {Promise<Object>} { previous, updated } for the audit log
+ */
+async function editDriver(id, input) {
+  const previous = await getDriver(id);
+  if (!previous) {
+    throw new DirectoryError("Driver not found");
+  }
+
+  const updated = {
+    full_name: trimmed(input.full_name),
+    phone: trimmed(input.phone),
+    email: trimmed(input.email),
+    id_number: trimmed(input.id_number),
+    license_number: trimmed(input.license_number),
+    address: trimmed(input.address),
+  };
+
+  if (!updated.full_name) {
+    throw new DirectoryError("Full name is required");
+  }
+
+  const conflict = await findConflictingDriver(previous.id, updated);
+  if (conflict) {
+    throw new DirectoryError(
+      `${DRIVER_KEY_LABELS[conflict.key]} ${updated[conflict.key]} belongs to ${conflict.driver.full_name}; an admin can merge them under Duplicates`
+    );
+  }
+
+  await updateDriver(previous.id, updated);
+  return { previous, updated };
+}
+
+module.exports = {
+  DRIVER_KEY_LABELS,
+  DirectoryError,
+  getVehiclePage,
+  getDriverPage,
+  getVehicleProfile,
+  getDriverProfile,
+  editVehicle,
+  editDriver,
+};
@@ -0,0 +1,471 @@
+const crypto = require("crypto");
+const moment = require("moment");
+const { dbGet, dbAll, dbRun } = require("./db");
+const { SLOT_TYPES } = require("./permits");
+
+const DISCOUNT_TYPES = {
+  percentage: "Percentage",
+  fixed: "Fixed amount",
+  free_minutes: "Free minutes",
+};
+
+// Raised for discount codes or merchants that break a discount rule
+class DiscountError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "DiscountError";
+  }
+}
+
+function normalizeCode(code) {
+  return (code || "").trim().toUpperCase();
+}
+
+// Form values arrive as a string or an array of checkbox values
+function toList(value) {
+  const values = Array.isArray(value) ? value : (value || "").split(",");
+  return values.map((item) => item.trim()).filter(Boolean);
+}
+
+function validateMerchant(data) {
+  if (!(data.name || "").trim()) {
+    throw new DiscountError("Merchant name is required");
+  }
+
+  return {
+    name: data.name.trim(),
+    contact_name: data.contact_name || null,
+    contact_phone: data.contact_phone || null,
+    contact_email: data.contact_email || null,
+    status: data.status === "inactive" ? "inactive" : "active",
+    notes: data.notes || null,
+  };
+}
+
+/**
+ * List merchants with how many codes they have issued
+ */
+async function listMerchants() {
+  return dbAll(`
+    SELECT m.*, COUNT(d.id) as code_count
+    FROM merchants m
+    LEFT JOIN discounts d ON d.merchant_id = m.id
+    GROUP BY m.id
+    ORDER BY m.name
+  `);
+}
+
+/**
+ * Get a merchant
+ * @param {number} id - Merchant ID
+ */
+async function getMerchant(id) {
+  return dbGet("SELECT * FROM merchants WHERE id = ?", [id]);
+}
+
+/**
+ * Add a merchant account
+ * @param {Object} data - name, contact_name, contact_phone, contact_email, status, notes
+ * @returns {Promise<Object>} The new merchant
+ */
+async function createMerchant(data) {
+  const merchant = validateMerchant(data);
+
+  if (await dbGet("SELECT id FROM merchants WHERE name = ?", [merchant.name])) {
+    throw new DiscountError("A merchant with this name already exists");
+  }
+
+  const result = await dbRun(
+    `
+    INSERT INTO merchants (name, contact_name, contact_phone, contact_email, status, notes)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `,
+    [
+      merchant.name,
+      merchant.contact_name,
+      merchant.contact_phone,
+      merchant.contact_email,
+      merchant.status,
+      merchant.notes,
+    ]
+  );
+
+  return getMerchant(result.lastID);
+}
+
+/**
+ * Update a merchant account
+ * @param {number} id - Merchant ID
+ * @param {Object} data - Merchant fields
+ * @returns {Promise<Object>} The merchant before the update
+ */
+async function updateMerchant(id, data) {
+  const existing = await getMerchant(id);
+
+  if (!existing) {
+    throw new DiscountError("Merchant not found");
+  }
+
+  const merchant = validateMerchant(data);
+
+  if (
+    await dbGet("SELECT id FROM merchants WHERE name = ? AND id != ?", [
+      merchant.name,
+      id,
+    ])
+  ) {
+    throw new DiscountError("A merchant with this name already exists");
+  }
+
+  await dbRun(
+    `
+    UPDATE merchants
+    SET name = ?, contact_name = ?, contact_phone = ?, contact_email = ?, status = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [
+      merchant.name,
+      merchant.contact_name,
+      merchant.contact_phone,
+      merchant.contact_email,
+      merchant.status,
+      merchant.notes,
+      id,
+    ]
+  );
+
+  return existing;
+}
+
+// Merchant validation codes start with VAL, promo codes with PROMO
+function generateCode(merchantId) {
+  const suffix = crypto.randomBytes(3).toString("hex").toUpperCase();
+  return `${merchantId ? "VAL" : "PROMO"}-${suffix}`;
+}
+
+async function validateDiscount(data, excludeId) {
+  const code = normalizeCode(data.code) || generateCode(data.merchant_id);
+  const value = parseFloat(data.value);
+  const slotTypes = toList(data.allowed_slot_types);
+  const validFrom = data.valid_from
+    ? moment(data.valid_from, "YYYY-MM-DD", true)
+    : null;
+  const validTo = data.valid_to ? moment(data.valid_to, "YYYY-MM-DD", true) : null;
+  const usageLimit =
+    data.usage_limit === undefined || data.usage_limit === ""
+      ? null
+      : parseInt(data.usage_limit, 10);
+
+  if (!/^[A-Z0-9-]{3,30}$/.test(code)) {
+    throw new DiscountError("Code must be 3-30 letters, digits or dashes");
+  }
+
+  if (!(data.name || "").trim()) {
+    throw new DiscountError("Name is required");
+  }
+
+  if (!DISCOUNT_TYPES[data.discount_type]) {
+    throw new DiscountError("Choose a discount type");
+  }
+
+  if (isNaN(value) || value <= 0) {
+    throw new DiscountError("Value must be more than zero");
+  }
+
+  if (data.discount_type === "percentage" && value > 100) {
+    throw new DiscountError("A percentage discount cannot exceed 100%");
+  }
+
+  if ((validFrom && !validFrom.isValid()) || (validTo && !validTo.isValid())) {
+    throw new DiscountError("Validity dates must be valid dates");
+  }
+
+  if (validFrom && validTo && validTo.isBefore(validFrom)) {
+    throw new DiscountError("Valid to must be on or after valid from");
+  }
+
+  if (usageLimit !== null && (isNaN(usageLimit) || usageLimit < 1)) {
+    throw new DiscountError("Usage limit must be at least 1, or empty for no limit");
+  }
+
+  if (slotTypes.some((type) => !SLOT_TYPES.includes(type))) {
+    throw new DiscountError("Unknown slot type");
+  }
+
+  if (data.merchant_id && !(await getMerchant(data.merchant_id))) {
+    throw new DiscountError("Merchant not found");
+  }
+
+  if (
+    await dbGet("SELECT id FROM discounts WHERE code = ? AND id != ?", [
+      code,
+      excludeId || 0,
+    ])
+  ) {
+    throw new DiscountError(`Code ${code} is already in use`);
+  }
+
+  return {
+    code,
+    name: data.name.trim(),
+    discount_type: data.discount_type,
+    value,
+    merchant_id: data.merchant_id || null,
+    valid_from: validFrom ? validFrom.format("YYYY-MM-DD") : null,
+    valid_to: validTo ? validTo.format("YYYY-MM-DD") : null,
+    usage_limit: usageLimit,
+    allowed_slot_types: slotTypes.join(","),
+    status: data.status === "inactive" ? "inactive" : "active",
+  };
+}
+
+/**
+ * Get a discount with its merchant name
+ * @param {number} id - Discount ID
+ */
+async function getDiscount(id) {
+  return dbGet(
+    `
+    SELECT d.*, m.name as merchant_name
+    FROM discounts d
+    LEFT JOIN merchants m ON d.merchant_id = m.id
+    WHERE d.id = ?
+  `,
+    [id]
+  );
+}
+
+/**
+ * List discounts
+ * @param {Object} options - Filter options
+ * @param {string} options.search - Code or name
+ * @param {number} options.merchantId - Only codes issued by this merchant
+ */
+async function listDiscounts(options = {}) {
+  let query = `
+    SELECT d.*, m.name as merchant_name
+    FROM discounts d
+    LEFT JOIN merchants m ON d.merchant_id = m.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (options.search) {
+    query += " AND (d.code LIKE ? OR d.name LIKE ?)";
+    params.push(`%${options.search}%`, `%${options.search}%`);
+  }
+
+  if (options.merchantId) {
+    query += " AND d.merchant_id = ?";
+    params.push(options.merchantId);
+  }
+
+  query += " ORDER BY d.created_at DESC";
+
+  return dbAll(query, params);
+}
+
+/**
+ * Create a discount or validation code. A blank code is generated.
+ * @param {Object} data - Discount fields
+ * @param {number} userId - ID of the admin creating it
+ * @returns {Promise<Object>} The new discount
+ */
+async function createDiscount(data, userId) {
+  const discount = await validateDiscount(data);
+
+  const result = await dbRun(
+    `
+    INSERT INTO discounts (code, name, discount_type, value, merchant_id, valid_from, valid_to, usage_limit, allowed_slot_types, status, created_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      discount.code,
+      discount.name,
+      discount.discount_type,
+      discount.value,
+      discount.merchant_id,
+      discount.valid_from,
+      discount.valid_to,
+      discount.usage_limit,
+      discount.allowed_slot_types,
+      discount.status,
+      userId,
+    ]
+  );
+
+  return getDiscount(result.lastID);
+}
+
+/**
+ * Update a discount
+ * @param {number} id - Discount ID
+ * @param {Object} data - Discount fields
+ * @returns {Promise<Object>} The discount before the update
+ */
+async function updateDiscount(id, data) {
+  const existing = await getDiscount(id);
+
+  if (!existing) {
+    throw new DiscountError("Discount not found");
+  }
+
+  const discount = await validateDiscount(
+    { ...data, code: data.code || existing.code },
+    id
+  );
+
+  await dbRun(
+    `
+    UPDATE discounts
+    SET code = ?, name = ?, discount_type = ?, value = ?, merchant_id = ?, valid_from = ?, valid_to = ?,
+      usage_limit = ?, allowed_slot_types = ?, status = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [
+      discount.code,
+      discount.name,
+      discount.discount_type,
+      discount.value,
+      discount.merchant_id,
+      discount.valid_from,
+      discount.valid_to,
+      discount.usage_limit,
+      discount.allowed_slot_types,
+      discount.status,
+      id,
+    ]
+  );
+
+  return existing;
+}
+
+/**
+ * Find a discount code that can be used for a stay on the given slot today
+ * @param {string} code - Code entered at check-out
+ * @param {Object} slot - Slot with slot_type
+ * @returns {Promise<Object>} The discount with its merchant name
+ */
+async function findUsableDiscount(code, slot) {
+  const discount = await dbGet(
+    `
+    SELECT d.*, m.name as merchant_name, m.status as merchant_status
+    FROM discounts d
+    LEFT JOIN merchants m ON d.merchant_id = m.id
+    WHERE d.code = ?
+  `,
+    [normalizeCode(code)]
+  );
+  const today = moment.utc().format("YYYY-MM-DD");
+
+  if (!discount || discount.status !== "active") {
+    throw new DiscountError(`Discount code ${normalizeCode(code)} is not valid`);
+  }
+
+  if (discount.merchant_id && discount.merchant_status !== "active") {
+    throw new DiscountError(
+      `${discount.merchant_name} no longer validates parking`
+    );
+  }
+
+  if (discount.valid_from && today < discount.valid_from) {
+    throw new DiscountError(
+      `Discount code ${discount.code} is valid from ${discount.valid_from}`
+    );
+  }
+
+  if (discount.valid_to && today > discount.valid_to) {
+    throw new DiscountError(
+      `Discount code ${discount.code} expired on ${discount.valid_to}`
+    );
+  }
+
+  if (
+    discount.usage_limit !== null &&
+    discount.times_used >= discount.usage_limit
+  ) {
+    throw new DiscountError(`Discount code ${discount.code} has been used up`);
+  }
+
+  const slotTypes = toList(discount.allowed_slot_types);
+  if (slotTypes.length > 0 && !slotTypes.includes(slot.slot_type)) {
+    throw new DiscountError(
+      `Discount code ${discount.code} is not valid for ${slot.slot_type} slots`
+    );
+  }
+
+  return discount;
+}
+
+/**
+ * Record the use of a discount on a ticket. The usage counter is only
+ * incremented while the limit has not been reached, so two check-outs cannot
+ * both take the last use.
+ * @param {Object} discount - Discount from findUsableDiscount
+ * @param {number} ticketId - Parking ticket ID
+ * @param {number} amount - Amount taken off the tariff
+ * @param {number} userId - ID of the cashier
+ */
+async function redeemDiscount(discount, ticketId, amount, userId) {
+  const result = await dbRun(
+    `
+    UPDATE discounts
+    SET times_used = times_used + 1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND (usage_limit IS NULL OR times_used < usage_limit)
+  `,
+    [discount.id]
+  );
+
+  if (result.changes === 0) {
+    throw new DiscountError(`Discount code ${discount.code} has been used up`);
+  }
+
+  await dbRun(
+    `
+    INSERT INTO discount_redemptions (discount_id, merchant_id, ticket_id, amount, redeemed_by)
+    VALUES (?, ?, ?, ?, ?)
+  `,
+    [discount.id, discount.merchant_id, ticketId, amount, userId]
+  );
+}
+
+/**
+ * Discount given per merchant between two dates (inclusive). Promo codes
+ * without a merchant are grouped together; voided tickets are left out.
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ */
+async function getDiscountUsage(startDate, endDate) {
+  return dbAll(
+    `
+    SELECT
+      COALESCE(m.name, 'Promo codes') as merchant_name,
+      COUNT(r.id) as redemptions,
+      COUNT(DISTINCT r.discount_id) as codes_used,
+      COALESCE(SUM(r.amount), 0) as total_discount
+    FROM discount_redemptions r
+    JOIN parking_tickets pt ON r.ticket_id = pt.id
+    LEFT JOIN merchants m ON r.merchant_id = m.id
+    WHERE DATE(r.redeemed_at) BETWEEN ? AND ? AND pt.payment_status != 'cancelled'
+    GROUP BY r.merchant_id
+    ORDER BY total_discount DESC
+  `,
+    [startDate, endDate]
+  );
+}
+
+module.exports = {
+  DISCOUNT_TYPES,
+  DiscountError,
+  listMerchants,
+  getMerchant,
+  createMerchant,
+  updateMerchant,
+  getDiscount,
+  listDiscounts,
+  createDiscount,
+  updateDiscount,
+  findUsableDiscount,
+  redeemDiscount,
+  getDiscountUsage,
+};
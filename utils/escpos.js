@@ -0,0 +1,135 @@
+const { code128Runs } = require("./code128");
+
+// ESC/POS command bytes
+const ESC = 0x1b;
+const GS = 0x1d;
+const LF = 0x0a;
+
+// Code page 858 (CP437 with the euro sign), selected at initialize()
+const CODE_PAGE = 19;
+const CODE_PAGE_CHARACTERS = {
+  "€": 0xd5,
+  "£": 0x9c,
+  "¥": 0xbe,
+};
+
+const ALIGNMENTS = { left: 0, center: 1, right: 2 };
+
+/**
+ * Builds an ESC/POS byte stream for a thermal receipt printer. Calls chain:
+ *
+ *   new EscPosEncoder().initialize().align("center").line("Hello").cut().encode()
+ *
+ * Text is printed in code page 858; characters it lacks print as "?".
+ */
+class EscPosEncoder {
+  constructor() {
+    this.bytes = [];
+  }
+
+  raw(...bytes) {
+    this.bytes.push(...bytes);
+    return this;
+  }
+
+  // Reset the printer and select the code page
+  initialize() {
+    return this.raw(ESC, 0x40, ESC, 0x74, CODE_PAGE);
+  }
+
+  text(value) {
+    for (const char of String(value)) {
+      const code = char.charCodeAt(0);
+      if (code >= 0x20 && code < 0x7f) {
+        this.bytes.push(code);
+      } else {
+        this.bytes.push(CODE_PAGE_CHARACTERS[char] || 0x3f);
+      }
+    }
+    return this;
+  }
+
+  line(value = "") {
+    return this.text(value).raw(LF);
+  }
+
+  /**
+   * @param {string} alignment - "left", "center" or "right"
+   */
+  align(alignment) {
+    return this.raw(ESC, 0x61, ALIGNMENTS[alignment] || 0);
+  }
+
+  bold(on = true) {
+    return this.raw(ESC, 0x45, on ? 1 : 0);
+  }
+
+  /**
+   * Character size, as multiples of the normal width and height (1-8)
+   */
+  size(width = 1, height = width) {
+    return this.raw(GS, 0x21, ((width - 1) << 4) | (height - 1));
+  }
+
+  feed(lines = 1) {
+    return this.raw(ESC, 0x64, lines);
+  }
+
+  /**
+   * Code 128 barcode with the text printed below it. Runs of digits are
+   * packed into code set C.
+   * @param {string} data - Printable ASCII
+   * @param {number} height - Bar height in dots
+   * @param {number} moduleWidth - Dots per module (1-6)
+   */
+  code128(data, height = 80, moduleWidth = 2) {
+    const content = [];
+    code128Runs(data).forEach((run) => {
+      if (run.set === "C") {
+        content.push(0x7b, 0x43);
+        for (let i = 0; i < run.text.length; i += 2) {
+          content.push(parseInt(run.text.slice(i, i + 2), 10));
+        }
+        return;
+      }
+      content.push(0x7b, 0x42);
+      for (const byte of Buffer.from(run.text, "ascii")) {
+        // A brace starts a code set change, so a literal one is doubled
+        content.push(...(byte === 0x7b ? [byte, byte] : [byte]));
+      }
+    });
+
+    return this.raw(GS, 0x68, height)
+      .raw(GS, 0x77, moduleWidth)
+      .raw(GS, 0x48, 2)
+      .raw(GS, 0x6b, 73, content.length, ...content);
+  }
+
+  /**
+   * QR code (model 2, error correction M)
+   * @param {string} data - Text to encode
+   * @param {number} moduleSize - Dots per module (1-16)
+   */
+  qrcode(data, moduleSize = 6) {
+    const content = Buffer.from(String(data), "ascii");
+    const length = content.length + 3;
+
+    return this.raw(GS, 0x28, 0x6b, 4, 0, 0x31, 0x41, 0x32, 0)
+      .raw(GS, 0x28, 0x6b, 3, 0, 0x31, 0x43, moduleSize)
+      .raw(GS, 0x28, 0x6b, 3, 0, 0x31, 0x45, 0x31)
+      .raw(GS, 0x28, 0x6b, length & 0xff, length >> 8, 0x31, 0x50, 0x30)
+      .raw(...content)
+      .raw(GS, 0x28, 0x6b, 3, 0, 0x31, 0x51, 0x30);
+  }
+
+  // Feed the paper past the cutter and cut it
+  cut() {
+    return this.raw(GS, 0x56, 0x41, 3);
+  }
+
+  encode() {
+    return Buffer.from(this.bytes);
+  }
+}
+
+module.exports = { EscPosEncoder };
@@ -0,0 +1,282 @@
+const { GATE_DRIVERS } = require("./gate-drivers");
+const {
+  getGate,
+  findActiveGate,
+  createGate,
+  setGateStatus,
+  setGateState,
+  setGateFault,
+  recordGateEvent,
+} = require("../repositories/gates");
+
+// A gate lets vehicles either in or out
+const GATE_DIRECTIONS = ["entry", "exit"];
+
+// Names of the drivers a gate can use
+const DRIVER_LABELS = {
+  tcp: "TCP controller",
+  mock: "Mock (no hardware)",
+};
+
+// What set off a gate event
+const EVENT_SOURCES = {
+  check_in: "Check-in",
+  check_out: "Check-out",
+  anpr: "Camera",
+  manual: "Opened by hand",
+  admin: "Admin",
+  controller: "Controller",
+};
+
+// Raised for gates and gate commands that break a rule
+class GateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "GateError";
+  }
+}
+
+// One driver per gate, kept while the gate's settings stay the same so a
+// controller connection can be reused
+const drivers = new Map();
+
+async function recordFault(gate, message, context = {}) {
+  console.error(`Gate ${gate.name} fault: ${message}`);
+  try {
+    await setGateFault(gate.id, message);
+    await recordGateEvent({
+      gate_id: gate.id,
+      event: "fault",
+      source: context.source || "controller",
+      reason: message,
+      ticket_id: context.ticketId,
+      user_id: context.userId,
+    });
+  } catch (error) {
+    console.error("Recording gate fault failed:", error);
+  }
+}
+
+function getDriver(gate) {
+  const config = [gate.driver, gate.host, gate.port].join("|");
+  const cached = drivers.get(gate.id);
+  if (cached && cached.config === config) {
+    return cached.driver;
+  }
+  if (cached) {
+    cached.driver.dispose();
+  }
+
+  const Driver = GATE_DRIVERS[gate.driver];
+  if (!Driver) {
+    throw new GateError(`Gate ${gate.name} uses an unknown driver`);
+  }
+
+  const driver = new Driver(gate);
+  driver.on("fault", (error) => recordFault(gate, error.message));
+  drivers.set(gate.id, { driver, config });
+  return driver;
+}
+
+function dropDriver(id) {
+  const cached = drivers.get(id);
+  if (cached) {
+    cached.driver.dispose();
+    drivers.delete(id);
+  }
+}
+
+async function checkLaneFree(lane, direction, exceptId) {
+  const existing = await findActiveGate(lane, direction);
+  if (existing && existing.id !== exceptId) {
+    throw new GateError(
+      `Lane ${lane} already has an active ${direction} gate: ${existing.name}`
+    );
+  }
+}
+
+/**
+ * Validate and add a gate
+ * @param {Object} data - name, lane, direction, driver, host, port
+ * @param {number} userId - Admin adding it
+ * @returns {Promise<Object>} The new gate
+ */
+async function registerGate(data, userId) {
+  const name = (data.name || "").trim();
+  const lane = (data.lane || "").trim();
+  const host = (data.host || "").trim();
+  const port = parseInt(data.port, 10);
+
+  if (!name || !lane) {
+    throw new GateError("Name and lane are required");
+  }
+  if (!GATE_DIRECTIONS.includes(data.direction)) {
+    throw new GateError("Direction must be entry or exit");
+  }
+  if (!DRIVER_LABELS[data.driver]) {
+    throw new GateError("Choose a driver");
+  }
+  if (data.driver === "tcp" && (!host || !(port > 0 && port < 65536))) {
+    throw new GateError("A TCP controller needs a host and a port");
+  }
+
+  await checkLaneFree(lane, data.direction);
+
+  const id = await createGate({
+    name,
+    lane,
+    direction: data.direction,
+    driver: data.driver,
+    host: data.driver === "tcp" ? host : null,
+    port: data.driver === "tcp" ? port : null,
+    created_by: userId,
+  });
+  return getGate(id);
+}
+
+/**
+ * Enable or disable a gate. A lane may have one active gate each way.
+ * @param {number} id - Gate ID
+ * @param {boolean} enabled - Whether the gate should be used
+ * @returns {Promise<Object>} The gate as it was
+ */
+async function setGateEnabled(id, enabled) {
+  const gate = await getGate(id);
+  if (!gate) {
+    throw new GateError("Gate not found");
+  }
+
+  if (enabled) {
+    await checkLaneFree(gate.lane, gate.direction, gate.id);
+  } else {
+    dropDriver(gate.id);
+  }
+
+  await setGateStatus(gate.id, enabled ? "active" : "disabled");
+  return gate;
+}
+
+async function getActiveGate(id) {
+  const gate = await getGate(id);
+  if (!gate) {
+    throw new GateError("Gate not found");
+  }
+  if (gate.status !== "active") {
+    throw new GateError(`Gate ${gate.name} is disabled`);
+  }
+  return gate;
+}
+
+/**
+ * Send a gate a command and record what happened. A gate that fails to act
+ * is recorded as a fault rather than raised, so a check-in or check-out that
+ * has been saved is never undone by a barrier.
+ * @param {Object} gate - Gate row
+ * @param {string} command - "open" or "close"
+ * @param {Object} context - source, reason, ticketId and userId, for the
+ *   event log
+ * @returns {Promise<Object>} { gate, done, state, error }
+ */
+async function commandGate(gate, command, context) {
+  try {
+    const { state } = await getDriver(gate)[command]();
+    await setGateState(gate.id, state);
+    await recordGateEvent({
+      gate_id: gate.id,
+      event: command,
+      source: context.source,
+      reason: context.reason,
+      ticket_id: context.ticketId,
+      user_id: context.userId,
+    });
+    return { gate, done: true, state };
+  } catch (error) {
+    await recordFault(gate, error.message, context);
+    return { gate, done: false, error: error.message };
+  }
+}
+
+/**
+ * Open the gate on a lane facing one way, if there is one
+ * @param {string} lane - Lane the vehicle is in
+ * @param {string} direction - "entry" or "exit"
+ * @param {Object} context - source, ticketId and userId, for the event log
+ * @returns {Promise<Object|null>} What commandGate returned, or null when the
+ *   lane has no such gate
+ */
+async function openLaneGate(lane, direction, context) {
+  if (!lane) return null;
+
+  const gate = await findActiveGate(lane, direction);
+  return gate ? commandGate(gate, "open", context) : null;
+}
+
+/**
+ * Open a gate by hand, such as for an emergency vehicle or a failed read
+ * @param {number} id - Gate ID
+ * @param {string} reason - Why it was opened
+ * @param {number} userId - Cashier opening it
+ * @returns {Promise<Object>} What commandGate returned
+ */
+async function openGateManually(id, reason, userId) {
+  const text = (reason || "").trim();
+  if (!text) {
+    throw new GateError("Give a reason for opening the gate");
+  }
+
+  const gate = await getActiveGate(id);
+  return commandGate(gate, "open", { source: "manual", reason: text, userId });
+}
+
+/**
+ * Close a gate from the admin screen
+ * @param {number} id - Gate ID
+ * @param {number} userId - Admin closing it
+ * @returns {Promise<Object>} What commandGate returned
+ */
+async function closeGate(id, userId) {
+  const gate = await getActiveGate(id);
+  return commandGate(gate, "close", { source: "admin", userId });
+}
+
+/**
+ * Ask a gate's controller where the barrier is
+ * @param {number} id - Gate ID
+ * @returns {Promise<Object>} { gate, state } or { gate, error }
+ */
+async function checkGate(id) {
+  const gate = await getActiveGate(id);
+
+  try {
+    const { state } = await getDriver(gate).status();
+    await setGateState(gate.id, state);
+    return { gate, state };
+  } catch (error) {
+    await recordFault(gate, error.message, { source: "admin" });
+    return { gate, error: error.message };
+  }
+}
+
+/**
+ * Message for a cashier when a gate that should have opened did not
+ * @param {Object|null} result - What openLaneGate returned
+ * @returns {string|null}
+ */
+function describeGateFailure(result) {
+  if (!result || result.done) return null;
+  return `Gate ${result.gate.name} did not open (${result.error}). Open it under Gates.`;
+}
+
+module.exports = {
+  GATE_DIRECTIONS,
+  DRIVER_LABELS,
+  EVENT_SOURCES,
+  GateError,
+  registerGate,
+  setGateEnabled,
+  openLaneGate,
+  openGateManually,
+  closeGate,
+  checkGate,
+  describeGateFailure,
+};
@@ -0,0 +1,241 @@
+const net = require("net");
+const { EventEmitter } = require("events");
+
+// How long a controller has to connect or answer a command
+const COMMAND_TIMEOUT_MS = 3000;
+
+// Barrier positions a controller can report
+const GATE_STATES = ["open", "closed", "unknown"];
+
+/**
+ * What every gate driver provides. open(), close() and status() resolve to
+ * { state } once the controller has answered, and reject when it cannot be
+ * reached or refuses. Faults the controller reports by itself - a jammed arm,
+ * a lost loop detector - are emitted as "fault" events carrying an Error.
+ * A driver gets the gate row it controls.
+ */
+class GateDriver extends EventEmitter {
+  constructor(gate) {
+    super();
+    this.gate = gate;
+  }
+
+  async open() {
+    throw new Error(`${this.constructor.name} cannot open a gate`);
+  }
+
+  async close() {
+    throw new Error(`${this.constructor.name} cannot close a gate`);
+  }
+
+  async status() {
+    throw new Error(`${this.constructor.name} cannot report a gate's state`);
+  }
+
+  // Let go of connections; called when the gate is changed or disabled
+  dispose() {}
+}
+
+function parseState(text) {
+  const state = String(text || "").toLowerCase();
+  return GATE_STATES.includes(state) ? state : "unknown";
+}
+
+/**
+ * Reference driver for controllers on the network, or on a serial line behind
+ * a serial-to-TCP device server. The protocol is ASCII, one line per message,
+ * ended by CR LF:
+ *
+ *   -> OPEN | CLOSE | STATUS
+ *   <- OK OPEN | OK CLOSED | ERR <message>
+ *   <- FAULT <message>   (at any time, not an answer)
+ *
+ * The connection is opened on the first command and kept; commands are sent
+ * one at a time, each waiting for its answer.
+ */
+class TcpGateDriver extends GateDriver {
+  constructor(gate) {
+    super(gate);
+    this.socket = null;
+    this.buffer = "";
+    this.pending = null;
+    this.queue = Promise.resolve();
+  }
+
+  open() {
+    return this.send("OPEN");
+  }
+
+  close() {
+    return this.send("CLOSE");
+  }
+
+  status() {
+    return this.send("STATUS");
+  }
+
+  send(command) {
+    const result = this.queue.then(() => this.exchange(command));
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async exchange(command) {
+    await this.connect();
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this.pending = null;
+        this.dispose();
+        reject(new Error(`No answer to ${command} from ${this.address()}`));
+      }, COMMAND_TIMEOUT_MS);
+
+      this.pending = { resolve, reject, timer };
+      this.socket.write(`${command}\r\n`);
+    });
+  }
+
+  address() {
+    return `${this.gate.host}:${this.gate.port}`;
+  }
+
+  connect() {
+    if (this.socket) return Promise.resolve();
+
+    return new Promise((resolve, reject) => {
+      const socket = net.createConnection({
+        host: this.gate.host,
+        port: this.gate.port,
+      });
+      socket.setEncoding("ascii");
+
+      const timer = setTimeout(() => {
+        socket.destroy();
+        reject(new Error(`Cannot reach ${this.address()}`));
+      }, COMMAND_TIMEOUT_MS);
+
+      socket.once("connect", () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        this.buffer = "";
+        resolve();
+      });
+      socket.on("data", (chunk) => this.receive(chunk));
+      socket.on("error", (error) => {
+        clearTimeout(timer);
+        if (this.socket === socket) {
+          this.settle(new Error(`${this.address()}: ${error.message}`));
+        } else {
+          reject(new Error(`Cannot reach ${this.address()}: ${error.message}`));
+        }
+      });
+      socket.on("close", () => {
+        if (this.socket !== socket) return;
+        this.socket = null;
+        if (this.pending) {
+          this.settle(new Error(`${this.address()} closed the connection`));
+        }
+      });
+    });
+  }
+
+  receive(chunk) {
+    this.buffer += chunk;
+    const lines = this.buffer.split(/\r?\n/);
+    this.buffer = lines.pop();
+
+    lines.forEach((line) => {
+      const [word, ...rest] = line.trim().split(" ");
+      const text = rest.join(" ");
+
+      if (word === "FAULT") {
+        this.emit("fault", new Error(text || "Controller reported a fault"));
+      } else if (word === "OK") {
+        this.settle(null, { state: parseState(text) });
+      } else if (word === "ERR") {
+        this.settle(new Error(text || "Controller refused the command"));
+      }
+    });
+  }
+
+  // Answer the command in flight; an error with none in flight is a fault
+  settle(error, result) {
+    const pending = this.pending;
+    if (!pending) {
+      if (error) this.emit("fault", error);
+      return;
+    }
+
+    this.pending = null;
+    clearTimeout(pending.timer);
+    if (error) {
+      pending.reject(error);
+    } else {
+      pending.resolve(result);
+    }
+  }
+
+  dispose() {
+    if (this.socket) {
+      const socket = this.socket;
+      this.socket = null;
+      socket.destroy();
+    }
+  }
+}
+
+/**
+ * In-memory gate, for trying the system without hardware. fault() makes it
+ * report a fault the way a controller would; commands then fail until
+ * clearFault() is called.
+ */
+class MockGateDriver extends GateDriver {
+  constructor(gate) {
+    super(gate);
+    this.state = "closed";
+    this.faultMessage = null;
+  }
+
+  async open() {
+    return this.move("open");
+  }
+
+  async close() {
+    return this.move("closed");
+  }
+
+  async status() {
+    return { state: this.state };
+  }
+
+  move(state) {
+    if (this.faultMessage) {
+      throw new Error(this.faultMessage);
+    }
+    this.state = state;
+    return { state };
+  }
+
+  fault(message) {
+    this.faultMessage = message;
+    this.emit("fault", new Error(message));
+  }
+
+  clearFault() {
+    this.faultMessage = null;
+  }
+}
+
+// Drivers a gate can use, by the name stored on the gate
+const GATE_DRIVERS = {
+  tcp: TcpGateDriver,
+  mock: MockGateDriver,
+};
+
+module.exports = {
+  GATE_STATES,
+  GATE_DRIVERS,
+  GateDriver,
+  TcpGateDriver,
+  MockGateDriver,
+};
@@ -0,0 +1,397 @@
+const bcrypt = require("bcrypt");
+const { PAYMENT_TERMINALS } = require("./payment-terminals");
+const { getSetting } = require("./settings");
+const { issueNumber } = require("./numbering");
+const { findActivePermit } = require("./permits");
+const { recordTenders, getShiftCollectionsByMethod } = require("./tenders");
+const { queuePrint } = require("./printing");
+const {
+  calculateTariff,
+  getTariffBreakdown,
+  getExitWindow,
+} = require("./tariff");
+const { ConflictError, withTransaction } = require("./db");
+const { logAudit } = require("./audit");
+const { getUserByUsername, createUser } = require("../repositories/users");
+const { getWorkstation } = require("../repositories/workstations");
+const { getTicket, payTicket } = require("../repositories/tickets");
+const {
+  createPayment,
+  getShiftCollected,
+} = require("../repositories/payments");
+const {
+  findOpenShift,
+  getShift,
+  openShift,
+  closeShift,
+} = require("../repositories/shifts");
+const {
+  getKiosk,
+  findKioskByName,
+  createKiosk,
+  updateKiosk,
+  setKioskStatus,
+} = require("../repositories/kiosks");
+
+// Ways a customer can pay at a kiosk, all through its payment terminal
+const KIOSK_METHODS = {
+  card: "Card",
+  mfs: "Mobile money",
+};
+
+const TERMINAL_LABELS = {
+  tcp: "Network terminal",
+  mock: "Test terminal (no hardware)",
+};
+
+// Raised for kiosks and kiosk payments that break a rule. The message is
+// shown to the customer or the admin as it is.
+class KioskError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "KioskError";
+  }
+}
+
+function parseKioskSettings(data) {
+  const driver = data.terminal_driver;
+  const host = (data.terminal_host || "").trim();
+  const port = parseInt(data.terminal_port, 10);
+
+  if (!TERMINAL_LABELS[driver]) {
+    throw new KioskError("Choose a payment terminal");
+  }
+  if (driver === "tcp" && (!host || !(port > 0 && port < 65536))) {
+    throw new KioskError("A network terminal needs a host and a port");
+  }
+
+  return {
+    workstation_id: data.workstation_id ? parseInt(data.workstation_id, 10) : null,
+    terminal_driver: driver,
+    terminal_host: driver === "tcp" ? host : null,
+    terminal_port: driver === "tcp" ? port : null,
+  };
+}
+
+/**
+ * Validate and add a kiosk with the user it signs in as
+ * @param {Object} data - name, username, password, workstation_id,
+ *   terminal_driver, terminal_host, terminal_port
+ * @param {number} userId - Admin adding it
+ * @returns {Promise<Object>} The new kiosk
+ */
+async function registerKiosk(data, userId) {
+  const name = (data.name || "").trim();
+  const username = (data.username || "").trim();
+
+  if (!name || !username) {
+    throw new KioskError("Name and username are required");
+  }
+  if (!data.password || data.password.length < 6) {
+    throw new KioskError("Password must be at least 6 characters long");
+  }
+  if (await findKioskByName(name)) {
+    throw new KioskError(`A kiosk named ${name} already exists`);
+  }
+  if (await getUserByUsername(username)) {
+    throw new KioskError(`The username ${username} is taken`);
+  }
+
+  const settings = parseKioskSettings(data);
+  const hashedPassword = await bcrypt.hash(data.password, 10);
+
+  const id = await withTransaction(async () => {
+    const kioskUserId = await createUser(
+      { username, full_name: name, role: "kiosk", email: null, phone: null },
+      hashedPassword
+    );
+    return createKiosk({
+      name,
+      user_id: kioskUserId,
+      ...settings,
+      created_by: userId,
+    });
+  });
+  return getKiosk(id);
+}
+
+/**
+ * Validate and save a kiosk's printer and payment terminal
+ * @param {number} id - Kiosk ID
+ * @param {Object} data - workstation_id, terminal_driver, terminal_host,
+ *   terminal_port
+ * @returns {Promise<Object>} { previous, updated } for the audit log
+ */
+async function updateKioskSettings(id, data) {
+  const previous = await getKiosk(id);
+  if (!previous) {
+    throw new KioskError("Kiosk not found");
+  }
+
+  const updated = parseKioskSettings(data);
+  await updateKiosk(previous.id, updated);
+  return { previous, updated };
+}
+
+/**
+ * Enable or disable a kiosk. A disabled kiosk cannot sign in, and a kiosk
+ * signed in when it is disabled is signed out at its next request.
+ * @param {number} id - Kiosk ID
+ * @param {boolean} enabled - Whether it may be used
+ * @returns {Promise<Object>} The kiosk as it was
+ */
+async function setKioskEnabled(id, enabled) {
+  const kiosk = await getKiosk(id);
+  if (!kiosk) {
+    throw new KioskError("Kiosk not found");
+  }
+
+  await withTransaction(() =>
+    setKioskStatus(kiosk, enabled ? "active" : "disabled")
+  );
+  return kiosk;
+}
+
+/**
+ * What a ticket brought to a kiosk owes, and whether it can be paid there
+ * @param {Object} ticket - Ticket joined with its slot
+ * @returns {Promise<Object>} { status, tariff, exitWindow }, status being
+ *   "due", "free" (nothing to pay), "permit", "paid" (exit window open),
+ *   "overstay" (exit window closed) or "closed" (no longer in the lot)
+ */
+async function quoteTicket(ticket) {
+  if (ticket.check_out_time || !["pending", "paid"].includes(ticket.payment_status)) {
+    return { status: "closed", tariff: null, exitWindow: null };
+  }
+
+  const exitWindow = getExitWindow(ticket);
+  if (exitWindow) {
+    return {
+      status: exitWindow.isOpen ? "paid" : "overstay",
+      tariff: getTariffBreakdown(ticket),
+      exitWindow,
+    };
+  }
+
+  if (await findActivePermit(ticket.license_plate, ticket)) {
+    return { status: "permit", tariff: null, exitWindow: null };
+  }
+
+  const tariff = calculateTariff(ticket);
+  return {
+    status: tariff.total > 0 ? "due" : "free",
+    tariff,
+    exitWindow: null,
+  };
+}
+
+/**
+ * The open shift of a kiosk, opened at no float on its first payment. It
+ * runs past midnight until an admin closes it. Kiosk payments count in this
+ * shift only, never in a cashier's.
+ * @param {Object} kiosk - Kiosk row
+ * @returns {Promise<Object>} The shift, with opened set when it is new
+ */
+async function openKioskShift(kiosk) {
+  const shift = await findOpenShift(kiosk.user_id);
+  if (shift) return shift;
+
+  const id = await openShift(kiosk.user_id, {
+    opening_amount: 0,
+    notes: `Kiosk shift - ${kiosk.name}`,
+  });
+  return { ...(await getShift(id)), opened: true };
+}
+
+/**
+ * Take payment for a ticket at a kiosk: charge the payment terminal, then
+ * mark the ticket paid with its exit window and record the payment in the
+ * kiosk's shift. A sale that cannot be recorded is voided at the terminal.
+ * A sale the terminal never answered may still have been charged, so it is
+ * logged for reconciliation and the customer is sent to a cashier. The
+ * receipt goes to the kiosk's printer.
+ * @param {Object} kiosk - Kiosk row
+ * @param {number} ticketId - Ticket ID
+ * @param {string} method - "card" or "mfs"
+ * @returns {Promise<Object>} { ticket, tariff, shift, receiptNumber,
+ *   authorization, exitWindowMinutes, printed }
+ */
+async function payAtKiosk(kiosk, ticketId, method) {
+  if (!KIOSK_METHODS[method]) {
+    throw new KioskError("Choose how to pay");
+  }
+
+  const ticket = await getTicket(ticketId);
+  if (!ticket) {
+    throw new KioskError("Ticket not found");
+  }
+
+  const { status, tariff } = await quoteTicket(ticket);
+  if (status !== "due") {
+    throw new KioskError("This ticket has nothing to pay at the kiosk");
+  }
+
+  const terminal = new PAYMENT_TERMINALS[kiosk.terminal_driver](kiosk);
+
+  const request = {
+    amount: tariff.total,
+    currency: getSetting("currency"),
+    method,
+    reference: ticket.ticket_number,
+  };
+
+  let sale;
+  try {
+    sale = await terminal.sale(request);
+  } catch (error) {
+    // There is no authorization to void, so the sale is matched up with the
+    // terminal's settlement by its reference, the ticket number
+    console.error(
+      `Payment terminal error on sale ${request.reference}:`,
+      error
+    );
+    await logAudit(
+      kiosk.user_id,
+      "KIOSK_SALE_UNCONFIRMED",
+      "parking_tickets",
+      ticket.id,
+      null,
+      JSON.stringify({ kiosk: kiosk.name, ...request, error: error.message }),
+      null,
+      "kiosk-payments"
+    );
+    throw new KioskError(
+      "The payment terminal did not confirm your payment. Please see a cashier before trying again, in case you were charged."
+    );
+  }
+  if (!sale.approved) {
+    throw new KioskError(`Payment declined: ${sale.message}`);
+  }
+
+  const exitWindowMinutes = getSetting("exit_window_minutes");
+  let shift;
+  let receiptNumber;
+  try {
+    receiptNumber = await withTransaction(async () => {
+      shift = await openKioskShift(kiosk);
+
+      if (!(await payTicket(ticket.id, tariff, exitWindowMinutes))) {
+        throw new ConflictError("Ticket was paid elsewhere");
+      }
+
+      const number = await issueNumber("receipt");
+      const paymentId = await createPayment({
+        ticket_id: ticket.id,
+        amount: tariff.total,
+        payment_method: method,
+        reference_number: sale.authorization,
+        cashier_id: kiosk.user_id,
+        receipt_number: number,
+        notes: `Paid at kiosk ${kiosk.name}`,
+      });
+
+      await recordTenders(paymentId, [
+        {
+          method,
+          amount: tariff.total,
+          reference_number: sale.authorization,
+          cash_tendered: null,
+          change_due: null,
+        },
+      ]);
+      return number;
+    });
+  } catch (error) {
+    try {
+      await terminal.voidSale(sale.authorization);
+    } catch (voidError) {
+      console.error(
+        `Could not void sale ${sale.authorization} for ticket ${ticket.ticket_number}:`,
+        voidError
+      );
+    }
+    if (error instanceof ConflictError) {
+      throw new KioskError(
+        "This ticket has just been paid elsewhere. Your payment has been cancelled."
+      );
+    }
+    throw error;
+  }
+
+  let printed = false;
+  try {
+    const workstation = kiosk.workstation_id
+      ? await getWorkstation(kiosk.workstation_id)
+      : null;
+    printed = !!(
+      workstation &&
+      workstation.status === "active" &&
+      (await queuePrint("receipt", ticket.id, workstation, kiosk.user_id))
+    );
+  } catch (error) {
+    console.error("Kiosk print error:", error);
+  }
+
+  return {
+    ticket,
+    tariff,
+    shift,
+    receiptNumber,
+    authorization: sale.authorization,
+    exitWindowMinutes,
+    printed,
+  };
+}
+
+/**
+ * Close a kiosk's open shift against the settlement total of its payment
+ * terminal. The shift is credited with every payment since it opened.
+ * @param {number} id - Kiosk ID
+ * @param {Object} data - closing_amount (terminal settlement), notes
+ * @returns {Promise<Object>} { kiosk, shift, closed } where closed holds the
+ *   totals recorded
+ */
+async function closeKioskShift(id, data) {
+  const kiosk = await getKiosk(id);
+  if (!kiosk) {
+    throw new KioskError("Kiosk not found");
+  }
+
+  // Totals and close in one transaction, so a payment taken meanwhile is
+  // either counted in this shift or opens the next one
+  const closingAmount = parseFloat(data.closing_amount) || 0;
+  return withTransaction(async () => {
+    const shift = await findOpenShift(kiosk.user_id);
+    if (!shift) {
+      throw new KioskError(`${kiosk.name} has no open shift`);
+    }
+
+    const totalCollected = await getShiftCollected(shift);
+    const methodTotals = {};
+    (await getShiftCollectionsByMethod(shift)).forEach((row) => {
+      methodTotals[row.method] = row.total;
+    });
+
+    const closed = {
+      closing_amount: closingAmount,
+      total_collected: totalCollected,
+      variance: closingAmount - totalCollected,
+      method_totals: methodTotals,
+      notes: data.notes || shift.notes,
+    };
+    await closeShift(shift.id, closed);
+    return { kiosk, shift, closed };
+  });
+}
+
+module.exports = {
+  KIOSK_METHODS,
+  TERMINAL_LABELS,
+  KioskError,
+  registerKiosk,
+  updateKioskSettings,
+  setKioskEnabled,
+  quoteTicket,
+  payAtKiosk,
+  closeKioskShift,
+};
@@ -0,0 +1,167 @@
+const {
+  addLedgerEntry,
+  listLedgerEntries,
+  getVehicleBalance,
+  listOutstandingCharges,
+  findOutstandingCharge,
+} = require("../repositories/vehicle-ledger");
+const { markTicketPaid } = require("../repositories/tickets");
+const { createPayment } = require("../repositories/payments");
+const { recordTenders } = require("./tenders");
+const { issueNumber } = require("./numbering");
+
+// Labels of the ledger entry types
+const ENTRY_TYPES = {
+  charge: "Charge",
+  payment: "Payment",
+  write_off: "Write-off",
+};
+
+// Methods a balance can be settled with
+const SETTLE_METHODS = ["cash", "card", "mfs"];
+
+// Raised for ledger postings that break a rule
+class LedgerError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "LedgerError";
+  }
+}
+
+/**
+ * A vehicle's ledger with its balance and the charges still owed
+ * @param {number} vehicleId - Vehicle ID
+ * @returns {Promise<Object>} { entries, balance, outstanding }
+ */
+async function getVehicleAccount(vehicleId) {
+  const [entries, balance, outstanding] = await Promise.all([
+    listLedgerEntries(vehicleId),
+    getVehicleBalance(vehicleId),
+    listOutstandingCharges(vehicleId),
+  ]);
+
+  return { entries, balance, outstanding };
+}
+
+/**
+ * Charge the amount of a ticket closed without payment to its vehicle
+ * @param {Object} ticket - Ticket row
+ * @param {number} amount - Amount owed
+ * @param {string} notes - Why the vehicle left without paying
+ * @param {number} userId - Cashier letting it out
+ */
+async function chargeTicket(ticket, amount, notes, userId) {
+  return addLedgerEntry({
+    vehicle_id: ticket.vehicle_id,
+    ticket_id: ticket.id,
+    entry_type: "charge",
+    amount,
+    notes,
+    created_by: userId,
+  });
+}
+
+/**
+ * Pay everything a vehicle owes. Each unpaid ticket gets its own payment, so
+ * it shows in revenue and on the cashier's shift like any other. Run it in a
+ * transaction.
+ * @param {number} vehicleId - Vehicle ID
+ * @param {Object} payment - payment_method and reference_number
+ * @param {number} userId - Cashier taking the payment
+ * @returns {Promise<Object>} { total, tickets } - amount settled and the
+ *   ticket numbers paid
+ */
+async function settleBalance(vehicleId, payment, userId) {
+  if (!SETTLE_METHODS.includes(payment.payment_method)) {
+    throw new LedgerError("Choose how the balance is paid");
+  }
+
+  const charges = await listOutstandingCharges(vehicleId);
+  if (charges.length === 0) {
+    throw new LedgerError("This vehicle has no outstanding balance");
+  }
+
+  const reference = (payment.reference_number || "").trim() || null;
+  let cents = 0;
+
+  for (const charge of charges) {
+    const paymentId = await createPayment({
+      ticket_id: charge.ticket_id,
+      amount: charge.outstanding,
+      payment_method: payment.payment_method,
+      reference_number: reference,
+      cashier_id: userId,
+      receipt_number: await issueNumber("receipt"),
+      notes: "Outstanding balance settled",
+    });
+
+    await recordTenders(paymentId, [
+      {
+        method: payment.payment_method,
+        amount: charge.outstanding,
+        reference_number: reference,
+        cash_tendered: null,
+        change_due: null,
+      },
+    ]);
+
+    await markTicketPaid(charge.ticket_id);
+
+    await addLedgerEntry({
+      vehicle_id: vehicleId,
+      ticket_id: charge.ticket_id,
+      entry_type: "payment",
+      amount: charge.outstanding,
+      payment_id: paymentId,
+      created_by: userId,
+    });
+
+    cents += Math.round(charge.outstanding * 100);
+  }
+
+  return {
+    total: cents / 100,
+    tickets: charges.map((charge) => charge.ticket_number),
+  };
+}
+
+/**
+ * Write off what is still owed for a ticket
+ * @param {number} vehicleId - Vehicle the charge is on
+ * @param {number} ticketId - Ticket ID
+ * @param {string} notes - Why it is written off
+ * @param {number} userId - Admin writing it off
+ * @returns {Promise<Object>} The charge as it was
+ */
+async function writeOffCharge(vehicleId, ticketId, notes, userId) {
+  if (!(notes || "").trim()) {
+    throw new LedgerError("Give a reason for the write-off");
+  }
+
+  const charge = await findOutstandingCharge(ticketId);
+  if (!charge || String(charge.vehicle_id) !== String(vehicleId)) {
+    throw new LedgerError("Nothing is owed for this ticket");
+  }
+
+  await addLedgerEntry({
+    vehicle_id: charge.vehicle_id,
+    ticket_id: ticketId,
+    entry_type: "write_off",
+    amount: charge.outstanding,
+    notes: notes.trim(),
+    created_by: userId,
+  });
+
+  return charge;
+}
+
+module.exports = {
+  ENTRY_TYPES,
+  SETTLE_METHODS,
+  LedgerError,
+  getVehicleAccount,
+  getVehicleBalance,
+  chargeTicket,
+  settleBalance,
+  writeOffCharge,
+};
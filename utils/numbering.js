@@ -0,0 +1,104 @@
+const moment = require("moment");
+const { getSetting } = require("./settings");
+const {
+  nextSequenceValue,
+  recordIssuedNumber,
+} = require("../repositories/number-sequences");
+
+// Numbered documents and the setting holding the format of each
+const NUMBER_SERIES = {
+  ticket: { label: "Ticket", formatSetting: "ticket_number_format" },
+  receipt: { label: "Receipt", formatSetting: "receipt_number_format" },
+  permit: { label: "Permit", formatSetting: "permit_number_format" },
+  reservation: {
+    label: "Reservation",
+    formatSetting: "reservation_number_format",
+  },
+};
+
+const GAP_STATUSES = {
+  skipped: "Never issued",
+  missing: "Issued but never saved",
+  voided: "Voided",
+};
+
+/**
+ * Luhn check digit of the letters and digits of some text. Letters count as
+ * two digits, A as 10 to Z as 35, as in ISINs, so the site code is covered.
+ * @param {string} text - Text to check
+ * @returns {string} A single digit
+ */
+function checkDigit(text) {
+  const digits = String(text)
+    .toUpperCase()
+    .replace(/[^0-9A-Z]/g, "")
+    .replace(/[A-Z]/g, (letter) => String(letter.charCodeAt(0) - 55));
+
+  let sum = 0;
+  // Double every second digit, starting with the rightmost
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return String((10 - (sum % 10)) % 10);
+}
+
+/**
+ * Fill in a number format. {site} is the site code, {year} the four-digit
+ * year, {seq} the sequence number, {seq:6} the same padded with zeros to six
+ * digits, and {check} a check digit over the rest of the number.
+ * @param {string} format - e.g. "{site}-{year}-{seq:6}-{check}"
+ * @param {Object} values - siteCode, year and sequence
+ * @returns {string}
+ */
+function formatNumber(format, values) {
+  const number = format
+    .replace(/\{site\}/g, values.siteCode)
+    .replace(/\{year\}/g, String(values.year))
+    .replace(/\{seq(?::(\d))?\}/g, (token, width) =>
+      String(values.sequence).padStart(Number(width) || 0, "0")
+    );
+
+  return number.replace(
+    /\{check\}/g,
+    checkDigit(number.replace(/\{check\}/g, ""))
+  );
+}
+
+/**
+ * Issue the next ticket, receipt, permit or reservation number of this site
+ * and year. Call it in the transaction that saves the document, so a failed
+ * save takes the number back and the sequence has no gap.
+ * @param {string} series - "ticket", "receipt", "permit" or "reservation"
+ * @returns {Promise<string>} The number, e.g. A-2026-000123-2
+ */
+async function issueNumber(series) {
+  const siteCode = getSetting("site_code");
+  const year = moment().year();
+  const sequence = await nextSequenceValue(series, siteCode, year);
+  const number = formatNumber(
+    getSetting(NUMBER_SERIES[series].formatSetting),
+    { siteCode, year, sequence }
+  );
+
+  await recordIssuedNumber({
+    series,
+    site_code: siteCode,
+    year,
+    sequence,
+    number,
+  });
+  return number;
+}
+
+module.exports = {
+  NUMBER_SERIES,
+  GAP_STATUSES,
+  checkDigit,
+  formatNumber,
+  issueNumber,
+};
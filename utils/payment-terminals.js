@@ -0,0 +1,161 @@
+const crypto = require("crypto");
+const net = require("net");
+
+// How long a terminal has to connect or answer a void
+const COMMAND_TIMEOUT_MS = 10000;
+
+// How long a sale may take: the customer has to present a card or approve
+// the payment on their phone
+const SALE_TIMEOUT_MS = 120 * 1000;
+
+/**
+ * What every payment terminal driver provides. sale() resolves to
+ * { approved, authorization, message } once the customer has paid or the
+ * payment was declined, and rejects when the terminal cannot be reached or
+ * fails mid-sale. voidSale() takes back an approved sale, for payments that
+ * could not be recorded. A driver gets the kiosk row it belongs to.
+ */
+class PaymentTerminalDriver {
+  constructor(kiosk) {
+    this.kiosk = kiosk;
+  }
+
+  // request: amount, currency, method ("card" or "mfs") and reference
+  async sale() {
+    throw new Error(`${this.constructor.name} cannot take a payment`);
+  }
+
+  async voidSale() {
+    throw new Error(`${this.constructor.name} cannot void a payment`);
+  }
+}
+
+/**
+ * Reference driver for terminals on the network, or behind a payment
+ * gateway's local bridge. The protocol is ASCII, one line per message, ended
+ * by CR LF, with the amount in cents:
+ *
+ *   -> SALE <cents> <currency> <method> <reference>
+ *   <- APPROVED <authorization> | DECLINED <reason> | ERR <message>
+ *   -> VOID <authorization>
+ *   <- OK | ERR <message>
+ *
+ * Each command has a connection of its own, closed once it is answered.
+ */
+class TcpPaymentTerminalDriver extends PaymentTerminalDriver {
+  async sale(request) {
+    const cents = Math.round(request.amount * 100);
+    const [word, text] = await this.send(
+      `SALE ${cents} ${request.currency} ${request.method} ${request.reference}`,
+      SALE_TIMEOUT_MS
+    );
+
+    if (word === "APPROVED" && text) {
+      return { approved: true, authorization: text, message: null };
+    }
+    if (word === "DECLINED") {
+      return {
+        approved: false,
+        authorization: null,
+        message: text || "Payment declined",
+      };
+    }
+    throw new Error(text || `Unexpected answer from ${this.address()}`);
+  }
+
+  async voidSale(authorization) {
+    const [word, text] = await this.send(
+      `VOID ${authorization}`,
+      COMMAND_TIMEOUT_MS
+    );
+    if (word !== "OK") {
+      throw new Error(text || `${this.address()} refused to void ${authorization}`);
+    }
+  }
+
+  address() {
+    return `${this.kiosk.terminal_host}:${this.kiosk.terminal_port}`;
+  }
+
+  // Send one command and resolve to the first word of the answer and the rest
+  send(command, timeoutMs) {
+    return new Promise((resolve, reject) => {
+      let buffer = "";
+      let settled = false;
+      const socket = net.createConnection({
+        host: this.kiosk.terminal_host,
+        port: this.kiosk.terminal_port,
+      });
+      socket.setEncoding("ascii");
+
+      const finish = (error, answer) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        socket.destroy();
+        if (error) {
+          reject(error);
+        } else {
+          resolve(answer);
+        }
+      };
+
+      const timer = setTimeout(
+        () => finish(new Error(`No answer from ${this.address()}`)),
+        timeoutMs
+      );
+
+      socket.once("connect", () => socket.write(`${command}\r\n`));
+      socket.on("data", (chunk) => {
+        buffer += chunk;
+        const end = buffer.search(/\r?\n/);
+        if (end === -1) return;
+
+        const [word, ...rest] = buffer.slice(0, end).trim().split(" ");
+        finish(null, [word, rest.join(" ")]);
+      });
+      socket.on("error", (error) =>
+        finish(new Error(`${this.address()}: ${error.message}`))
+      );
+      socket.on("close", () =>
+        finish(new Error(`${this.address()} closed the connection`))
+      );
+    });
+  }
+}
+
+/**
+ * Approves every payment at once, for trying the kiosk without a terminal.
+ * Amounts ending in 13 cents are declined, so a declined card can be tried.
+ */
+class MockPaymentTerminalDriver extends PaymentTerminalDriver {
+  async sale(request) {
+    if (Math.round(request.amount * 100) % 100 === 13) {
+      return {
+        approved: false,
+        authorization: null,
+        message: "Declined by the test terminal",
+      };
+    }
+    return {
+      approved: true,
+      authorization: `MOCK${crypto.randomBytes(3).toString("hex").toUpperCase()}`,
+      message: null,
+    };
+  }
+
+  async voidSale() {}
+}
+
+// Terminals a kiosk can use, by the name stored on the kiosk
+const PAYMENT_TERMINALS = {
+  tcp: TcpPaymentTerminalDriver,
+  mock: MockPaymentTerminalDriver,
+};
+
+module.exports = {
+  PAYMENT_TERMINALS,
+  PaymentTerminalDriver,
+  TcpPaymentTerminalDriver,
+  MockPaymentTerminalDriver,
+};
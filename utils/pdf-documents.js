@@ -0,0 +1,426 @@
+const moment = require("moment");
+const { PdfDocument, PAGE_WIDTH, PAGE_HEIGHT } = require("./pdf");
+const { getSetting, getCurrencySymbol } = require("./settings");
+const { code128Widths } = require("./code128");
+const { signTicketNumber } = require("./ticket-codes");
+
+const DATE_FORMAT = "MMM DD, YYYY HH:mm";
+
+const MARGIN = 50;
+const RIGHT = PAGE_WIDTH - MARGIN;
+const VALUE_X = 200;
+const LINE_HEIGHT = 16;
+// Lowest baseline for content; the footer goes below it
+const BOTTOM = PAGE_HEIGHT - 80;
+const BARCODE_HEIGHT = 40;
+
+function money(amount) {
+  return `${getCurrencySymbol()}${(Number(amount) || 0).toFixed(2)}`;
+}
+
+function formatTime(value) {
+  return value ? moment(value).format(DATE_FORMAT) : "";
+}
+
+/**
+ * Writes a document top to bottom under the system's letterhead, starting
+ * a new page when one is full
+ */
+class Layout {
+  /**
+   * @param {string} title - Document title, e.g. "Payment Receipt"
+   * @param {string} number - Receipt, ticket or shift number
+   * @param {string} date - When what the document records happened
+   */
+  constructor(title, number, date) {
+    this.title = title;
+    this.number = number;
+    this.systemName = getSetting("system_name");
+    this.pageNumber = 1;
+    this.doc = new PdfDocument({
+      title: `${title} ${number}`,
+      author: this.systemName,
+      date,
+    });
+    this.letterhead();
+  }
+
+  letterhead() {
+    const address = getSetting("business_address");
+    const taxId = getSetting("tax_id");
+
+    this.doc
+      .text(this.systemName, MARGIN, 60, { size: 16, bold: true })
+      .text(this.title.toUpperCase(), RIGHT, 60, {
+        size: 14,
+        bold: true,
+        align: "right",
+      })
+      .text(this.number, RIGHT, 78, { align: "right" });
+
+    let y = 76;
+    if (address) {
+      this.doc.text(address, MARGIN, y, { size: 9, gray: 0.35 });
+      y += 12;
+    }
+    if (taxId) {
+      this.doc.text(`Tax ID: ${taxId}`, MARGIN, y, { size: 9, gray: 0.35 });
+      y += 12;
+    }
+
+    const rule = Math.max(y, 90) + 6;
+    this.doc.line(MARGIN, rule, RIGHT, rule, { width: 1 });
+    this.y = rule + 30;
+  }
+
+  footer() {
+    const y = PAGE_HEIGHT - 40;
+    this.doc
+      .line(MARGIN, y - 14, RIGHT, y - 14, { gray: 0.6 })
+      .text(`${this.systemName} - ${this.title} ${this.number}`, MARGIN, y, {
+        size: 8,
+        gray: 0.35,
+      })
+      .text(`Page ${this.pageNumber}`, RIGHT, y, {
+        size: 8,
+        gray: 0.35,
+        align: "right",
+      });
+  }
+
+  // Make room for the next height points, on a new page if need be
+  ensure(height) {
+    if (this.y + height <= BOTTOM) return;
+
+    this.footer();
+    this.doc.addPage();
+    this.pageNumber += 1;
+    this.letterhead();
+  }
+
+  heading(text) {
+    this.ensure(LINE_HEIGHT * 3);
+    this.y += 6;
+    this.doc.text(text, MARGIN, this.y, { size: 11, bold: true });
+    this.doc.line(MARGIN, this.y + 5, RIGHT, this.y + 5, { gray: 0.6 });
+    this.y += LINE_HEIGHT + 4;
+    return this;
+  }
+
+  // "Label    value" with the value in a column
+  field(label, value) {
+    if (value === null || value === undefined || value === "") return this;
+
+    this.ensure(LINE_HEIGHT);
+    this.doc
+      .text(label, MARGIN, this.y, { gray: 0.35 })
+      .text(value, VALUE_X, this.y);
+    this.y += LINE_HEIGHT;
+    return this;
+  }
+
+  // A description with an amount at the right margin
+  amount(label, value, options = {}) {
+    this.ensure(LINE_HEIGHT);
+    this.doc
+      .text(label, MARGIN, this.y, { bold: options.bold })
+      .text(value, RIGHT, this.y, { bold: options.bold, align: "right" });
+    this.y += LINE_HEIGHT;
+    return this;
+  }
+
+  rule() {
+    this.doc.line(MARGIN, this.y - 11, RIGHT, this.y - 11, { gray: 0.6 });
+    this.y += 4;
+    return this;
+  }
+
+  // Text wrapped to the page width
+  paragraph(text, options = {}) {
+    const size = options.size || 10;
+    const width = RIGHT - MARGIN;
+    let current = "";
+
+    const flush = () => {
+      this.ensure(LINE_HEIGHT);
+      this.doc.text(current, MARGIN, this.y, { size, gray: options.gray });
+      this.y += LINE_HEIGHT;
+    };
+
+    String(text || "")
+      .split(/\s+/)
+      .filter(Boolean)
+      .forEach((word) => {
+        const next = current ? `${current} ${word}` : word;
+        if (current && this.doc.widthOf(next, size) > width) {
+          flush();
+          current = word;
+        } else {
+          current = next;
+        }
+      });
+
+    if (current) flush();
+    return this;
+  }
+
+  // The signed ticket code as a centred Code 128 barcode, with the code below
+  barcode(ticketNumber) {
+    const code = signTicketNumber(ticketNumber);
+    const widths = code128Widths(code);
+    const modules = widths.reduce((total, width) => total + width, 0);
+    const module = Math.min(1.5, (RIGHT - MARGIN) / modules);
+
+    this.ensure(BARCODE_HEIGHT + LINE_HEIGHT);
+    let x = (PAGE_WIDTH - modules * module) / 2;
+    const top = this.y - 10;
+    widths.forEach((width, index) => {
+      // Bars and spaces take turns, starting with a bar
+      if (index % 2 === 0) {
+        this.doc.rect(x, top, width * module, BARCODE_HEIGHT, 0);
+      }
+      x += width * module;
+    });
+    this.doc.text(code, PAGE_WIDTH / 2, top + BARCODE_HEIGHT + 12, {
+      size: 8,
+      align: "center",
+    });
+    this.y += BARCODE_HEIGHT + LINE_HEIGHT + 4;
+    return this;
+  }
+
+  space(points = LINE_HEIGHT) {
+    this.y += points;
+    return this;
+  }
+
+  finish() {
+    this.footer();
+    return this.doc.toBuffer();
+  }
+}
+
+function vehicleOf(record) {
+  return [record.make, record.model, record.color].filter(Boolean).join(" ");
+}
+
+function slotOf(record) {
+  return record.slot_name
+    ? `${record.slot_number} (${record.slot_name})`
+    : record.slot_number;
+}
+
+/**
+ * PDF of a parking ticket
+ * @param {Object} ticket - Ticket joined with its slot, vehicle and driver
+ * @returns {Buffer}
+ */
+function renderTicketPdf(ticket) {
+  const layout = new Layout(
+    "Parking Ticket",
+    ticket.ticket_number,
+    ticket.check_in_time
+  );
+
+  layout.doc
+    .rect(MARGIN, layout.y - 14, RIGHT - MARGIN, 44, 0.93)
+    .text(ticket.ticket_number, PAGE_WIDTH / 2, layout.y + 14, {
+      size: 20,
+      bold: true,
+      align: "center",
+    });
+  layout.space(56).barcode(ticket.ticket_number).space(8);
+
+  layout
+    .heading("Vehicle")
+    .field("License plate", ticket.license_plate)
+    .field("Vehicle", vehicleOf(ticket))
+    .field("Driver", ticket.driver_name)
+    .space(8)
+    .heading("Parking")
+    .field("Slot", slotOf(ticket))
+    .field("Slot type", ticket.slot_type)
+    .field("Entry", formatTime(ticket.check_in_time))
+    .field("Exit", formatTime(ticket.check_out_time))
+    .field("Hourly rate", money(ticket.hourly_rate))
+    .field("Daily rate", money(ticket.daily_rate))
+    .field("Status", ticket.status)
+    .field("Payment", ticket.payment_status)
+    .field("Issued by", ticket.cashier_name)
+    .space(8)
+    .paragraph(
+      "Keep this ticket and show it when you leave. A lost ticket is charged a fee.",
+      { gray: 0.35 }
+    );
+
+  return layout.finish();
+}
+
+/**
+ * PDF of a payment receipt
+ * @param {Object} receipt - Receipt from getReceipt
+ * @param {Array} tenders - Tenders of the payment
+ * @param {Object} tariff - Tariff breakdown of the ticket
+ * @returns {Buffer}
+ */
+function renderReceiptPdf(receipt, tenders, tariff) {
+  const layout = new Layout(
+    "Payment Receipt",
+    receipt.receipt_number,
+    receipt.payment_date
+  );
+
+  if (receipt.lost_ticket) {
+    layout.doc.text("LOST TICKET", MARGIN, layout.y, { bold: true });
+    layout.space();
+  }
+
+  layout
+    .field("Date", formatTime(receipt.payment_date))
+    .field("Ticket", receipt.ticket_number)
+    .field("License plate", receipt.license_plate)
+    .field("Vehicle", vehicleOf(receipt))
+    .field("Slot", slotOf(receipt))
+    .field("Entry", formatTime(receipt.check_in_time))
+    .field(
+      receipt.check_out_time ? "Exit" : "Exit by",
+      formatTime(receipt.check_out_time || receipt.exit_deadline)
+    )
+    .field("Duration", `${receipt.duration_hours || 0} hour(s)`)
+    .space(8)
+    .heading("Charges");
+
+  tariff.lines.forEach((line) => {
+    layout.amount(
+      `${line.label} (${line.quantity} x ${money(line.unitPrice)})`,
+      money(line.amount)
+    );
+  });
+  if (tariff.discount && tariff.discount.merchantName) {
+    layout.paragraph(`Validated by ${tariff.discount.merchantName}`, {
+      gray: 0.35,
+    });
+  }
+  layout.rule().amount("Total", money(receipt.amount), { bold: true });
+  if (receipt.refunded_amount > 0) {
+    layout
+      .amount("Refunded", `-${money(receipt.refunded_amount)}`)
+      .amount("Net paid", money(receipt.amount - receipt.refunded_amount), {
+        bold: true,
+      });
+  }
+
+  layout.space(8).heading("Payment");
+  if (tenders.length > 0) {
+    tenders.forEach((tender) => {
+      const reference = tender.reference_number
+        ? ` (${tender.reference_number})`
+        : "";
+      layout.amount(
+        `${tender.tender_method.toUpperCase()}${reference}`,
+        money(tender.amount)
+      );
+      if (tender.cash_tendered !== null) {
+        layout
+          .amount("    Tendered", money(tender.cash_tendered))
+          .amount("    Change", money(tender.change_due));
+      }
+    });
+  } else {
+    layout.field("Paid by", String(receipt.payment_method).toUpperCase());
+  }
+  layout.field("Cashier", receipt.cashier_name);
+
+  if (receipt.notes) {
+    layout.space(8).heading("Notes").paragraph(receipt.notes);
+  }
+
+  layout
+    .space(8)
+    .barcode(receipt.ticket_number)
+    .paragraph("Thank you for parking with us.", { gray: 0.35 });
+  return layout.finish();
+}
+
+/**
+ * PDF of a cashier shift: the cash count, collections by payment method and
+ * the day's tickets
+ * @param {Object} shift - Shift with cashier_name
+ * @param {Array} collections - { method, total, count } per payment method
+ * @param {Object} summary - Day summary of the cashier's tickets
+ * @returns {Buffer}
+ */
+function renderShiftPdf(shift, collections, summary) {
+  const layout = new Layout(
+    "Shift Report",
+    `#${shift.id}`,
+    shift.close_time || shift.open_time
+  );
+  const closed = shift.status === "closed";
+  const collected = collections.reduce(
+    (total, row) => total + (Number(row.total) || 0),
+    0
+  );
+
+  layout
+    .field("Cashier", shift.cashier_name)
+    .field("Date", moment(shift.shift_date).format("MMM DD, YYYY"))
+    .field("Opened", formatTime(shift.open_time))
+    .field("Closed", closed ? formatTime(shift.close_time) : "Still open")
+    .space(8)
+    .heading("Collections");
+
+  if (collections.length > 0) {
+    collections.forEach((row) => {
+      const count = row.count ? ` (${row.count})` : "";
+      layout.amount(
+        `${String(row.method).toUpperCase()}${count}`,
+        money(row.total)
+      );
+    });
+  } else {
+    layout.paragraph("No payments taken.", { gray: 0.35 });
+  }
+  layout
+    .rule()
+    .amount(
+      "Total collected",
+      money(closed ? shift.total_collected : collected),
+      { bold: true }
+    )
+    .space(8)
+    .heading("Cash Count")
+    .amount("Opening amount", money(shift.opening_amount));
+
+  if (closed) {
+    layout
+      .amount("Closing amount", money(shift.closing_amount))
+      .amount("Variance", money(shift.variance), { bold: true });
+  }
+
+  layout
+    .space(8)
+    .heading("Tickets")
+    .field("Checked in", String(summary.total_tickets || 0))
+    .field("Paid", String(summary.paid_tickets || 0))
+    .field("Pending", String(summary.pending_tickets || 0));
+
+  if (shift.notes) {
+    layout.space(8).heading("Notes").paragraph(shift.notes);
+  }
+
+  if (closed) {
+    layout
+      .space(40)
+      .paragraph(
+        "Counted by ______________________    Checked by ______________________"
+      );
+  }
+  return layout.finish();
+}
+
+module.exports = {
+  renderTicketPdf,
+  renderReceiptPdf,
+  renderShiftPdf,
+};
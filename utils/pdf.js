@@ -0,0 +1,255 @@
+const moment = require("moment");
+
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+
+// Character widths of the standard Helvetica fonts for codes 32-126, in
+// thousandths of the font size. Other characters are taken as 556.
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584,
+  584, 556, 1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278,
+  278, 278, 469, 556, 333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222,
+  500, 222, 833, 556, 556, 556, 556, 333, 500, 278, 556, 500, 722, 500, 500,
+  500, 334, 260, 334, 584,
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278,
+  278, 556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584,
+  584, 611, 975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611,
+  833, 722, 778, 667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333,
+  278, 333, 584, 556, 333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278,
+  556, 278, 889, 611, 611, 611, 611, 389, 556, 333, 611, 556, 778, 556, 556,
+  500, 389, 280, 389, 584,
+];
+
+// Characters outside Latin-1 that the WinAnsi encoding has
+const WIN_ANSI_EXTRAS = {
+  "€": 0x80,
+  "‘": 0x91,
+  "’": 0x92,
+  "“": 0x93,
+  "”": 0x94,
+  "–": 0x96,
+  "—": 0x97,
+};
+
+// A character code in the WinAnsi encoding of the standard fonts
+function winAnsiCode(char) {
+  const code = char.charCodeAt(0);
+  if ((code >= 32 && code <= 126) || (code >= 160 && code <= 255)) {
+    return code;
+  }
+  return WIN_ANSI_EXTRAS[char] || 63; // "?"
+}
+
+/**
+ * A PDF of A4 pages with text and lines in Helvetica. The same content and
+ * date always give the same bytes, so a document can be archived and
+ * compared later.
+ */
+class PdfDocument {
+  /**
+   * @param {Object} info - title, author and date (the date of what the
+   *   document records, not when it was made)
+   */
+  constructor(info = {}) {
+    this.info = info;
+    this.pages = [];
+    this.addPage();
+  }
+
+  /**
+   * Start a new page; text and lines go on it from now on
+   */
+  addPage() {
+    this.operations = [];
+    this.pages.push(this.operations);
+    return this;
+  }
+
+  /**
+   * Width of text in points
+   * @param {string} text - Text to measure
+   * @param {number} size - Font size
+   * @param {boolean} bold - Whether the bold font is used
+   */
+  widthOf(text, size, bold = false) {
+    const widths = bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+    let total = 0;
+    for (const char of String(text)) {
+      const code = winAnsiCode(char);
+      total += code >= 32 && code <= 126 ? widths[code - 32] : 556;
+    }
+    return (total * size) / 1000;
+  }
+
+  /**
+   * Write one line of text
+   * @param {string} text - The text
+   * @param {number} x - Left edge in points; the right edge when right
+   *   aligned and the centre when centred
+   * @param {number} y - Baseline in points from the top of the page
+   * @param {Object} options - size (default 10), bold, gray (0 black to 1
+   *   white) and align ("left", "right" or "center")
+   */
+  text(text, x, y, options = {}) {
+    const value = String(text === null || text === undefined ? "" : text);
+    const size = options.size || 10;
+    const width = this.widthOf(value, size, options.bold);
+
+    let left = x;
+    if (options.align === "right") left = x - width;
+    if (options.align === "center") left = x - width / 2;
+
+    this.operations.push(
+      `BT ${number(options.gray || 0)} g /${options.bold ? "F2" : "F1"} ${number(
+        size
+      )} Tf ${number(left)} ${number(PAGE_HEIGHT - y)} Td (${escapeText(
+        value
+      )}) Tj ET`
+    );
+    return this;
+  }
+
+  /**
+   * Draw a straight line
+   * @param {number} x1 - Start, points from the left
+   * @param {number} y1 - Start, points from the top
+   * @param {number} x2 - End, points from the left
+   * @param {number} y2 - End, points from the top
+   * @param {Object} options - width (default 0.5) and gray
+   */
+  line(x1, y1, x2, y2, options = {}) {
+    this.operations.push(
+      `${number(options.gray || 0)} G ${number(options.width || 0.5)} w ${number(
+        x1
+      )} ${number(PAGE_HEIGHT - y1)} m ${number(x2)} ${number(
+        PAGE_HEIGHT - y2
+      )} l S`
+    );
+    return this;
+  }
+
+  /**
+   * Fill a rectangle
+   * @param {number} x - Left edge, points from the left
+   * @param {number} y - Top edge, points from the top
+   * @param {number} width - Width in points
+   * @param {number} height - Height in points
+   * @param {number} gray - Fill, 0 black to 1 white
+   */
+  rect(x, y, width, height, gray) {
+    this.operations.push(
+      `${number(gray)} g ${number(x)} ${number(
+        PAGE_HEIGHT - y - height
+      )} ${number(width)} ${number(height)} re f`
+    );
+    return this;
+  }
+
+  /**
+   * The finished PDF
+   * @returns {Buffer}
+   */
+  toBuffer() {
+    const objects = [];
+    const add = (body) => {
+      objects.push(body);
+      return objects.length;
+    };
+
+    const catalog = add(null);
+    const pageTree = add(null);
+    const regular = add(
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>"
+    );
+    const bold = add(
+      "<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>"
+    );
+
+    const pageIds = this.pages.map((operations) => {
+      const content = Buffer.from(operations.join("\n"), "latin1");
+      const stream = add(
+        Buffer.concat([
+          Buffer.from(`<< /Length ${content.length} >>\nstream\n`, "latin1"),
+          content,
+          Buffer.from("\nendstream", "latin1"),
+        ])
+      );
+      return add(
+        `<< /Type /Page /Parent ${pageTree} 0 R /MediaBox [0 0 ${number(
+          PAGE_WIDTH
+        )} ${number(PAGE_HEIGHT)}] /Resources << /Font << /F1 ${regular} 0 R /F2 ${bold} 0 R >> >> /Contents ${stream} 0 R >>`
+      );
+    });
+
+    objects[catalog - 1] = `<< /Type /Catalog /Pages ${pageTree} 0 R >>`;
+    objects[pageTree - 1] = `<< /Type /Pages /Kids [${pageIds
+      .map((id) => `${id} 0 R`)
+      .join(" ")}] /Count ${pageIds.length} >>`;
+
+    const info = [];
+    if (this.info.title) info.push(`/Title (${escapeText(this.info.title)})`);
+    if (this.info.author) info.push(`/Author (${escapeText(this.info.author)})`);
+    if (this.info.date) {
+      const date = moment.utc(this.info.date).format("YYYYMMDDHHmmss");
+      info.push(`/CreationDate (D:${date}Z)`);
+    }
+    const infoId = add(`<< ${info.join(" ")} >>`);
+
+    const chunks = [Buffer.from("%PDF-1.4\n%\xe2\xe3\xcf\xd3\n", "latin1")];
+    let length = chunks[0].length;
+    const offsets = objects.map((body, index) => {
+      const offset = length;
+      const chunk = Buffer.concat([
+        Buffer.from(`${index + 1} 0 obj\n`, "latin1"),
+        Buffer.isBuffer(body) ? body : Buffer.from(body, "latin1"),
+        Buffer.from("\nendobj\n", "latin1"),
+      ]);
+      chunks.push(chunk);
+      length += chunk.length;
+      return offset;
+    });
+
+    const xref = [
+      "xref",
+      `0 ${objects.length + 1}`,
+      "0000000000 65535 f ",
+      ...offsets.map((offset) => `${String(offset).padStart(10, "0")} 00000 n `),
+      "trailer",
+      `<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${infoId} 0 R >>`,
+      "startxref",
+      String(length),
+      "%%EOF",
+      "",
+    ].join("\n");
+    chunks.push(Buffer.from(xref, "latin1"));
+
+    return Buffer.concat(chunks);
+  }
+}
+
+// A number as PDF writes it, to two decimal places at most
+function number(value) {
+  return String(Math.round(value * 100) / 100);
+}
+
+// Text as a PDF string literal in the WinAnsi encoding, without the brackets
+function escapeText(text) {
+  return Array.from(String(text))
+    .map((char) => {
+      const code = winAnsiCode(char);
+      if (char === "\\" || char === "(" || char === ")") return `\\${char}`;
+      return String.fromCharCode(code);
+    })
+    .join("");
+}
+
+module.exports = {
+  PAGE_WIDTH,
+  PAGE_HEIGHT,
+  PdfDocument,
+};
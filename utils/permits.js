@@ -0,0 +1,442 @@
+const moment = require("moment");
+const { dbGet, dbAll, dbRun, withTransaction } = require("./db");
+const { issueNumber } = require("./numbering");
+const { normalizePlate } = require("../repositories/vehicles");
+
+const SLOT_TYPES = ["standard", "disabled", "vip"];
+const PAYMENT_METHODS = ["cash", "mfs", "card"];
+
+// Raised for permit requests that break a permit rule
+class PermitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PermitError";
+  }
+}
+
+// Form values arrive as a string or an array of checkbox values
+function toList(value) {
+  const values = Array.isArray(value) ? value : (value || "").split(",");
+  return values.map((item) => item.trim()).filter(Boolean);
+}
+
+/**
+ * Zone of a slot: the letters in front of its number (A01 -> A)
+ * @param {string} slotNumber - Slot number
+ */
+function getSlotZone(slotNumber) {
+  const match = /^[A-Za-z]+/.exec(slotNumber || "");
+  return match ? match[0].toUpperCase() : "";
+}
+
+/**
+ * Whether a permit may be used on a slot. Empty restrictions allow every slot.
+ * @param {Object} permit - Permit row
+ * @param {Object} slot - Slot with slot_type and slot_number
+ */
+function permitCoversSlot(permit, slot) {
+  const slotTypes = toList(permit.allowed_slot_types);
+  const zones = toList(permit.allowed_zones);
+
+  if (slotTypes.length > 0 && !slotTypes.includes(slot.slot_type)) {
+    return false;
+  }
+
+  if (zones.length > 0 && !zones.includes(getSlotZone(slot.slot_number))) {
+    return false;
+  }
+
+  return true;
+}
+
+function validatePermit(data) {
+  const start = moment(data.start_date, "YYYY-MM-DD", true);
+  const end = moment(data.end_date, "YYYY-MM-DD", true);
+  const price = parseFloat(data.price);
+  const slotTypes = toList(data.allowed_slot_types);
+
+  if (!normalizePlate(data.license_plate) || !data.holder_name) {
+    throw new PermitError("License plate and holder name are required");
+  }
+
+  if (!start.isValid() || !end.isValid() || end.isBefore(start)) {
+    throw new PermitError("Valid start and end dates are required");
+  }
+
+  if (isNaN(price) || price < 0) {
+    throw new PermitError("Price must be zero or more");
+  }
+
+  if (slotTypes.some((type) => !SLOT_TYPES.includes(type))) {
+    throw new PermitError("Unknown slot type");
+  }
+
+  return {
+    license_plate: normalizePlate(data.license_plate),
+    holder_name: data.holder_name.trim(),
+    holder_phone: data.holder_phone || null,
+    holder_email: data.holder_email || null,
+    allowed_slot_types: slotTypes.join(","),
+    allowed_zones: toList(data.allowed_zones)
+      .map((zone) => zone.toUpperCase())
+      .join(","),
+    start_date: start.format("YYYY-MM-DD"),
+    end_date: end.format("YYYY-MM-DD"),
+    price,
+    notes: data.notes || null,
+  };
+}
+
+function validatePaymentMethod(paymentMethod) {
+  if (!PAYMENT_METHODS.includes(paymentMethod)) {
+    throw new PermitError("Payment method is required");
+  }
+}
+
+// Record a sale under the next receipt number. Call it in the transaction
+// that saves the permit.
+async function recordSale(permitId, saleType, periodStart, periodEnd, amount, paymentMethod, userId) {
+  await dbRun(
+    `
+    INSERT INTO permit_sales (permit_id, sale_type, period_start, period_end, amount, payment_method, receipt_number, sold_by)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `,
+    [
+      permitId,
+      saleType,
+      periodStart,
+      periodEnd,
+      amount,
+      paymentMethod,
+      await issueNumber("receipt"),
+      userId,
+    ]
+  );
+}
+
+/**
+ * Get a permit with its sales history
+ * @param {number} id - Permit ID
+ */
+async function getPermit(id) {
+  const permit = await dbGet("SELECT * FROM permits WHERE id = ?", [id]);
+
+  if (permit) {
+    permit.sales = await dbAll(
+      `
+      SELECT ps.*, u.full_name as sold_by_name
+      FROM permit_sales ps
+      LEFT JOIN users u ON ps.sold_by = u.id
+      WHERE ps.permit_id = ?
+      ORDER BY ps.sold_at DESC
+    `,
+      [id]
+    );
+  }
+
+  return permit;
+}
+
+/**
+ * List permits
+ * @param {Object} options - Filter options
+ * @param {string} options.search - Plate, holder or permit number
+ * @param {string} options.state - active, expired or cancelled
+ */
+async function listPermits(options = {}) {
+  let query = "SELECT * FROM permits WHERE 1=1";
+  const params = [];
+
+  if (options.search) {
+    query +=
+      " AND (license_plate LIKE ? OR holder_name LIKE ? OR permit_number LIKE ?)";
+    params.push(
+      `%${options.search}%`,
+      `%${options.search}%`,
+      `%${options.search}%`
+    );
+  }
+
+  if (options.state === "active") {
+    query += " AND status = 'active' AND end_date >= DATE('now')";
+  } else if (options.state === "expired") {
+    query += " AND status = 'active' AND end_date < DATE('now')";
+  } else if (options.state === "cancelled") {
+    query += " AND status = 'cancelled'";
+  }
+
+  query += " ORDER BY end_date DESC";
+
+  return dbAll(query, params);
+}
+
+/**
+ * Find the active permit for a vehicle that covers the given slot
+ * @param {string} licensePlate - Vehicle license plate
+ * @param {Object} slot - Slot with slot_type and slot_number
+ */
+async function findActivePermit(licensePlate, slot) {
+  const permits = await dbAll(
+    `
+    SELECT * FROM permits
+    WHERE license_plate = ? AND status = 'active'
+      AND start_date <= DATE('now') AND end_date >= DATE('now')
+    ORDER BY end_date DESC
+  `,
+    [normalizePlate(licensePlate)]
+  );
+
+  return permits.find((permit) => permitCoversSlot(permit, slot)) || null;
+}
+
+/**
+ * Sell a new permit. The permit and its sale are saved together.
+ * @param {Object} data - Permit fields plus payment_method
+ * @param {number} userId - ID of the user selling the permit
+ * @returns {Promise<Object>} The new permit
+ */
+async function createPermit(data, userId) {
+  const permit = validatePermit(data);
+  validatePaymentMethod(data.payment_method);
+
+  const permitId = await withTransaction(async () => {
+    const result = await dbRun(
+      `
+      INSERT INTO permits (permit_number, license_plate, holder_name, holder_phone, holder_email, allowed_slot_types, allowed_zones, start_date, end_date, price, notes, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        await issueNumber("permit"),
+        permit.license_plate,
+        permit.holder_name,
+        permit.holder_phone,
+        permit.holder_email,
+        permit.allowed_slot_types,
+        permit.allowed_zones,
+        permit.start_date,
+        permit.end_date,
+        permit.price,
+        permit.notes,
+        userId,
+      ]
+    );
+
+    await recordSale(
+      result.lastID,
+      "new",
+      permit.start_date,
+      permit.end_date,
+      permit.price,
+      data.payment_method,
+      userId
+    );
+    return result.lastID;
+  });
+
+  return getPermit(permitId);
+}
+
+/**
+ * Update a permit's holder, vehicle and restrictions
+ * @param {number} id - Permit ID
+ * @param {Object} data - Permit fields
+ * @returns {Promise<Object>} The permit before the update
+ */
+async function updatePermit(id, data) {
+  const existing = await dbGet("SELECT * FROM permits WHERE id = ?", [id]);
+
+  if (!existing) {
+    throw new PermitError("Permit not found");
+  }
+
+  const permit = validatePermit(data);
+
+  await dbRun(
+    `
+    UPDATE permits
+    SET license_plate = ?, holder_name = ?, holder_phone = ?, holder_email = ?, allowed_slot_types = ?,
+      allowed_zones = ?, start_date = ?, end_date = ?, price = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [
+      permit.license_plate,
+      permit.holder_name,
+      permit.holder_phone,
+      permit.holder_email,
+      permit.allowed_slot_types,
+      permit.allowed_zones,
+      permit.start_date,
+      permit.end_date,
+      permit.price,
+      permit.notes,
+      id,
+    ]
+  );
+
+  return existing;
+}
+
+/**
+ * Default period for a renewal: continues the current period, or starts today
+ * if the permit has lapsed, and runs for one month
+ * @param {Object} permit - Permit row
+ */
+function getRenewalPeriod(permit) {
+  const nextDay = moment(permit.end_date, "YYYY-MM-DD").add(1, "day");
+  const start = moment.max(nextDay, moment().startOf("day"));
+
+  return {
+    start_date: start.format("YYYY-MM-DD"),
+    end_date: start.clone().add(1, "month").subtract(1, "day").format("YYYY-MM-DD"),
+  };
+}
+
+/**
+ * Renew a permit for a further period and record the sale. The permit is read
+ * and extended in one transaction, so two renewals cannot both continue from
+ * the same end date.
+ * @param {number} id - Permit ID
+ * @param {Object} data - end_date, price and payment_method
+ * @param {number} userId - ID of the user selling the renewal
+ * @returns {Promise<Object>} { before, period, price }
+ */
+async function renewPermit(id, data, userId) {
+  return withTransaction(async () => {
+    const permit = await dbGet("SELECT * FROM permits WHERE id = ?", [id]);
+
+    if (!permit) {
+      throw new PermitError("Permit not found");
+    }
+
+    if (permit.status !== "active") {
+      throw new PermitError("Cancelled permits cannot be renewed");
+    }
+
+    const period = getRenewalPeriod(permit);
+    const end = data.end_date
+      ? moment(data.end_date, "YYYY-MM-DD", true)
+      : moment(period.end_date, "YYYY-MM-DD");
+    const price =
+      data.price !== undefined && data.price !== ""
+        ? parseFloat(data.price)
+        : permit.price;
+
+    if (!end.isValid() || end.isBefore(moment(period.start_date, "YYYY-MM-DD"))) {
+      throw new PermitError(`Renewal must end on or after ${period.start_date}`);
+    }
+
+    if (isNaN(price) || price < 0) {
+      throw new PermitError("Price must be zero or more");
+    }
+
+    validatePaymentMethod(data.payment_method);
+
+    period.end_date = end.format("YYYY-MM-DD");
+
+    await recordSale(
+      id,
+      "renewal",
+      period.start_date,
+      period.end_date,
+      price,
+      data.payment_method,
+      userId
+    );
+
+    await dbRun(
+      "UPDATE permits SET end_date = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [period.end_date, id]
+    );
+
+    return { before: permit, period, price };
+  });
+}
+
+/**
+ * Cancel a permit; it stops covering check-outs immediately
+ * @param {number} id - Permit ID
+ * @returns {Promise<Object>} The permit before cancelling
+ */
+async function cancelPermit(id) {
+  const permit = await dbGet("SELECT * FROM permits WHERE id = ?", [id]);
+
+  if (!permit) {
+    throw new PermitError("Permit not found");
+  }
+
+  await dbRun(
+    "UPDATE permits SET status = 'cancelled', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [id]
+  );
+
+  return permit;
+}
+
+/**
+ * Replace a tariff with the zero-cost permit line
+ * @param {Object} tariff - Tariff from calculateTariff
+ * @param {Object} permit - Permit covering the stay
+ */
+function applyPermit(tariff, permit) {
+  return {
+    ...tariff,
+    permitNumber: permit.permit_number,
+    lines: [
+      {
+        label: `Permit ${permit.permit_number} (valid to ${permit.end_date})`,
+        quantity: 1,
+        unit: "stay",
+        unitPrice: 0,
+        amount: 0,
+      },
+    ],
+    total: 0,
+  };
+}
+
+/**
+ * Permit sales and renewals made between two dates (inclusive)
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ */
+async function listPermitSales(startDate, endDate) {
+  return dbAll(
+    `
+    SELECT
+      s.receipt_number,
+      s.sold_at,
+      s.sale_type,
+      s.period_start,
+      s.period_end,
+      s.amount,
+      s.payment_method,
+      p.permit_number,
+      p.license_plate,
+      p.holder_name,
+      u.full_name as sold_by_name
+    FROM permit_sales s
+    JOIN permits p ON s.permit_id = p.id
+    LEFT JOIN users u ON s.sold_by = u.id
+    WHERE DATE(s.sold_at) BETWEEN ? AND ?
+    ORDER BY s.sold_at DESC
+  `,
+    [startDate, endDate]
+  );
+}
+
+module.exports = {
+  SLOT_TYPES,
+  PermitError,
+  getSlotZone,
+  permitCoversSlot,
+  getPermit,
+  listPermits,
+  findActivePermit,
+  createPermit,
+  updatePermit,
+  getRenewalPeriod,
+  renewPermit,
+  cancelPermit,
+  applyPermit,
+  listPermitSales,
+};
@@ -0,0 +1,596 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const moment = require("moment");
+const { logAudit } = require("./audit");
+const { getSetting, getCurrencySymbol } = require("./settings");
+const { withTransaction } = require("./db");
+const {
+  calculateTariff,
+  getExitWindow,
+  calculateOverstay,
+} = require("./tariff");
+const { findActivePermit, applyPermit } = require("./permits");
+const { findWatchlistMatch, describeWatchlistEntry } = require("./watchlist");
+const { openLaneGate } = require("./gate-control");
+const { issueNumber } = require("./numbering");
+const {
+  getDevice,
+  findActiveDeviceByKeyHash,
+  createDevice,
+  updateDeviceKey,
+  setDeviceStatus,
+  touchDevice,
+} = require("../repositories/anpr-devices");
+const {
+  createRead,
+  getRead,
+  updateRead,
+  markReviewed,
+  setReadImage,
+} = require("../repositories/anpr-reads");
+const {
+  listAvailableSlots,
+  claimSlot,
+  releaseSlot,
+} = require("../repositories/slots");
+const {
+  getTicket,
+  findOpenTicketByPlate,
+  createTicket,
+  checkOutTicket,
+  recordExit,
+  markExitRequested,
+} = require("../repositories/tickets");
+const { createPayment } = require("../repositories/payments");
+const { normalizePlate, saveVehicle } = require("../repositories/vehicles");
+const { saveDriver, listVehicleDrivers } = require("../repositories/drivers");
+const { getUserByUsername } = require("../repositories/users");
+
+// Images sent with plate reads
+const ANPR_IMAGE_DIR = path.join(__dirname, "..", "database", "anpr-images");
+
+// Largest image a read may carry
+const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+
+// A camera either watches the way in or the way out
+const DEVICE_DIRECTIONS = ["entry", "exit"];
+
+// What became of a read
+const READ_STATUSES = {
+  processed: "Processed",
+  review: "Needs review",
+  ignored: "Ignored",
+  dismissed: "Dismissed",
+};
+
+// User that tickets opened and closed by a camera are booked to
+const ANPR_USERNAME = "anpr";
+
+// Driver recorded for a vehicle first seen by a camera
+const UNKNOWN_DRIVER = "Unknown driver";
+
+// Raised for devices and reads that break a rule
+class AnprError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AnprError";
+  }
+}
+
+let anprUserId = null;
+
+async function getAnprUserId() {
+  if (!anprUserId) {
+    const user = await getUserByUsername(ANPR_USERNAME);
+    if (!user) {
+      throw new Error(
+        `The "${ANPR_USERNAME}" user is missing; run the migrations`
+      );
+    }
+    // Never book camera tickets to a person who can log in
+    if (user.password !== "!") {
+      throw new Error(
+        `The "${ANPR_USERNAME}" user belongs to a person; rename them and run the migrations`
+      );
+    }
+    anprUserId = user.id;
+  }
+  return anprUserId;
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function generateKey() {
+  const key = `anpr_${crypto.randomBytes(24).toString("hex")}`;
+  return { key, hash: hashKey(key), prefix: key.slice(0, 12) };
+}
+
+function formatMoney(amount) {
+  return `${getCurrencySymbol()}${amount.toFixed(2)}`;
+}
+
+/**
+ * Register a camera. The API key is returned once; only its hash is kept.
+ * @param {Object} data - name, direction, lane
+ * @param {number} userId - Admin registering it
+ * @returns {Promise<Object>} { device, key }
+ */
+async function registerDevice(data, userId) {
+  const name = (data.name || "").trim();
+  if (!name) {
+    throw new AnprError("Device name is required");
+  }
+  if (!DEVICE_DIRECTIONS.includes(data.direction)) {
+    throw new AnprError("Direction must be entry or exit");
+  }
+
+  const { key, hash, prefix } = generateKey();
+  const id = await createDevice({
+    name,
+    direction: data.direction,
+    lane: (data.lane || "").trim() || null,
+    api_key_hash: hash,
+    key_prefix: prefix,
+    created_by: userId,
+  });
+
+  return { device: await getDevice(id), key };
+}
+
+/**
+ * Give a device a new API key; the old key stops working at once
+ * @param {number} id - Device ID
+ * @returns {Promise<Object>} { device, key }
+ */
+async function rotateDeviceKey(id) {
+  const device = await getDevice(id);
+  if (!device) {
+    throw new AnprError("Device not found");
+  }
+
+  const { key, hash, prefix } = generateKey();
+  await updateDeviceKey(device.id, hash, prefix);
+  return { device, key };
+}
+
+/**
+ * Enable or disable a device. A disabled device's key is refused.
+ * @param {number} id - Device ID
+ * @param {boolean} enabled - Whether the device may post reads
+ * @returns {Promise<Object>} The device as it was
+ */
+async function setDeviceEnabled(id, enabled) {
+  const device = await getDevice(id);
+  if (!device) {
+    throw new AnprError("Device not found");
+  }
+
+  await setDeviceStatus(device.id, enabled ? "active" : "disabled");
+  return device;
+}
+
+/**
+ * The active device an API key belongs to
+ * @param {string} key - API key sent by the device
+ * @returns {Promise<Object|undefined>} Device
+ */
+async function authenticateDevice(key) {
+  if (!key) return undefined;
+
+  const device = await findActiveDeviceByKeyHash(hashKey(key));
+  if (device) {
+    await touchDevice(device.id);
+  }
+  return device;
+}
+
+function parseImage(image) {
+  if (!image) return null;
+
+  const base64 = String(image).replace(/^data:image\/[a-z]+;base64,/i, "");
+  const buffer = Buffer.from(base64, "base64");
+
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new AnprError("Image must be at most 2 MB");
+  }
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) {
+    return { buffer, extension: "jpg" };
+  }
+  if (buffer.slice(0, 4).toString("hex") === "89504e47") {
+    return { buffer, extension: "png" };
+  }
+  throw new AnprError("Image must be a base64 JPEG or PNG");
+}
+
+// Check the fields a camera posts and bring them to stored form
+function parseRead(input, device) {
+  const rawPlate = String(input.plate || "").trim();
+  const plate = normalizePlate(rawPlate);
+  if (!/^[A-Z0-9]{1,15}$/.test(plate)) {
+    throw new AnprError("Plate must be 1 to 15 letters or digits");
+  }
+
+  const confidence = Number(input.confidence);
+  if (
+    input.confidence === undefined ||
+    input.confidence === "" ||
+    isNaN(confidence) ||
+    confidence < 0 ||
+    confidence > 1
+  ) {
+    throw new AnprError("Confidence must be a number from 0 to 1");
+  }
+
+  let readAt = moment.utc();
+  if (input.timestamp) {
+    readAt = moment.utc(input.timestamp, moment.ISO_8601, true);
+    if (!readAt.isValid()) {
+      throw new AnprError("Timestamp must be an ISO 8601 date and time");
+    }
+    if (readAt.isAfter(moment.utc().add(5, "minutes"))) {
+      throw new AnprError("Timestamp is in the future");
+    }
+  }
+
+  return {
+    raw_plate: rawPlate,
+    license_plate: plate,
+    confidence,
+    lane: String(input.lane || device.lane || "").trim() || null,
+    read_at: readAt.format("YYYY-MM-DD HH:mm:ss"),
+    image: parseImage(input.image),
+  };
+}
+
+// Driver for a ticket opened by a camera: whoever last parked the vehicle
+async function findDriverFor(vehicleId) {
+  const [driver] = await listVehicleDrivers(vehicleId);
+  return driver ? driver.id : saveDriver({ full_name: UNKNOWN_DRIVER });
+}
+
+// Slot for a vehicle the camera let in: a standard slot when one is free
+async function pickSlot() {
+  const slots = await listAvailableSlots();
+  return slots.find((slot) => slot.slot_type === "standard") || slots[0];
+}
+
+async function applyEntryRead(plate, readAt, userId) {
+  const audits = [];
+
+  const watch = await findWatchlistMatch(plate);
+  const watchHit = (action, ticketId) => ({
+    action,
+    table: "watchlist",
+    recordId: watch.id,
+    values: { license_plate: plate, ticket_id: ticketId, reason: watch.reason },
+  });
+
+  if (watch && watch.severity === "block") {
+    return {
+      status: "processed",
+      outcome: `Entry refused. ${describeWatchlistEntry(watch)}`,
+      audits: [watchHit("WATCHLIST_BLOCKED", null)],
+    };
+  }
+
+  const open = await findOpenTicketByPlate(plate);
+  if (open) {
+    return {
+      status: "ignored",
+      outcome: `Already parked on ticket ${open.ticket_number}`,
+      ticketId: open.id,
+      audits,
+    };
+  }
+
+  const slot = await pickSlot();
+  if (!slot || !(await claimSlot(slot.id, false))) {
+    return { status: "review", outcome: "No vacant slot", audits };
+  }
+
+  const vehicleId = await saveVehicle({ license_plate: plate });
+  const ticketId = await createTicket({
+    ticket_number: await issueNumber("ticket"),
+    slot_id: slot.id,
+    vehicle_id: vehicleId,
+    driver_id: await findDriverFor(vehicleId),
+    cashier_id: userId,
+    check_in_time: readAt,
+  });
+  const ticket = await getTicket(ticketId);
+
+  audits.push({
+    action: "CHECK_IN",
+    table: "parking_tickets",
+    recordId: ticketId,
+    values: { license_plate: plate, slot_id: slot.id, check_in_time: readAt },
+  });
+
+  let outcome = `Ticket ${ticket.ticket_number} opened in slot ${slot.slot_number}`;
+  if (watch) {
+    audits.push(watchHit("WATCHLIST_WARNING", ticketId));
+    outcome += `. ${describeWatchlistEntry(watch)}`;
+  }
+
+  return { status: "processed", outcome, ticketId, passed: true, audits };
+}
+
+async function applyExitRead(plate, userId) {
+  const ticket = await findOpenTicketByPlate(plate);
+  if (!ticket) {
+    return {
+      status: "review",
+      outcome: `No vehicle with plate ${plate} is parked`,
+      audits: [],
+    };
+  }
+
+  const exitAudit = (action, values) => ({
+    action,
+    table: "parking_tickets",
+    recordId: ticket.id,
+    values,
+  });
+
+  // Paid before exit: leaving within the exit window costs nothing more
+  const exitWindow = getExitWindow(ticket);
+  if (exitWindow && exitWindow.isOpen) {
+    await recordExit(ticket.id);
+    await releaseSlot(ticket.slot_id);
+    return {
+      status: "processed",
+      outcome: `Ticket ${ticket.ticket_number} exited within the exit window`,
+      ticketId: ticket.id,
+      passed: true,
+      audits: [exitAudit("CHECK_OUT", { exit_window: true })],
+    };
+  }
+
+  // Permit holders leave at no cost
+  const permit = exitWindow
+    ? null
+    : await findActivePermit(ticket.license_plate, ticket);
+  if (permit) {
+    const tariff = applyPermit(calculateTariff(ticket), permit);
+    await checkOutTicket(ticket.id, tariff, ticket.payment_status);
+    await createPayment({
+      ticket_id: ticket.id,
+      amount: 0,
+      payment_method: "permit",
+      reference_number: permit.permit_number,
+      cashier_id: userId,
+      receipt_number: await issueNumber("receipt"),
+      notes: "Closed by exit camera",
+    });
+    await releaseSlot(ticket.slot_id);
+    return {
+      status: "processed",
+      outcome: `Ticket ${ticket.ticket_number} closed on permit ${permit.permit_number}`,
+      ticketId: ticket.id,
+      passed: true,
+      audits: [
+        exitAudit("CHECK_OUT", { permit_number: permit.permit_number }),
+      ],
+    };
+  }
+
+  // Everyone else pays at the exit before the barrier lifts
+  const amountDue = exitWindow
+    ? calculateOverstay(ticket).amountDue
+    : calculateTariff(ticket).total;
+  await markExitRequested(ticket.id);
+  return {
+    status: "processed",
+    outcome: `Ticket ${ticket.ticket_number} is ready for payment: ${formatMoney(
+      amountDue
+    )} due`,
+    ticketId: ticket.id,
+    audits: [exitAudit("EXIT_REQUESTED", { amount_due: amountDue })],
+  };
+}
+
+// Act on a confident read. Run it in a transaction.
+async function applyRead(direction, plate, readAt, userId) {
+  return direction === "entry"
+    ? applyEntryRead(plate, readAt, userId)
+    : applyExitRead(plate, userId);
+}
+
+// Lift the barrier on the read's lane once the vehicle may pass. A gate that
+// fails is recorded against the gate; the read stands.
+async function openGateFor(result, direction, lane, userId) {
+  if (!result.passed) return;
+
+  try {
+    await openLaneGate(lane, direction, {
+      source: "anpr",
+      ticketId: result.ticketId,
+      userId,
+    });
+  } catch (error) {
+    console.error("Opening gate for plate read failed:", error);
+  }
+}
+
+async function logReadAudits(result, readId, userId, client) {
+  for (const audit of result.audits) {
+    await logAudit(
+      userId,
+      audit.action,
+      audit.table,
+      audit.recordId,
+      null,
+      JSON.stringify({ ...audit.values, anpr_read_id: readId }),
+      client.ip,
+      client.userAgent
+    );
+  }
+}
+
+/**
+ * Store a plate read from a camera and act on it: an entry read opens a
+ * ticket on a vacant slot, an exit read closes a permit holder's or prepaid
+ * ticket and marks any other ticket ready for payment. The lane's gate opens
+ * for a vehicle let in or out. Reads below the configured confidence wait for
+ * a cashier instead.
+ * @param {Object} device - Device that sent the read
+ * @param {Object} input - plate, confidence, lane, timestamp, image
+ * @param {Object} client - ip and userAgent, for the audit log
+ * @returns {Promise<Object>} The stored read
+ */
+async function ingestRead(device, input, client) {
+  const read = parseRead(input, device);
+  const userId = await getAnprUserId();
+  const minConfidence = getSetting("anpr_min_confidence");
+
+  const { readId, result } = await withTransaction(async () => {
+    const result =
+      read.confidence < minConfidence
+        ? {
+            status: "review",
+            outcome: `Confidence ${read.confidence} is below ${minConfidence}`,
+            audits: [],
+          }
+        : await applyRead(
+            device.direction,
+            read.license_plate,
+            read.read_at,
+            userId
+          );
+
+    const readId = await createRead({
+      device_id: device.id,
+      direction: device.direction,
+      raw_plate: read.raw_plate,
+      license_plate: read.license_plate,
+      confidence: read.confidence,
+      lane: read.lane,
+      read_at: read.read_at,
+      status: result.status,
+      outcome: result.outcome,
+      ticket_id: result.ticketId,
+    });
+
+    return { readId, result };
+  });
+
+  if (read.image) {
+    try {
+      fs.mkdirSync(ANPR_IMAGE_DIR, { recursive: true });
+      const fileName = `read-${readId}.${read.image.extension}`;
+      fs.writeFileSync(path.join(ANPR_IMAGE_DIR, fileName), read.image.buffer);
+      await setReadImage(readId, fileName);
+    } catch (error) {
+      console.error("Saving plate read image failed:", error);
+    }
+  }
+
+  await logReadAudits(result, readId, userId, client);
+  await openGateFor(result, device.direction, read.lane, userId);
+  return getRead(readId);
+}
+
+async function getReadForReview(id) {
+  const read = await getRead(id);
+  if (!read || read.status !== "review") {
+    throw new AnprError("Plate read is not waiting for review");
+  }
+  return read;
+}
+
+/**
+ * Confirm a read a cashier has checked, correcting the plate if needed, and
+ * act on it as if the camera had been sure. The read stays in the queue when
+ * it still cannot be acted on.
+ * @param {number} id - Read ID
+ * @param {string} plate - Plate as confirmed by the cashier
+ * @param {Object} client - userId, ip and userAgent of the cashier
+ * @returns {Promise<Object>} { previous, read } for the audit log
+ */
+async function confirmRead(id, plate, client) {
+  const previous = await getReadForReview(id);
+
+  const licensePlate = normalizePlate(plate || previous.license_plate);
+  if (!/^[A-Z0-9]{1,15}$/.test(licensePlate)) {
+    throw new AnprError("Plate must be 1 to 15 letters or digits");
+  }
+
+  const result = await withTransaction(async () => {
+    if (!(await markReviewed(previous.id, client.userId))) {
+      throw new AnprError("Plate read was reviewed by another cashier");
+    }
+
+    const result = await applyRead(
+      previous.direction,
+      licensePlate,
+      previous.read_at,
+      client.userId
+    );
+    if (result.status === "review") {
+      throw new AnprError(result.outcome);
+    }
+
+    await updateRead(previous.id, {
+      status: result.status,
+      outcome: result.outcome,
+      ticket_id: result.ticketId,
+      license_plate: licensePlate,
+    });
+    return result;
+  });
+
+  await logReadAudits(result, previous.id, client.userId, client);
+  await openGateFor(result, previous.direction, previous.lane, client.userId);
+  return { previous, read: await getRead(previous.id) };
+}
+
+/**
+ * Close a read that needs no action, such as a misread or a passing vehicle
+ * @param {number} id - Read ID
+ * @param {string} notes - Why it was dismissed
+ * @param {number} userId - Cashier dismissing it
+ * @returns {Promise<Object>} The read as it was
+ */
+async function dismissRead(id, notes, userId) {
+  const read = await getReadForReview(id);
+
+  await withTransaction(async () => {
+    if (!(await markReviewed(read.id, userId))) {
+      throw new AnprError("Plate read was reviewed by another cashier");
+    }
+    await updateRead(read.id, {
+      status: "dismissed",
+      outcome: (notes || "").trim() || "Dismissed",
+    });
+  });
+
+  return read;
+}
+
+/**
+ * Path of the image sent with a read, if it is still on disk
+ * @param {Object} read - Plate read
+ */
+function getReadImagePath(read) {
+  if (!read || !read.image_file) return null;
+
+  const filePath = path.join(ANPR_IMAGE_DIR, path.basename(read.image_file));
+  return fs.existsSync(filePath) ? filePath : null;
+}
+
+module.exports = {
+  DEVICE_DIRECTIONS,
+  READ_STATUSES,
+  AnprError,
+  registerDevice,
+  rotateDeviceKey,
+  setDeviceEnabled,
+  authenticateDevice,
+  ingestRead,
+  confirmRead,
+  dismissRead,
+  getReadImagePath,
+};
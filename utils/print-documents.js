@@ -0,0 +1,221 @@
+const moment = require("moment");
+const { EscPosEncoder } = require("./escpos");
+const { code128Widths } = require("./code128");
+const { signTicketNumber } = require("./ticket-codes");
+const { getSetting, getCurrencySymbol } = require("./settings");
+
+const DATE_FORMAT = "MMM DD, YYYY HH:mm";
+
+// Printable dots across 58 mm and 80 mm paper
+const NARROW_PAPER_DOTS = 384;
+const WIDE_PAPER_DOTS = 576;
+
+function money(amount) {
+  return `${getCurrencySymbol()}${(Number(amount) || 0).toFixed(2)}`;
+}
+
+function formatTime(value) {
+  return value ? moment(value).format(DATE_FORMAT) : "";
+}
+
+// "Label ........ value" on one line, the value cut to fit if it must
+function columns(left, right, width) {
+  const value = String(right || "");
+  const space = width - value.length;
+  if (space < 2) {
+    return `${left}: ${value}`.slice(0, width);
+  }
+  return String(left).slice(0, space - 1).padEnd(space) + value;
+}
+
+// Text split over lines of at most width characters, at spaces if it can
+function wrap(text, width) {
+  const lines = [];
+  let current = "";
+
+  String(text || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .forEach((word) => {
+      while (word.length > width) {
+        if (current) lines.push(current);
+        current = "";
+        lines.push(word.slice(0, width));
+        word = word.slice(width);
+      }
+      if (current && current.length + 1 + word.length > width) {
+        lines.push(current);
+        current = word;
+      } else {
+        current = current ? `${current} ${word}` : word;
+      }
+    });
+
+  if (current) lines.push(current);
+  return lines;
+}
+
+/**
+ * Start a document: system name and title, centred
+ * @param {Object} layout - columns, codeType and reprint
+ * @param {string} title - Document title
+ */
+function header(layout, title) {
+  const encoder = new EscPosEncoder().initialize().align("center");
+
+  encoder.bold().size(2);
+  wrap(getSetting("system_name"), Math.floor(layout.columns / 2)).forEach(
+    (line) => encoder.line(line)
+  );
+  encoder.size(1).line(title).bold(false);
+
+  if (layout.reprint) {
+    encoder.line("*** REPRINT ***");
+  }
+  return encoder.align("left").line("-".repeat(layout.columns));
+}
+
+// The signed ticket code as a QR code or Code 128 barcode, then cut
+function footer(encoder, layout, ticketNumber, message) {
+  const code = signTicketNumber(ticketNumber);
+  encoder.line("-".repeat(layout.columns)).align("center");
+
+  if (layout.codeType === "code128") {
+    // As wide as the paper allows, with ten modules of space either side
+    const dots = layout.columns > 32 ? WIDE_PAPER_DOTS : NARROW_PAPER_DOTS;
+    const modules =
+      code128Widths(code).reduce((total, width) => total + width, 0) + 20;
+    const moduleWidth = Math.min(3, Math.max(1, Math.floor(dots / modules)));
+    encoder.code128(code, 80, moduleWidth);
+  } else {
+    encoder.qrcode(code).line(ticketNumber);
+  }
+
+  wrap(message, layout.columns).forEach((line) => encoder.line(line));
+  return encoder.feed(3).cut();
+}
+
+/**
+ * ESC/POS ticket handed to a driver at check-in
+ * @param {Object} ticket - Ticket joined with its slot and vehicle
+ * @param {Object} layout - columns (characters per line), codeType ("qr" or
+ *   "code128") and reprint
+ * @returns {Buffer}
+ */
+function renderTicket(ticket, layout) {
+  const width = layout.columns;
+  const encoder = header(layout, "PARKING TICKET");
+  const vehicle = [ticket.make, ticket.model, ticket.color]
+    .filter(Boolean)
+    .join(" ");
+
+  encoder
+    .line(columns("Ticket", ticket.ticket_number, width))
+    .bold()
+    .line(columns("Plate", ticket.license_plate, width))
+    .bold(false)
+    .line(columns("Slot", ticket.slot_number, width));
+  if (vehicle) {
+    encoder.line(columns("Vehicle", vehicle, width));
+  }
+  encoder
+    .line(columns("Entry", formatTime(ticket.check_in_time), width))
+    .line(columns("Rate", `${money(ticket.hourly_rate)}/hour`, width));
+
+  return footer(
+    encoder,
+    layout,
+    ticket.ticket_number,
+    "Keep this ticket and show it when you leave. A lost ticket is charged a fee."
+  ).encode();
+}
+
+/**
+ * ESC/POS receipt for a paid ticket
+ * @param {Object} receipt - Receipt from getReceipt
+ * @param {Array} tenders - Tenders of the payment
+ * @param {Object} tariff - Tariff breakdown of the ticket
+ * @param {Object} layout - columns, codeType and reprint, as for renderTicket
+ * @returns {Buffer}
+ */
+function renderReceipt(receipt, tenders, tariff, layout) {
+  const width = layout.columns;
+  const encoder = header(layout, "PAYMENT RECEIPT");
+
+  if (receipt.lost_ticket) {
+    encoder.align("center").bold().line("LOST TICKET").bold(false);
+    encoder.align("left");
+  }
+
+  encoder
+    .line(columns("Receipt", receipt.receipt_number, width))
+    .line(columns("Date", formatTime(receipt.payment_date), width))
+    .line(columns("Ticket", receipt.ticket_number, width))
+    .line(columns("Plate", receipt.license_plate, width))
+    .line(columns("Slot", receipt.slot_number, width))
+    .line(columns("Entry", formatTime(receipt.check_in_time), width))
+    .line(
+      columns(
+        receipt.check_out_time ? "Exit" : "Exit by",
+        formatTime(receipt.check_out_time || receipt.exit_deadline),
+        width
+      )
+    )
+    .line(columns("Duration", `${receipt.duration_hours || 0} hour(s)`, width))
+    .line("-".repeat(width));
+
+  tariff.lines.forEach((line) => {
+    encoder.line(
+      columns(
+        `${line.label} ${line.quantity} x ${money(line.unitPrice)}`,
+        money(line.amount),
+        width
+      )
+    );
+  });
+  if (tariff.discount && tariff.discount.merchantName) {
+    encoder.line(`Validated by ${tariff.discount.merchantName}`);
+  }
+
+  encoder
+    .bold()
+    .line(columns("TOTAL", money(receipt.amount), width))
+    .bold(false);
+  if (receipt.refunded_amount > 0) {
+    encoder
+      .line(columns("Refunded", `-${money(receipt.refunded_amount)}`, width))
+      .line(
+        columns("Net paid", money(receipt.amount - receipt.refunded_amount), width)
+      );
+  }
+
+  if (tenders.length > 0) {
+    tenders.forEach((tender) => {
+      encoder.line(
+        columns(tender.tender_method.toUpperCase(), money(tender.amount), width)
+      );
+      if (tender.cash_tendered !== null) {
+        encoder
+          .line(columns("  Tendered", money(tender.cash_tendered), width))
+          .line(columns("  Change", money(tender.change_due), width));
+      }
+    });
+  } else {
+    encoder.line(
+      columns("Paid by", String(receipt.payment_method).toUpperCase(), width)
+    );
+  }
+  encoder.line(columns("Cashier", receipt.cashier_name, width));
+
+  return footer(
+    encoder,
+    layout,
+    receipt.ticket_number,
+    "Thank you for parking with us."
+  ).encode();
+}
+
+module.exports = {
+  renderTicket,
+  renderReceipt,
+};
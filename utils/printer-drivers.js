@@ -0,0 +1,79 @@
+const fs = require("fs");
+const net = require("net");
+const path = require("path");
+
+// Raw printing port of network receipt printers
+const DEFAULT_PRINTER_PORT = 9100;
+
+// How long a printer has to accept the connection and the data
+const SEND_TIMEOUT_MS = 10000;
+
+// Where the file sink writes print jobs
+const PRINT_OUTPUT_DIR = path.join(__dirname, "..", "database", "print-output");
+
+/**
+ * Sends jobs to a network printer over raw TCP. Like every printer driver it
+ * is built from the workstation row and provides print(data, job), which
+ * resolves once the whole byte stream has been handed over and rejects when
+ * the printer cannot be reached.
+ */
+class TcpPrinterDriver {
+  constructor(workstation) {
+    this.host = workstation.printer_host;
+    this.port = workstation.printer_port || DEFAULT_PRINTER_PORT;
+  }
+
+  print(data) {
+    const address = `${this.host}:${this.port}`;
+
+    return new Promise((resolve, reject) => {
+      let sent = false;
+      const socket = net.createConnection({ host: this.host, port: this.port });
+
+      socket.setTimeout(SEND_TIMEOUT_MS, () => {
+        socket.destroy(new Error("timed out"));
+      });
+      socket.once("connect", () => {
+        socket.end(data, () => {
+          sent = true;
+          socket.setTimeout(0);
+          resolve();
+        });
+      });
+      socket.once("error", (error) => {
+        if (!sent) {
+          reject(new Error(`Printer ${address}: ${error.message}`));
+        }
+      });
+    });
+  }
+}
+
+/**
+ * Writes each job to database/print-output/ instead of a printer, for trying
+ * printing without hardware. The files can be inspected or sent to a printer
+ * by hand (for example with `nc printer 9100 < job-1.bin`).
+ */
+class FilePrinterDriver {
+  async print(data, job) {
+    fs.mkdirSync(PRINT_OUTPUT_DIR, { recursive: true });
+    fs.writeFileSync(
+      path.join(PRINT_OUTPUT_DIR, `job-${job.id}-${job.document}.bin`),
+      data
+    );
+  }
+}
+
+// Drivers a workstation's printer can use, by the name stored on it
+const PRINTER_DRIVERS = {
+  tcp: TcpPrinterDriver,
+  file: FilePrinterDriver,
+};
+
+module.exports = {
+  DEFAULT_PRINTER_PORT,
+  PRINT_OUTPUT_DIR,
+  PRINTER_DRIVERS,
+  TcpPrinterDriver,
+  FilePrinterDriver,
+};
@@ -0,0 +1,378 @@
+const { PRINTER_DRIVERS, DEFAULT_PRINTER_PORT } = require("./printer-drivers");
+const { renderTicket, renderReceipt } = require("./print-documents");
+const { getTariffBreakdown } = require("./tariff");
+const { getTicketTenders } = require("./tenders");
+const { getTicket } = require("../repositories/tickets");
+const { getReceipt } = require("../repositories/payments");
+const {
+  getWorkstation,
+  findWorkstationByName,
+  createWorkstation,
+  updateWorkstationPrinter,
+  setWorkstationStatus,
+} = require("../repositories/workstations");
+const {
+  createPrintJob,
+  getPrintJob,
+  findPrintedJob,
+  listDueJobIds,
+  claimPrintJob,
+  markJobPrinted,
+  markJobFailed,
+  requeuePrintJob,
+  requeueInterruptedJobs,
+} = require("../repositories/print-jobs");
+
+// Cookie that ties a browser to a workstation, so its printer is used
+// whoever logs in there
+const WORKSTATION_COOKIE = "workstation";
+const WORKSTATION_COOKIE_MAX_AGE = 365 * 24 * 60 * 60 * 1000;
+
+// Printers a workstation can have
+const PRINTER_LABELS = {
+  tcp: "Network printer",
+  file: "File (no hardware)",
+};
+
+// How the ticket number is printed
+const CODE_TYPES = {
+  qr: "QR code",
+  code128: "Code 128 barcode",
+};
+
+// Characters per line: 58 mm paper, 80 mm paper in small and normal font
+const PAPER_COLUMNS = [32, 42, 48];
+
+const PRINT_DOCUMENTS = {
+  ticket: "Ticket",
+  receipt: "Receipt",
+};
+
+const JOB_STATUSES = {
+  queued: "Queued",
+  printing: "Printing",
+  printed: "Printed",
+  failed: "Failed",
+};
+
+// A job is tried this many times, waiting 15s, 30s, 60s... in between
+const MAX_ATTEMPTS = 5;
+const RETRY_BASE_SECONDS = 15;
+
+// How often the queue looks for jobs due another attempt
+const QUEUE_CHECK_INTERVAL_MS = 10 * 1000;
+
+// Raised for workstations and print jobs that break a rule
+class PrintError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PrintError";
+  }
+}
+
+function parsePrinter(data) {
+  const driver = data.printer_driver || null;
+  const host = (data.printer_host || "").trim();
+  const port = data.printer_port
+    ? parseInt(data.printer_port, 10)
+    : DEFAULT_PRINTER_PORT;
+  const paperColumns = parseInt(data.paper_columns, 10);
+
+  if (driver && !PRINTER_LABELS[driver]) {
+    throw new PrintError("Choose a printer type");
+  }
+  if (driver === "tcp" && (!host || !(port > 0 && port < 65536))) {
+    throw new PrintError("A network printer needs a host and a port");
+  }
+  if (!PAPER_COLUMNS.includes(paperColumns)) {
+    throw new PrintError("Choose a paper width");
+  }
+  if (!CODE_TYPES[data.code_type]) {
+    throw new PrintError("Choose how the ticket number is printed");
+  }
+
+  return {
+    printer_driver: driver,
+    printer_host: driver === "tcp" ? host : null,
+    printer_port: driver === "tcp" ? port : null,
+    paper_columns: paperColumns,
+    code_type: data.code_type,
+  };
+}
+
+/**
+ * Validate and add a workstation with its printer
+ * @param {Object} data - name, printer_driver, printer_host, printer_port,
+ *   paper_columns, code_type
+ * @param {number} userId - Admin adding it
+ * @returns {Promise<Object>} The new workstation
+ */
+async function registerWorkstation(data, userId) {
+  const name = (data.name || "").trim();
+  if (!name) {
+    throw new PrintError("Name is required");
+  }
+  if (await findWorkstationByName(name)) {
+    throw new PrintError(`A workstation named ${name} already exists`);
+  }
+
+  const id = await createWorkstation({
+    name,
+    ...parsePrinter(data),
+    created_by: userId,
+  });
+  return getWorkstation(id);
+}
+
+/**
+ * Validate and save a workstation's printer
+ * @param {number} id - Workstation ID
+ * @param {Object} data - printer_driver, printer_host, printer_port,
+ *   paper_columns, code_type
+ * @returns {Promise<Object>} { previous, updated } for the audit log
+ */
+async function updatePrinter(id, data) {
+  const previous = await getWorkstation(id);
+  if (!previous) {
+    throw new PrintError("Workstation not found");
+  }
+
+  const updated = parsePrinter(data);
+  await updateWorkstationPrinter(previous.id, updated);
+  return { previous, updated };
+}
+
+/**
+ * Enable or disable a workstation
+ * @param {number} id - Workstation ID
+ * @param {boolean} enabled - Whether it may be used
+ * @returns {Promise<Object>} The workstation as it was
+ */
+async function setWorkstationEnabled(id, enabled) {
+  const workstation = await getWorkstation(id);
+  if (!workstation) {
+    throw new PrintError("Workstation not found");
+  }
+
+  await setWorkstationStatus(workstation.id, enabled ? "active" : "disabled");
+  return workstation;
+}
+
+/**
+ * The active workstation this browser is tied to, if any
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>}
+ */
+async function getCurrentWorkstation(req) {
+  const match = (req.get("Cookie") || "").match(
+    new RegExp(`(?:^|;\\s*)${WORKSTATION_COOKIE}=(\\d+)`)
+  );
+  if (!match) return null;
+
+  const workstation = await getWorkstation(match[1]);
+  return workstation && workstation.status === "active" ? workstation : null;
+}
+
+/**
+ * Tie this browser to a workstation, or untie it
+ * @param {Object} res - Express response
+ * @param {number|null} id - Workstation ID, or null to untie
+ */
+async function useWorkstation(res, id) {
+  if (!id) {
+    res.clearCookie(WORKSTATION_COOKIE);
+    return null;
+  }
+
+  const workstation = await getWorkstation(id);
+  if (!workstation || workstation.status !== "active") {
+    throw new PrintError("Workstation not found");
+  }
+
+  res.cookie(WORKSTATION_COOKIE, String(workstation.id), {
+    maxAge: WORKSTATION_COOKIE_MAX_AGE,
+    httpOnly: true,
+    sameSite: "lax",
+  });
+  return workstation;
+}
+
+async function renderJob(job, workstation) {
+  const layout = {
+    columns: workstation.paper_columns,
+    codeType: workstation.code_type,
+    reprint: Boolean(job.reprint_of),
+  };
+
+  if (job.document === "ticket") {
+    return renderTicket(await getTicket(job.ticket_id), layout);
+  }
+
+  const receipt = await getReceipt(job.ticket_id);
+  if (!receipt) {
+    throw new Error("Ticket has no payment to print a receipt for");
+  }
+  return renderReceipt(
+    receipt,
+    await getTicketTenders(job.ticket_id),
+    getTariffBreakdown(receipt),
+    layout
+  );
+}
+
+async function printJob(id) {
+  if (!(await claimPrintJob(id))) return;
+
+  const job = await getPrintJob(id);
+  const workstation = await getWorkstation(job.workstation_id);
+
+  try {
+    const Driver = PRINTER_DRIVERS[workstation.printer_driver];
+    if (!Driver) {
+      throw new Error(`${workstation.name} has no printer`);
+    }
+
+    const data = await renderJob(job, workstation);
+    await new Driver(workstation).print(data, job);
+    await markJobPrinted(job.id);
+  } catch (error) {
+    const retryIn =
+      job.attempts < MAX_ATTEMPTS
+        ? RETRY_BASE_SECONDS * 2 ** (job.attempts - 1)
+        : null;
+    console.error(
+      `Print job ${job.id} failed on attempt ${job.attempts}: ${error.message}`
+    );
+    await markJobFailed(job.id, error.message, retryIn);
+  }
+}
+
+let queueRunning = false;
+
+// Print every job that is due, one at a time
+async function processQueue() {
+  if (queueRunning) return;
+  queueRunning = true;
+
+  try {
+    let due = await listDueJobIds();
+    while (due.length > 0) {
+      for (const id of due) {
+        await printJob(id);
+      }
+      due = await listDueJobIds();
+    }
+  } catch (error) {
+    console.error("Print queue error:", error);
+  } finally {
+    queueRunning = false;
+  }
+}
+
+async function queueJob(data) {
+  const id = await createPrintJob(data);
+  processQueue();
+  return getPrintJob(id);
+}
+
+/**
+ * Print a ticket or receipt on a workstation's printer. Nothing is queued
+ * when there is no workstation or it has no printer. A document printed
+ * before is marked as a reprint.
+ * @param {string} document - "ticket" or "receipt"
+ * @param {number} ticketId - Ticket ID
+ * @param {Object|null} workstation - Workstation to print on
+ * @param {number} userId - User asking for it
+ * @returns {Promise<Object|null>} The new job
+ */
+async function queuePrint(document, ticketId, workstation, userId) {
+  if (!workstation || !workstation.printer_driver) return null;
+
+  const printed = await findPrintedJob(ticketId, document);
+  return queueJob({
+    workstation_id: workstation.id,
+    document,
+    ticket_id: ticketId,
+    reprint_of: printed ? printed.id : null,
+    requested_by: userId,
+  });
+}
+
+/**
+ * Print the document of an earlier job again, marked as a reprint
+ * @param {number} id - Job to repeat
+ * @param {Object|null} workstation - Workstation to print on; the job's own
+ *   when none is given
+ * @param {number} userId - User asking for it
+ * @returns {Promise<Object>} The new job
+ */
+async function reprintJob(id, workstation, userId) {
+  const job = await getPrintJob(id);
+  if (!job) {
+    throw new PrintError("Print job not found");
+  }
+
+  const target = workstation || (await getWorkstation(job.workstation_id));
+  if (!target.printer_driver) {
+    throw new PrintError(`${target.name} has no printer`);
+  }
+
+  return queueJob({
+    workstation_id: target.id,
+    document: job.document,
+    ticket_id: job.ticket_id,
+    reprint_of: job.id,
+    requested_by: userId,
+  });
+}
+
+/**
+ * Try a failed job again
+ * @param {number} id - Job ID
+ * @returns {Promise<Object>} The job
+ */
+async function retryJob(id) {
+  const job = await getPrintJob(id);
+  if (!job || !(await requeuePrintJob(job.id))) {
+    throw new PrintError("Only a failed print job can be retried");
+  }
+
+  processQueue();
+  return job;
+}
+
+let queueTimer = null;
+
+/**
+ * Work through the print queue in the background, picking up jobs left over
+ * from before a restart and jobs due another attempt
+ * @param {number} intervalMs - How often to look for due jobs
+ */
+function startPrintQueue(intervalMs = QUEUE_CHECK_INTERVAL_MS) {
+  if (queueTimer) return;
+
+  requeueInterruptedJobs()
+    .then(processQueue)
+    .catch((error) => console.error("Print queue start error:", error));
+
+  queueTimer = setInterval(processQueue, intervalMs);
+  queueTimer.unref();
+}
+
+module.exports = {
+  PRINTER_LABELS,
+  CODE_TYPES,
+  PAPER_COLUMNS,
+  PRINT_DOCUMENTS,
+  JOB_STATUSES,
+  PrintError,
+  registerWorkstation,
+  updatePrinter,
+  setWorkstationEnabled,
+  getCurrentWorkstation,
+  useWorkstation,
+  queuePrint,
+  reprintJob,
+  retryJob,
+  startPrintQueue,
+};
@@ -0,0 +1,226 @@
+const { dbGet, dbAll, dbRun, withTransaction } = require("./db");
+const { issueNumber } = require("./numbering");
+
+// Raised for refund requests that break a refund rule
+class RefundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "RefundError";
+  }
+}
+
+// Refund rows are stored as negative amounts, so the refunded total is negated
+const PAYMENT_QUERY = `
+  SELECT
+    p.*,
+    pt.ticket_number,
+    pt.payment_status,
+    v.license_plate,
+    u.full_name as cashier_name,
+    (SELECT COALESCE(-SUM(r.amount), 0) FROM payments r WHERE r.refund_of = p.id) as refunded_amount
+  FROM payments p
+  JOIN parking_tickets pt ON p.ticket_id = pt.id
+  JOIN vehicles v ON pt.vehicle_id = v.id
+  LEFT JOIN users u ON p.cashier_id = u.id
+`;
+
+// What each method of a split payment took and how much of that is left to
+// refund. Refunds of a split payment are stored under the method they went to.
+async function getTenderBalances(paymentId) {
+  const rows = await dbAll(
+    `
+    SELECT t.tender_method as method, SUM(t.amount) as amount,
+      (SELECT COALESCE(-SUM(r.amount), 0) FROM payments r WHERE r.refund_of = t.payment_id AND r.payment_method = t.tender_method) as refunded
+    FROM payment_tenders t
+    WHERE t.payment_id = ?
+    GROUP BY t.tender_method
+    ORDER BY t.tender_method
+  `,
+    [paymentId]
+  );
+  return rows.map((row) => ({
+    ...row,
+    refundable: Math.round((row.amount - row.refunded) * 100) / 100,
+  }));
+}
+
+function withRemaining(payment) {
+  if (payment) {
+    payment.refundable_amount =
+      Math.round((payment.amount - payment.refunded_amount) * 100) / 100;
+  }
+  return payment;
+}
+
+/**
+ * Find an original payment by its receipt number, with the amount already refunded
+ * @param {string} receiptNumber - Receipt number printed on the customer's receipt
+ */
+async function findRefundablePayment(receiptNumber) {
+  const payment = await dbGet(
+    `${PAYMENT_QUERY} WHERE p.receipt_number = ? AND p.refund_of IS NULL`,
+    [(receiptNumber || "").trim()]
+  );
+
+  if (payment) {
+    payment.tenders = await getTenderBalances(payment.id);
+    payment.refunds = await dbAll(
+      `${PAYMENT_QUERY} WHERE p.refund_of = ? ORDER BY p.payment_date`,
+      [payment.id]
+    );
+  }
+
+  return withRemaining(payment);
+}
+
+/**
+ * Get a refund with the payment it reverses, for the refund slip
+ * @param {number} id - Payment ID of the refund
+ */
+async function getRefund(id) {
+  const refund = await dbGet(
+    `${PAYMENT_QUERY} WHERE p.id = ? AND p.refund_of IS NOT NULL`,
+    [id]
+  );
+
+  if (refund) {
+    refund.original = withRemaining(
+      await dbGet(`${PAYMENT_QUERY} WHERE p.id = ?`, [refund.refund_of])
+    );
+  }
+
+  return refund;
+}
+
+/**
+ * List refunds, newest first
+ * @param {Object} options - Filter options
+ * @param {string} options.date - Only refunds issued on this day (YYYY-MM-DD)
+ */
+async function listRefunds(options = {}) {
+  let query = `
+    SELECT
+      p.*,
+      pt.ticket_number,
+      v.license_plate,
+      u.full_name as refunded_by_name,
+      o.receipt_number as original_receipt_number,
+      o.amount as original_amount
+    FROM payments p
+    JOIN payments o ON p.refund_of = o.id
+    JOIN parking_tickets pt ON p.ticket_id = pt.id
+    JOIN vehicles v ON pt.vehicle_id = v.id
+    LEFT JOIN users u ON p.cashier_id = u.id
+    WHERE p.refund_of IS NOT NULL
+  `;
+  const params = [];
+
+  if (options.date) {
+    query += " AND DATE(p.payment_date) = ?";
+    params.push(options.date);
+  }
+
+  query += " ORDER BY p.payment_date DESC LIMIT 200";
+
+  return dbAll(query, params);
+}
+
+/**
+ * Refund all or part of a payment. The refund is stored as a negative payment
+ * on the same ticket, so every total that sums payments nets it automatically.
+ * The amount left to refund is checked in the transaction that saves the
+ * refund, so two refunds at once cannot take back more than was paid.
+ * @param {number} paymentId - ID of the original payment
+ * @param {Object} data - amount, reason, and payment_method when the original
+ *   was split across methods
+ * @param {number} userId - ID of the admin issuing the refund
+ * @returns {Promise<Object>} { original, refund } with the original as it was before
+ */
+async function refundPayment(paymentId, data, userId) {
+  const amount = Math.round(parseFloat(data.amount) * 100) / 100;
+  const reason = (data.reason || "").trim();
+
+  return withTransaction(async () => {
+    const original = withRemaining(
+      await dbGet(`${PAYMENT_QUERY} WHERE p.id = ?`, [paymentId])
+    );
+
+    if (!original) {
+      throw new RefundError("Payment not found");
+    }
+
+    if (original.refund_of) {
+      throw new RefundError("A refund cannot itself be refunded");
+    }
+
+    if (original.amount <= 0) {
+      throw new RefundError("Only payments with a positive amount can be refunded");
+    }
+
+    if (original.refundable_amount <= 0) {
+      throw new RefundError("This payment has already been fully refunded");
+    }
+
+    if (isNaN(amount) || amount <= 0) {
+      throw new RefundError("Refund amount must be more than zero");
+    }
+
+    if (amount > original.refundable_amount) {
+      throw new RefundError(
+        `Refund cannot exceed the remaining ${original.refundable_amount.toFixed(2)}`
+      );
+    }
+
+    if (!reason) {
+      throw new RefundError("A reason is required");
+    }
+
+    // A split payment is refunded through one of the methods it was paid with,
+    // by no more than that method took
+    let paymentMethod = original.payment_method;
+    if (paymentMethod === "mixed") {
+      const tender = (await getTenderBalances(original.id)).find(
+        (row) => row.method === data.payment_method
+      );
+
+      if (!tender) {
+        throw new RefundError("Choose how the split payment is refunded");
+      }
+
+      if (amount > tender.refundable) {
+        throw new RefundError(
+          `Refund via ${tender.method.toUpperCase()} cannot exceed the remaining ${tender.refundable.toFixed(2)}`
+        );
+      }
+
+      paymentMethod = tender.method;
+    }
+
+    const result = await dbRun(
+      `
+      INSERT INTO payments (ticket_id, amount, payment_method, reference_number, cashier_id, receipt_number, notes, refund_of)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        original.ticket_id,
+        -amount,
+        paymentMethod,
+        original.receipt_number,
+        userId,
+        await issueNumber("receipt"),
+        `REFUND: ${reason}`,
+        original.id,
+      ]
+    );
+
+    return { original, refund: await getRefund(result.lastID) };
+  });
+}
+
+module.exports = {
+  RefundError,
+  findRefundablePayment,
+  getRefund,
+  listRefunds,
+  refundPayment,
+};
@@ -0,0 +1,353 @@
+const moment = require("moment");
+const { dbGet, dbAll, dbRun, withTransaction } = require("./db");
+const { logAudit } = require("./audit");
+const { issueNumber } = require("./numbering");
+const { getSetting } = require("./settings");
+const { normalizePlate } = require("../repositories/vehicles");
+
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+let sweeperTimer = null;
+
+// Raised for reservation requests that break a booking rule
+class ReservationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "ReservationError";
+  }
+}
+
+// Reservation times are stored in UTC like CURRENT_TIMESTAMP
+function toDbTime(value) {
+  return moment(value).utc().format("YYYY-MM-DD HH:mm:ss");
+}
+
+/**
+ * Find a booked reservation on the slot that overlaps the given window
+ * @param {number} slotId - Parking slot ID
+ * @param {string} startTime - Window start (UTC, YYYY-MM-DD HH:mm:ss)
+ * @param {string} endTime - Window end (UTC, YYYY-MM-DD HH:mm:ss)
+ * @param {number} excludeId - Reservation to ignore (e.g. the one being edited)
+ */
+async function findOverlappingReservation(
+  slotId,
+  startTime,
+  endTime,
+  excludeId
+) {
+  return dbGet(
+    `
+    SELECT * FROM reservations
+    WHERE slot_id = ? AND status = 'booked'
+      AND start_time < ? AND end_time > ?
+      AND id != ?
+    ORDER BY start_time
+    LIMIT 1
+  `,
+    [slotId, endTime, startTime, excludeId || 0]
+  );
+}
+
+/**
+ * Get a reservation with its slot
+ * @param {number} id - Reservation ID
+ */
+async function getReservation(id) {
+  return dbGet(
+    `
+    SELECT r.*, ps.slot_number, ps.slot_name, ps.status as slot_status
+    FROM reservations r
+    JOIN parking_slots ps ON r.slot_id = ps.id
+    WHERE r.id = ?
+  `,
+    [id]
+  );
+}
+
+/**
+ * List reservations, newest window first
+ * @param {Object} options - Filter options
+ * @param {string} options.status - Reservation status
+ * @param {string} options.date - Only reservations overlapping this day (YYYY-MM-DD)
+ */
+async function listReservations(options = {}) {
+  let query = `
+    SELECT
+      r.*,
+      ps.slot_number,
+      ps.slot_name,
+      u.full_name as created_by_name
+    FROM reservations r
+    JOIN parking_slots ps ON r.slot_id = ps.id
+    LEFT JOIN users u ON r.created_by = u.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (options.status) {
+    query += " AND r.status = ?";
+    params.push(options.status);
+  }
+
+  if (options.date) {
+    query += " AND DATE(r.start_time) <= ? AND DATE(r.end_time) >= ?";
+    params.push(options.date, options.date);
+  }
+
+  query += " ORDER BY r.start_time DESC LIMIT 200";
+
+  return dbAll(query, params);
+}
+
+/**
+ * Create a reservation after checking the slot and the time window
+ * @param {Object} data - slot_id, customer_name, customer_phone, license_plate, start_time, end_time, notes
+ * @param {number} userId - ID of the user creating the reservation
+ * @returns {Promise<Object>} The new reservation
+ */
+async function createReservation(data, userId) {
+  const start = moment(data.start_time);
+  const end = moment(data.end_time);
+
+  if (
+    !data.slot_id ||
+    !data.customer_name ||
+    !data.start_time ||
+    !data.end_time
+  ) {
+    throw new ReservationError("Slot, customer name, start and end time are required");
+  }
+
+  if (!start.isValid() || !end.isValid() || !end.isAfter(start)) {
+    throw new ReservationError("End time must be after start time");
+  }
+
+  if (end.isBefore(moment())) {
+    throw new ReservationError("Reservation window has already ended");
+  }
+
+  const slot = await dbGet("SELECT * FROM parking_slots WHERE id = ?", [
+    data.slot_id,
+  ]);
+
+  if (!slot) {
+    throw new ReservationError("Parking slot not found");
+  }
+
+  if (slot.status === "out_of_service") {
+    throw new ReservationError("Parking slot is out of service");
+  }
+
+  const startTime = toDbTime(start);
+  const endTime = toDbTime(end);
+
+  // Check and book together, so two bookings cannot both pass the check
+  const reservationId = await withTransaction(async () => {
+    const overlapping = await findOverlappingReservation(
+      slot.id,
+      startTime,
+      endTime
+    );
+
+    if (overlapping) {
+      throw new ReservationError(
+        `Slot ${slot.slot_number} is already reserved (${overlapping.reservation_number})`
+      );
+    }
+
+    const result = await dbRun(
+      `
+      INSERT INTO reservations (reservation_number, slot_id, customer_name, customer_phone, license_plate, start_time, end_time, notes, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+    `,
+      [
+        await issueNumber("reservation"),
+        slot.id,
+        data.customer_name,
+        data.customer_phone || null,
+        normalizePlate(data.license_plate) || null,
+        startTime,
+        endTime,
+        data.notes || null,
+        userId,
+      ]
+    );
+
+    // Hold the slot straight away if the window has already started
+    await activateDueReservations();
+
+    return result.lastID;
+  });
+
+  return getReservation(reservationId);
+}
+
+// Put a slot back to vacant unless another booked reservation currently holds it
+async function releaseSlot(slotId) {
+  const stillHeld = await dbGet(
+    `
+    SELECT id FROM reservations
+    WHERE slot_id = ? AND status = 'booked' AND start_time <= datetime('now')
+    LIMIT 1
+  `,
+    [slotId]
+  );
+
+  if (!stillHeld) {
+    await dbRun(
+      "UPDATE parking_slots SET status = 'vacant', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'reserved'",
+      [slotId]
+    );
+  }
+}
+
+/**
+ * Cancel a booked reservation and free its slot
+ * @param {number} id - Reservation ID
+ * @param {number} userId - ID of the user cancelling
+ * @returns {Promise<Object>} The reservation as it was before cancelling
+ */
+async function cancelReservation(id, userId) {
+  return withTransaction(async () => {
+    const reservation = await getReservation(id);
+
+    if (!reservation) {
+      throw new ReservationError("Reservation not found");
+    }
+
+    if (reservation.status !== "booked") {
+      throw new ReservationError(
+        `Reservation is already ${reservation.status.replace("_", "-")}`
+      );
+    }
+
+    await dbRun(
+      `
+      UPDATE reservations
+      SET status = 'cancelled', cancelled_by = ?, cancelled_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `,
+      [userId, id]
+    );
+
+    await releaseSlot(reservation.slot_id);
+
+    return reservation;
+  });
+}
+
+/**
+ * Link a reservation to the ticket opened when the customer arrived
+ * @param {number} id - Reservation ID
+ * @param {number} ticketId - Parking ticket ID
+ */
+async function markCheckedIn(id, ticketId) {
+  await dbRun(
+    `
+    UPDATE reservations
+    SET status = 'checked_in', ticket_id = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [ticketId, id]
+  );
+}
+
+/**
+ * Mark vacant slots as reserved once a booked reservation window starts
+ */
+async function activateDueReservations() {
+  const result = await dbRun(`
+    UPDATE parking_slots
+    SET status = 'reserved', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'vacant' AND id IN (
+      SELECT slot_id FROM reservations
+      WHERE status = 'booked' AND start_time <= datetime('now') AND end_time > datetime('now')
+    )
+  `);
+  return result.changes;
+}
+
+/**
+ * Expire booked reservations whose customer did not arrive within the hold
+ * time (or before the window ended) and release their slots
+ * @returns {Promise<number>} Number of reservations marked as no-show
+ */
+async function releaseNoShows() {
+  const holdMinutes = getSetting("reservation_hold_minutes");
+
+  const expired = await dbAll(
+    `
+    SELECT * FROM reservations
+    WHERE status = 'booked'
+      AND (datetime(start_time, ?) < datetime('now') OR end_time <= datetime('now'))
+  `,
+    [`+${holdMinutes} minutes`]
+  );
+
+  for (const reservation of expired) {
+    await withTransaction(async () => {
+      await dbRun(
+        "UPDATE reservations SET status = 'no_show', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'booked'",
+        [reservation.id]
+      );
+      await releaseSlot(reservation.slot_id);
+    });
+
+    await logAudit(
+      null,
+      "RESERVATION_NO_SHOW",
+      "reservations",
+      reservation.id,
+      JSON.stringify({ status: "booked" }),
+      JSON.stringify({
+        status: "no_show",
+        reservation_number: reservation.reservation_number,
+        slot_id: reservation.slot_id,
+        hold_minutes: holdMinutes,
+      }),
+      null,
+      "reservation-sweeper"
+    );
+  }
+
+  return expired.length;
+}
+
+/**
+ * Start the background job that activates due reservations and releases no-shows
+ * @param {number} intervalMs - How often to sweep
+ */
+function startReservationSweeper(intervalMs = SWEEP_INTERVAL_MS) {
+  if (sweeperTimer) {
+    return;
+  }
+
+  const sweep = async () => {
+    try {
+      const released = await releaseNoShows();
+      await activateDueReservations();
+      if (released > 0) {
+        console.log(`Released ${released} no-show reservation(s)`);
+      }
+    } catch (error) {
+      console.error("Reservation sweep failed:", error);
+    }
+  };
+
+  sweep();
+  sweeperTimer = setInterval(sweep, intervalMs);
+  sweeperTimer.unref();
+}
+
+module.exports = {
+  ReservationError,
+  findOverlappingReservation,
+  getReservation,
+  listReservations,
+  createReservation,
+  cancelReservation,
+  markCheckedIn,
+  activateDueReservations,
+  releaseNoShows,
+  startReservationSweeper,
+};
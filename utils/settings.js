@@ -0,0 +1,238 @@
+const { SETTING_DEFINITIONS } = require("../database/init");
+const { dbAll, dbRun, withTransaction } = require("./db");
+
+const CURRENCY_SYMBOLS = {
+  USD: "$",
+  EUR: "€",
+  GBP: "£",
+};
+
+// Settings edited together by each form on the settings page
+const SETTING_SECTIONS = {
+  general: [
+    "system_name",
+    "business_address",
+    "tax_id",
+    "timezone",
+    "currency",
+  ],
+  parking: [
+    "default_hourly_rate",
+    "default_daily_rate",
+    "grace_period_minutes",
+    "exit_window_minutes",
+    "reservation_hold_minutes",
+    "lost_ticket_fee",
+    "lost_ticket_fee_mode",
+    "anpr_min_confidence",
+  ],
+  security: ["session_timeout_hours", "max_login_attempts", "enable_audit_log"],
+  backup: ["backup_interval_hours", "backup_retention_count"],
+  numbering: [
+    "site_code",
+    "ticket_number_format",
+    "receipt_number_format",
+    "permit_number_format",
+    "reservation_number_format",
+  ],
+};
+
+// In-process copy of the settings table, filled by loadSettings()
+let cache = null;
+
+/**
+ * Convert a stored (string) setting value to its typed value
+ * @param {Object} definition - Setting definition from SETTING_DEFINITIONS
+ * @param {string} value - Raw value from the settings table
+ */
+function parseSettingValue(definition, value) {
+  if (value === null || value === undefined) {
+    return definition.default;
+  }
+
+  switch (definition.type) {
+    case "number":
+      return isNaN(parseFloat(value)) ? definition.default : parseFloat(value);
+    case "integer":
+      return isNaN(parseInt(value, 10))
+        ? definition.default
+        : parseInt(value, 10);
+    case "boolean":
+      return value === true || value === "true" || value === "1" || value === 1;
+    default:
+      return String(value);
+  }
+}
+
+function getDefaults() {
+  const defaults = {};
+  Object.entries(SETTING_DEFINITIONS).forEach(([key, definition]) => {
+    defaults[key] = definition.default;
+  });
+  return defaults;
+}
+
+/**
+ * Load all settings from the database into the cache
+ * @returns {Promise<Object>} Settings keyed by name
+ */
+async function loadSettings() {
+  const rows = await dbAll("SELECT key, value FROM settings");
+
+  const settings = getDefaults();
+  rows.forEach((row) => {
+    const definition = SETTING_DEFINITIONS[row.key];
+    if (definition) {
+      settings[row.key] = parseSettingValue(definition, row.value);
+    }
+  });
+
+  cache = settings;
+  return { ...cache };
+}
+
+/**
+ * Get a single setting, falling back to its default before the cache is loaded
+ * @param {string} key - Setting key
+ */
+function getSetting(key) {
+  if (cache && key in cache) {
+    return cache[key];
+  }
+  const definition = SETTING_DEFINITIONS[key];
+  return definition ? definition.default : undefined;
+}
+
+/**
+ * Get a copy of all settings
+ */
+function getSettings() {
+  return { ...(cache || getDefaults()) };
+}
+
+/**
+ * Get the symbol of the configured currency
+ */
+function getCurrencySymbol() {
+  const currency = getSetting("currency");
+  return CURRENCY_SYMBOLS[currency] || `${currency} `;
+}
+
+/**
+ * Validate submitted settings against their definitions
+ * @param {Object} input - Submitted values (e.g. req.body)
+ * @param {Array<string>} keys - Keys to validate; booleans missing from input are false
+ * @returns {Object} { values, errors }
+ */
+function validateSettings(input, keys) {
+  const values = {};
+  const errors = [];
+
+  keys.forEach((key) => {
+    const definition = SETTING_DEFINITIONS[key];
+    if (!definition) {
+      errors.push(`Unknown setting: ${key}`);
+      return;
+    }
+
+    const raw = input[key];
+
+    if (definition.type === "boolean") {
+      values[key] = raw === "on" || raw === "true" || raw === "1";
+      return;
+    }
+
+    if (raw === undefined || String(raw).trim() === "") {
+      if (definition.optional) {
+        values[key] = "";
+        return;
+      }
+      errors.push(`${definition.label} is required`);
+      return;
+    }
+
+    if (definition.type === "string") {
+      const value = String(raw).trim();
+      if (definition.options && !definition.options.includes(value)) {
+        errors.push(
+          `${definition.label} must be one of ${definition.options.join(", ")}`
+        );
+        return;
+      }
+      if (definition.pattern && !definition.pattern.test(value)) {
+        errors.push(`${definition.label} ${definition.patternHint}`);
+        return;
+      }
+      values[key] = value;
+      return;
+    }
+
+    const value = Number(raw);
+
+    if (
+      isNaN(value) ||
+      (definition.type === "integer" && !Number.isInteger(value))
+    ) {
+      errors.push(
+        definition.type === "integer"
+          ? `${definition.label} must be a whole number`
+          : `${definition.label} must be a number`
+      );
+      return;
+    }
+    if (definition.min !== undefined && value < definition.min) {
+      errors.push(`${definition.label} must be at least ${definition.min}`);
+      return;
+    }
+    if (definition.max !== undefined && value > definition.max) {
+      errors.push(`${definition.label} must be at most ${definition.max}`);
+      return;
+    }
+    values[key] = value;
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Save settings and refresh the cache
+ * @param {Object} values - Validated settings keyed by name
+ * @param {number} userId - ID of the user making the change
+ * @returns {Promise<Object>} Previous values of the changed keys
+ */
+async function updateSettings(values, userId) {
+  const previous = {};
+
+  await withTransaction(async () => {
+    for (const [key, value] of Object.entries(values)) {
+      previous[key] = getSetting(key);
+
+      await dbRun(
+        `
+        INSERT INTO settings (key, value, type, updated_by, updated_at)
+        VALUES (?, ?, ?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(key) DO UPDATE SET
+          value = excluded.value,
+          updated_by = excluded.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+      `,
+        [key, String(value), SETTING_DEFINITIONS[key].type, userId]
+      );
+    }
+  });
+
+  await loadSettings();
+  return previous;
+}
+
+module.exports = {
+  SETTING_DEFINITIONS,
+  SETTING_SECTIONS,
+  CURRENCY_SYMBOLS,
+  loadSettings,
+  getSetting,
+  getSettings,
+  getCurrencySymbol,
+  validateSettings,
+  updateSettings,
+};
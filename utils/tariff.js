@@ -0,0 +1,491 @@
+const moment = require("moment");
+const { getSetting } = require("./settings");
+const { withTransaction } = require("./db");
+const { SLOT_TYPES } = require("./permits");
+const {
+  listTariffBands,
+  replaceTariffBands,
+} = require("../repositories/tariff-bands");
+
+const MINUTES_PER_HOUR = 60;
+const MINUTES_PER_DAY = 24 * 60;
+
+/**
+ * Tariff tables per slot type, stored in the tariff_bands table and edited
+ * under Admin > Tariffs.
+ *
+ * Each table is an ordered list of bands measured from the start of the stay.
+ * A band covers the minutes up to `untilMinutes` (null = the rest of the stay)
+ * and is billed in started hours at `rateFactor` x the slot's hourly rate, or
+ * at a fixed `hourlyRate` when one is given. Charges are capped per 24-hour
+ * period at the slot's daily rate.
+ *
+ * Example - first 30 minutes free, hourly rate for 4 hours, half rate after:
+ *   [
+ *     { label: "First 30 minutes", untilMinutes: 30, rateFactor: 0 },
+ *     { label: "Hourly parking", untilMinutes: 270, rateFactor: 1 },
+ *     { label: "Extended stay", untilMinutes: null, rateFactor: 0.5 },
+ *   ]
+ */
+const DEFAULT_TARIFF_TABLE = [
+  { label: "Hourly parking", untilMinutes: null, rateFactor: 1 },
+];
+
+// Most bands a slot type can have
+const MAX_TARIFF_BANDS = 10;
+
+// In-process copy of the tariff_bands table, filled by loadTariffTables()
+let tariffTables = null;
+
+// Raised for tariff bands that cannot be saved
+class TariffError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TariffError";
+  }
+}
+
+function roundAmount(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Load the tariff bands from the database into the cache
+ * @returns {Promise<Object>} Tables keyed by slot type
+ */
+async function loadTariffTables() {
+  const tables = {};
+
+  (await listTariffBands()).forEach((row) => {
+    const band = { label: row.label, untilMinutes: row.until_minutes };
+    if (row.hourly_rate !== null) {
+      band.hourlyRate = row.hourly_rate;
+    } else {
+      band.rateFactor = row.rate_factor;
+    }
+    (tables[row.slot_type] = tables[row.slot_type] || []).push(band);
+  });
+
+  tariffTables = tables;
+  return tariffTables;
+}
+
+/**
+ * Get the tariff table for a slot type, falling back to the standard table,
+ * and to a single hourly band before the tables are loaded
+ * @param {string} slotType - Slot type (standard, disabled, vip)
+ */
+function getTariffTable(slotType) {
+  const tables = tariffTables || {};
+  return tables[slotType] || tables.standard || DEFAULT_TARIFF_TABLE;
+}
+
+/**
+ * Validate submitted tariff bands
+ * @param {Array} input - Bands in order, each with label, until_minutes
+ *   (blank for the rest of the stay), rate_factor and hourly_rate
+ * @returns {Array} Bands as stored: label, untilMinutes, rateFactor, hourlyRate
+ */
+function parseTariffBands(input) {
+  const rows = (Array.isArray(input) ? input : Object.values(input || {}))
+    .filter((row) => row && Object.values(row).some((value) => String(value).trim()));
+
+  if (rows.length === 0) {
+    throw new TariffError("Add at least one band");
+  }
+  if (rows.length > MAX_TARIFF_BANDS) {
+    throw new TariffError(`A slot type can have at most ${MAX_TARIFF_BANDS} bands`);
+  }
+
+  let previousEnd = 0;
+
+  return rows.map((row, index) => {
+    const label = String(row.label || "").trim();
+    const until = String(row.until_minutes || "").trim();
+    const factor = String(row.rate_factor || "").trim();
+    const fixed = String(row.hourly_rate || "").trim();
+    const isLast = index === rows.length - 1;
+    const name = label || `Band ${index + 1}`;
+
+    if (!label) {
+      throw new TariffError(`Band ${index + 1} needs a label`);
+    }
+
+    let untilMinutes = null;
+    if (isLast) {
+      if (until) {
+        throw new TariffError(`${name} is the last band and must run to the end of the stay`);
+      }
+    } else {
+      untilMinutes = Number(until);
+      if (!Number.isInteger(untilMinutes) || untilMinutes <= previousEnd) {
+        throw new TariffError(
+          `${name} must end after minute ${previousEnd}, in whole minutes`
+        );
+      }
+      previousEnd = untilMinutes;
+    }
+
+    if (Boolean(factor) === Boolean(fixed)) {
+      throw new TariffError(`${name} needs either a rate factor or a fixed hourly rate`);
+    }
+    const value = Number(factor || fixed);
+    if (isNaN(value) || value < 0) {
+      throw new TariffError(`The rate of ${name} must be zero or more`);
+    }
+
+    return {
+      label,
+      untilMinutes,
+      rateFactor: factor ? value : null,
+      hourlyRate: fixed ? roundAmount(value) : null,
+    };
+  });
+}
+
+/**
+ * Validate and save the tariff bands of a slot type. Tickets are billed with
+ * the new bands from the next charge on.
+ * @param {string} slotType - Slot type
+ * @param {Array} input - Submitted bands (see parseTariffBands)
+ * @param {number} userId - Admin saving them
+ * @returns {Promise<Object>} { previous, updated } for the audit log
+ */
+async function saveTariffTable(slotType, input, userId) {
+  if (!SLOT_TYPES.includes(slotType)) {
+    throw new TariffError("Unknown slot type");
+  }
+
+  const bands = parseTariffBands(input);
+  const previous = getTariffTable(slotType);
+
+  await withTransaction(() => replaceTariffBands(slotType, bands, userId));
+  await loadTariffTables();
+
+  return { previous, updated: getTariffTable(slotType) };
+}
+
+/**
+ * Bill the minutes of one 24-hour period against the tariff bands
+ * @param {Array} bands - Tariff bands for the slot type
+ * @param {number} dayStart - First minute of the period (from check-in)
+ * @param {number} dayEnd - Last minute of the period (exclusive)
+ * @param {number} hourlyRate - Slot hourly rate
+ */
+function billPeriod(bands, dayStart, dayEnd, hourlyRate) {
+  const lines = [];
+  let bandStart = 0;
+
+  bands.forEach((band) => {
+    const bandEnd =
+      band.untilMinutes === null || band.untilMinutes === undefined
+        ? Infinity
+        : band.untilMinutes;
+    const from = Math.max(bandStart, dayStart);
+    const to = Math.min(bandEnd, dayEnd);
+    bandStart = bandEnd;
+
+    if (to <= from) {
+      return;
+    }
+
+    const unitPrice = roundAmount(
+      band.hourlyRate !== undefined
+        ? band.hourlyRate
+        : hourlyRate * (band.rateFactor !== undefined ? band.rateFactor : 1)
+    );
+    const hours = Math.ceil((to - from) / MINUTES_PER_HOUR);
+
+    lines.push({
+      label: band.label,
+      quantity: hours,
+      unit: "hour",
+      unitPrice,
+      amount: roundAmount(hours * unitPrice),
+    });
+  });
+
+  return lines;
+}
+
+/**
+ * Calculate the parking charge for a ticket
+ * @param {Object} ticket - Ticket joined with its slot (check_in_time, slot_type, hourly_rate, daily_rate)
+ * @param {moment|Date|string} checkOutTime - End of the stay (defaults to now)
+ * @param {Object} options - Optional overrides
+ * @param {number} options.graceMinutes - Free stay after entry (defaults to the grace period setting)
+ * @param {Array} options.bands - Tariff bands (defaults to the table of the slot type)
+ * @returns {Object} Itemised tariff: duration, lines and total
+ */
+function calculateTariff(ticket, checkOutTime, options = {}) {
+  const start = moment(ticket.check_in_time);
+  const end = checkOutTime ? moment(checkOutTime) : moment();
+  const durationMinutes = Math.max(0, end.diff(start, "minutes", true));
+  const graceMinutes =
+    options.graceMinutes !== undefined
+      ? options.graceMinutes
+      : getSetting("grace_period_minutes");
+
+  const result = {
+    slotType: ticket.slot_type || "standard",
+    checkInTime: start.format("YYYY-MM-DD HH:mm:ss"),
+    checkOutTime: end.format("YYYY-MM-DD HH:mm:ss"),
+    durationMinutes: Math.round(durationMinutes),
+    durationHours: roundAmount(durationMinutes / MINUTES_PER_HOUR),
+    graceMinutes,
+    withinGrace: graceMinutes > 0 && durationMinutes <= graceMinutes,
+  };
+
+  // Vehicles leaving within the grace period pay nothing
+  if (result.withinGrace) {
+    return {
+      ...result,
+      lines: [
+        {
+          label: `Grace period (${graceMinutes} min)`,
+          quantity: Math.max(1, Math.ceil(durationMinutes)),
+          unit: "minute",
+          unitPrice: 0,
+          amount: 0,
+        },
+      ],
+      total: 0,
+    };
+  }
+
+  const hourlyRate = parseFloat(ticket.hourly_rate) || 0;
+  const dailyRate = parseFloat(ticket.daily_rate) || 0;
+  const bands = options.bands || getTariffTable(ticket.slot_type);
+  const periods = Math.max(1, Math.ceil(durationMinutes / MINUTES_PER_DAY));
+
+  const lines = [];
+
+  for (let day = 0; day < periods; day++) {
+    const dayStart = day * MINUTES_PER_DAY;
+    const dayEnd = Math.min(durationMinutes, dayStart + MINUTES_PER_DAY);
+    const dayLines = billPeriod(bands, dayStart, dayEnd, hourlyRate);
+    const dayTotal = dayLines.reduce((sum, line) => sum + line.amount, 0);
+    const prefix = periods > 1 ? `Day ${day + 1}: ` : "";
+
+    if (dailyRate > 0 && dayTotal > dailyRate) {
+      lines.push({
+        label: `${prefix}Daily maximum`,
+        quantity: 1,
+        unit: "day",
+        unitPrice: roundAmount(dailyRate),
+        amount: roundAmount(dailyRate),
+      });
+    } else {
+      dayLines.forEach((line) => {
+        lines.push({ ...line, label: `${prefix}${line.label}` });
+      });
+    }
+  }
+
+  const total = roundAmount(lines.reduce((sum, line) => sum + line.amount, 0));
+
+  return { ...result, lines, total };
+}
+
+/**
+ * Read a stored tariff breakdown, recalculating it for tickets that predate it
+ * @param {Object} ticket - Ticket joined with its slot
+ */
+function getTariffBreakdown(ticket) {
+  if (ticket.tariff_breakdown) {
+    try {
+      return JSON.parse(ticket.tariff_breakdown);
+    } catch (error) {
+      console.error("Invalid tariff breakdown for ticket:", ticket.id, error);
+    }
+  }
+
+  return calculateTariff(ticket, ticket.check_out_time || undefined);
+}
+
+/**
+ * Exit window state of a ticket that was paid before leaving the lot
+ * @param {Object} ticket - Ticket with paid_at and exit_deadline (UTC)
+ * @returns {Object|null} { deadline, isOpen, minutesLeft }, or null without an open stay
+ */
+function getExitWindow(ticket) {
+  if (
+    ticket.payment_status !== "paid" ||
+    ticket.check_out_time ||
+    !ticket.exit_deadline
+  ) {
+    return null;
+  }
+
+  const minutesLeft = moment
+    .utc(ticket.exit_deadline)
+    .diff(moment.utc(), "minutes", true);
+
+  return {
+    deadline: ticket.exit_deadline,
+    isOpen: minutesLeft >= 0,
+    minutesLeft: Math.max(0, Math.floor(minutesLeft)),
+  };
+}
+
+/**
+ * Charge for time spent in the lot after the exit window closed. The overstay
+ * is billed from the time of payment and added to the tariff already paid.
+ * @param {Object} ticket - Paid ticket joined with its slot
+ * @param {moment|Date|string} checkOutTime - End of the stay (defaults to now)
+ * @returns {Object} Tariff for the whole stay plus paidAmount and amountDue
+ */
+function calculateOverstay(ticket, checkOutTime) {
+  const paid = getTariffBreakdown(ticket);
+  const overstay = calculateTariff(
+    { ...ticket, check_in_time: ticket.paid_at },
+    checkOutTime,
+    { graceMinutes: 0 }
+  );
+  const durationMinutes = moment(overstay.checkOutTime).diff(
+    moment(paid.checkInTime),
+    "minutes",
+    true
+  );
+
+  return {
+    ...overstay,
+    checkInTime: paid.checkInTime,
+    durationMinutes: Math.round(durationMinutes),
+    durationHours: roundAmount(durationMinutes / MINUTES_PER_HOUR),
+    lines: [
+      ...paid.lines,
+      ...overstay.lines.map((line) => ({
+        ...line,
+        label: `Overstay: ${line.label}`,
+      })),
+    ],
+    total: roundAmount(paid.total + overstay.total),
+    paidAmount: paid.total,
+    amountDue: overstay.total,
+  };
+}
+
+/**
+ * Charge the lost-ticket fee on top of the tariff, or instead of it
+ * @param {Object} tariff - Tariff from calculateTariff
+ * @param {Object} options - Optional overrides
+ * @param {number} options.fee - Fee amount (defaults to the lost ticket fee setting)
+ * @param {string} options.mode - "add" or "replace" (defaults to the lost ticket fee mode setting)
+ */
+function applyLostTicketFee(tariff, options = {}) {
+  const fee = roundAmount(
+    options.fee !== undefined ? options.fee : getSetting("lost_ticket_fee")
+  );
+  const mode = options.mode || getSetting("lost_ticket_fee_mode");
+  const feeLine = {
+    label: "Lost ticket fee",
+    quantity: 1,
+    unit: "ticket",
+    unitPrice: fee,
+    amount: fee,
+  };
+  const lines = mode === "replace" ? [feeLine] : [...tariff.lines, feeLine];
+
+  return {
+    ...tariff,
+    lostTicket: true,
+    lostTicketFee: fee,
+    lostTicketMode: mode,
+    lines,
+    total: roundAmount(lines.reduce((sum, line) => sum + line.amount, 0)),
+  };
+}
+
+/**
+ * Describe a discount the way it is shown on tariff lines and receipts
+ * @param {Object} discount - Discount row (discount_type, value)
+ */
+function describeDiscount(discount) {
+  const value = parseFloat(discount.value);
+
+  if (discount.discount_type === "percentage") {
+    return `${value}% off`;
+  }
+
+  if (discount.discount_type === "free_minutes") {
+    return `${value} free minutes`;
+  }
+
+  return `${roundAmount(value).toFixed(2)} off`;
+}
+
+/**
+ * Take a discount off a tariff. Free minutes are removed from the start of the
+ * stay and the remainder is billed again, so tariff bands and daily caps still
+ * apply; percentage and fixed discounts come off the total. The discount never
+ * takes the total below zero.
+ * @param {Object} tariff - Tariff from calculateTariff
+ * @param {Object} discount - Discount row (code, discount_type, value, merchant_name)
+ * @param {Object} ticket - Ticket joined with its slot, needed for free minutes
+ */
+function applyDiscount(tariff, discount, ticket) {
+  const value = parseFloat(discount.value) || 0;
+  let amount;
+
+  if (discount.discount_type === "percentage") {
+    amount = (tariff.total * Math.min(value, 100)) / 100;
+  } else if (discount.discount_type === "free_minutes") {
+    const discounted = calculateTariff(
+      {
+        ...ticket,
+        check_in_time: moment(tariff.checkInTime)
+          .add(value, "minutes")
+          .format("YYYY-MM-DD HH:mm:ss"),
+      },
+      moment.max(
+        moment(tariff.checkOutTime),
+        moment(tariff.checkInTime).add(value, "minutes")
+      ),
+      { graceMinutes: 0 }
+    );
+    amount = tariff.total - discounted.total;
+  } else {
+    amount = value;
+  }
+
+  amount = roundAmount(Math.min(Math.max(amount, 0), tariff.total));
+
+  return {
+    ...tariff,
+    discount: {
+      id: discount.id,
+      code: discount.code,
+      type: discount.discount_type,
+      value,
+      merchantName: discount.merchant_name || null,
+      amount,
+    },
+    lines: [
+      ...tariff.lines,
+      {
+        label: `Discount ${discount.code} (${describeDiscount(discount)})`,
+        quantity: 1,
+        unit: "code",
+        unitPrice: -amount,
+        amount: -amount,
+      },
+    ],
+    total: roundAmount(tariff.total - amount),
+  };
+}
+
+module.exports = {
+  MAX_TARIFF_BANDS,
+  TariffError,
+  loadTariffTables,
+  getTariffTable,
+  saveTariffTable,
+  calculateTariff,
+  getTariffBreakdown,
+  getExitWindow,
+  calculateOverstay,
+  applyLostTicketFee,
+  describeDiscount,
+  applyDiscount,
+};
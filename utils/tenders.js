@@ -0,0 +1,206 @@
+const { dbAll, dbRun } = require("./db");
+
+const TENDER_METHODS = ["cash", "mfs", "card"];
+
+// Raised for tender lines that do not add up to a valid payment
+class TenderError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TenderError";
+  }
+}
+
+function toCents(amount) {
+  return Math.round(amount * 100);
+}
+
+/**
+ * Read the tender lines posted with a payment. Forms send tenders[i][method],
+ * tenders[i][amount], tenders[i][reference_number] and tenders[i][cash_tendered];
+ * a single payment_method/reference_number pair is still accepted and pays the
+ * whole amount.
+ * @param {Object} body - Request body
+ * @param {number} amountDue - Amount the tenders must add up to
+ * @returns {Object} { tenders, paymentMethod, referenceNumber, changeDue }
+ */
+function parseTenders(body, amountDue) {
+  let lines = Array.isArray(body.tenders)
+    ? body.tenders
+    : Object.values(body.tenders || {});
+
+  lines = lines.filter((line) => line && (line.method || line.amount));
+
+  if (lines.length === 0 && body.payment_method) {
+    lines = [
+      {
+        method: body.payment_method,
+        amount: amountDue,
+        reference_number: body.reference_number,
+      },
+    ];
+  }
+
+  if (lines.length === 0) {
+    throw new TenderError("Payment method is required");
+  }
+
+  // A single line without an amount pays the whole amount
+  if (lines.length === 1 && !lines[0].amount) {
+    lines[0] = { ...lines[0], amount: amountDue };
+  }
+
+  const tenders = lines.map((line) => {
+    const amount = parseFloat(line.amount);
+
+    if (!TENDER_METHODS.includes(line.method)) {
+      throw new TenderError("Choose a payment method for each tender");
+    }
+
+    if (isNaN(amount) || amount <= 0) {
+      throw new TenderError("Each tender needs an amount above zero");
+    }
+
+    const tender = {
+      method: line.method,
+      amount: toCents(amount) / 100,
+      reference_number: (line.reference_number || "").trim() || null,
+      cash_tendered: null,
+      change_due: null,
+    };
+
+    if (line.method === "cash" && line.cash_tendered) {
+      const cashTendered = parseFloat(line.cash_tendered);
+
+      if (isNaN(cashTendered) || toCents(cashTendered) < toCents(amount)) {
+        throw new TenderError("Cash tendered must cover the cash amount");
+      }
+
+      tender.cash_tendered = toCents(cashTendered) / 100;
+      tender.change_due = (toCents(cashTendered) - toCents(amount)) / 100;
+    }
+
+    return tender;
+  });
+
+  const total = tenders.reduce((sum, tender) => sum + toCents(tender.amount), 0);
+
+  if (total !== toCents(amountDue)) {
+    throw new TenderError(
+      `Tenders add up to ${(total / 100).toFixed(2)} but ${Number(
+        amountDue
+      ).toFixed(2)} is due`
+    );
+  }
+
+  const methods = [...new Set(tenders.map((tender) => tender.method))];
+
+  return {
+    tenders,
+    paymentMethod: methods.length === 1 ? methods[0] : "mixed",
+    referenceNumber:
+      tenders.length === 1
+        ? tenders[0].reference_number
+        : body.reference_number || null,
+    changeDue: tenders.reduce((sum, tender) => sum + (tender.change_due || 0), 0),
+  };
+}
+
+/**
+ * Store the tender lines of a payment
+ * @param {number} paymentId - Payment ID
+ * @param {Array} tenders - Tender lines from parseTenders
+ */
+async function recordTenders(paymentId, tenders) {
+  for (const tender of tenders) {
+    await dbRun(
+      `
+      INSERT INTO payment_tenders (payment_id, tender_method, amount, reference_number, cash_tendered, change_due)
+      VALUES (?, ?, ?, ?, ?, ?)
+    `,
+      [
+        paymentId,
+        tender.method,
+        tender.amount,
+        tender.reference_number,
+        tender.cash_tendered,
+        tender.change_due,
+      ]
+    );
+  }
+}
+
+/**
+ * Tender lines of every payment (excluding refunds) made for a ticket
+ * @param {number} ticketId - Parking ticket ID
+ */
+async function getTicketTenders(ticketId) {
+  return dbAll(
+    `
+    SELECT t.*, p.receipt_number, p.payment_date
+    FROM payment_tenders t
+    JOIN payments p ON t.payment_id = p.id
+    WHERE p.ticket_id = ? AND p.refund_of IS NULL
+    ORDER BY t.id
+  `,
+    [ticketId]
+  );
+}
+
+/**
+ * Today's collections taken by a cashier, by payment method. Payments
+ * without tender lines (permits, lost tickets, refunds) count under their own
+ * method, so the totals add up to the shift's total collected.
+ * @param {number} cashierId - Cashier user ID
+ * @returns {Promise<Array>} Rows of { method, total, count }
+ */
+async function getCollectionsByMethod(cashierId) {
+  return dbAll(
+    `
+    SELECT
+      COALESCE(t.tender_method, p.payment_method) as method,
+      COALESCE(SUM(COALESCE(t.amount, p.amount)), 0) as total,
+      COUNT(*) as count
+    FROM payments p
+    JOIN parking_tickets pt ON p.ticket_id = pt.id
+    LEFT JOIN payment_tenders t ON t.payment_id = p.id
+    WHERE p.cashier_id = ? AND DATE(p.payment_date) = DATE('now')
+    GROUP BY COALESCE(t.tender_method, p.payment_method)
+    ORDER BY total DESC
+  `,
+    [cashierId]
+  );
+}
+
+/**
+ * A shift's collections by payment method, from the time it opened until it
+ * closed, or until now while it is open
+ * @param {Object} shift - cashier_id, open_time and close_time
+ * @returns {Promise<Array>} Rows of { method, total, count }
+ */
+async function getShiftCollectionsByMethod(shift) {
+  return dbAll(
+    `
+    SELECT
+      COALESCE(t.tender_method, p.payment_method) as method,
+      COALESCE(SUM(COALESCE(t.amount, p.amount)), 0) as total,
+      COUNT(*) as count
+    FROM payments p
+    LEFT JOIN payment_tenders t ON t.payment_id = p.id
+    WHERE p.cashier_id = ? AND p.payment_date >= ?
+      AND p.payment_date <= COALESCE(?, CURRENT_TIMESTAMP)
+    GROUP BY COALESCE(t.tender_method, p.payment_method)
+    ORDER BY total DESC
+  `,
+    [shift.cashier_id, shift.open_time, shift.close_time || null]
+  );
+}
+
+module.exports = {
+  TENDER_METHODS,
+  TenderError,
+  parseTenders,
+  recordTenders,
+  getTicketTenders,
+  getCollectionsByMethod,
+  getShiftCollectionsByMethod,
+};
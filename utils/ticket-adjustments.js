@@ -0,0 +1,413 @@
+const { ConflictError, dbGet, dbAll, dbRun, withTransaction } = require("./db");
+const {
+  addLedgerEntry,
+  findOutstandingCharge,
+} = require("../repositories/vehicle-ledger");
+const {
+  normalizePlate,
+  findVehicleByPlate,
+  saveVehicle,
+} = require("../repositories/vehicles");
+
+// Reasons a cashier can give for voiding or correcting a ticket
+const REASON_CODES = {
+  wrong_slot: "Wrong slot",
+  wrong_plate: "Mistyped plate",
+  duplicate: "Duplicate ticket",
+  no_entry: "Vehicle did not enter",
+  test: "Test or training ticket",
+  other: "Other",
+};
+
+// Raised for adjustment requests that break a void/correction rule
+class AdjustmentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "AdjustmentError";
+  }
+}
+
+function getTicket(ticketId) {
+  return dbGet(
+    `
+    SELECT pt.*, ps.slot_number, v.license_plate, v.make, v.model, v.color
+    FROM parking_tickets pt
+    JOIN parking_slots ps ON pt.slot_id = ps.id
+    JOIN vehicles v ON pt.vehicle_id = v.id
+    WHERE pt.id = ?
+  `,
+    [ticketId]
+  );
+}
+
+// What was paid for a ticket, less what has been refunded
+async function getNetPaid(ticketId) {
+  const row = await dbGet(
+    "SELECT COALESCE(SUM(amount), 0) as total FROM payments WHERE ticket_id = ?",
+    [ticketId]
+  );
+  return Math.round(row.total * 100) / 100;
+}
+
+// A voided ticket drops out of revenue, so its payments must be refunded first
+async function assertVoidable(ticket) {
+  if ((await getNetPaid(ticket.id)) > 0) {
+    throw new AdjustmentError(
+      `Refund the payments on ticket ${ticket.ticket_number} before voiding it`
+    );
+  }
+}
+
+function parseChanges(adjustment) {
+  try {
+    return adjustment.changes ? JSON.parse(adjustment.changes) : {};
+  } catch (error) {
+    return {};
+  }
+}
+
+/**
+ * Get an adjustment request with its ticket and the people involved
+ * @param {number} id - Adjustment ID
+ */
+async function getAdjustment(id) {
+  const adjustment = await dbGet(
+    `
+    SELECT ta.*, pt.ticket_number
+    FROM ticket_adjustments ta
+    JOIN parking_tickets pt ON ta.ticket_id = pt.id
+    WHERE ta.id = ?
+  `,
+    [id]
+  );
+
+  if (adjustment) {
+    adjustment.changes = parseChanges(adjustment);
+  }
+
+  return adjustment;
+}
+
+/**
+ * List adjustment requests, newest first
+ * @param {Object} options - Filter options
+ * @param {string} options.status - pending, approved or rejected
+ * @param {number} options.ticketId - Only requests for this ticket
+ */
+async function listAdjustments(options = {}) {
+  let query = `
+    SELECT
+      ta.*,
+      pt.ticket_number,
+      pt.payment_status,
+      pt.total_amount,
+      ps.slot_number,
+      v.license_plate,
+      requester.full_name as requested_by_name,
+      reviewer.full_name as reviewed_by_name
+    FROM ticket_adjustments ta
+    JOIN parking_tickets pt ON ta.ticket_id = pt.id
+    JOIN parking_slots ps ON pt.slot_id = ps.id
+    JOIN vehicles v ON pt.vehicle_id = v.id
+    LEFT JOIN users requester ON ta.requested_by = requester.id
+    LEFT JOIN users reviewer ON ta.reviewed_by = reviewer.id
+    WHERE 1=1
+  `;
+  const params = [];
+
+  if (options.status) {
+    query += " AND ta.status = ?";
+    params.push(options.status);
+  }
+
+  if (options.ticketId) {
+    query += " AND ta.ticket_id = ?";
+    params.push(options.ticketId);
+  }
+
+  query += " ORDER BY ta.requested_at DESC LIMIT 200";
+
+  const rows = await dbAll(query, params);
+  return rows.map((row) => ({ ...row, changes: parseChanges(row) }));
+}
+
+/**
+ * Ask for a ticket to be voided or corrected. Nothing changes until an admin
+ * approves the request.
+ * @param {number} ticketId - Parking ticket ID
+ * @param {Object} data - action, reason_code, reason_note, slot_id, license_plate
+ * @param {number} userId - ID of the user making the request
+ * @returns {Promise<Object>} The new adjustment request
+ */
+async function requestAdjustment(ticketId, data, userId) {
+  const { action, reason_code, reason_note } = data;
+
+  if (!["void", "correct"].includes(action)) {
+    throw new AdjustmentError("Choose whether to void or correct the ticket");
+  }
+
+  if (!REASON_CODES[reason_code]) {
+    throw new AdjustmentError("A reason code is required");
+  }
+
+  if (reason_code === "other" && !(reason_note || "").trim()) {
+    throw new AdjustmentError("Describe the reason when choosing Other");
+  }
+
+  const ticket = await getTicket(ticketId);
+
+  if (!ticket) {
+    throw new AdjustmentError("Ticket not found");
+  }
+
+  if (ticket.payment_status === "cancelled") {
+    throw new AdjustmentError("Ticket is already voided");
+  }
+
+  const pending = await dbGet(
+    "SELECT id FROM ticket_adjustments WHERE ticket_id = ? AND status = 'pending'",
+    [ticketId]
+  );
+
+  if (pending) {
+    throw new AdjustmentError("This ticket already has a request awaiting approval");
+  }
+
+  if (action === "void") {
+    await assertVoidable(ticket);
+  }
+
+  const changes = {};
+
+  if (action === "correct") {
+    const plate = normalizePlate(data.license_plate);
+
+    if (plate && plate !== normalizePlate(ticket.license_plate)) {
+      changes.license_plate = plate;
+    }
+
+    if (data.slot_id && Number(data.slot_id) !== ticket.slot_id) {
+      if (ticket.check_out_time) {
+        throw new AdjustmentError("The slot of a checked-out ticket cannot be changed");
+      }
+
+      const slot = await dbGet("SELECT * FROM parking_slots WHERE id = ?", [
+        data.slot_id,
+      ]);
+
+      if (!slot || slot.status !== "vacant") {
+        throw new AdjustmentError("The new slot must be vacant");
+      }
+
+      changes.slot_id = slot.id;
+      changes.slot_number = slot.slot_number;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      throw new AdjustmentError("Enter the corrected slot or license plate");
+    }
+  }
+
+  const result = await dbRun(
+    `
+    INSERT INTO ticket_adjustments (ticket_id, action, reason_code, reason_note, changes, requested_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `,
+    [
+      ticketId,
+      action,
+      reason_code,
+      reason_note || null,
+      JSON.stringify(changes),
+      userId,
+    ]
+  );
+
+  return getAdjustment(result.lastID);
+}
+
+// Only a pending request can be reviewed, and only once
+async function markReviewed(id, status, reviewerId, note) {
+  const result = await dbRun(
+    `
+    UPDATE ticket_adjustments
+    SET status = ?, reviewed_by = ?, reviewed_at = CURRENT_TIMESTAMP, review_note = ?
+    WHERE id = ? AND status = 'pending'
+  `,
+    [status, reviewerId, note || null, id]
+  );
+
+  if (result.changes === 0) {
+    throw new ConflictError("The request was reviewed by someone else");
+  }
+}
+
+async function getPendingAdjustment(id) {
+  const adjustment = await getAdjustment(id);
+
+  if (!adjustment) {
+    throw new AdjustmentError("Request not found");
+  }
+
+  if (adjustment.status !== "pending") {
+    throw new AdjustmentError(`Request is already ${adjustment.status}`);
+  }
+
+  return adjustment;
+}
+
+// Void a ticket, free its slot if the vehicle is still parked and write off
+// what its vehicle still owes for it
+async function voidTicket(ticket, reviewerId) {
+  await dbRun(
+    `
+    UPDATE parking_tickets
+    SET payment_status = 'cancelled', check_out_time = COALESCE(check_out_time, CURRENT_TIMESTAMP), updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [ticket.id]
+  );
+
+  if (!ticket.check_out_time) {
+    await dbRun(
+      "UPDATE parking_slots SET status = 'vacant', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'occupied'",
+      [ticket.slot_id]
+    );
+  }
+
+  const charge = await findOutstandingCharge(ticket.id);
+  if (charge) {
+    await addLedgerEntry({
+      vehicle_id: charge.vehicle_id,
+      ticket_id: ticket.id,
+      entry_type: "write_off",
+      amount: charge.outstanding,
+      notes: "Ticket voided",
+      created_by: reviewerId,
+    });
+  }
+}
+
+// Move a ticket to another slot and/or vehicle, as it stands when the
+// request is approved
+async function correctTicket(ticket, changes) {
+  if (changes.slot_id) {
+    // The vehicle may have left since the request was made
+    if (ticket.check_out_time) {
+      throw new AdjustmentError("The slot of a checked-out ticket cannot be changed");
+    }
+
+    const claimed = await dbRun(
+      "UPDATE parking_slots SET status = 'occupied', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'vacant'",
+      [changes.slot_id]
+    );
+    if (claimed.changes === 0) {
+      throw new AdjustmentError(
+        `Slot ${changes.slot_number} is no longer vacant`
+      );
+    }
+
+    await dbRun(
+      "UPDATE parking_slots SET status = 'vacant', updated_at = CURRENT_TIMESTAMP WHERE id = ? AND status = 'occupied'",
+      [ticket.slot_id]
+    );
+    await dbRun(
+      "UPDATE parking_tickets SET slot_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [changes.slot_id, ticket.id]
+    );
+  }
+
+  if (changes.license_plate) {
+    // A plate already on file keeps its own details; a new one takes the
+    // details of the vehicle the ticket was issued to
+    const vehicle = await findVehicleByPlate(changes.license_plate);
+    const vehicleId = vehicle
+      ? vehicle.id
+      : await saveVehicle({
+          license_plate: changes.license_plate,
+          make: ticket.make,
+          model: ticket.model,
+          color: ticket.color,
+        });
+
+    await dbRun(
+      "UPDATE parking_tickets SET vehicle_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+      [vehicleId, ticket.id]
+    );
+    // What is owed for the ticket moves with it
+    await dbRun("UPDATE vehicle_ledger SET vehicle_id = ? WHERE ticket_id = ?", [
+      vehicleId,
+      ticket.id,
+    ]);
+  }
+}
+
+function snapshot(ticket) {
+  return {
+    payment_status: ticket.payment_status,
+    check_out_time: ticket.check_out_time,
+    slot_id: ticket.slot_id,
+    slot_number: ticket.slot_number,
+    license_plate: ticket.license_plate,
+    total_amount: ticket.total_amount,
+  };
+}
+
+/**
+ * Approve a request and apply it to the ticket. The ticket, slots, ledger and
+ * request change together or not at all.
+ * @param {number} id - Adjustment ID
+ * @param {number} reviewerId - ID of the approving admin
+ * @param {string} note - Optional review note
+ * @returns {Promise<Object>} { adjustment, before, after } with ticket snapshots
+ */
+async function approveAdjustment(id, reviewerId, note) {
+  return withTransaction(async () => {
+    const adjustment = await getPendingAdjustment(id);
+    const ticket = await getTicket(adjustment.ticket_id);
+
+    if (ticket.payment_status === "cancelled") {
+      throw new AdjustmentError("Ticket is already voided");
+    }
+
+    if (adjustment.action === "void") {
+      await assertVoidable(ticket);
+      await voidTicket(ticket, reviewerId);
+    } else {
+      await correctTicket(ticket, adjustment.changes);
+    }
+
+    await markReviewed(id, "approved", reviewerId, note);
+
+    return {
+      adjustment,
+      before: snapshot(ticket),
+      after: snapshot(await getTicket(ticket.id)),
+    };
+  });
+}
+
+/**
+ * Reject a request; the ticket is left unchanged
+ * @param {number} id - Adjustment ID
+ * @param {number} reviewerId - ID of the rejecting admin
+ * @param {string} note - Optional review note
+ * @returns {Promise<Object>} The rejected request
+ */
+async function rejectAdjustment(id, reviewerId, note) {
+  return withTransaction(async () => {
+    const adjustment = await getPendingAdjustment(id);
+    await markReviewed(id, "rejected", reviewerId, note);
+    return adjustment;
+  });
+}
+
+module.exports = {
+  REASON_CODES,
+  AdjustmentError,
+  getAdjustment,
+  listAdjustments,
+  requestAdjustment,
+  approveAdjustment,
+  rejectAdjustment,
+};
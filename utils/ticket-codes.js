@@ -0,0 +1,95 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { findTicketByNumber } = require("../repositories/tickets");
+
+// Where the signing key is kept when TICKET_CODE_SECRET is not set, so codes
+// already printed still scan after a restart
+const KEY_FILE = path.join(__dirname, "..", "database", "ticket-code.key");
+
+// Hex characters of the HMAC kept in a code
+const CHECKSUM_LENGTH = 8;
+
+// Raised for scanned codes that cannot be taken at the exit
+class TicketCodeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TicketCodeError";
+  }
+}
+
+let signingKey = null;
+
+function getSigningKey() {
+  if (signingKey) return signingKey;
+
+  if (process.env.TICKET_CODE_SECRET) {
+    signingKey = Buffer.from(process.env.TICKET_CODE_SECRET);
+  } else if (fs.existsSync(KEY_FILE)) {
+    signingKey = Buffer.from(fs.readFileSync(KEY_FILE, "utf8").trim(), "hex");
+  } else {
+    signingKey = crypto.randomBytes(32);
+    fs.writeFileSync(KEY_FILE, signingKey.toString("hex"), { mode: 0o600 });
+  }
+  return signingKey;
+}
+
+function checksumOf(ticketNumber) {
+  return crypto
+    .createHmac("sha256", getSigningKey())
+    .update(ticketNumber)
+    .digest("hex")
+    .slice(0, CHECKSUM_LENGTH)
+    .toUpperCase();
+}
+
+/**
+ * The code printed on a ticket and its receipt: the ticket number and an
+ * HMAC checksum, e.g. A-2026-000123-2.3FA29C01
+ * @param {string} ticketNumber - Ticket number
+ * @returns {string}
+ */
+function signTicketNumber(ticketNumber) {
+  return `${ticketNumber}.${checksumOf(ticketNumber)}`;
+}
+
+/**
+ * Check a scanned code and find its ticket
+ * @param {string} code - What the scanner typed
+ * @returns {Promise<Object>} The ticket
+ */
+async function findTicketByCode(code) {
+  const value = String(code || "").trim();
+  const separator = value.lastIndexOf(".");
+  const ticketNumber = value.slice(0, separator);
+  const checksum = value.slice(separator + 1).toUpperCase();
+
+  if (
+    separator < 1 ||
+    !new RegExp(`^[0-9A-F]{${CHECKSUM_LENGTH}}$`).test(checksum)
+  ) {
+    throw new TicketCodeError("That is not a ticket code");
+  }
+  if (
+    !crypto.timingSafeEqual(
+      Buffer.from(checksum),
+      Buffer.from(checksumOf(ticketNumber))
+    )
+  ) {
+    throw new TicketCodeError(
+      "The ticket code failed its check and may have been tampered with"
+    );
+  }
+
+  const ticket = await findTicketByNumber(ticketNumber);
+  if (!ticket) {
+    throw new TicketCodeError(`Ticket ${ticketNumber} not found`);
+  }
+  return ticket;
+}
+
+module.exports = {
+  TicketCodeError,
+  signTicketNumber,
+  findTicketByCode,
+};
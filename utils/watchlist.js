@@ -0,0 +1,238 @@
+const moment = require("moment");
+const { dbGet, dbAll, dbRun, buildWhere, likePattern } = require("./db");
+const { normalizePlate } = require("../repositories/vehicles");
+const { listAuditLogs } = require("../repositories/audit-logs");
+
+// Why a plate is on the watchlist
+const WATCHLIST_REASONS = {
+  unpaid_debt: "Unpaid debt",
+  police_request: "Police request",
+  banned: "Banned customer",
+  other: "Other",
+};
+
+// "warn" lets the check-in go ahead with a warning; "block" refuses it
+const WATCHLIST_SEVERITIES = ["warn", "block"];
+
+// An entry applies while it is active and not past its expiry date
+function inForce(alias = "") {
+  const column = (name) => (alias ? `${alias}.${name}` : name);
+  return `${column("status")} = 'active' AND (${column("expires_on")} IS NULL OR ${column("expires_on")} >= DATE('now'))`;
+}
+
+// Audit actions written when a check-in matches an entry
+const HIT_ACTIONS = ["WATCHLIST_WARNING", "WATCHLIST_BLOCKED"];
+
+// Raised for watchlist entries that break a rule
+class WatchlistError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "WatchlistError";
+  }
+}
+
+function validateEntry(data) {
+  const plate = normalizePlate(data.license_plate);
+
+  if (!plate) {
+    throw new WatchlistError("License plate is required");
+  }
+
+  if (!WATCHLIST_REASONS[data.reason]) {
+    throw new WatchlistError("Choose a reason");
+  }
+
+  if (!WATCHLIST_SEVERITIES.includes(data.severity)) {
+    throw new WatchlistError("Severity must be warn or block");
+  }
+
+  let expiresOn = null;
+  if (data.expires_on) {
+    const expiry = moment(data.expires_on, "YYYY-MM-DD", true);
+    if (!expiry.isValid()) {
+      throw new WatchlistError("Expiry must be a valid date");
+    }
+    expiresOn = expiry.format("YYYY-MM-DD");
+  }
+
+  return {
+    license_plate: plate,
+    reason: data.reason,
+    severity: data.severity,
+    expires_on: expiresOn,
+    notes: (data.notes || "").trim() || null,
+  };
+}
+
+/**
+ * Get a watchlist entry
+ * @param {number} id - Entry ID
+ */
+async function getWatchlistEntry(id) {
+  return dbGet("SELECT * FROM watchlist WHERE id = ?", [id]);
+}
+
+/**
+ * List watchlist entries
+ * @param {Object} options - Filter options
+ * @param {string} options.search - Plate or notes
+ * @param {string} options.state - "active", "expired" or "removed"
+ */
+async function listWatchlist(options = {}) {
+  const { where, params } = buildWhere([
+    options.search && [
+      "w.license_plate LIKE ? OR w.notes LIKE ?",
+      likePattern(normalizePlate(options.search)),
+      likePattern(options.search),
+    ],
+    options.state === "active" && [inForce("w")],
+    options.state === "expired" && [
+      "w.status = 'active' AND w.expires_on < DATE('now')",
+    ],
+    options.state === "removed" && ["w.status = 'removed'"],
+  ]);
+
+  return dbAll(
+    `
+    SELECT w.*, u.full_name as created_by_name
+    FROM watchlist w
+    LEFT JOIN users u ON w.created_by = u.id
+    ${where}
+    ORDER BY w.created_at DESC
+  `,
+    params
+  );
+}
+
+/**
+ * The entry in force for a plate, a blocking one before a warning
+ * @param {string} licensePlate - Plate as typed
+ * @returns {Promise<Object|undefined>} Watchlist entry
+ */
+async function findWatchlistMatch(licensePlate) {
+  const plate = normalizePlate(licensePlate);
+  if (!plate) return undefined;
+
+  return dbGet(
+    `
+    SELECT * FROM watchlist
+    WHERE license_plate = ? AND ${inForce()}
+    ORDER BY severity = 'block' DESC, created_at DESC
+    LIMIT 1
+  `,
+    [plate]
+  );
+}
+
+/**
+ * One-line description of an entry for the cashier
+ * @param {Object} entry - Watchlist entry
+ */
+function describeWatchlistEntry(entry) {
+  const notes = entry.notes ? ` - ${entry.notes}` : "";
+  return `Plate ${entry.license_plate} is on the watchlist: ${
+    WATCHLIST_REASONS[entry.reason]
+  }${notes}`;
+}
+
+/**
+ * Check-ins that matched an entry, newest first
+ * @param {number} id - Entry ID
+ * @param {number} limit - Maximum number of hits
+ */
+async function listWatchlistHits(id, limit = 50) {
+  const logs = await listAuditLogs({ tableName: "watchlist", recordId: id });
+  return logs.filter((log) => HIT_ACTIONS.includes(log.action)).slice(0, limit);
+}
+
+/**
+ * Put a plate on the watchlist
+ * @param {Object} data - license_plate, reason, severity, expires_on, notes
+ * @param {number} userId - User adding the entry
+ * @returns {Promise<Object>} The new entry
+ */
+async function createWatchlistEntry(data, userId) {
+  const entry = validateEntry(data);
+
+  const result = await dbRun(
+    `
+    INSERT INTO watchlist (license_plate, reason, severity, expires_on, notes, created_by)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `,
+    [
+      entry.license_plate,
+      entry.reason,
+      entry.severity,
+      entry.expires_on,
+      entry.notes,
+      userId,
+    ]
+  );
+
+  return { id: result.lastID, ...entry };
+}
+
+/**
+ * Update a watchlist entry
+ * @param {number} id - Entry ID
+ * @param {Object} data - license_plate, reason, severity, expires_on, notes
+ * @returns {Promise<Object>} { previous, updated } for the audit log
+ */
+async function updateWatchlistEntry(id, data) {
+  const previous = await getWatchlistEntry(id);
+  if (!previous) {
+    throw new WatchlistError("Watchlist entry not found");
+  }
+
+  const updated = validateEntry(data);
+
+  await dbRun(
+    `
+    UPDATE watchlist
+    SET license_plate = ?, reason = ?, severity = ?, expires_on = ?, notes = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `,
+    [
+      updated.license_plate,
+      updated.reason,
+      updated.severity,
+      updated.expires_on,
+      updated.notes,
+      id,
+    ]
+  );
+
+  return { previous, updated };
+}
+
+/**
+ * Take a plate off the watchlist. The entry is kept for the record.
+ * @param {number} id - Entry ID
+ * @returns {Promise<Object>} The entry as it was
+ */
+async function removeWatchlistEntry(id) {
+  const entry = await getWatchlistEntry(id);
+  if (!entry || entry.status !== "active") {
+    throw new WatchlistError("Watchlist entry is not active");
+  }
+
+  await dbRun(
+    "UPDATE watchlist SET status = 'removed', updated_at = CURRENT_TIMESTAMP WHERE id = ?",
+    [id]
+  );
+  return entry;
+}
+
+module.exports = {
+  WATCHLIST_REASONS,
+  WATCHLIST_SEVERITIES,
+  WatchlistError,
+  getWatchlistEntry,
+  listWatchlist,
+  findWatchlistMatch,
+  describeWatchlistEntry,
+  listWatchlistHits,
+  createWatchlistEntry,
+  updateWatchlistEntry,
+  removeWatchlistEntry,
+};
@@ -4,6 +4,8 @@
  */
 
 const moment = require('moment');
+const { getCurrencySymbol } = require('../../utils/settings');
+const { code128Widths } = require('../../utils/code128');
 
 // Safe moment formatting - prevents multi-line syntax errors
 function formatDate(date, format = 'MMM DD, YYYY') {
@@ -71,7 +73,7 @@ function getSlotStatusBadge(slotStatus) {
 }
 
 // Safe currency formatting
-function formatCurrency(amount, currency = '$') {
+function formatCurrency(amount, currency = getCurrencySymbol()) {
   if (amount === null || amount === undefined || isNaN(amount)) {
     return `${currency}0.00`;
   }
@@ -86,6 +88,20 @@ function formatNumber(number, decimals = 0) {
   return parseFloat(number).toFixed(decimals);
 }
 
+// File size in B, KB or MB
+function formatFileSize(bytes) {
+  if (!bytes || isNaN(bytes)) {
+    return '0 B';
+  }
+  if (bytes < 1024) {
+    return `${bytes} B`;
+  }
+  if (bytes < 1024 * 1024) {
+    return `${(bytes / 1024).toFixed(1)} KB`;
+  }
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
 // Safe text truncation
 function truncateText(text, maxLength = 50) {
   if (!text || typeof text !== 'string') {
@@ -185,6 +201,23 @@ function getAlert(message, type = 'info', dismissible = true) {
   `;
 }
 
+// Code 128 barcode as inline SVG, scaled to the width it is given
+function getBarcode(text, height = 60) {
+  const widths = code128Widths(text);
+  const quiet = 10;
+  let x = quiet;
+  let bars = '';
+
+  widths.forEach((width, index) => {
+    if (index % 2 === 0) {
+      bars += `<rect x="${x}" y="0" width="${width}" height="${height}" />`;
+    }
+    x += width;
+  });
+
+  return `<svg class="barcode" xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${x + quiet} ${height}" preserveAspectRatio="none" role="img" aria-label="${text}">${bars}</svg>`;
+}
+
 // Complex status function for multiple conditions
 function getComplexStatus(condition1, value1, condition2, value2, defaultValue) {
   if (condition1) return value1;
@@ -209,6 +242,7 @@ module.exports = {
   // Formatting
   formatCurrency,
   formatNumber,
+  formatFileSize,
   truncateText,
   escapeHtml,
   
@@ -221,5 +255,6 @@ module.exports = {
   getButton,
   getTableRow,
   getCard,
-  getAlert
+  getAlert,
+  getBarcode
 };